@@ -0,0 +1,31 @@
+/**
+ * Do-Not-Contact Entry API
+ *
+ * DELETE /api/blocklist/[id] - Remove the entry; leads it blocked are unflagged
+ * unless another entry still matches them
+ */
+
+import { NextResponse } from "next/server";
+import { withAuth } from "@/libs/auth-middleware";
+import { deleteBlocklistEntry } from "@/libs/blocklist";
+
+export const DELETE = withAuth(async (request, { params, user }) => {
+  try {
+    const result = await deleteBlocklistEntry(params.id, user.id);
+
+    if (!result) {
+      return NextResponse.json(
+        { error: "Entry not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ success: true, blockedLeads: result.blockedLeads });
+  } catch (error) {
+    console.error("Delete blocklist entry error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
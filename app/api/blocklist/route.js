@@ -0,0 +1,92 @@
+/**
+ * Do-Not-Contact List API
+ *
+ * GET  /api/blocklist - The user's entries and the leads they currently block
+ * POST /api/blocklist - Add entries ({ entries: [{ type, value, reason? }] })
+ *
+ * Entries block a profile URL, a name pattern or a company pattern (see
+ * libs/blocklist-rules.js). Adding entries flags the matching leads of every
+ * campaign; they are kept but never invited or messaged.
+ */
+
+import { NextResponse } from "next/server";
+import { withAuth } from "@/libs/auth-middleware";
+import { validateBlocklistEntry, MAX_BLOCKLIST_UPLOAD } from "@/libs/blocklist-rules";
+import {
+  listBlocklistEntries,
+  listBlockedLeads,
+  addBlocklistEntries,
+  serializeBlocklistEntry,
+} from "@/libs/blocklist";
+
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const entries = await listBlocklistEntries(user.id);
+    const blockedLeads = await listBlockedLeads(user.id);
+
+    return NextResponse.json({
+      success: true,
+      entries: entries.map(serializeBlocklistEntry),
+      blockedLeads,
+    });
+  } catch (error) {
+    console.error("List blocklist error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
+
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const input = body?.entries;
+
+    if (!Array.isArray(input) || input.length === 0) {
+      return NextResponse.json(
+        { error: "INVALID_ENTRIES", message: "entries must be a non-empty array" },
+        { status: 400 }
+      );
+    }
+
+    if (input.length > MAX_BLOCKLIST_UPLOAD) {
+      return NextResponse.json(
+        { error: "INVALID_ENTRIES", message: `At most ${MAX_BLOCKLIST_UPLOAD} entries at a time` },
+        { status: 400 }
+      );
+    }
+
+    const entries = [];
+    const errors = [];
+    input.forEach((item, index) => {
+      const { entry, error } = validateBlocklistEntry(item);
+      if (error) errors.push(`Entry ${index + 1}: ${error}`);
+      else entries.push(entry);
+    });
+
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { error: "INVALID_ENTRIES", message: errors.slice(0, 5).join(". "), errors },
+        { status: 400 }
+      );
+    }
+
+    const { added, blockedLeads } = await addBlocklistEntries(user.id, entries);
+
+    console.log(`🚫 ${added} do-not-contact entr${added === 1 ? "y" : "ies"} added (${entries.length - added} already listed)`);
+
+    return NextResponse.json({
+      success: true,
+      added,
+      duplicates: entries.length - added,
+      blockedLeads,
+    });
+  } catch (error) {
+    console.error("Add blocklist entries error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,111 @@
+/**
+ * Campaign Accounts API
+ *
+ * GET /api/campaigns/[id]/accounts - List the user's LinkedIn accounts, flagged if they are in the campaign pool
+ * PUT /api/campaigns/[id]/accounts - Replace the pool of accounts the campaign sends from
+ */
+
+import { NextResponse } from "next/server";
+import { db } from "@/libs/db";
+import { campaigns, linkedinAccounts } from "@/libs/schema";
+import { eq, and } from "drizzle-orm";
+import { withAuth } from "@/libs/auth-middleware";
+import { getCampaignAccountIds, setCampaignAccounts } from "@/libs/campaign-accounts";
+
+const findCampaign = (campaignId, userId) =>
+  db.query.campaigns.findFirst({
+    where: and(eq(campaigns.id, campaignId), eq(campaigns.userId, userId)),
+    columns: { id: true }
+  });
+
+const fetchUserAccounts = (userId) =>
+  db
+    .select({
+      id: linkedinAccounts.id,
+      email: linkedinAccounts.email,
+      name: linkedinAccounts.userName,
+      isActive: linkedinAccounts.isActive,
+      dailyLimit: linkedinAccounts.dailyLimit,
+      dailyInvitesSent: linkedinAccounts.dailyInvitesSent,
+    })
+    .from(linkedinAccounts)
+    .where(eq(linkedinAccounts.userId, userId));
+
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const campaignId = params.id;
+
+    if (!(await findCampaign(campaignId, user.id))) {
+      return NextResponse.json(
+        { error: "Campaign not found" },
+        { status: 404 }
+      );
+    }
+
+    const [accounts, accountIds] = await Promise.all([
+      fetchUserAccounts(user.id),
+      getCampaignAccountIds(campaignId),
+    ]);
+
+    return NextResponse.json({
+      success: true,
+      accountIds,
+      accounts: accounts.map((account) => ({
+        ...account,
+        selected: accountIds.includes(account.id),
+      })),
+    });
+  } catch (error) {
+    console.error("Get campaign accounts error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
+
+export const PUT = withAuth(async (request, { params, user }) => {
+  try {
+    const campaignId = params.id;
+    const { accountIds } = await request.json();
+
+    if (!(await findCampaign(campaignId, user.id))) {
+      return NextResponse.json(
+        { error: "Campaign not found" },
+        { status: 404 }
+      );
+    }
+
+    if (!Array.isArray(accountIds)) {
+      return NextResponse.json(
+        { error: "INVALID_ACCOUNTS", message: "accountIds must be an array" },
+        { status: 400 }
+      );
+    }
+
+    const ownAccountIds = (await fetchUserAccounts(user.id)).map((account) => account.id);
+    const unknownIds = accountIds.filter((accountId) => !ownAccountIds.includes(accountId));
+
+    if (unknownIds.length > 0) {
+      return NextResponse.json(
+        { error: "INVALID_ACCOUNTS", message: `Unknown LinkedIn accounts: ${unknownIds.join(", ")}` },
+        { status: 400 }
+      );
+    }
+
+    await setCampaignAccounts(campaignId, accountIds);
+
+    console.log(`✅ Campaign ${campaignId} account pool updated (${accountIds.length} account(s))`);
+
+    return NextResponse.json({
+      success: true,
+      accountIds: Array.from(new Set(accountIds)),
+    });
+  } catch (error) {
+    console.error("Update campaign accounts error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
@@ -22,12 +22,13 @@ export async function GET(request, { params }) {
 
     const { id: campaignId } = params;
 
-    // Find any active job for this campaign
+    // Find any active invite job for this campaign (Sales Navigator imports have their own status)
     const job = await db.query.workflowJobs.findFirst({
       where: and(
         eq(workflowJobs.campaignId, campaignId),
+        eq(workflowJobs.type, 'invite'),
         eq(workflowJobs.userId, session.user.id),
-        inArray(workflowJobs.status, ['queued', 'processing', 'paused'])
+        inArray(workflowJobs.status, ['queued', 'processing', 'waiting', 'paused', 'interrupted'])
       ),
       orderBy: [desc(workflowJobs.createdAt)]
     });
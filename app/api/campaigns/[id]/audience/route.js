@@ -0,0 +1,58 @@
+/**
+ * Campaign Audience Preview API
+ *
+ * POST /api/campaigns/[id]/audience
+ *
+ * Counts the campaign leads matching audience filters and returns a sample of
+ * them, for the live preview of the audience filter builder. Nothing is saved.
+ *
+ * Body: { filters } - { match, rules } (see libs/audience-filters.js)
+ */
+
+import { NextResponse } from "next/server";
+import { db } from "@/libs/db";
+import { campaigns } from "@/libs/schema";
+import { eq, and } from "drizzle-orm";
+import { withAuth } from "@/libs/auth-middleware";
+import { validateAudienceFilters } from "@/libs/audience-filters";
+import { previewAudience } from "@/libs/audience-segments";
+
+export const POST = withAuth(async (request, { params, user }) => {
+  try {
+    const campaignId = params.id;
+    const body = await request.json().catch(() => ({}));
+
+    const campaign = await db.query.campaigns.findFirst({
+      where: and(eq(campaigns.id, campaignId), eq(campaigns.userId, user.id)),
+      columns: { id: true }
+    });
+
+    if (!campaign) {
+      return NextResponse.json(
+        { error: "Campaign not found" },
+        { status: 404 }
+      );
+    }
+
+    const { filters, errors } = validateAudienceFilters(body?.filters);
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { error: "INVALID_FILTERS", message: errors.join(". "), errors },
+        { status: 400 }
+      );
+    }
+
+    const preview = await previewAudience({ userId: user.id, campaignId, filters });
+
+    return NextResponse.json({
+      success: true,
+      ...preview,
+    });
+  } catch (error) {
+    console.error("Preview audience error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,114 @@
+/**
+ * Campaign Lead Export API
+ *
+ * GET /api/campaigns/[id]/leads/export?format=csv|jsonl
+ *
+ * Downloads the campaign's leads with their profile fields, invite and
+ * message state, generated message (follow-ups left out) and post count, for client
+ * spreadsheets. Accepts the same filters as the leads list (?tag=,
+ * ?custom.<key>=, ?status=, ?inviteStatus=, see libs/lead-filters.js).
+ */
+
+import { NextResponse } from "next/server";
+import { withAuth } from "@/libs/auth-middleware";
+import { db } from "@/libs/db";
+import { campaigns, leads, messages, posts } from "@/libs/schema";
+import { eq, and, asc, count } from "drizzle-orm";
+import { parseLeadFilters } from "@/libs/lead-filters";
+import { LEAD_EXPORT_FORMATS, toLeadExportRecord, formatLeadExport } from "@/libs/lead-export";
+
+// "Acme Q3 Outreach" -> acme-q3-outreach
+const slugify = (value) =>
+  String(value || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 50) || "campaign";
+
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const campaignId = params.id;
+    const { searchParams } = new URL(request.url);
+    const format = (searchParams.get("format") || "csv").toLowerCase();
+
+    if (!LEAD_EXPORT_FORMATS[format]) {
+      return NextResponse.json(
+        { error: "INVALID_FORMAT", message: `format must be one of: ${Object.keys(LEAD_EXPORT_FORMATS).join(", ")}` },
+        { status: 400 }
+      );
+    }
+
+    const { filters, error: filterError } = parseLeadFilters(searchParams);
+    if (filterError) {
+      return NextResponse.json(
+        { error: "INVALID_FILTER", message: filterError },
+        { status: 400 }
+      );
+    }
+
+    const campaign = await db.query.campaigns.findFirst({
+      where: and(eq(campaigns.id, campaignId), eq(campaigns.userId, user.id)),
+      columns: { id: true, name: true }
+    });
+
+    if (!campaign) {
+      return NextResponse.json({ error: "Campaign not found" }, { status: 404 });
+    }
+
+    const campaignLeads = await db
+      .select()
+      .from(leads)
+      .where(and(eq(leads.campaignId, campaignId), eq(leads.userId, user.id), ...filters))
+      .orderBy(leads.createdAt);
+
+    // Messages of each lead, oldest first
+    const messagesByLead = new Map();
+    const campaignMessages = await db
+      .select({ leadId: messages.leadId, content: messages.content })
+      .from(messages)
+      .where(and(eq(messages.campaignId, campaignId), eq(messages.userId, user.id)))
+      .orderBy(asc(messages.createdAt));
+    campaignMessages.forEach((message) => {
+      if (!messagesByLead.has(message.leadId)) messagesByLead.set(message.leadId, []);
+      messagesByLead.get(message.leadId).push(message.content);
+    });
+
+    // Follow-ups are stored after the first message was sent (one row each, see
+    // followUpsSent), so the generated message is the newest row before them
+    const generatedMessage = (lead) => {
+      const leadMessages = messagesByLead.get(lead.id) || [];
+      return leadMessages[leadMessages.length - (lead.followUpsSent || 0) - 1] || null;
+    };
+
+    const postCounts = new Map(
+      (await db
+        .select({ leadId: posts.leadId, count: count(posts.id) })
+        .from(posts)
+        .innerJoin(leads, eq(posts.leadId, leads.id))
+        .where(and(eq(leads.campaignId, campaignId), eq(posts.userId, user.id)))
+        .groupBy(posts.leadId)
+      ).map((row) => [row.leadId, Number(row.count)])
+    );
+
+    const records = campaignLeads.map((lead) =>
+      toLeadExportRecord(lead, {
+        message: generatedMessage(lead),
+        postCount: postCounts.get(lead.id) || 0
+      })
+    );
+
+    const day = new Date().toISOString().slice(0, 10);
+    const filename = `${slugify(campaign.name)}-leads-${day}.${LEAD_EXPORT_FORMATS[format].extension}`;
+
+    console.log(`📤 Exporting campaign ${campaignId.substring(0, 8)}... | ${records.length} leads | ${format}`);
+
+    return new NextResponse(formatLeadExport(records, format), {
+      headers: {
+        "Content-Type": LEAD_EXPORT_FORMATS[format].contentType,
+        "Content-Disposition": `attachment; filename="${filename}"`
+      }
+    });
+  } catch (error) {
+    console.error("Export leads error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,224 @@
+/**
+ * Lead CSV Import API
+ *
+ * POST /api/campaigns/[id]/leads/import
+ *
+ * Multipart form with the CSV file, in two steps:
+ *   1. file (+ encoding) - returns the columns, a suggested mapping and sample rows
+ *   2. file + mapping (JSON array, one lead field or null per column) - imports
+ *      the rows and returns a per-row report
+ *
+ * URLs are normalized before the duplicate checks: rows repeating an earlier
+ * row, or a lead already in this or another of the user's campaigns, are skipped.
+ * Leads on the user's do-not-contact list are imported flagged as blocked.
+ * See libs/lead-import.js for the mapping format.
+ */
+
+import { NextResponse } from "next/server";
+import { db } from "@/libs/db";
+import { campaigns, leads } from "@/libs/schema";
+import { eq, and } from "drizzle-orm";
+import { withAuth } from "@/libs/auth-middleware";
+import { getBlocklistMatcher } from "@/libs/blocklist";
+import { cacheNewLeads } from "@/libs/lead-status-manager";
+import { matchBlocklist, describeBlocklistMatch } from "@/libs/blocklist-rules";
+import { decodeCsvBytes, detectCsvDelimiter, parseCsv } from "@/libs/csv";
+import { normalizeLinkedInUrl } from "@/libs/scraping-utils";
+import {
+  MAX_IMPORT_ROWS,
+  MAX_IMPORT_FILE_SIZE,
+  IMPORT_ENCODINGS,
+  suggestImportMapping,
+  validateImportMapping,
+  normalizeProfileUrl,
+  mapImportRows,
+} from "@/libs/lead-import";
+
+const SAMPLE_ROWS = 5;
+const INSERT_BATCH_SIZE = 500;
+
+export const POST = withAuth(async (request, { params, user }) => {
+  try {
+    const campaignId = params.id;
+
+    const [campaign] = await db
+      .select({ id: campaigns.id, status: campaigns.status })
+      .from(campaigns)
+      .where(and(eq(campaigns.id, campaignId), eq(campaigns.userId, user.id)))
+      .limit(1);
+
+    if (!campaign) {
+      return NextResponse.json(
+        { error: "Campaign not found" },
+        { status: 404 }
+      );
+    }
+
+    const form = await request.formData().catch(() => null);
+    const file = form?.get("file");
+
+    if (!file || typeof file === "string") {
+      return NextResponse.json(
+        { error: "INVALID_FILE", message: "Upload a CSV file" },
+        { status: 400 }
+      );
+    }
+
+    if (file.size > MAX_IMPORT_FILE_SIZE) {
+      return NextResponse.json(
+        { error: "INVALID_FILE", message: `The file is larger than ${MAX_IMPORT_FILE_SIZE / 1024 / 1024} MB` },
+        { status: 400 }
+      );
+    }
+
+    const encoding = form.get("encoding") || "auto";
+    if (!IMPORT_ENCODINGS.includes(encoding)) {
+      return NextResponse.json(
+        { error: "INVALID_ENCODING", message: `Encoding must be one of ${IMPORT_ENCODINGS.join(", ")}` },
+        { status: 400 }
+      );
+    }
+
+    const decoded = decodeCsvBytes(new Uint8Array(await file.arrayBuffer()), encoding);
+    const delimiter = detectCsvDelimiter(decoded.text);
+    const [headers = [], ...rows] = parseCsv(decoded.text, delimiter);
+
+    if (headers.length === 0 || rows.length === 0) {
+      return NextResponse.json(
+        { error: "INVALID_FILE", message: "The file needs a header row and at least one lead" },
+        { status: 400 }
+      );
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return NextResponse.json(
+        { error: "INVALID_FILE", message: `At most ${MAX_IMPORT_ROWS} rows per import (found ${rows.length})` },
+        { status: 400 }
+      );
+    }
+
+    const columns = headers.map((header) => header.trim());
+    const source = { name: file.name, encoding: decoded.encoding, delimiter, rows: rows.length };
+
+    // Step 1: columns and a suggested mapping
+    const mappingInput = form.get("mapping");
+    if (!mappingInput) {
+      return NextResponse.json({
+        success: true,
+        file: source,
+        headers: columns,
+        mapping: suggestImportMapping(columns),
+        sample: rows.slice(0, SAMPLE_ROWS),
+      });
+    }
+
+    // Step 2: import
+    let parsedMapping;
+    try {
+      parsedMapping = JSON.parse(mappingInput);
+    } catch (error) {
+      parsedMapping = null;
+    }
+
+    const { mapping, errors } = validateImportMapping(parsedMapping, columns);
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { error: "INVALID_MAPPING", message: errors.join("; "), errors },
+        { status: 400 }
+      );
+    }
+
+    // Leads the user already has, by normalized URL
+    const existingLeads = await db
+      .select({ url: leads.url, campaignId: leads.campaignId, campaignName: campaigns.name })
+      .from(leads)
+      .leftJoin(campaigns, eq(leads.campaignId, campaigns.id))
+      .where(eq(leads.userId, user.id));
+
+    const existingByUrl = new Map();
+    existingLeads.forEach((lead) => {
+      const url = normalizeProfileUrl(lead.url) || normalizeLinkedInUrl(lead.url);
+      if (!existingByUrl.has(url)) existingByUrl.set(url, lead);
+    });
+
+    const blocklist = await getBlocklistMatcher(user.id);
+    const firstRowByUrl = new Map();
+    const report = mapImportRows(rows, columns, mapping).map((entry) => {
+      if (!entry.lead) return entry;
+
+      const existing = existingByUrl.get(entry.url);
+      if (existing) {
+        const reason = existing.campaignId === campaignId
+          ? "Already in this campaign"
+          : `Already in campaign: ${existing.campaignName || "Unknown Campaign"}`;
+        return { ...entry, status: "skipped", reason };
+      }
+
+      if (firstRowByUrl.has(entry.url)) {
+        return { ...entry, status: "skipped", reason: `Duplicate of line ${firstRowByUrl.get(entry.url)}` };
+      }
+
+      firstRowByUrl.set(entry.url, entry.row);
+
+      const blockedBy = matchBlocklist(entry.lead, blocklist);
+      return blockedBy
+        ? { ...entry, status: "blocked", reason: describeBlocklistMatch(blockedBy) }
+        : { ...entry, status: "imported", reason: "" };
+    });
+
+    const now = new Date();
+    const toInsert = report
+      .filter((entry) => entry.status === "imported" || entry.status === "blocked")
+      .map(({ lead, status, reason }) => ({
+        userId: user.id,
+        campaignId,
+        url: lead.url,
+        name: lead.name || null,
+        title: lead.title || null,
+        company: lead.company || null,
+        location: lead.location || null,
+        tags: lead.tags,
+        customFields: lead.customFields,
+        blockedReason: status === "blocked" ? reason : null,
+        blockedAt: status === "blocked" ? now : null,
+        status: "pending",
+      }));
+
+    const inserted = [];
+    for (let i = 0; i < toInsert.length; i += INSERT_BATCH_SIZE) {
+      inserted.push(...await db.insert(leads).values(toInsert.slice(i, i + INSERT_BATCH_SIZE)).returning());
+    }
+
+    if (inserted.length > 0) {
+      await db
+        .update(campaigns)
+        .set({ updatedAt: new Date(), ...(campaign.status === "draft" && { status: "active" }) })
+        .where(eq(campaigns.id, campaignId));
+
+      await cacheNewLeads(campaignId, inserted);
+    }
+
+    const summary = {
+      total: report.length,
+      imported: inserted.length,
+      blocked: report.filter((entry) => entry.status === "blocked").length,
+      skipped: report.filter((entry) => entry.status === "skipped").length,
+      invalid: report.filter((entry) => entry.status === "invalid").length,
+    };
+
+    console.log(`📥 CSV IMPORT: Campaign ${campaignId} - ${summary.imported} imported (${summary.blocked} blocked), ${summary.skipped} skipped, ${summary.invalid} invalid (${source.encoding}, "${delimiter}")`);
+
+    return NextResponse.json({
+      success: true,
+      file: source,
+      summary,
+      rows: report.map(({ row, status, url, name, reason }) => ({ row, status, url, name, reason })),
+    });
+  } catch (error) {
+    console.error("Import leads error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
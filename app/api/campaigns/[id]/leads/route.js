@@ -3,11 +3,25 @@ import { db } from "@/libs/db";
 import { campaigns, leads, messages } from "@/libs/schema";
 import { eq, and } from "drizzle-orm";
 import { withAuth } from "@/libs/auth-middleware";
+import { getBlocklistMatcher } from "@/libs/blocklist";
+import { matchBlocklist, describeBlocklistMatch } from "@/libs/blocklist-rules";
+import { parseLeadFilters } from "@/libs/lead-filters";
+import { toCachedLead } from "@/libs/lead-status-manager";
 
 // GET /api/campaigns/[id]/leads - Get leads for a campaign (authenticated user)
+// Filters: ?tag=, ?custom.<key>=, ?status=, ?inviteStatus= (see libs/lead-filters.js)
 export const GET = withAuth(async (request, { params, user }) => {
   try {
     const campaignId = params.id;
+    const { searchParams } = new URL(request.url);
+
+    const { filters, error: filterError } = parseLeadFilters(searchParams);
+    if (filterError) {
+      return NextResponse.json(
+        { error: "INVALID_FILTER", message: filterError },
+        { status: 400 }
+      );
+    }
 
     // Check if campaign exists and belongs to user
     const [campaign] = await db
@@ -31,14 +45,24 @@ export const GET = withAuth(async (request, { params, user }) => {
         url: leads.url,
         title: leads.title,
         company: leads.company,
+        location: leads.location,
+        tags: leads.tags,
+        customFields: leads.customFields,
         campaignId: leads.campaignId,
         inviteSent: leads.inviteSent,
         inviteStatus: leads.inviteStatus,
         inviteSentAt: leads.inviteSentAt,
+        messageSent: leads.messageSent,
+        messageSentAt: leads.messageSentAt,
+        followUpsSent: leads.followUpsSent,
+        repliedAt: leads.repliedAt,
+        endorsedSkills: leads.endorsedSkills,
+        endorsedAt: leads.endorsedAt,
+        blockedReason: leads.blockedReason,
         createdAt: leads.createdAt
       })
       .from(leads)
-      .where(and(eq(leads.campaignId, campaignId), eq(leads.userId, user.id)))
+      .where(and(eq(leads.campaignId, campaignId), eq(leads.userId, user.id), ...filters))
       .orderBy(leads.createdAt);
 
     return NextResponse.json({
@@ -155,6 +179,16 @@ export const POST = withAuth(async (request, { params, user }) => {
       }, { status: 400 });
     }
 
+    // Flag leads on the user's do-not-contact list (they are kept but never contacted)
+    const blocklist = await getBlocklistMatcher(user.id);
+    newLeads.forEach((lead) => {
+      const blockedBy = matchBlocklist(lead, blocklist);
+      if (blockedBy) {
+        lead.blockedReason = describeBlocklistMatch(blockedBy);
+        lead.blockedAt = new Date();
+      }
+    });
+
     // Insert new leads
     const insertedLeads = await db
       .insert(leads)
@@ -218,19 +252,7 @@ export const POST = withAuth(async (request, { params, user }) => {
           const leadsWithMessages = new Set(campaignMessages.map(msg => msg.leadId));
           
           campaignLeads.forEach(lead => {
-            const hasMessage = leadsWithMessages.has(lead.id);
-            
-            leadsData[lead.id] = JSON.stringify({
-              id: lead.id,
-              name: lead.name,
-              title: lead.title,
-              company: lead.company,
-              url: lead.url,
-              status: lead.status,
-              hasMessage: hasMessage,
-              inviteSent: lead.inviteSent || false,
-              inviteStatus: lead.inviteStatus || 'pending'
-            });
+            leadsData[lead.id] = JSON.stringify(toCachedLead(lead, { hasMessage: leadsWithMessages.has(lead.id) }));
           });
           
           await redis.hset(`campaign:${campaignId}:leads`, leadsData);
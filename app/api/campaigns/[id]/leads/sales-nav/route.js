@@ -0,0 +1,222 @@
+/**
+ * Sales Navigator Lead Import API
+ *
+ * GET  /api/campaigns/[id]/leads/sales-nav - Accounts that can run an import
+ *      (with their daily result page and profile view quotas) and the
+ *      campaign's latest import
+ * POST /api/campaigns/[id]/leads/sales-nav - Queue an import
+ *
+ * Body: { searchUrl, maxLeads, accountId? } - searchUrl is a Sales Navigator
+ * lead search (linkedin.com/sales/search/people?query=...). Without accountId
+ * the first Sales Navigator account of the campaign pool is used, then any
+ * of the user's.
+ *
+ * The import runs as a workflow job of type sales_nav_import in the worker
+ * pool (workers/sales-nav-import-runner.js); progress is streamed on
+ * /api/jobs/[jobId]/stream like invite workflows, and pause/resume/cancel
+ * use the same job routes.
+ */
+
+import { NextResponse } from "next/server";
+import { withAuth } from "@/libs/auth-middleware";
+import { db } from "@/libs/db";
+import { workflowJobs, campaigns, linkedinAccounts } from "@/libs/schema";
+import { eq, and, inArray, desc } from "drizzle-orm";
+import { notifyJobQueued } from "@/libs/workflow-queue";
+import { getJobPriority } from "@/libs/job-scheduler";
+import { getCampaignAccountIds } from "@/libs/campaign-accounts";
+import { checkDailyProfileActionLimit } from "@/libs/rate-limit-manager";
+import {
+  MAX_SALES_NAV_IMPORT,
+  SALES_NAV_RESULTS_PER_PAGE,
+  parseSalesNavSearchUrl,
+} from "@/libs/sales-nav-search";
+
+const ACTIVE_IMPORT_STATUSES = ["queued", "processing", "waiting", "interrupted", "paused"];
+
+const findCampaign = (campaignId, userId) =>
+  db.query.campaigns.findFirst({
+    where: and(eq(campaigns.id, campaignId), eq(campaigns.userId, userId)),
+    columns: { id: true, name: true }
+  });
+
+const importColumns = {
+  id: true,
+  accountId: true,
+  status: true,
+  options: true,
+  totalLeads: true,
+  processedLeads: true,
+  progress: true,
+  results: true,
+  errorMessage: true,
+  createdAt: true,
+  completedAt: true
+};
+
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const campaignId = params.id;
+
+    if (!(await findCampaign(campaignId, user.id))) {
+      return NextResponse.json({ error: "Campaign not found" }, { status: 404 });
+    }
+
+    const [accounts, poolAccountIds, latestImport] = await Promise.all([
+      db
+        .select({
+          id: linkedinAccounts.id,
+          email: linkedinAccounts.email,
+          name: linkedinAccounts.userName,
+          isActive: linkedinAccounts.isActive,
+          salesNavActive: linkedinAccounts.salesNavActive,
+        })
+        .from(linkedinAccounts)
+        .where(eq(linkedinAccounts.userId, user.id)),
+      getCampaignAccountIds(campaignId),
+      db.query.workflowJobs.findFirst({
+        where: and(eq(workflowJobs.campaignId, campaignId), eq(workflowJobs.type, "sales_nav_import")),
+        columns: importColumns,
+        orderBy: [desc(workflowJobs.createdAt)]
+      })
+    ]);
+
+    const withQuota = await Promise.all(
+      accounts.map(async (account) => {
+        const quota = await checkDailyProfileActionLimit(account.id, "search_page");
+        const viewQuota = await checkDailyProfileActionLimit(account.id, "view");
+        return {
+          ...account,
+          inCampaign: poolAccountIds.includes(account.id),
+          pageQuota: { limit: quota.limit, remaining: quota.remaining, resetsAt: quota.resetsAt },
+          viewQuota: { limit: viewQuota.limit, remaining: viewQuota.remaining, resetsAt: viewQuota.resetsAt },
+        };
+      })
+    );
+
+    return NextResponse.json({
+      success: true,
+      limits: { maxLeads: MAX_SALES_NAV_IMPORT, resultsPerPage: SALES_NAV_RESULTS_PER_PAGE },
+      accounts: withQuota,
+      latestImport: latestImport || null,
+      isRunning: !!latestImport && ACTIVE_IMPORT_STATUSES.includes(latestImport.status),
+    });
+  } catch (error) {
+    console.error("Get Sales Navigator import error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
+
+export const POST = withAuth(async (request, { params, user }) => {
+  try {
+    const campaignId = params.id;
+    const body = await request.json().catch(() => ({}));
+
+    const campaign = await findCampaign(campaignId, user.id);
+    if (!campaign) {
+      return NextResponse.json({ error: "Campaign not found" }, { status: 404 });
+    }
+
+    const { url: searchUrl, error: urlError } = parseSalesNavSearchUrl(body.searchUrl);
+    if (urlError) {
+      return NextResponse.json(
+        { error: "INVALID_SEARCH_URL", message: urlError },
+        { status: 400 }
+      );
+    }
+
+    const maxLeads = Number(body.maxLeads);
+    if (!Number.isInteger(maxLeads) || maxLeads < 1 || maxLeads > MAX_SALES_NAV_IMPORT) {
+      return NextResponse.json(
+        { error: "INVALID_MAX_LEADS", message: `maxLeads must be a whole number from 1 to ${MAX_SALES_NAV_IMPORT}` },
+        { status: 400 }
+      );
+    }
+
+    const accounts = await db
+      .select({ id: linkedinAccounts.id, email: linkedinAccounts.email, salesNavActive: linkedinAccounts.salesNavActive })
+      .from(linkedinAccounts)
+      .where(eq(linkedinAccounts.userId, user.id));
+
+    let account;
+    if (body.accountId) {
+      account = accounts.find((candidate) => candidate.id === body.accountId);
+      if (!account) {
+        return NextResponse.json(
+          { error: "INVALID_ACCOUNT", message: "LinkedIn account not found" },
+          { status: 400 }
+        );
+      }
+    } else {
+      const poolAccountIds = await getCampaignAccountIds(campaignId);
+      account = accounts.find((candidate) => candidate.salesNavActive && poolAccountIds.includes(candidate.id))
+        || accounts.find((candidate) => candidate.salesNavActive);
+    }
+
+    if (!account || !account.salesNavActive) {
+      return NextResponse.json(
+        { error: "NO_SALES_NAV_ACCOUNT", message: account
+            ? `Sales Navigator is not active on ${account.email}`
+            : "Connect a LinkedIn account with Sales Navigator first" },
+        { status: 400 }
+      );
+    }
+
+    // One import per campaign at a time (invite workflows may run alongside)
+    const existingImport = await db.query.workflowJobs.findFirst({
+      where: and(
+        eq(workflowJobs.campaignId, campaignId),
+        eq(workflowJobs.type, "sales_nav_import"),
+        inArray(workflowJobs.status, ACTIVE_IMPORT_STATUSES)
+      ),
+      columns: { id: true, status: true }
+    });
+
+    if (existingImport) {
+      return NextResponse.json({
+        error: "IMPORT_ALREADY_RUNNING",
+        message: existingImport.status === "paused"
+          ? "An import for this campaign is paused. Resume or cancel it first."
+          : "A Sales Navigator import is already running for this campaign",
+        jobId: existingImport.id,
+        status: existingImport.status
+      }, { status: 409 });
+    }
+
+    const [job] = await db.insert(workflowJobs).values({
+      campaignId,
+      userId: user.id,
+      accountId: account.id,
+      type: "sales_nav_import",
+      options: { searchUrl, maxLeads },
+      totalLeads: maxLeads,
+      priority: getJobPriority(user),
+      status: "queued"
+    }).returning();
+
+    console.log(`🔎 Sales Navigator import queued: ${job.id} | Campaign ${campaignId.substring(0, 8)}... | ${maxLeads} leads via ${account.email}`);
+
+    await notifyJobQueued(job.id);
+
+    return NextResponse.json({
+      success: true,
+      jobId: job.id,
+      campaignId,
+      accountId: account.id,
+      status: "queued",
+      maxLeads,
+      streamUrl: `/api/jobs/${job.id}/stream`,
+      statusUrl: `/api/jobs/${job.id}/status`,
+      createdAt: job.createdAt
+    });
+  } catch (error) {
+    console.error("Start Sales Navigator import error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
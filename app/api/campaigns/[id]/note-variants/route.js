@@ -0,0 +1,54 @@
+/**
+ * Connection Note Variants API
+ *
+ * GET /api/campaigns/[id]/note-variants
+ *
+ * Results of the campaign connection note A/B test (campaigns.settings.noteTest):
+ * invites sent and accepted per variant, acceptance rate and whether the
+ * leading variant is significantly ahead (libs/note-variants.js). Variants and
+ * the winner are edited through the settings API.
+ */
+
+import { NextResponse } from "next/server";
+import { db } from "@/libs/db";
+import { campaigns } from "@/libs/schema";
+import { eq, and } from "drizzle-orm";
+import { withAuth } from "@/libs/auth-middleware";
+import { normalizeCampaignSettings } from "@/libs/campaign-settings";
+import { getNoteVariantCounts } from "@/libs/lead-status-manager";
+import { computeNoteVariantStats, SIGNIFICANCE_LEVEL } from "@/libs/note-variants";
+
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const campaignId = params.id;
+
+    const campaign = await db.query.campaigns.findFirst({
+      where: and(eq(campaigns.id, campaignId), eq(campaigns.userId, user.id)),
+      columns: { id: true, settings: true }
+    });
+
+    if (!campaign) {
+      return NextResponse.json(
+        { error: "Campaign not found" },
+        { status: 404 }
+      );
+    }
+
+    const { noteTest } = normalizeCampaignSettings(campaign.settings);
+    const stats = computeNoteVariantStats(noteTest, await getNoteVariantCounts(campaignId));
+
+    return NextResponse.json({
+      success: true,
+      winner: noteTest.winner,
+      autoPromoteAfter: noteTest.autoPromoteAfter,
+      significanceLevel: SIGNIFICANCE_LEVEL,
+      ...stats,
+    });
+  } catch (error) {
+    console.error("Get note variant stats error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,155 @@
+/**
+ * Sequence Enrollment API
+ *
+ * POST /api/campaigns/[id]/sequence/enroll
+ *
+ * Puts campaign leads at the start of the saved sequence and activates it;
+ * the worker pool then runs their steps. Leads already in the sequence stay
+ * where they are, leads on the user's do-not-contact list are flagged and left out.
+ *
+ * Body: { leadIds? } - defaults to every lead of the campaign. Campaigns with an
+ * audience segment (settings.audienceSegmentId) only enroll the leads matching it.
+ *
+ * Each lead gets a sending account for all of its steps: the account that
+ * already invited it, else one of the campaign pool (or the user's active
+ * account when the campaign has no pool).
+ */
+
+import { NextResponse } from "next/server";
+import { db } from "@/libs/db";
+import { campaigns, leads, linkedinAccounts } from "@/libs/schema";
+import { eq, and, inArray } from "drizzle-orm";
+import { withAuth } from "@/libs/auth-middleware";
+import { getCampaignAccountIds } from "@/libs/campaign-accounts";
+import { getCampaignSettings } from "@/libs/campaign-settings";
+import { getCampaignAudience } from "@/libs/audience-segments";
+import { getBlocklistMatcher } from "@/libs/blocklist";
+import { matchBlocklist } from "@/libs/blocklist-rules";
+import { flagBlockedLead } from "@/libs/lead-status-manager";
+import {
+  getCampaignSequence,
+  assignEnrollmentAccounts,
+  enrollLeads,
+  setSequenceStatus,
+  getSequenceSummary,
+} from "@/libs/sequences";
+
+export const POST = withAuth(async (request, { params, user }) => {
+  try {
+    const campaignId = params.id;
+    const body = await request.json().catch(() => ({}));
+    const { leadIds } = body || {};
+
+    if (leadIds !== undefined && (!Array.isArray(leadIds) || leadIds.some((id) => typeof id !== "string"))) {
+      return NextResponse.json(
+        { error: "INVALID_LEADS", message: "leadIds must be an array of lead IDs" },
+        { status: 400 }
+      );
+    }
+
+    const campaign = await db.query.campaigns.findFirst({
+      where: and(eq(campaigns.id, campaignId), eq(campaigns.userId, user.id)),
+      columns: { id: true }
+    });
+
+    if (!campaign) {
+      return NextResponse.json(
+        { error: "Campaign not found" },
+        { status: 404 }
+      );
+    }
+
+    const saved = await getCampaignSequence(campaignId);
+    if (!saved?.version) {
+      return NextResponse.json(
+        { error: "SEQUENCE_NOT_FOUND", message: "Save the sequence before starting it" },
+        { status: 404 }
+      );
+    }
+
+    // Sending accounts: the campaign pool, else the user's active account
+    const userAccounts = await db
+      .select({ id: linkedinAccounts.id, isActive: linkedinAccounts.isActive })
+      .from(linkedinAccounts)
+      .where(eq(linkedinAccounts.userId, user.id));
+
+    const poolIds = await getCampaignAccountIds(campaignId);
+    const accountIds = poolIds.length > 0
+      ? userAccounts.filter((account) => poolIds.includes(account.id)).map((account) => account.id)
+      : userAccounts.filter((account) => account.isActive).map((account) => account.id).slice(0, 1);
+
+    if (accountIds.length === 0) {
+      return NextResponse.json(
+        { error: "NO_ACCOUNT", message: "No active LinkedIn account found. Please connect a LinkedIn account first." },
+        { status: 400 }
+      );
+    }
+
+    const conditions = [eq(leads.campaignId, campaignId), eq(leads.userId, user.id)];
+    if (leadIds) {
+      if (leadIds.length === 0) {
+        return NextResponse.json(
+          { error: "INVALID_LEADS", message: "No leads selected" },
+          { status: 400 }
+        );
+      }
+      conditions.push(inArray(leads.id, leadIds));
+    }
+
+    const campaignLeads = await db
+      .select({
+        id: leads.id,
+        name: leads.name,
+        company: leads.company,
+        url: leads.url,
+        senderAccountId: leads.senderAccountId,
+        blockedReason: leads.blockedReason,
+      })
+      .from(leads)
+      .where(and(...conditions));
+
+    const audience = await getCampaignAudience(campaignId, await getCampaignSettings(campaignId));
+    const audienceLeads = audience
+      ? campaignLeads.filter((lead) => audience.leadIds.has(lead.id))
+      : campaignLeads;
+
+    // Leads on the do-not-contact list are flagged and never enrolled
+    const blocklist = await getBlocklistMatcher(user.id);
+    for (const lead of audienceLeads) {
+      const blockedBy = matchBlocklist(lead, blocklist);
+      if (blockedBy) await flagBlockedLead(campaignId, lead, blockedBy);
+    }
+    const allowedLeads = audienceLeads.filter((lead) => !lead.blockedReason);
+
+    const enrollable = allowedLeads.filter((lead) => lead.url);
+    const enrolled = await enrollLeads(saved.sequence, saved.version, assignEnrollmentAccounts(enrollable, accountIds));
+
+    const sequence = saved.sequence.status === "active"
+      ? saved.sequence
+      : await setSequenceStatus(saved.sequence.id, "active");
+
+    console.log(`🧭 Campaign ${campaignId}: ${enrolled} lead(s) enrolled in sequence v${saved.version.version}${audience ? ` (segment "${audience.segment.name}")` : ""}`);
+
+    return NextResponse.json({
+      success: true,
+      enrolled,
+      alreadyEnrolled: enrollable.length - enrolled,
+      skipped: allowedLeads.length - enrollable.length,
+      blocked: audienceLeads.length - allowedLeads.length,
+      outsideAudience: campaignLeads.length - audienceLeads.length,
+      segment: audience ? { id: audience.segment.id, name: audience.segment.name } : null,
+      sequence: {
+        id: sequence.id,
+        status: sequence.status,
+        version: saved.version.version,
+        summary: await getSequenceSummary(sequence.id),
+      },
+    });
+  } catch (error) {
+    console.error("Enroll sequence leads error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
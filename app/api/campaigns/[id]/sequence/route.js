@@ -0,0 +1,154 @@
+/**
+ * Campaign Sequence API
+ *
+ * GET   /api/campaigns/[id]/sequence - Current sequence graph and where enrolled leads are
+ * PUT   /api/campaigns/[id]/sequence - Save the canvas graph (new version if it changed)
+ * PATCH /api/campaigns/[id]/sequence - Pause or resume the sequence ({ status: 'active' | 'paused' })
+ *
+ * Leads already in the sequence keep running on the version they were
+ * enrolled with; leads enrolled after a save start on the new version.
+ */
+
+import { NextResponse } from "next/server";
+import { db } from "@/libs/db";
+import { campaigns } from "@/libs/schema";
+import { eq, and } from "drizzle-orm";
+import { withAuth } from "@/libs/auth-middleware";
+import { validateSequenceGraph } from "@/libs/sequence-graph";
+import { getCampaignSequence, saveSequenceGraph, setSequenceStatus, getSequenceSummary } from "@/libs/sequences";
+
+const findCampaign = (campaignId, userId) =>
+  db.query.campaigns.findFirst({
+    where: and(eq(campaigns.id, campaignId), eq(campaigns.userId, userId)),
+    columns: { id: true, name: true }
+  });
+
+const serializeSequence = (sequence, version, summary) => ({
+  id: sequence.id,
+  name: sequence.name,
+  status: sequence.status,
+  version: version?.version ?? sequence.currentVersion,
+  graph: version?.graph || null,
+  updatedAt: sequence.updatedAt,
+  summary,
+});
+
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const campaignId = params.id;
+
+    if (!(await findCampaign(campaignId, user.id))) {
+      return NextResponse.json(
+        { error: "Campaign not found" },
+        { status: 404 }
+      );
+    }
+
+    const saved = await getCampaignSequence(campaignId);
+
+    if (!saved) {
+      return NextResponse.json({ success: true, sequence: null });
+    }
+
+    const summary = await getSequenceSummary(saved.sequence.id);
+
+    return NextResponse.json({
+      success: true,
+      sequence: serializeSequence(saved.sequence, saved.version, summary),
+    });
+  } catch (error) {
+    console.error("Get campaign sequence error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
+
+export const PUT = withAuth(async (request, { params, user }) => {
+  try {
+    const campaignId = params.id;
+    const body = await request.json();
+
+    const campaign = await findCampaign(campaignId, user.id);
+    if (!campaign) {
+      return NextResponse.json(
+        { error: "Campaign not found" },
+        { status: 404 }
+      );
+    }
+
+    const { graph, errors } = validateSequenceGraph(body?.graph);
+
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { error: "INVALID_SEQUENCE", message: errors.join(". "), errors },
+        { status: 400 }
+      );
+    }
+
+    const name = typeof body.name === "string" && body.name.trim() ? body.name.trim() : `${campaign.name} sequence`;
+    const { sequence, version, created } = await saveSequenceGraph({ campaignId, userId: user.id, name, graph });
+
+    console.log(`✅ Campaign ${campaignId} sequence saved${created ? ` as version ${version.version}` : " (unchanged)"}`);
+
+    const summary = await getSequenceSummary(sequence.id);
+
+    return NextResponse.json({
+      success: true,
+      created,
+      sequence: serializeSequence(sequence, version, summary),
+    });
+  } catch (error) {
+    console.error("Save campaign sequence error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
+
+export const PATCH = withAuth(async (request, { params, user }) => {
+  try {
+    const campaignId = params.id;
+    const { status } = await request.json();
+
+    if (!["active", "paused"].includes(status)) {
+      return NextResponse.json(
+        { error: "INVALID_STATUS", message: "status must be active or paused" },
+        { status: 400 }
+      );
+    }
+
+    if (!(await findCampaign(campaignId, user.id))) {
+      return NextResponse.json(
+        { error: "Campaign not found" },
+        { status: 404 }
+      );
+    }
+
+    const saved = await getCampaignSequence(campaignId);
+    if (!saved) {
+      return NextResponse.json(
+        { error: "SEQUENCE_NOT_FOUND", message: "Save the sequence first" },
+        { status: 404 }
+      );
+    }
+
+    const sequence = await setSequenceStatus(saved.sequence.id, status);
+    const summary = await getSequenceSummary(sequence.id);
+
+    console.log(`✅ Campaign ${campaignId} sequence ${status === "active" ? "resumed" : "paused"}`);
+
+    return NextResponse.json({
+      success: true,
+      sequence: serializeSequence(sequence, saved.version, summary),
+    });
+  } catch (error) {
+    console.error("Update campaign sequence status error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
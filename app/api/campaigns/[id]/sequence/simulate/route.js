@@ -0,0 +1,127 @@
+/**
+ * Sequence Simulation API
+ *
+ * POST /api/campaigns/[id]/sequence/simulate
+ *
+ * Forecasts the saved sequence day by day (libs/sequence-simulator.js) with
+ * the daily limits of the campaign's sending accounts and its working hours.
+ * Nothing is sent or saved.
+ *
+ * Body: { audienceSize?, acceptanceRate? } - audienceSize defaults to the
+ * number of campaign leads (in the audience segment if the campaign has one),
+ * acceptanceRate is a percentage
+ */
+
+import { NextResponse } from "next/server";
+import { db } from "@/libs/db";
+import { campaigns, leads, linkedinAccounts } from "@/libs/schema";
+import { eq, and, count } from "drizzle-orm";
+import { withAuth } from "@/libs/auth-middleware";
+import { getCampaignAccountIds } from "@/libs/campaign-accounts";
+import { getCampaignSettings } from "@/libs/campaign-settings";
+import { getDailyQuotas } from "@/libs/rate-limit-manager";
+import { getCampaignAudience } from "@/libs/audience-segments";
+import { getCampaignSequence } from "@/libs/sequences";
+import { simulateSequence, MAX_SIMULATED_LEADS, DEFAULT_ACCEPTANCE_RATE } from "@/libs/sequence-simulator";
+
+export const POST = withAuth(async (request, { params, user }) => {
+  try {
+    const campaignId = params.id;
+    const body = await request.json().catch(() => ({}));
+
+    const campaign = await db.query.campaigns.findFirst({
+      where: and(eq(campaigns.id, campaignId), eq(campaigns.userId, user.id)),
+      columns: { id: true }
+    });
+
+    if (!campaign) {
+      return NextResponse.json(
+        { error: "Campaign not found" },
+        { status: 404 }
+      );
+    }
+
+    const saved = await getCampaignSequence(campaignId);
+    if (!saved?.version) {
+      return NextResponse.json(
+        { error: "SEQUENCE_NOT_FOUND", message: "Save the sequence before simulating it" },
+        { status: 404 }
+      );
+    }
+
+    const [{ leadCount }] = await db
+      .select({ leadCount: count() })
+      .from(leads)
+      .where(and(eq(leads.campaignId, campaignId), eq(leads.userId, user.id)));
+
+    const settings = await getCampaignSettings(campaignId);
+    const audience = await getCampaignAudience(campaignId, settings);
+
+    const audienceSize = body?.audienceSize === undefined || body?.audienceSize === null || body?.audienceSize === ""
+      ? (audience ? audience.leadIds.size : Number(leadCount))
+      : Number(body.audienceSize);
+    const acceptanceRate = body?.acceptanceRate === undefined ? DEFAULT_ACCEPTANCE_RATE : Number(body.acceptanceRate);
+
+    if (!Number.isInteger(audienceSize) || audienceSize < 1 || audienceSize > MAX_SIMULATED_LEADS) {
+      return NextResponse.json(
+        { error: "INVALID_AUDIENCE", message: `Audience size must be a whole number between 1 and ${MAX_SIMULATED_LEADS}` },
+        { status: 400 }
+      );
+    }
+
+    if (!Number.isFinite(acceptanceRate) || acceptanceRate < 0 || acceptanceRate > 100) {
+      return NextResponse.json(
+        { error: "INVALID_ACCEPTANCE_RATE", message: "Acceptance rate must be a percentage between 0 and 100" },
+        { status: 400 }
+      );
+    }
+
+    // Sending accounts: the campaign pool, else the user's active account (same as enrollment)
+    const userAccounts = await db
+      .select({ id: linkedinAccounts.id, isActive: linkedinAccounts.isActive })
+      .from(linkedinAccounts)
+      .where(eq(linkedinAccounts.userId, user.id));
+
+    const poolIds = await getCampaignAccountIds(campaignId);
+    const accountIds = poolIds.length > 0
+      ? userAccounts.filter((account) => poolIds.includes(account.id)).map((account) => account.id)
+      : userAccounts.filter((account) => account.isActive).map((account) => account.id).slice(0, 1);
+
+    if (accountIds.length === 0) {
+      return NextResponse.json(
+        { error: "NO_ACCOUNT", message: "No active LinkedIn account found. Please connect a LinkedIn account first." },
+        { status: 400 }
+      );
+    }
+
+    // Leads are spread over the pool, so its limits add up
+    const quotas = {};
+    for (const accountId of accountIds) {
+      const accountQuotas = await getDailyQuotas(accountId);
+      for (const [action, quota] of Object.entries(accountQuotas)) {
+        quotas[action] = {
+          limit: (quotas[action]?.limit || 0) + quota.limit,
+          remaining: (quotas[action]?.remaining || 0) + quota.remaining,
+        };
+      }
+    }
+
+    const forecast = simulateSequence(saved.version.graph, { audienceSize, acceptanceRate, quotas, settings });
+
+    console.log(`🔮 Campaign ${campaignId}: simulated ${audienceSize} lead(s), done ${forecast.completionDate || "after the forecast window"}`);
+
+    return NextResponse.json({
+      success: true,
+      version: saved.version.version,
+      accounts: accountIds.length,
+      quotas,
+      ...forecast,
+    });
+  } catch (error) {
+    console.error("Simulate sequence error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,107 @@
+/**
+ * Campaign Settings API
+ *
+ * GET /api/campaigns/[id]/settings - Get campaign settings (with defaults applied)
+ * PUT /api/campaigns/[id]/settings - Update timezone, working hours, daily caps, template, retries, follow-ups,
+ *   note variants and the audience segment
+ */
+
+import { NextResponse } from "next/server";
+import { db } from "@/libs/db";
+import { campaigns } from "@/libs/schema";
+import { eq, and } from "drizzle-orm";
+import { withAuth } from "@/libs/auth-middleware";
+import getRedisClient from "@/libs/redis";
+import { normalizeCampaignSettings, validateCampaignSettings } from "@/libs/campaign-settings";
+import { getSegment } from "@/libs/audience-segments";
+
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const campaignId = params.id;
+
+    const campaign = await db.query.campaigns.findFirst({
+      where: and(eq(campaigns.id, campaignId), eq(campaigns.userId, user.id)),
+      columns: { id: true, settings: true }
+    });
+
+    if (!campaign) {
+      return NextResponse.json(
+        { error: "Campaign not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      settings: normalizeCampaignSettings(campaign.settings),
+    });
+  } catch (error) {
+    console.error("Get campaign settings error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
+
+export const PUT = withAuth(async (request, { params, user }) => {
+  try {
+    const campaignId = params.id;
+    const body = await request.json();
+
+    const campaign = await db.query.campaigns.findFirst({
+      where: and(eq(campaigns.id, campaignId), eq(campaigns.userId, user.id)),
+      columns: { id: true, settings: true }
+    });
+
+    if (!campaign) {
+      return NextResponse.json(
+        { error: "Campaign not found" },
+        { status: 404 }
+      );
+    }
+
+    const { settings, errors } = validateCampaignSettings(body, campaign.settings);
+
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { error: "INVALID_SETTINGS", message: errors.join(". "), errors },
+        { status: 400 }
+      );
+    }
+
+    if (body.audienceSegmentId && !(await getSegment(settings.audienceSegmentId, user.id))) {
+      return NextResponse.json(
+        { error: "SEGMENT_NOT_FOUND", message: "Audience segment not found" },
+        { status: 404 }
+      );
+    }
+
+    await db
+      .update(campaigns)
+      .set({ settings, updatedAt: new Date() })
+      .where(and(eq(campaigns.id, campaignId), eq(campaigns.userId, user.id)));
+
+    // Campaign list/data caches include the campaign row
+    try {
+      const redis = getRedisClient();
+      await redis.del(`user:${user.id}:campaigns:list`);
+      await redis.del(`campaign:${campaignId}:data`);
+    } catch (redisError) {
+      console.warn(`⚠️ Redis cache invalidation failed:`, redisError.message);
+    }
+
+    console.log(`✅ Campaign ${campaignId} settings updated`);
+
+    return NextResponse.json({
+      success: true,
+      settings,
+    });
+  } catch (error) {
+    console.error("Update campaign settings error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
@@ -3,8 +3,17 @@
  * 
  * POST /api/campaigns/[id]/start-workflow
  * 
- * Creates a workflow job in the database and spawns a background worker
- * that continues running even if the user closes the browser.
+ * Creates a queued workflow job in the database. The worker pool
+ * (workers/worker-pool.js) picks it up and keeps running it even if the
+ * user closes the browser.
+ * 
+ * Body: { customMessage?, dryRun?, runNow? } - dryRun rehearses the campaign up to the
+ * final click without sending invites, using quota or changing lead statuses.
+ * runNow (the dashboard's "Run now" option) moves the job up one priority
+ * level, for one job per user at a time (see getJobPriority in libs/job-scheduler.js).
+ * 
+ * A user may queue jobs for several campaigns; the worker pool scheduler
+ * (libs/job-scheduler.js) limits how many run at once.
  */
 
 import { NextResponse } from "next/server";
@@ -12,9 +21,10 @@ import { withAuth } from "@/libs/auth-middleware";
 import { db } from "@/libs/db";
 import { workflowJobs, campaigns, linkedinAccounts } from "@/libs/schema";
 import { eq, and, inArray } from "drizzle-orm";
-import { spawn } from "child_process";
-import path from "path";
 import LinkedInSessionManager from "@/libs/linkedin-session";
+import { notifyJobQueued } from "@/libs/workflow-queue";
+import { getJobPriority, canBoostJob } from "@/libs/job-scheduler";
+import { getCampaignAccountIds } from "@/libs/campaign-accounts";
 
 const sessionManager = new LinkedInSessionManager();
 
@@ -22,9 +32,9 @@ export const POST = withAuth(async (request, { params, user }) => {
   try {
     const { id: campaignId } = params;
     const body = await request.json();
-    const { customMessage } = body;
+    const { customMessage, dryRun = false, runNow = false } = body;
     
-    console.log(`🚀 START WORKFLOW REQUEST: Campaign ${campaignId}`);
+    console.log(`🚀 START WORKFLOW REQUEST: Campaign ${campaignId}${dryRun ? ' (DRY RUN)' : ''}`);
     
     // ============================================================
     // STEP 1: Validate Campaign
@@ -47,57 +57,55 @@ export const POST = withAuth(async (request, { params, user }) => {
     // ============================================================
     console.log(`🔐 STEP 2: Finding active LinkedIn account...`);
     
+    // Campaigns with an account pool send from the pool (the worker splits leads
+    // across it); the job is owned by one of its accounts
     const allAccounts = await sessionManager.getAllSessions(user.id);
-    const activeAccount = allAccounts.find(acc => acc.isActive);
+    const poolAccountIds = await getCampaignAccountIds(campaignId);
+    const activeAccount = poolAccountIds.length > 0
+      ? allAccounts.find(acc => acc.isActive && poolAccountIds.includes(acc.id)) || allAccounts.find(acc => poolAccountIds.includes(acc.id))
+      : allAccounts.find(acc => acc.isActive);
     
     if (!activeAccount) {
       console.error(`❌ No active LinkedIn account found for user ${user.id}`);
       return NextResponse.json(
-        { error: 'No active LinkedIn account found. Please connect a LinkedIn account first.' },
+        { error: poolAccountIds.length > 0
+            ? 'None of the LinkedIn accounts assigned to this campaign are connected anymore.'
+            : 'No active LinkedIn account found. Please connect a LinkedIn account first.' },
         { status: 400 }
       );
     }
     
     const accountId = activeAccount.id;
-    console.log(`✅ Active account: ${activeAccount.email} (${accountId})`);
+    console.log(`✅ Active account: ${activeAccount.email} (${accountId})${poolAccountIds.length > 1 ? ` + ${poolAccountIds.length - 1} pool account(s)` : ''}`);
     
     // ============================================================
-    // STEP 3: Check for Existing Running Job (One Job Per User)
+    // STEP 3: Check for Existing Running Job (One Job Per Campaign)
     // ============================================================
-    console.log(`🔍 STEP 3: Checking for existing running job (any campaign)...`);
+    console.log(`🔍 STEP 3: Checking for existing running job for this campaign...`);
     
-    // Check if user has ANY running job (not just for this campaign)
+    // Jobs of other campaigns just wait in the queue (per-user cap is applied by the scheduler)
     const existingJob = await db.query.workflowJobs.findFirst({
       where: and(
-        eq(workflowJobs.userId, user.id),
-        inArray(workflowJobs.status, ['queued', 'processing'])
+        eq(workflowJobs.campaignId, campaignId),
+        eq(workflowJobs.type, 'invite'),
+        inArray(workflowJobs.status, ['queued', 'processing', 'waiting', 'interrupted'])
       )
     });
     
     if (existingJob) {
-      console.log(`⚠️  User already has a running job: ${existingJob.id}`);
-      console.log(`⚠️  Job campaign: ${existingJob.campaignId}, status: ${existingJob.status}`);
-      
-      // Get campaign name for better user message
-      const runningCampaign = await db.query.campaigns.findFirst({
-        where: eq(campaigns.id, existingJob.campaignId)
-      });
-      
-      const isSameCampaign = existingJob.campaignId === campaignId;
+      console.log(`⚠️  Campaign already has a running job: ${existingJob.id} (status: ${existingJob.status})`);
       
       return NextResponse.json({
         error: 'WORKFLOW_ALREADY_RUNNING',
-        message: isSameCampaign 
-          ? 'A workflow is already running for this campaign'
-          : `Another workflow is already running for campaign "${runningCampaign?.name || 'Unknown'}". Please wait for it to complete.`,
+        message: 'A workflow is already running for this campaign',
         jobId: existingJob.id,
         campaignId: existingJob.campaignId,
-        campaignName: runningCampaign?.name,
+        campaignName: campaign.name,
         status: existingJob.status,
         progress: existingJob.progress || 0,
         processedLeads: existingJob.processedLeads || 0,
         totalLeads: existingJob.totalLeads || 0,
-        isSameCampaign
+        isSameCampaign: true
       }, { status: 409 });
     }
     
@@ -108,65 +116,32 @@ export const POST = withAuth(async (request, { params, user }) => {
     // ============================================================
     console.log(`💾 STEP 4: Creating workflow job in database...`);
     
+    const boosted = runNow === true && await canBoostJob(user);
+    if (runNow === true && !boosted) {
+      console.log(`⚠️  Run now ignored: user ${user.id} already has a job started with run now`);
+    }
+    
     const [job] = await db.insert(workflowJobs).values({
       campaignId,
       userId: user.id,
       accountId,
       customMessage: customMessage || "Hi! I'd like to connect with you.",
+      dryRun: !!dryRun,
+      priority: getJobPriority(user, { runNow: boosted }),
       status: 'queued'
     }).returning();
     
-    console.log(`✅ Job created: ${job.id}`);
+    console.log(`✅ Job created: ${job.id} | Priority: ${job.priority}`);
     
     // ============================================================
-    // STEP 4: Spawn Background Worker
+    // STEP 5: Notify Worker Pool
     // ============================================================
-    console.log(`🔄 STEP 4: Spawning background worker...`);
-    
-    const workerPath = path.join(process.cwd(), 'workers', 'workflow-worker.js');
-    
-    console.log(`📂 Worker path: ${workerPath}`);
-    console.log(`📋 Worker command: npx tsx ${workerPath} ${job.id}`);
-    
-    const worker = spawn('npx', ['tsx', workerPath, job.id], {
-      detached: true,
-      stdio: ['ignore', 'pipe', 'pipe'],
-      env: {
-        ...process.env,
-        // Ensure worker has access to all environment variables
-        NODE_ENV: process.env.NODE_ENV,
-        DATABASE_URL: process.env.DATABASE_URL,
-        REDIS_URL: process.env.REDIS_URL
-      },
-      cwd: process.cwd()
-    });
-    
-    // Log worker output for debugging (non-blocking)
-    worker.stdout.on('data', (data) => {
-      const output = data.toString().trim();
-      console.log(`[Worker ${job.id}] ${output}`);
-    });
-    
-    worker.stderr.on('data', (data) => {
-      const error = data.toString().trim();
-      console.error(`[Worker ${job.id} ERROR] ${error}`);
-    });
-    
-    worker.on('exit', (code) => {
-      console.log(`[Worker ${job.id}] Exited with code ${code}`);
-    });
-    
-    worker.on('error', (error) => {
-      console.error(`[Worker ${job.id}] Spawn error:`, error);
-    });
-    
-    // Detach worker so it continues running after API response
-    worker.unref();
+    console.log(`📢 STEP 5: Notifying worker pool...`);
     
-    console.log(`✅ Worker spawned: PID ${worker.pid}`);
+    await notifyJobQueued(job.id);
     
     // ============================================================
-    // STEP 5: Return Response (Immediately)
+    // STEP 6: Return Response (Immediately)
     // ============================================================
     console.log(`✅ Workflow started successfully`);
     console.log(`📊 Job ID: ${job.id}`);
@@ -178,8 +153,13 @@ export const POST = withAuth(async (request, { params, user }) => {
       campaignId: campaign.id,
       campaignName: campaign.name,
       status: 'queued',
-      message: 'Workflow started in background. You can close this page safely.',
-      details: 'The workflow will continue running on the server. Poll /api/jobs/{jobId}/status to check progress.',
+      dryRun: job.dryRun,
+      priority: job.priority,
+      runNow: boosted,
+      message: job.dryRun
+        ? 'Dry run started in background. Nothing will be sent.'
+        : 'Workflow started in background. You can close this page safely.',
+      details: 'The workflow will continue running on the server. Poll /api/jobs/{jobId}/status to check progress, or /api/jobs/queue for its place in the queue.',
       statusUrl: `/api/jobs/${job.id}/status`,
       createdAt: job.createdAt
     });
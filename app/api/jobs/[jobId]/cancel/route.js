@@ -39,7 +39,7 @@ export async function POST(request, { params }) {
     }
 
     // Only allow cancelling jobs that are processing or paused
-    if (!['processing', 'paused', 'queued'].includes(job.status)) {
+    if (!['processing', 'waiting', 'paused', 'queued', 'interrupted'].includes(job.status)) {
       return NextResponse.json(
         { error: `Cannot cancel job with status: ${job.status}` },
         { status: 400 }
@@ -0,0 +1,83 @@
+/**
+ * Job Events API
+ * 
+ * GET /api/jobs/[jobId]/events?limit=50&offset=0&leadId=...&type=...
+ * 
+ * Returns the persisted event timeline of a workflow job (stage transitions,
+ * outcomes and errors per lead), oldest first, one page at a time.
+ */
+
+import { NextResponse } from "next/server";
+import { withAuth } from "@/libs/auth-middleware";
+import { db } from "@/libs/db";
+import { workflowJobs } from "@/libs/schema";
+import { eq, and } from "drizzle-orm";
+import { getJobEvents, JOB_EVENT_TYPES } from "@/libs/job-events";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const { jobId } = params;
+    const { searchParams } = new URL(request.url);
+    
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || DEFAULT_LIMIT, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(searchParams.get('offset') || '0', 10) || 0, 0);
+    const leadId = searchParams.get('leadId');
+    const type = searchParams.get('type');
+    
+    if (leadId && !UUID_PATTERN.test(leadId)) {
+      return NextResponse.json(
+        { error: 'INVALID_LEAD_ID', message: 'leadId must be a lead ID (UUID)' },
+        { status: 400 }
+      );
+    }
+    
+    if (type && !JOB_EVENT_TYPES.includes(type)) {
+      return NextResponse.json(
+        { error: 'INVALID_TYPE', message: `type must be one of: ${JOB_EVENT_TYPES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+    
+    // Verify job ownership
+    const job = await db.query.workflowJobs.findFirst({
+      where: and(
+        eq(workflowJobs.id, jobId),
+        eq(workflowJobs.userId, user.id)
+      ),
+      columns: { id: true }
+    });
+    
+    if (!job) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+    
+    const { events, total } = await getJobEvents(jobId, { limit, offset, leadId, type });
+    
+    return NextResponse.json({
+      success: true,
+      jobId,
+      events,
+      pagination: {
+        limit,
+        offset,
+        total,
+        hasMore: offset + events.length < total
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Get job events error:', error);
+    
+    return NextResponse.json(
+      { 
+        error: 'Failed to get job events',
+        message: error.message
+      },
+      { status: 500 }
+    );
+  }
+});
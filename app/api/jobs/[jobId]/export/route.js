@@ -0,0 +1,106 @@
+/**
+ * Job Export API
+ * 
+ * GET /api/jobs/[jobId]/export?format=csv|json
+ * 
+ * Downloads the per-lead results of a workflow job (which leads were
+ * attempted, from which account, when, and with what outcome) for client
+ * reporting.
+ */
+
+import { NextResponse } from "next/server";
+import { withAuth } from "@/libs/auth-middleware";
+import { db } from "@/libs/db";
+import { workflowJobs, campaigns } from "@/libs/schema";
+import { eq, and } from "drizzle-orm";
+import { getJobLeadResults } from "@/libs/job-history";
+import { toCsv } from "@/libs/csv";
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+const CSV_COLUMNS = [
+  { key: 'position', label: 'Position' },
+  { key: 'leadName', label: 'Lead' },
+  { key: 'leadUrl', label: 'LinkedIn URL' },
+  { key: 'company', label: 'Company' },
+  { key: 'status', label: 'Outcome' },
+  { key: 'error', label: 'Error' },
+  { key: 'accountEmail', label: 'Sent From' },
+  { key: 'startedAt', label: 'Started At' },
+  { key: 'finishedAt', label: 'Finished At' }
+];
+
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const { jobId } = params;
+    const { searchParams } = new URL(request.url);
+    const format = (searchParams.get('format') || 'csv').toLowerCase();
+    
+    if (!EXPORT_FORMATS.includes(format)) {
+      return NextResponse.json(
+        { error: 'INVALID_FORMAT', message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+    
+    // Verify job ownership
+    const job = await db.query.workflowJobs.findFirst({
+      where: and(
+        eq(workflowJobs.id, jobId),
+        eq(workflowJobs.userId, user.id)
+      )
+    });
+    
+    if (!job) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+    
+    const campaign = await db.query.campaigns.findFirst({
+      where: eq(campaigns.id, job.campaignId),
+      columns: { name: true }
+    });
+    
+    const leadResults = await getJobLeadResults(jobId);
+    const day = (job.startedAt || job.createdAt).toISOString().slice(0, 10);
+    const filename = `job-${jobId.substring(0, 8)}-${day}.${format}`;
+    
+    console.log(`📤 Exporting job ${jobId.substring(0, 8)}... | ${leadResults.length} leads | ${format}`);
+    
+    const body = format === 'csv'
+      ? toCsv(leadResults, CSV_COLUMNS)
+      : JSON.stringify({
+          job: {
+            id: job.id,
+            campaignId: job.campaignId,
+            campaignName: campaign?.name || null,
+            status: job.status,
+            dryRun: job.dryRun,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            completedAt: job.completedAt,
+            pauseCount: job.pauseCount || 0,
+            totalLeads: job.totalLeads,
+            processedLeads: job.processedLeads || 0
+          },
+          leads: leadResults
+        }, null, 2);
+    
+    return new NextResponse(body, {
+      headers: {
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Export job error:', error);
+    
+    return NextResponse.json(
+      { 
+        error: 'Failed to export job',
+        message: error.message
+      },
+      { status: 500 }
+    );
+  }
+});
@@ -38,8 +38,8 @@ export async function POST(request, { params }) {
       );
     }
 
-    // Only allow pausing jobs that are currently processing
-    if (job.status !== 'processing') {
+    // Only allow pausing jobs that are currently processing (or waiting for working hours)
+    if (!['processing', 'waiting'].includes(job.status)) {
       return NextResponse.json(
         { error: `Cannot pause job with status: ${job.status}` },
         { status: 400 }
@@ -4,13 +4,16 @@ import { authOptions } from '@/libs/next-auth';
 import { db } from '@/libs/db';
 import { workflowJobs, campaigns } from '@/libs/schema';
 import { eq, and, inArray } from 'drizzle-orm';
-import { spawn } from 'child_process';
 import getRedisClient from '@/libs/redis';
+import { notifyJobQueued } from '@/libs/workflow-queue';
+import { getResumePoint } from '@/libs/job-checkpoints';
 
 
 /**
  * POST /api/jobs/[jobId]/resume
  * Resume a paused workflow
+ * The worker continues from the job's lead checkpoints: finished leads are
+ * not attempted again and a lead that was mid-flight is attempted first.
  */
 export async function POST(request, { params }) {
   try {
@@ -48,11 +51,13 @@ export async function POST(request, { params }) {
       );
     }
 
-    // Check if any other job for this user is already running
+    // Check if another job of the same type for this campaign is already running
+    // (jobs of other campaigns are fine - the scheduler applies the per-user cap)
     const existingJob = await db.query.workflowJobs.findFirst({
       where: and(
-        eq(workflowJobs.userId, session.user.id),
-        inArray(workflowJobs.status, ['queued', 'processing'])
+        eq(workflowJobs.campaignId, job.campaignId),
+        eq(workflowJobs.type, job.type),
+        inArray(workflowJobs.status, ['queued', 'processing', 'waiting', 'interrupted'])
       )
     });
 
@@ -71,9 +76,11 @@ export async function POST(request, { params }) {
       }, { status: 409 });
     }
 
-    console.log(`▶️  Resuming job: ${jobId.substring(0, 8)}... | Processed: ${job.processedLeads}/${job.totalLeads}`);
+    const resumePoint = await getResumePoint(jobId);
 
-    // Update job status to queued (will be picked up by worker)
+    console.log(`▶️  Resuming job: ${jobId.substring(0, 8)}... | Processed: ${resumePoint.finished}/${job.totalLeads}${resumePoint.nextLead ? ` | Next: lead ${resumePoint.nextLead.position} (${resumePoint.nextLead.name || resumePoint.nextLead.leadId})` : ''}`);
+
+    // Update job status to queued (will be picked up by the worker pool)
     const updatedJob = await db.update(workflowJobs)
       .set({
         status: 'queued',
@@ -109,16 +116,8 @@ export async function POST(request, { params }) {
       console.warn('⚠️  Redis publish failed:', redisError.message);
     }
 
-    // Spawn worker process
-    const workerPath = 'workers/workflow-worker.js';
-    const worker = spawn('npx', ['tsx', workerPath, jobId], {
-      detached: true,
-      stdio: 'inherit'
-    });
-
-    worker.unref();
-
-    console.log(`🔄 Worker spawned for resumed job | PID: ${worker.pid}`);
+    // Wake up the worker pool (it also polls the queue as a fallback)
+    await notifyJobQueued(jobId);
 
     return NextResponse.json({
       success: true,
@@ -128,6 +127,8 @@ export async function POST(request, { params }) {
       resumedAt: new Date(),
       processedLeads: job.processedLeads,
       totalLeads: job.totalLeads,
+      nextLead: resumePoint.nextLead,
+      remainingLeads: resumePoint.remaining,
       message: 'Workflow resumed successfully'
     });
 
@@ -5,6 +5,8 @@
  * 
  * Returns the current status of a background workflow job.
  * Used by the frontend for polling progress updates.
+ * Processing jobs whose worker stopped sending heartbeats are reaped here
+ * and reported as `interrupted` (worker lost).
  */
 
 import { NextResponse } from "next/server";
@@ -12,6 +14,7 @@ import { withAuth } from "@/libs/auth-middleware";
 import { db } from "@/libs/db";
 import { workflowJobs } from "@/libs/schema";
 import { eq, and } from "drizzle-orm";
+import { reapStaleJobs } from "@/libs/job-heartbeat";
 
 export const GET = withAuth(async (request, { params, user }) => {
   try {
@@ -33,56 +36,35 @@ export const GET = withAuth(async (request, { params, user }) => {
     console.log(`✅ Job found: ${job.status} (${job.progress}%)`);
     
     // ============================================================
-    // Timeout Detection: Check if job has been processing too long
+    // Worker Lost Detection: Check if the job's heartbeat expired
     // ============================================================
-    const TIMEOUT_MS = 2 * 60 * 60 * 1000; // 2 hours
+    let currentJob = job;
     
-    if (job.status === 'processing' && job.startedAt) {
-      const jobAge = Date.now() - new Date(job.startedAt).getTime();
+    if (job.status === 'processing' || job.status === 'waiting') {
+      const [reapedJob] = await reapStaleJobs({ jobId });
       
-      if (jobAge > TIMEOUT_MS) {
-        console.log(`⏱️  Job ${jobId} has been processing for ${Math.round(jobAge / 60000)} minutes (timeout: ${TIMEOUT_MS / 60000} min)`);
-        console.log(`⚠️  Marking job as timeout...`);
-        
-        // Update job status to timeout
-        await db.update(workflowJobs)
-          .set({
-            status: 'timeout',
-            errorMessage: `Job exceeded ${TIMEOUT_MS / 60000} minute timeout. Worker may have crashed.`,
-            completedAt: new Date()
-          })
-          .where(eq(workflowJobs.id, jobId));
-        
-        // Return updated status
-        return NextResponse.json({
-          jobId: job.id,
-          campaignId: job.campaignId,
-          status: 'timeout',
-          progress: job.progress || 0,
-          totalLeads: job.totalLeads,
-          processedLeads: job.processedLeads || 0,
-          results: job.results,
-          errorMessage: `Job exceeded ${TIMEOUT_MS / 60000} minute timeout. Worker may have crashed.`,
-          createdAt: job.createdAt,
-          startedAt: job.startedAt,
-          completedAt: new Date()
-        });
+      if (reapedJob) {
+        console.log(`💀 Job ${jobId} lost its worker, now: ${reapedJob.status}`);
+        currentJob = reapedJob;
       }
     }
     
     // Return job status
     return NextResponse.json({
-      jobId: job.id,
-      campaignId: job.campaignId,
-      status: job.status,
-      progress: job.progress || 0,
-      totalLeads: job.totalLeads,
-      processedLeads: job.processedLeads || 0,
-      results: job.results,
-      errorMessage: job.errorMessage,
-      createdAt: job.createdAt,
-      startedAt: job.startedAt,
-      completedAt: job.completedAt
+      jobId: currentJob.id,
+      campaignId: currentJob.campaignId,
+      status: currentJob.status,
+      workerLost: currentJob.status === 'interrupted',
+      progress: currentJob.progress || 0,
+      totalLeads: currentJob.totalLeads,
+      processedLeads: currentJob.processedLeads || 0,
+      results: currentJob.results,
+      errorMessage: currentJob.errorMessage,
+      interruptCount: currentJob.interruptCount || 0,
+      heartbeatAt: currentJob.heartbeatAt,
+      createdAt: currentJob.createdAt,
+      startedAt: currentJob.startedAt,
+      completedAt: currentJob.completedAt
     });
     
   } catch (error) {
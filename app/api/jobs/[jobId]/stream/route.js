@@ -195,6 +195,7 @@ export const GET = withAuth(async (request, { params, user }) => {
                   jobId: job.id,
                   campaignId: job.campaignId,
                   status: job.status,
+                  workerLost: job.status === 'interrupted',
                   progress: job.progress || 0,
                   totalLeads: job.totalLeads,
                   processedLeads: job.processedLeads || 0,
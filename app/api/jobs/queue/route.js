@@ -0,0 +1,36 @@
+/**
+ * Job Queue API
+ *
+ * GET /api/jobs/queue
+ *
+ * Returns the worker pool queue as the scheduler sees it: the user's running
+ * jobs, their queued jobs in start order with their position in the whole
+ * queue and why a job is waiting (blockedBy: user_limit, account_busy), plus
+ * queue-wide counts. Other users' jobs are only included in the counts.
+ */
+
+import { NextResponse } from "next/server";
+import { withAuth } from "@/libs/auth-middleware";
+import { getQueueSnapshot } from "@/libs/job-scheduler";
+
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const snapshot = await getQueueSnapshot({ userId: user.id });
+
+    return NextResponse.json({
+      success: true,
+      ...snapshot
+    });
+
+  } catch (error) {
+    console.error('❌ Get job queue error:', error);
+
+    return NextResponse.json(
+      {
+        error: 'Failed to get job queue',
+        message: error.message
+      },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,62 @@
+/**
+ * Jobs History API
+ * 
+ * GET /api/jobs?status=completed,failed&from=2025-01-01&to=2025-01-31&campaignId=...&accountId=...&limit=25&offset=0
+ * 
+ * Lists the user's workflow jobs across campaigns and accounts, newest first,
+ * with duration, pause count and outcome totals. The response also carries the
+ * campaigns and accounts that can be used as filters.
+ */
+
+import { NextResponse } from "next/server";
+import { withAuth } from "@/libs/auth-middleware";
+import { listJobs, parseJobFilters, getJobFilterOptions } from "@/libs/job-history";
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || DEFAULT_LIMIT, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(searchParams.get('offset') || '0', 10) || 0, 0);
+    
+    const { filters, errors } = parseJobFilters(searchParams);
+    
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { error: 'INVALID_FILTERS', message: errors.join('. '), errors },
+        { status: 400 }
+      );
+    }
+    
+    const [{ jobs, total }, filterOptions] = await Promise.all([
+      listJobs(user.id, filters, { limit, offset }),
+      getJobFilterOptions(user.id)
+    ]);
+    
+    return NextResponse.json({
+      success: true,
+      jobs,
+      filterOptions,
+      pagination: {
+        limit,
+        offset,
+        total,
+        hasMore: offset + jobs.length < total
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ List jobs error:', error);
+    
+    return NextResponse.json(
+      { 
+        error: 'Failed to list jobs',
+        message: error.message
+      },
+      { status: 500 }
+    );
+  }
+});
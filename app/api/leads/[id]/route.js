@@ -3,6 +3,8 @@ import { db } from "@/libs/db";
 import { leads } from "@/libs/schema";
 import { eq, and } from "drizzle-orm";
 import { withAuth } from "@/libs/auth-middleware";
+import { validateTags, validateCustomFields } from "@/libs/lead-fields";
+import { updateLeadFields } from "@/libs/lead-status-manager";
 
 // GET /api/leads/[id] - Get a specific lead (authenticated user)
 export const GET = withAuth(async (request, { params, user }) => {
@@ -39,6 +41,22 @@ export const PUT = withAuth(async (request, { params, user }) => {
     const leadId = params.id;
     const updateData = await request.json();
 
+    if (updateData.tags !== undefined) {
+      const { tags, error } = validateTags(updateData.tags);
+      if (error) {
+        return NextResponse.json({ error: "INVALID_TAGS", message: error }, { status: 400 });
+      }
+      updateData.tags = tags;
+    }
+
+    if (updateData.customFields !== undefined) {
+      const { customFields, errors } = validateCustomFields(updateData.customFields);
+      if (errors.length > 0) {
+        return NextResponse.json({ error: "INVALID_CUSTOM_FIELDS", message: errors.join("; ") }, { status: 400 });
+      }
+      updateData.customFields = customFields;
+    }
+
     // Check if lead exists and belongs to user
     const [existingLead] = await db
       .select()
@@ -50,15 +68,27 @@ export const PUT = withAuth(async (request, { params, user }) => {
       return NextResponse.json({ error: "Lead not found" }, { status: 404 });
     }
 
+    // Tags and custom fields also go to the campaign's Redis cache
+    const { tags, customFields, ...otherData } = updateData;
+    let updatedLead = existingLead;
+    if (tags !== undefined || customFields !== undefined) {
+      updatedLead = await updateLeadFields(existingLead.campaignId, leadId, {
+        tags: tags ?? existingLead.tags,
+        customFields: customFields ?? existingLead.customFields,
+      });
+    }
+
     // Update the lead (ensure user owns it)
-    const [updatedLead] = await db
-      .update(leads)
-      .set({
-        ...updateData,
-        updatedAt: new Date(),
-      })
-      .where(and(eq(leads.id, leadId), eq(leads.userId, user.id)))
-      .returning();
+    if (Object.keys(otherData).length > 0) {
+      [updatedLead] = await db
+        .update(leads)
+        .set({
+          ...otherData,
+          updatedAt: new Date(),
+        })
+        .where(and(eq(leads.id, leadId), eq(leads.userId, user.id)))
+        .returning();
+    }
 
     return NextResponse.json({
       success: true,
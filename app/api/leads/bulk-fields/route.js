@@ -0,0 +1,82 @@
+/**
+ * Bulk Lead Fields API
+ *
+ * POST /api/leads/bulk-fields - Edit the tags and custom fields of many leads
+ *   { leadIds, addTags?, removeTags?, setCustomFields?, removeCustomFields? }
+ *
+ * Changes are applied on top of each lead's current values (see
+ * applyLeadFieldChanges in libs/lead-fields.js); leads the user does not own
+ * are ignored. Nothing is saved when the edit would take a lead over the tag
+ * or custom field limit.
+ */
+
+import { NextResponse } from "next/server";
+import { db } from "@/libs/db";
+import { leads } from "@/libs/schema";
+import { and, eq, inArray } from "drizzle-orm";
+import { withAuth } from "@/libs/auth-middleware";
+import { validateLeadFieldChanges, applyLeadFieldChanges } from "@/libs/lead-fields";
+import { updateLeadFields } from "@/libs/lead-status-manager";
+
+const MAX_BULK_LEADS = 5000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const { leadIds, ...input } = body || {};
+
+    if (!Array.isArray(leadIds) || leadIds.length === 0 || leadIds.some((id) => typeof id !== "string" || !UUID_PATTERN.test(id))) {
+      return NextResponse.json(
+        { error: "INVALID_LEADS", message: "leadIds must be a non-empty array of lead IDs" },
+        { status: 400 }
+      );
+    }
+
+    if (leadIds.length > MAX_BULK_LEADS) {
+      return NextResponse.json(
+        { error: "INVALID_LEADS", message: `At most ${MAX_BULK_LEADS} leads at a time` },
+        { status: 400 }
+      );
+    }
+
+    const { changes, errors } = validateLeadFieldChanges(input);
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { error: "INVALID_CHANGES", message: errors.join("; ") },
+        { status: 400 }
+      );
+    }
+
+    const userLeads = await db
+      .select({ id: leads.id, campaignId: leads.campaignId, tags: leads.tags, customFields: leads.customFields })
+      .from(leads)
+      .where(and(inArray(leads.id, leadIds), eq(leads.userId, user.id)));
+
+    const updates = userLeads.map((lead) => ({ lead, ...applyLeadFieldChanges(lead, changes) }));
+    const overLimit = updates.filter((update) => update.error);
+    if (overLimit.length > 0) {
+      return NextResponse.json(
+        { error: "LIMIT_EXCEEDED", message: `${overLimit[0].error} (${overLimit.length} lead(s) would go over it)` },
+        { status: 400 }
+      );
+    }
+
+    for (const { lead, tags, customFields } of updates) {
+      await updateLeadFields(lead.campaignId, lead.id, { tags, customFields });
+    }
+
+    console.log(`🏷️ BULK FIELDS: ${userLeads.length} lead(s) updated for user ${user.id}`);
+
+    return NextResponse.json({
+      success: true,
+      updated: userLeads.length,
+    });
+  } catch (error) {
+    console.error("Bulk lead fields error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
@@ -3,6 +3,7 @@ import { db } from "@/libs/db";
 import { leads, posts, campaigns, messages } from "@/libs/schema";
 import { eq, inArray, and } from "drizzle-orm";
 import { withAuth } from "@/libs/auth-middleware";
+import { toCachedLead } from "@/libs/lead-status-manager";
 
 // POST /api/leads/bulk-update - Bulk update leads and their posts (authenticated user)
 export const POST = withAuth(async (request, { user }) => {
@@ -173,17 +174,7 @@ export const POST = withAuth(async (request, { user }) => {
           const leadsWithMessages = new Set(campaignMessages.map(msg => msg.leadId));
           
           campaignLeads.forEach(lead => {
-            const hasMessage = leadsWithMessages.has(lead.id);
-            
-            leadsData[lead.id] = JSON.stringify({
-              id: lead.id,
-              name: lead.name,
-              title: lead.title,
-              company: lead.company,
-              url: lead.url,
-              status: lead.status,
-              hasMessage: hasMessage
-            });
+            leadsData[lead.id] = JSON.stringify(toCachedLead(lead, { hasMessage: leadsWithMessages.has(lead.id) }));
           });
           
           await redis.hset(`campaign:${campaignId}:leads`, leadsData);
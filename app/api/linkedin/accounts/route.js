@@ -21,7 +21,7 @@ export const GET = withAuth(async (request, { user }) => {
       dailyLimit: session.dailyLimit || 30,
       addedDate: new Date(session.createdAt).toLocaleDateString(),
       tags: session.tags || [],
-      salesNavActive: session.salesNavActive || true,
+      salesNavActive: session.salesNavActive ?? true,
       lastUsed: session.lastUsed
     }));
 
@@ -3,6 +3,8 @@
  * 
  * Manual trigger for checking connection acceptances
  * Validates user, checks daily limit, scrapes connections page, and updates matched leads
+ * Body (optional): { dryRun: true } rehearses the check and follow-up messages without
+ * changing leads, sending messages or using the daily check quota
  */
 
 import { NextResponse } from "next/server";
@@ -15,6 +17,8 @@ const sessionManager = new LinkedInSessionManager();
 
 export const POST = withAuth(async (request, { user }) => {
   try {
+    const { dryRun = false } = await request.json().catch(() => ({}));
+    
     console.log(`\n${'='.repeat(60)}`);
     console.log(`🔍 CONNECTION CHECK REQUEST (Manual)`);
     console.log(`${'='.repeat(60)}`);
@@ -61,10 +65,10 @@ export const POST = withAuth(async (request, { user }) => {
     // STEP 3: Perform connection acceptance check
     console.log('🚀 STEP 3: Starting connection acceptance check...\n');
     
-    const results = await checkConnectionAcceptances(activeAccount, user.id);
+    const results = await checkConnectionAcceptances(activeAccount, user.id, { dryRun });
     
-    // STEP 4: Increment daily counter
-    if (results.success) {
+    // STEP 4: Increment daily counter (a dry run does not use the quota)
+    if (results.success && !dryRun) {
       await incrementConnectionCheckCounter(activeAccount.id);
       console.log('✅ Daily counter incremented\n');
     }
@@ -76,7 +80,7 @@ export const POST = withAuth(async (request, { user }) => {
     return NextResponse.json({
       success: true,
       ...results,
-      checksRemaining: limitCheck.remaining - 1,
+      checksRemaining: dryRun ? limitCheck.remaining : limitCheck.remaining - 1,
       checksLimit: limitCheck.limit
     });
     
@@ -2,15 +2,15 @@
  * GET /api/linkedin/connections/check-schedule
  * 
  * Scheduled endpoint for automated connection checking (triggered by cron)
- * Checks all active LinkedIn accounts that haven't reached daily limit
+ * Checks all active LinkedIn accounts (and accounts in a campaign pool) that haven't reached daily limit
  * Protected by cron secret token
  */
 
 import { NextResponse } from "next/server";
 import LinkedInSessionManager from "@/libs/linkedin-session";
 import { db } from "@/libs/db";
-import { linkedinAccounts } from "@/libs/schema";
-import { eq } from "drizzle-orm";
+import { linkedinAccounts, campaignAccounts } from "@/libs/schema";
+import { eq, or, inArray } from "drizzle-orm";
 import { checkDailyConnectionCheckLimit, incrementConnectionCheckCounter } from "@/libs/rate-limit-manager";
 import { checkConnectionAcceptances } from "@/libs/linkedin-connection-checker";
 
@@ -36,11 +36,15 @@ export const GET = async (request) => {
     console.log(`⏰ Time: ${new Date().toISOString()}\n`);
     
     // STEP 2: Fetch all active LinkedIn accounts
+    // Pool accounts send invites too, so their follow-ups need checking as well
     console.log('📥 STEP 1: Fetching active LinkedIn accounts...');
     const allAccounts = await db
       .select()
       .from(linkedinAccounts)
-      .where(eq(linkedinAccounts.isActive, true));
+      .where(or(
+        eq(linkedinAccounts.isActive, true),
+        inArray(linkedinAccounts.id, db.select({ id: campaignAccounts.accountId }).from(campaignAccounts))
+      ));
     
     console.log(`✅ Found ${allAccounts.length} active account(s)\n`);
     
@@ -4,6 +4,7 @@ import { leads, campaigns, posts, messages } from "@/libs/schema";
 import { eq, and, isNull, desc, count } from "drizzle-orm";
 import { generatePersonalizedMessage } from "@/libs/groq-service";
 import { withAuth } from "@/libs/auth-middleware";
+import { renderMessageTemplate } from "@/libs/message-template";
 
 // POST /api/messages/generate-bulk - Generate messages for all completed leads
 export const POST = withAuth(async (request, { user }) => {
@@ -123,7 +124,7 @@ export const POST = withAuth(async (request, { user }) => {
               timestamp: post.timestamp.toISOString(),
               engagement: post.engagement
             })),
-            customPrompt,
+            customPrompt: customPrompt ? renderMessageTemplate(customPrompt, lead) : customPrompt,
             model: model || "llama-3.1-8b-instant"
           });
 
@@ -4,6 +4,7 @@ import { leads, posts, messages } from "@/libs/schema";
 import { eq, desc, and } from "drizzle-orm";
 import { generatePersonalizedMessageStream } from "@/libs/groq-service";
 import { withAuth } from "@/libs/auth-middleware";
+import { renderMessageTemplate } from "@/libs/message-template";
 
 export const POST = withAuth(async (request, { user }) => {
   try {
@@ -65,7 +66,7 @@ export const POST = withAuth(async (request, { user }) => {
               timestamp: post.timestamp.toISOString(),
               engagement: post.engagement
             })),
-            customPrompt,
+            customPrompt: customPrompt ? renderMessageTemplate(customPrompt, lead) : customPrompt,
             model: model || "llama-3.1-8b-instant",
             onChunk: (chunk) => {
               fullMessage += chunk;
@@ -9,6 +9,10 @@
  * 3. Fetch eligible leads
  * 4. Process invites directly using validated browser
  * 5. Return comprehensive results
+ * 
+ * Body: { linkedinAccountId?, customMessage?, batchSize?, dryRun? } - dryRun goes up to
+ * the final click without sending invites or changing lead statuses (leads on
+ * the do-not-contact list are listed as blocked instead of being flagged)
  */
 
 import { NextResponse } from "next/server";
@@ -20,7 +24,7 @@ import { eq, and } from "drizzle-orm";
 
 // Import refactored modules
 import { testLinkedInSession, cleanupBrowserSession } from "@/libs/linkedin-session-validator";
-import { fetchEligibleLeads, getLeadAnalytics } from "@/libs/lead-status-manager";
+import { fetchEligibleLeads, getLeadAnalytics, toBlockedPlannedActions } from "@/libs/lead-status-manager";
 import { processInvitesDirectly } from "@/libs/linkedin-invite-automation";
 
 const sessionManager = new LinkedInSessionManager();
@@ -34,10 +38,11 @@ export const POST = withAuth(async (request, { params, user }) => {
     const { 
       linkedinAccountId, 
       customMessage = "Hi there! I'd like to connect with you.",
-      batchSize = 5 
+      batchSize = 5,
+      dryRun = false
     } = await request.json();
 
-    console.log(`🚀 CAMPAIGN ACTIVATION: Starting activation for campaign ${campaignId}`);
+    console.log(`🚀 CAMPAIGN ACTIVATION: Starting activation for campaign ${campaignId}${dryRun ? ' (DRY RUN)' : ''}`);
     console.log(`👤 User: ${user.id}`);
 
     // Validate required parameters
@@ -187,7 +192,8 @@ export const POST = withAuth(async (request, { params, user }) => {
     // ============================================================
     console.log(`📊 STEP 4: Fetching eligible leads...`);
     
-    const { allLeads, eligibleLeads, source } = await fetchEligibleLeads(campaignId);
+    const { allLeads, eligibleLeads, blockedLeads, source } = await fetchEligibleLeads(campaignId, { dryRun });
+    const blockedActions = dryRun ? toBlockedPlannedActions(blockedLeads) : [];
     
     if (allLeads.length === 0) {
       await cleanupBrowserSession(browserContext);
@@ -221,7 +227,8 @@ export const POST = withAuth(async (request, { params, user }) => {
             totalLeads: analytics.total,
             eligibleLeads: 0,
             leadsWithInvites: analytics.leadsWithInvites,
-            inviteStats: analytics.inviteStats
+            inviteStats: analytics.inviteStats,
+            ...(dryRun && { dryRun: true, plannedActions: blockedActions })
           }
         },
         { status: 400 }
@@ -239,7 +246,9 @@ export const POST = withAuth(async (request, { params, user }) => {
         browserPage,
         eligibleLeads,
         customMessage,
-        campaignId
+        campaignId,
+        null,
+        { dryRun }
       );
     } catch (error) {
       console.error(`❌ Failed to process invites:`, error);
@@ -268,7 +277,9 @@ export const POST = withAuth(async (request, { params, user }) => {
     // ============================================================
     return NextResponse.json({
       success: true,
-      message: "Campaign activated and invites processed successfully",
+      message: dryRun
+        ? "Dry run completed - no invites were sent"
+        : "Campaign activated and invites processed successfully",
       data: {
         campaign: {
           id: campaign.id,
@@ -293,7 +304,12 @@ export const POST = withAuth(async (request, { params, user }) => {
           alreadyConnected: inviteResults.alreadyConnected,
           alreadyPending: inviteResults.alreadyPending,
           failed: inviteResults.failed,
-          errors: inviteResults.errors
+          errors: inviteResults.errors,
+          ...(dryRun && {
+            dryRun: true,
+            wouldSend: inviteResults.wouldSend,
+            plannedActions: [...blockedActions, ...inviteResults.plannedActions]
+          })
         },
         activation: {
           activatedAt: new Date().toISOString(),
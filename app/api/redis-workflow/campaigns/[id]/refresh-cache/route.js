@@ -4,6 +4,7 @@ import { db } from "@/libs/db";
 import { campaigns, leads, messages } from "@/libs/schema";
 import { eq } from "drizzle-orm";
 import { withAuth } from "@/libs/auth-middleware";
+import { toCachedLead } from "@/libs/lead-status-manager";
 
 /**
  * POST /api/redis-workflow/campaigns/[id]/refresh-cache
@@ -86,18 +87,12 @@ export const POST = withAuth(async (request, { params, user }) => {
     if (campaignLeads.length > 0) {
       console.log(`💾 CACHE REFRESH: Updating Redis with ${campaignLeads.length} fresh leads for campaign ${campaignId}`);
       const leadsData = {};
+      const leadsWithMessages = new Set(campaignMessages.map(msg => msg.leadId));
       campaignLeads.forEach(lead => {
         leadsData[lead.id] = JSON.stringify({
-          id: lead.id,
-          name: lead.name,
-          title: lead.title,
-          company: lead.company,
-          url: lead.url,
-          status: lead.status,
+          ...toCachedLead(lead, { hasMessage: leadsWithMessages.has(lead.id) }),
           profilePicture: lead.profilePicture,
-          posts: lead.posts,
-          inviteSent: lead.inviteSent || false,
-          inviteStatus: lead.inviteStatus || 'pending'
+          posts: lead.posts
         });
       });
       
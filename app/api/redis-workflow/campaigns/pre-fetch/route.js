@@ -4,6 +4,7 @@ import { campaigns, leads, messages } from "@/libs/schema";
 import { eq, and, notExists } from "drizzle-orm";
 import getRedisClient from "@/libs/redis";
 import { withAuth } from "@/libs/auth-middleware";
+import { toCachedLead } from "@/libs/lead-status-manager";
 
 export const POST = withAuth(async (request, { user }) => {
   try {
@@ -141,17 +142,7 @@ export const POST = withAuth(async (request, { user }) => {
         const leadsWithMessages = new Set(campaignMessages.map(msg => msg.leadId));
         
         campaignLeads.forEach(lead => {
-          leadsData[lead.id] = JSON.stringify({
-            id: lead.id,
-            name: lead.name,
-            title: lead.title,
-            company: lead.company,
-            url: lead.url,
-            status: lead.status,
-            hasMessage: leadsWithMessages.has(lead.id), // Include message status
-            inviteSent: lead.inviteSent || false,
-            inviteStatus: lead.inviteStatus || 'pending'
-          });
+          leadsData[lead.id] = JSON.stringify(toCachedLead(lead, { hasMessage: leadsWithMessages.has(lead.id) }));
         });
         
         await redis.hset(`campaign:${campaign.id}:leads`, leadsData);
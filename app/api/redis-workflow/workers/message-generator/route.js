@@ -6,6 +6,7 @@ import { leads, messages } from "@/libs/schema";
 import { eq, inArray } from "drizzle-orm";
 import getRedisClient from "@/libs/redis";
 import { withAuth } from "@/libs/auth-middleware";
+import { renderMessageTemplate } from "@/libs/message-template";
 
 /**
  * POST /api/redis-workflow/workers/message-generator
@@ -88,6 +89,23 @@ export const POST = withAuth(async (request, { user }) => {
       const consumedMessages = streamResult[0][1]; // Get messages from stream
       console.log(`🔄 Processing ${consumedMessages.length} messages from campaign ${campaignId}`);
 
+      // Lead fields the custom prompt can use ({{custom.event_name}}...), not kept in the stream
+      const streamLeadIds = consumedMessages
+        .map(([, fields]) => {
+          const index = fields.indexOf("lead_id");
+          return index >= 0 ? fields[index + 1] : null;
+        })
+        .filter(Boolean);
+      const promptLeads = new Map(
+        (streamLeadIds.length > 0
+          ? await db
+            .select({ id: leads.id, location: leads.location, tags: leads.tags, customFields: leads.customFields })
+            .from(leads)
+            .where(inArray(leads.id, streamLeadIds))
+          : []
+        ).map((lead) => [lead.id, lead])
+      );
+
       let processedCount = 0;
       let failedCount = 0;
       const results = [];
@@ -111,7 +129,9 @@ export const POST = withAuth(async (request, { user }) => {
             leadTitle: leadData.title || "",
             leadCompany: leadData.company || "",
             posts: [],
-            customPrompt: leadData.custom_prompt || "",
+            customPrompt: leadData.custom_prompt
+              ? renderMessageTemplate(leadData.custom_prompt, { ...leadData, ...promptLeads.get(leadData.lead_id) })
+              : "",
             model: leadData.model || "llama-3.1-8b-instant"
           });
 
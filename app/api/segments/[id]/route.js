@@ -0,0 +1,88 @@
+/**
+ * Audience Segment API
+ *
+ * PUT    /api/segments/[id] - Rename and/or replace the filters ({ name?, filters? })
+ * DELETE /api/segments/[id] - Delete the segment; campaigns using it go back to all of their leads
+ */
+
+import { NextResponse } from "next/server";
+import { withAuth } from "@/libs/auth-middleware";
+import { validateAudienceFilters } from "@/libs/audience-filters";
+import {
+  getSegment,
+  cleanSegmentName,
+  updateSegment,
+  deleteSegment,
+  serializeSegment,
+  MAX_SEGMENT_NAME_LENGTH,
+} from "@/libs/audience-segments";
+
+const notFound = () => NextResponse.json(
+  { error: "Segment not found" },
+  { status: 404 }
+);
+
+export const PUT = withAuth(async (request, { params, user }) => {
+  try {
+    const body = await request.json();
+    const changes = {};
+
+    if (body?.name !== undefined) {
+      changes.name = cleanSegmentName(body.name);
+      if (!changes.name) {
+        return NextResponse.json(
+          { error: "INVALID_NAME", message: `Segment name is required (${MAX_SEGMENT_NAME_LENGTH} characters max)` },
+          { status: 400 }
+        );
+      }
+    }
+
+    if (body?.filters !== undefined) {
+      const { filters, errors } = validateAudienceFilters(body.filters);
+      if (errors.length > 0) {
+        return NextResponse.json(
+          { error: "INVALID_FILTERS", message: errors.join(". "), errors },
+          { status: 400 }
+        );
+      }
+      changes.filters = filters;
+    }
+
+    const existing = await getSegment(params.id, user.id);
+    if (!existing) return notFound();
+
+    const segment = Object.keys(changes).length > 0
+      ? await updateSegment(existing.id, changes)
+      : existing;
+
+    return NextResponse.json({
+      success: true,
+      segment: serializeSegment(segment),
+    });
+  } catch (error) {
+    console.error("Update segment error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
+
+export const DELETE = withAuth(async (request, { params, user }) => {
+  try {
+    const existing = await getSegment(params.id, user.id);
+    if (!existing) return notFound();
+
+    const campaignsCleared = await deleteSegment(existing.id, user.id);
+
+    console.log(`🗑️ Segment "${existing.name}" deleted${campaignsCleared > 0 ? ` (removed from ${campaignsCleared} campaign(s))` : ""}`);
+
+    return NextResponse.json({ success: true, campaignsCleared });
+  } catch (error) {
+    console.error("Delete segment error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,74 @@
+/**
+ * Audience Segments API
+ *
+ * GET  /api/segments - The user's saved segments, most recently updated first
+ * POST /api/segments - Save filters as a named segment ({ name, filters })
+ *
+ * filters: { match, rules } (see libs/audience-filters.js). A campaign uses a
+ * segment as its audience through settings.audienceSegmentId.
+ */
+
+import { NextResponse } from "next/server";
+import { withAuth } from "@/libs/auth-middleware";
+import { validateAudienceFilters } from "@/libs/audience-filters";
+import {
+  cleanSegmentName,
+  listSegments,
+  createSegment,
+  serializeSegment,
+  MAX_SEGMENT_NAME_LENGTH,
+} from "@/libs/audience-segments";
+
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const segments = await listSegments(user.id);
+
+    return NextResponse.json({
+      success: true,
+      segments: segments.map(serializeSegment),
+    });
+  } catch (error) {
+    console.error("List segments error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
+
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const body = await request.json();
+
+    const name = cleanSegmentName(body?.name);
+    if (!name) {
+      return NextResponse.json(
+        { error: "INVALID_NAME", message: `Segment name is required (${MAX_SEGMENT_NAME_LENGTH} characters max)` },
+        { status: 400 }
+      );
+    }
+
+    const { filters, errors } = validateAudienceFilters(body.filters);
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { error: "INVALID_FILTERS", message: errors.join(". "), errors },
+        { status: 400 }
+      );
+    }
+
+    const segment = await createSegment({ userId: user.id, name, filters });
+
+    console.log(`✅ Segment "${name}" saved (${filters.rules.length} filter(s))`);
+
+    return NextResponse.json({
+      success: true,
+      segment: serializeSegment(segment),
+    });
+  } catch (error) {
+    console.error("Create segment error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,99 @@
+/**
+ * Start Campaign From Template API
+ *
+ * POST /api/templates/[id]/campaign - Create a campaign set up with the
+ *                                      template ({ name, description? })
+ *
+ * Custom templates, and built-in canvases that can run (Extra Profile Views),
+ * become the new campaign's sequence right away; other built-in canvases are
+ * opened with the template loaded. The response tells the workflow page which
+ * canvas to open.
+ */
+
+import { NextResponse } from "next/server";
+import { db } from "@/libs/db";
+import { campaigns } from "@/libs/schema";
+import { withAuth } from "@/libs/auth-middleware";
+import getRedisClient from "@/libs/redis";
+import { getTemplate } from "@/libs/sequence-templates";
+import { validateSequenceGraph } from "@/libs/sequence-graph";
+import { saveSequenceGraph } from "@/libs/sequences";
+import { RUNNABLE_TEMPLATE_CANVASES, templateToSequenceGraph } from "@/libs/template-sequences";
+
+export const POST = withAuth(async (request, { params, user }) => {
+  try {
+    const { name, description } = await request.json();
+
+    if (!name || name.trim().length === 0) {
+      return NextResponse.json(
+        { error: "Campaign name is required" },
+        { status: 400 }
+      );
+    }
+
+    const saved = await getTemplate(params.id, user.id);
+    if (!saved?.version) {
+      return NextResponse.json(
+        { error: "Template not found" },
+        { status: 404 }
+      );
+    }
+
+    const { template, version } = saved;
+
+    // Custom and runnable built-in templates must still be a valid sequence
+    let sequenceGraph = null;
+    if (template.canvas === "custom" || RUNNABLE_TEMPLATE_CANVASES.includes(template.canvas)) {
+      const { graph, errors } = template.canvas === "custom"
+        ? validateSequenceGraph(version.graph)
+        : templateToSequenceGraph(template.canvas, version.graph);
+      if (errors.length > 0) {
+        return NextResponse.json(
+          { error: "INVALID_SEQUENCE", message: errors.join(". "), errors },
+          { status: 400 }
+        );
+      }
+      sequenceGraph = graph;
+    }
+
+    const [campaign] = await db
+      .insert(campaigns)
+      .values({
+        userId: user.id,
+        name: name.trim(),
+        description: description?.trim() || null,
+        status: "draft",
+      })
+      .returning();
+
+    if (sequenceGraph) {
+      await saveSequenceGraph({
+        campaignId: campaign.id,
+        userId: user.id,
+        name: template.name,
+        graph: sequenceGraph,
+      });
+    }
+
+    try {
+      await getRedisClient().del(`user:${user.id}:campaigns:list`);
+    } catch (redisError) {
+      console.warn(`⚠️ Redis cache invalidation failed:`, redisError.message);
+    }
+
+    console.log(`✅ Campaign ${campaign.id} created from template "${template.name}" v${version.version}`);
+
+    return NextResponse.json({
+      success: true,
+      campaign,
+      canvas: template.canvas,
+      templateId: template.id,
+    });
+  } catch (error) {
+    console.error("Create campaign from template error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,61 @@
+/**
+ * Duplicate Sequence Template API
+ *
+ * POST /api/templates/[id]/duplicate - Copy the current version into a new
+ *                                       template ({ name? }, default "<name> (copy)")
+ */
+
+import { NextResponse } from "next/server";
+import { withAuth } from "@/libs/auth-middleware";
+import {
+  getTemplate,
+  cleanTemplateName,
+  createTemplate,
+  serializeTemplate,
+  MAX_TEMPLATE_NAME_LENGTH,
+} from "@/libs/sequence-templates";
+
+export const POST = withAuth(async (request, { params, user }) => {
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    const saved = await getTemplate(params.id, user.id);
+    if (!saved?.version) {
+      return NextResponse.json(
+        { error: "Template not found" },
+        { status: 404 }
+      );
+    }
+
+    const name = body?.name !== undefined
+      ? cleanTemplateName(body.name)
+      : `${saved.template.name} (copy)`.slice(0, MAX_TEMPLATE_NAME_LENGTH);
+
+    if (!name) {
+      return NextResponse.json(
+        { error: "INVALID_NAME", message: "Template name is required (100 characters max)" },
+        { status: 400 }
+      );
+    }
+
+    const { template, version } = await createTemplate({
+      userId: user.id,
+      name,
+      canvas: saved.template.canvas,
+      graph: saved.version.graph,
+    });
+
+    console.log(`✅ Template "${saved.template.name}" duplicated as "${name}"`);
+
+    return NextResponse.json({
+      success: true,
+      template: serializeTemplate(template, version.graph.nodes.length),
+    });
+  } catch (error) {
+    console.error("Duplicate template error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
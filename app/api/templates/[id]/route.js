@@ -0,0 +1,113 @@
+/**
+ * Sequence Template API
+ *
+ * GET    /api/templates/[id]?version=3 - Template with the graph of a version (default: current)
+ * PATCH  /api/templates/[id]           - Rename ({ name })
+ * DELETE /api/templates/[id]           - Delete the template and its history
+ *
+ * New versions are saved through /api/templates/[id]/versions.
+ */
+
+import { NextResponse } from "next/server";
+import { withAuth } from "@/libs/auth-middleware";
+import {
+  getTemplate,
+  cleanTemplateName,
+  renameTemplate,
+  deleteTemplate,
+  serializeTemplate,
+} from "@/libs/sequence-templates";
+
+const notFound = () => NextResponse.json(
+  { error: "Template not found" },
+  { status: 404 }
+);
+
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const requested = searchParams.get("version");
+    const versionNumber = requested ? parseInt(requested, 10) : null;
+
+    if (requested && (!Number.isInteger(versionNumber) || versionNumber < 1)) {
+      return NextResponse.json(
+        { error: "INVALID_VERSION", message: "version must be a positive number" },
+        { status: 400 }
+      );
+    }
+
+    const saved = await getTemplate(params.id, user.id, versionNumber);
+    if (!saved) return notFound();
+
+    if (!saved.version) {
+      return NextResponse.json(
+        { error: "VERSION_NOT_FOUND", message: `Template has no version ${versionNumber}` },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      template: {
+        ...serializeTemplate(saved.template, saved.version.graph.nodes.length),
+        graph: saved.version.graph,
+        graphVersion: saved.version.version,
+      },
+    });
+  } catch (error) {
+    console.error("Get template error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
+
+export const PATCH = withAuth(async (request, { params, user }) => {
+  try {
+    const body = await request.json();
+
+    const name = cleanTemplateName(body?.name);
+    if (!name) {
+      return NextResponse.json(
+        { error: "INVALID_NAME", message: "Template name is required (100 characters max)" },
+        { status: 400 }
+      );
+    }
+
+    const saved = await getTemplate(params.id, user.id);
+    if (!saved) return notFound();
+
+    const template = await renameTemplate(saved.template.id, name);
+
+    return NextResponse.json({
+      success: true,
+      template: serializeTemplate(template, saved.version?.graph?.nodes?.length || 0),
+    });
+  } catch (error) {
+    console.error("Rename template error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
+
+export const DELETE = withAuth(async (request, { params, user }) => {
+  try {
+    const saved = await getTemplate(params.id, user.id);
+    if (!saved) return notFound();
+
+    await deleteTemplate(saved.template.id);
+
+    console.log(`🗑️ Template "${saved.template.name}" deleted`);
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error("Delete template error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
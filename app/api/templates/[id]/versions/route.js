@@ -0,0 +1,104 @@
+/**
+ * Sequence Template Versions API
+ *
+ * GET  /api/templates/[id]/versions - Version history, newest first
+ * POST /api/templates/[id]/versions - Save a new version: { graph } from the
+ *                                      canvas, or { fromVersion } to restore
+ *                                      an older version as the current one
+ */
+
+import { NextResponse } from "next/server";
+import { withAuth } from "@/libs/auth-middleware";
+import {
+  getTemplate,
+  listTemplateVersions,
+  validateTemplateGraph,
+  saveTemplateVersion,
+  serializeTemplate,
+} from "@/libs/sequence-templates";
+
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const saved = await getTemplate(params.id, user.id);
+    if (!saved) {
+      return NextResponse.json(
+        { error: "Template not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      versions: await listTemplateVersions(saved.template.id),
+    });
+  } catch (error) {
+    console.error("List template versions error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
+
+export const POST = withAuth(async (request, { params, user }) => {
+  try {
+    const body = await request.json();
+
+    const saved = await getTemplate(params.id, user.id);
+    if (!saved) {
+      return NextResponse.json(
+        { error: "Template not found" },
+        { status: 404 }
+      );
+    }
+
+    let input = body?.graph;
+
+    if (body?.fromVersion !== undefined) {
+      const fromVersion = parseInt(body.fromVersion, 10);
+      if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+        return NextResponse.json(
+          { error: "INVALID_VERSION", message: "fromVersion must be a positive number" },
+          { status: 400 }
+        );
+      }
+
+      const source = await getTemplate(saved.template.id, user.id, fromVersion);
+      if (!source?.version) {
+        return NextResponse.json(
+          { error: "VERSION_NOT_FOUND", message: `Template has no version ${body.fromVersion}` },
+          { status: 404 }
+        );
+      }
+      input = source.version.graph;
+    }
+
+    const { graph, errors } = validateTemplateGraph(saved.template.canvas, input);
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { error: "INVALID_TEMPLATE", message: errors.join(". "), errors },
+        { status: 400 }
+      );
+    }
+
+    const { template, version, created } = await saveTemplateVersion(saved.template, graph);
+
+    console.log(`✅ Template "${template.name}" saved${created ? ` as version ${version.version}` : " (unchanged)"}`);
+
+    return NextResponse.json({
+      success: true,
+      created,
+      template: {
+        ...serializeTemplate(template, graph.nodes.length),
+        graph: version.graph,
+        graphVersion: version.version,
+      },
+    });
+  } catch (error) {
+    console.error("Save template version error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
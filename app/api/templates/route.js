@@ -0,0 +1,73 @@
+/**
+ * Sequence Templates API
+ *
+ * GET  /api/templates - The user's saved templates, most recently updated first
+ * POST /api/templates - Save a canvas as a new template ({ name, canvas, graph })
+ *
+ * canvas is the canvas the template was built in: "custom" for the sequence
+ * canvas or a built-in workflow template (see libs/sequence-templates.js).
+ */
+
+import { NextResponse } from "next/server";
+import { withAuth } from "@/libs/auth-middleware";
+import {
+  validateTemplateGraph,
+  cleanTemplateName,
+  listTemplates,
+  createTemplate,
+  serializeTemplate,
+} from "@/libs/sequence-templates";
+
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const templates = await listTemplates(user.id);
+
+    return NextResponse.json({
+      success: true,
+      templates: templates.map((template) => serializeTemplate(template, template.nodeCount)),
+    });
+  } catch (error) {
+    console.error("List templates error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
+
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const body = await request.json();
+
+    const name = cleanTemplateName(body?.name);
+    if (!name) {
+      return NextResponse.json(
+        { error: "INVALID_NAME", message: "Template name is required (100 characters max)" },
+        { status: 400 }
+      );
+    }
+
+    const { graph, errors } = validateTemplateGraph(body.canvas, body.graph);
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { error: "INVALID_TEMPLATE", message: errors.join(". "), errors },
+        { status: 400 }
+      );
+    }
+
+    const { template, version } = await createTemplate({ userId: user.id, name, canvas: body.canvas, graph });
+
+    console.log(`✅ Template "${name}" saved (${body.canvas})`);
+
+    return NextResponse.json({
+      success: true,
+      template: { ...serializeTemplate(template, graph.nodes.length), graph: version.graph },
+    });
+  } catch (error) {
+    console.error("Create template error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+});
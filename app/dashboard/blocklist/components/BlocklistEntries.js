@@ -0,0 +1,83 @@
+"use client";
+
+import { useState } from "react";
+import { Trash2 } from "lucide-react";
+import { BLOCKLIST_TYPES } from "@/libs/blocklist-rules";
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "-");
+
+export default function BlocklistEntries({ entries, loading, onDelete, deleting }) {
+  const [search, setSearch] = useState("");
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <span className="loading loading-spinner loading-md"></span>
+      </div>
+    );
+  }
+
+  const query = search.trim().toLowerCase();
+  const visible = query
+    ? entries.filter((entry) => `${entry.value} ${entry.reason || ""}`.toLowerCase().includes(query))
+    : entries;
+
+  return (
+    <div className="card bg-base-100 border border-base-300 mb-6">
+      <div className="card-body p-4">
+        <div className="flex items-center justify-between gap-4">
+          <h2 className="font-semibold text-base-content">
+            Do-not-contact list <span className="text-base-content/60 font-normal">({entries.length})</span>
+          </h2>
+          <input
+            type="search"
+            className="input input-bordered input-sm w-56"
+            placeholder="Search entries..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+        </div>
+
+        {visible.length === 0 ? (
+          <div className="text-sm text-base-content/60 py-8 text-center">
+            {entries.length === 0 ? "Nobody is on the list yet." : "No entries match this search."}
+          </div>
+        ) : (
+          <div className="overflow-x-auto max-h-96">
+            <table className="table table-sm">
+              <thead>
+                <tr>
+                  <th>Type</th>
+                  <th>Value</th>
+                  <th>Reason</th>
+                  <th>Added</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map((entry) => (
+                  <tr key={entry.id}>
+                    <td><span className="badge badge-sm badge-outline">{BLOCKLIST_TYPES[entry.type]?.label || entry.type}</span></td>
+                    <td className="max-w-sm truncate font-medium">{entry.value}</td>
+                    <td className="text-base-content/60">{entry.reason || "-"}</td>
+                    <td className="text-base-content/60">{formatDate(entry.createdAt)}</td>
+                    <td className="text-right">
+                      <button
+                        onClick={() => onDelete(entry.id)}
+                        className="btn btn-ghost btn-xs text-error"
+                        disabled={deleting}
+                        title="Remove from the list"
+                      >
+                        <Trash2 className="h-3 w-3" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { Upload, Plus, Loader2 } from "lucide-react";
+import { parseBlocklistText, BLOCKLIST_TYPES } from "@/libs/blocklist-rules";
+
+// Types a line without a LinkedIn URL can be added as
+const TEXT_TYPES = ["company", "name"];
+
+export default function BlocklistUpload({ onAdd, adding }) {
+  const [text, setText] = useState("");
+  const [type, setType] = useState("company");
+  const [reason, setReason] = useState("");
+
+  const parsed = useMemo(
+    () => (text.trim() ? parseBlocklistText(text, type, reason) : { entries: [], errors: [] }),
+    [text, type, reason]
+  );
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setText(await file.text());
+  };
+
+  const handleAdd = async () => {
+    try {
+      await onAdd(parsed.entries);
+      setText("");
+    } catch (error) {
+      // Toast shown by the mutation
+    }
+  };
+
+  return (
+    <div className="card bg-base-100 border border-base-300 mb-6">
+      <div className="card-body p-4">
+        <h2 className="font-semibold text-base-content">Add to the list</h2>
+        <p className="text-xs text-base-content/60">
+          One entry per line. LinkedIn profile URLs block that profile, other lines block a company or a name.
+          Use * as a wildcard (Acme* blocks Acme Inc). A CSV with type, value and reason columns also works.
+        </p>
+
+        <textarea
+          className="textarea textarea-bordered textarea-sm w-full font-mono"
+          rows={5}
+          placeholder={"https://www.linkedin.com/in/jane-doe\nAcme*\nGlobex Corporation"}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          disabled={adding}
+        />
+
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="form-control">
+            <label className="label py-0" htmlFor="blocklist-type">
+              <span className="label-text-alt">Other lines are</span>
+            </label>
+            <select
+              id="blocklist-type"
+              className="select select-bordered select-sm"
+              value={type}
+              onChange={(e) => setType(e.target.value)}
+              disabled={adding}
+            >
+              {TEXT_TYPES.map((value) => (
+                <option key={value} value={value}>{BLOCKLIST_TYPES[value].label}s</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-control flex-1 min-w-48">
+            <label className="label py-0" htmlFor="blocklist-reason">
+              <span className="label-text-alt">Reason (optional)</span>
+            </label>
+            <input
+              id="blocklist-reason"
+              type="text"
+              className="input input-bordered input-sm"
+              placeholder="Client, competitor, asked not to be contacted..."
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              disabled={adding}
+              maxLength={200}
+            />
+          </div>
+          <label className="btn btn-outline btn-sm gap-1">
+            <Upload className="h-3 w-3" />
+            Load file
+            <input type="file" accept=".csv,.txt,text/csv,text/plain" className="hidden" onChange={handleFile} disabled={adding} />
+          </label>
+          <button
+            onClick={handleAdd}
+            className="btn btn-primary btn-sm gap-1"
+            disabled={adding || parsed.entries.length === 0 || parsed.errors.length > 0}
+          >
+            {adding ? <Loader2 className="h-3 w-3 animate-spin" /> : <Plus className="h-3 w-3" />}
+            Add {parsed.entries.length || ""} entr{parsed.entries.length === 1 ? "y" : "ies"}
+          </button>
+        </div>
+
+        {parsed.errors.length > 0 && (
+          <div className="alert alert-warning text-xs mt-2">
+            <ul className="list-disc list-inside">
+              {parsed.errors.slice(0, 10).map((error) => (
+                <li key={error}>{error}</li>
+              ))}
+              {parsed.errors.length > 10 && <li>...and {parsed.errors.length - 10} more</li>}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
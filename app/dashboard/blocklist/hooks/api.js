@@ -0,0 +1,49 @@
+/**
+ * API functions for the do-not-contact list
+ * These functions will be used by React Query hooks
+ */
+
+export const blocklistApi = {
+  // Fetch the entries and the leads they block
+  fetchBlocklist: async () => {
+    const response = await fetch("/api/blocklist");
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || "Failed to fetch do-not-contact list");
+    }
+
+    return result;
+  },
+
+  // Add entries ([{ type, value, reason }])
+  addEntries: async (entries) => {
+    const response = await fetch("/api/blocklist", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ entries }),
+    });
+
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || result.error || "Failed to add entries");
+    }
+
+    return result;
+  },
+
+  // Remove an entry
+  deleteEntry: async (entryId) => {
+    const response = await fetch(`/api/blocklist/${entryId}`, { method: "DELETE" });
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || result.error || "Failed to remove entry");
+    }
+
+    return result;
+  },
+};
@@ -0,0 +1,6 @@
+// Export all hooks from a central location for cleaner imports
+export { useBlocklist } from './useBlocklist';
+
+// Export query keys and API functions for advanced usage
+export { blocklistKeys } from './queryKeys';
+export { blocklistApi } from './api';
@@ -0,0 +1,9 @@
+/**
+ * Query keys for React Query caching
+ * Organized in a hierarchical structure for better cache invalidation
+ */
+
+export const blocklistKeys = {
+  // Base key for all do-not-contact queries
+  all: ['blocklist'],
+};
@@ -0,0 +1,66 @@
+/**
+ * Do-Not-Contact List Hook
+ *
+ * React Query hook for the user's blocklist entries and the leads they block
+ */
+
+"use client";
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { blocklistKeys } from "./queryKeys";
+import { blocklistApi } from "./api";
+import { campaignKeys } from "../../campaigns/hooks/queryKeys";
+
+export function useBlocklist() {
+  const queryClient = useQueryClient();
+
+  const {
+    data,
+    isLoading: loading,
+    error,
+  } = useQuery({
+    queryKey: blocklistKeys.all,
+    queryFn: blocklistApi.fetchBlocklist,
+    staleTime: 1000 * 60, // 1 minute
+  });
+
+  // Lead flags change with the list
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: blocklistKeys.all });
+    queryClient.invalidateQueries({ queryKey: campaignKeys.all });
+  };
+
+  const addMutation = useMutation({
+    mutationFn: blocklistApi.addEntries,
+    onSuccess: (result) => {
+      refresh();
+      toast.success(`${result.added} entr${result.added === 1 ? "y" : "ies"} added${result.duplicates > 0 ? `, ${result.duplicates} already listed` : ""}`);
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to add entries");
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: blocklistApi.deleteEntry,
+    onSuccess: () => {
+      refresh();
+      toast.success("Entry removed");
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to remove entry");
+    },
+  });
+
+  return {
+    entries: data?.entries || [],
+    blockedLeads: data?.blockedLeads || [],
+    loading,
+    error,
+    addEntries: addMutation.mutateAsync,
+    adding: addMutation.isPending,
+    deleteEntry: deleteMutation.mutateAsync,
+    deleting: deleteMutation.isPending,
+  };
+}
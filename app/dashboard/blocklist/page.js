@@ -0,0 +1,129 @@
+/**
+ * Do-Not-Contact Page
+ *
+ * The user's blocklist of profiles, names and companies (clients, competitors,
+ * people who asked not to be contacted) and the campaign leads it blocks
+ */
+
+"use client";
+
+import { useState, useEffect } from "react";
+import { useSession } from "next-auth/react";
+import { useRouter } from "next/navigation";
+import Sidebar from "@/components/layout/Sidebar";
+import TopBar from "@/components/layout/TopBar";
+import BlocklistUpload from "./components/BlocklistUpload";
+import BlocklistEntries from "./components/BlocklistEntries";
+import { useBlocklist } from "./hooks";
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "-");
+
+export default function BlocklistPage() {
+  const { data: session, status } = useSession();
+  const router = useRouter();
+  const [sidebarCollapsed, setSidebarCollapsed] = useState(true);
+
+  const { entries, blockedLeads, loading, error, addEntries, adding, deleteEntry, deleting } = useBlocklist();
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (status === "loading") return;
+    if (!session) {
+      router.push("/");
+    }
+  }, [session, status, router]);
+
+  if (status === "loading") {
+    return (
+      <div className="min-h-screen bg-base-100 flex items-center justify-center">
+        <div className="loading loading-spinner loading-lg text-primary"></div>
+      </div>
+    );
+  }
+
+  if (!session) {
+    return null;
+  }
+
+  return (
+    <div className="h-screen bg-base-100 flex overflow-hidden">
+      {/* Sidebar */}
+      <Sidebar
+        collapsed={sidebarCollapsed}
+        onToggle={() => setSidebarCollapsed(!sidebarCollapsed)}
+        activeSection="blocklist"
+      />
+
+      {/* Main Content */}
+      <div className={`flex-1 transition-all duration-300 ${
+        sidebarCollapsed ? "ml-16" : "ml-64"
+      } flex flex-col h-full overflow-hidden`}>
+        {/* Top Bar */}
+        <div className="flex-shrink-0">
+          <TopBar title="Do Not Contact" />
+        </div>
+
+        {/* Content Area */}
+        <div className="flex-1 overflow-auto p-6">
+          <div className="mb-6">
+            <h1 className="text-2xl font-bold text-base-content">
+              Do Not Contact
+            </h1>
+            <p className="text-sm text-base-content/60 mt-1">
+              Leads matching this list stay in their campaigns, flagged, but are never invited or messaged.
+            </p>
+          </div>
+
+          {/* Error State */}
+          {error && (
+            <div className="alert alert-error mb-4">
+              <span>Failed to load the do-not-contact list: {error.message}</span>
+            </div>
+          )}
+
+          <BlocklistUpload onAdd={addEntries} adding={adding} />
+
+          <BlocklistEntries entries={entries} loading={loading} onDelete={deleteEntry} deleting={deleting} />
+
+          {/* Blocked leads */}
+          {blockedLeads.length > 0 && (
+            <div className="card bg-base-100 border border-base-300">
+              <div className="card-body p-4">
+                <h2 className="font-semibold text-base-content">
+                  Blocked leads <span className="text-base-content/60 font-normal">({blockedLeads.length}{blockedLeads.length >= 100 ? "+" : ""})</span>
+                </h2>
+                <div className="overflow-x-auto max-h-96">
+                  <table className="table table-sm">
+                    <thead>
+                      <tr>
+                        <th>Lead</th>
+                        <th>Campaign</th>
+                        <th>Reason</th>
+                        <th>Flagged</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {blockedLeads.map((lead) => (
+                        <tr key={lead.id}>
+                          <td className="max-w-xs truncate">
+                            <a href={lead.url} target="_blank" rel="noopener noreferrer" className="link link-hover">
+                              {lead.name || lead.url}
+                            </a>
+                            {lead.company && <div className="text-xs text-base-content/60">{lead.company}</div>}
+                          </td>
+                          <td>{lead.campaignName || "-"}</td>
+                          <td className="text-base-content/60">{lead.blockedReason}</td>
+                          <td className="text-base-content/60">{formatDate(lead.blockedAt)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+"use client";
+
+import { useState } from "react";
+import { X, Tags, Loader2 } from "lucide-react";
+import { useLeadFields } from "../hooks/useLeadFields";
+import CustomFieldRows, { parseTagList, customFieldsFromRows } from "./CustomFieldRows";
+
+// Add or remove tags and custom fields on every lead currently listed
+export default function BulkLeadFieldsModal({ leads, onClose, campaignId }) {
+  const { bulkEditLeadFields, bulkEditing } = useLeadFields(campaignId);
+
+  const [addTagText, setAddTagText] = useState("");
+  const [removeTagText, setRemoveTagText] = useState("");
+  const [rows, setRows] = useState([]);
+  const [removeFieldText, setRemoveFieldText] = useState("");
+  const [errors, setErrors] = useState([]);
+
+  const handleApply = async () => {
+    const { customFields, errors: fieldErrors } = customFieldsFromRows(rows);
+    setErrors(fieldErrors);
+    if (fieldErrors.length > 0) return;
+
+    const changes = {
+      addTags: parseTagList(addTagText),
+      removeTags: parseTagList(removeTagText),
+      setCustomFields: customFields,
+      removeCustomFields: parseTagList(removeFieldText),
+    };
+
+    try {
+      await bulkEditLeadFields({ leadIds: leads.map((lead) => lead.id), changes });
+      onClose();
+    } catch (error) {
+      // Toast shown by the mutation
+    }
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box w-11/12 max-w-2xl">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-bold text-base-content">
+            Edit {leads.length} lead{leads.length !== 1 ? "s" : ""}
+          </h3>
+          <button onClick={onClose} className="btn btn-sm btn-circle btn-ghost" disabled={bulkEditing}>
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        <p className="text-xs text-base-content/60 mb-4">
+          Applies to the leads listed with the current search and tag filter. Other tags and fields are kept.
+        </p>
+
+        <div className="grid grid-cols-2 gap-3 mb-4">
+          <div className="form-control">
+            <label className="label py-1" htmlFor="bulk-add-tags">
+              <span className="label-text">Add tags</span>
+            </label>
+            <input
+              id="bulk-add-tags"
+              type="text"
+              className="input input-bordered input-sm"
+              placeholder="vip, summit-2026"
+              value={addTagText}
+              onChange={(e) => setAddTagText(e.target.value)}
+              disabled={bulkEditing}
+            />
+          </div>
+          <div className="form-control">
+            <label className="label py-1" htmlFor="bulk-remove-tags">
+              <span className="label-text">Remove tags</span>
+            </label>
+            <input
+              id="bulk-remove-tags"
+              type="text"
+              className="input input-bordered input-sm"
+              placeholder="cold"
+              value={removeTagText}
+              onChange={(e) => setRemoveTagText(e.target.value)}
+              disabled={bulkEditing}
+            />
+          </div>
+        </div>
+
+        <div className="mb-4">
+          <div className="label-text mb-2">Set custom fields</div>
+          <CustomFieldRows rows={rows} onChange={setRows} disabled={bulkEditing} />
+        </div>
+
+        <div className="form-control">
+          <label className="label py-1" htmlFor="bulk-remove-fields">
+            <span className="label-text">Remove custom fields</span>
+            <span className="label-text-alt">Field names, separated by commas</span>
+          </label>
+          <input
+            id="bulk-remove-fields"
+            type="text"
+            className="input input-bordered input-sm"
+            placeholder="event_name"
+            value={removeFieldText}
+            onChange={(e) => setRemoveFieldText(e.target.value)}
+            disabled={bulkEditing}
+          />
+        </div>
+
+        {errors.length > 0 && (
+          <div className="alert alert-warning text-xs mt-4">
+            <ul className="list-disc list-inside">
+              {errors.map((error) => (
+                <li key={error}>{error}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="modal-action">
+          <button onClick={onClose} className="btn btn-ghost btn-sm" disabled={bulkEditing}>
+            Cancel
+          </button>
+          <button onClick={handleApply} className="btn btn-primary btn-sm gap-1" disabled={bulkEditing || leads.length === 0}>
+            {bulkEditing ? <Loader2 className="h-3 w-3 animate-spin" /> : <Tags className="h-3 w-3" />}
+            {bulkEditing ? "Applying..." : "Apply"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
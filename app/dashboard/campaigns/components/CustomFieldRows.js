@@ -0,0 +1,121 @@
+"use client";
+
+import { Plus, Trash2 } from "lucide-react";
+import {
+  CUSTOM_FIELD_TYPES,
+  MAX_CUSTOM_FIELDS,
+  customFieldKey,
+  customFieldType,
+  coerceCustomFieldValue,
+} from "@/libs/lead-fields";
+
+// Editor rows for stored custom fields
+export const rowsFromCustomFields = (customFields) =>
+  Object.entries(customFields || {}).map(([key, value]) => ({
+    name: key,
+    type: customFieldType(value),
+    value: String(value),
+  }));
+
+// Split "vip, summit-2026" into tags
+export const parseTagList = (text) =>
+  text.split(",").map((tag) => tag.trim()).filter(Boolean);
+
+/**
+ * Typed custom fields from editor rows (empty rows are ignored)
+ * Returns { customFields, errors }.
+ */
+export function customFieldsFromRows(rows) {
+  const errors = [];
+  const customFields = {};
+
+  rows.forEach((row) => {
+    if (!row.name.trim() && !String(row.value).trim()) return;
+
+    const key = customFieldKey(row.name);
+    if (!key) {
+      errors.push(`"${row.name}" is not a valid field name`);
+      return;
+    }
+    const { value, error } = coerceCustomFieldValue(row.type, row.value);
+    if (error) {
+      errors.push(`${key} ${error}`);
+      return;
+    }
+    customFields[key] = value;
+  });
+
+  return { customFields, errors };
+}
+
+export default function CustomFieldRows({ rows, onChange, disabled }) {
+  const updateRow = (index, field) => (e) =>
+    onChange(rows.map((row, i) => (i === index ? { ...row, [field]: e.target.value, ...(field === "type" ? { value: "" } : {}) } : row)));
+
+  const removeRow = (index) => onChange(rows.filter((_, i) => i !== index));
+
+  const addRow = () => onChange([...rows, { name: "", type: "text", value: "" }]);
+
+  return (
+    <div className="space-y-2">
+      {rows.map((row, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <input
+            type="text"
+            className="input input-bordered input-sm w-40"
+            placeholder="event_name"
+            value={row.name}
+            onChange={updateRow(index, "name")}
+            disabled={disabled}
+          />
+          <select
+            className="select select-bordered select-sm"
+            value={row.type}
+            onChange={updateRow(index, "type")}
+            disabled={disabled}
+          >
+            {Object.entries(CUSTOM_FIELD_TYPES).map(([type, { label }]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+          {row.type === "boolean" ? (
+            <select
+              className="select select-bordered select-sm flex-1"
+              value={row.value}
+              onChange={updateRow(index, "value")}
+              disabled={disabled}
+            >
+              <option value="">Choose...</option>
+              <option value="true">Yes</option>
+              <option value="false">No</option>
+            </select>
+          ) : (
+            <input
+              type={row.type === "number" ? "number" : row.type === "date" ? "date" : "text"}
+              className="input input-bordered input-sm flex-1"
+              value={row.value}
+              onChange={updateRow(index, "value")}
+              disabled={disabled}
+            />
+          )}
+          <button
+            onClick={() => removeRow(index)}
+            className="btn btn-ghost btn-xs text-error"
+            disabled={disabled}
+            title="Remove field"
+          >
+            <Trash2 className="h-3 w-3" />
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={addRow}
+        className="btn btn-ghost btn-xs gap-1"
+        disabled={disabled || rows.length >= MAX_CUSTOM_FIELDS}
+      >
+        <Plus className="h-3 w-3" />
+        Add field
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,280 @@
+"use client";
+
+import { useState } from "react";
+import { X, Upload, Download, Loader2, FileText } from "lucide-react";
+import { useLeadImport } from "../hooks/useLeadImport";
+import { toCsv } from "@/libs/csv";
+import { IMPORT_FIELDS, IMPORT_ENCODINGS, IMPORT_REPORT_COLUMNS } from "@/libs/lead-import";
+
+const STATUS_BADGES = {
+  imported: "badge-success",
+  blocked: "badge-neutral",
+  skipped: "badge-warning",
+  invalid: "badge-error",
+};
+
+const ENCODING_LABELS = {
+  auto: "Detect automatically",
+  "utf-8": "UTF-8",
+  "windows-1252": "Windows-1252 (Excel)",
+  "utf-16le": "UTF-16 LE",
+  "utf-16be": "UTF-16 BE",
+};
+
+// Report rows shown in the dialog; the downloaded report has all of them
+const REPORT_PREVIEW_ROWS = 100;
+
+export default function ImportLeadsModal({ open, onClose, campaignId }) {
+  const { analyzeCsv, analyzing, importCsv, importing } = useLeadImport(campaignId);
+
+  const [file, setFile] = useState(null);
+  const [encoding, setEncoding] = useState("auto");
+  const [analysis, setAnalysis] = useState(null);
+  const [mapping, setMapping] = useState([]);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  const reset = () => {
+    setFile(null);
+    setEncoding("auto");
+    setAnalysis(null);
+    setMapping([]);
+    setReport(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const analyze = async (selectedFile, selectedEncoding) => {
+    setError(null);
+    try {
+      const result = await analyzeCsv({ file: selectedFile, encoding: selectedEncoding });
+      setAnalysis(result);
+      setMapping(result.mapping);
+    } catch (err) {
+      setAnalysis(null);
+      setError(err.message);
+    }
+  };
+
+  const handleFileChange = (event) => {
+    const selectedFile = event.target.files?.[0];
+    event.target.value = "";
+    if (!selectedFile) return;
+
+    setFile(selectedFile);
+    analyze(selectedFile, encoding);
+  };
+
+  const handleEncodingChange = (value) => {
+    setEncoding(value);
+    if (file) analyze(file, value);
+  };
+
+  const handleImport = async () => {
+    setError(null);
+    try {
+      setReport(await importCsv({ file, encoding, mapping }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDownloadReport = () => {
+    const blob = new Blob([toCsv(report.rows, IMPORT_REPORT_COLUMNS)], { type: "text/csv;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${(file?.name || "leads").replace(/\.csv$/i, "")}-import-report.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (!open) return null;
+
+  const busy = analyzing || importing;
+  const hasUrlColumn = mapping.includes("url");
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box w-11/12 max-w-3xl">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-bold text-base-content">Import Leads from CSV</h3>
+          <button
+            onClick={handleClose}
+            className="btn btn-sm btn-circle btn-ghost"
+            disabled={busy}
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        {!report && (
+          <>
+            {/* File and encoding */}
+            <div className="flex flex-wrap items-end gap-3 mb-4">
+              <label className="btn btn-outline btn-sm gap-1">
+                <Upload className="h-3 w-3" />
+                {file ? "Choose another file" : "Choose CSV file"}
+                <input type="file" accept=".csv,.tsv,.txt,text/csv" className="hidden" onChange={handleFileChange} disabled={busy} />
+              </label>
+              <div className="form-control">
+                <label className="label py-0" htmlFor="import-encoding">
+                  <span className="label-text-alt">Encoding</span>
+                </label>
+                <select
+                  id="import-encoding"
+                  className="select select-bordered select-sm"
+                  value={encoding}
+                  onChange={(e) => handleEncodingChange(e.target.value)}
+                  disabled={busy}
+                >
+                  {IMPORT_ENCODINGS.map((value) => (
+                    <option key={value} value={value}>{ENCODING_LABELS[value]}</option>
+                  ))}
+                </select>
+              </div>
+              {analyzing && <Loader2 className="h-4 w-4 animate-spin text-primary mb-2" />}
+            </div>
+
+            {error && (
+              <div className="alert alert-error text-sm mb-4">
+                <span>{error}</span>
+              </div>
+            )}
+
+            {/* Column mapping */}
+            {analysis && (
+              <>
+                <div className="flex items-center gap-2 text-sm text-base-content/70 mb-2">
+                  <FileText className="h-4 w-4" />
+                  {analysis.file.name}: {analysis.file.rows} row{analysis.file.rows !== 1 ? "s" : ""}, {analysis.file.encoding}
+                </div>
+                <div className="overflow-x-auto max-h-80 mb-4">
+                  <table className="table table-xs">
+                    <thead>
+                      <tr>
+                        <th>Column</th>
+                        <th>Sample values</th>
+                        <th>Import as</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {analysis.headers.map((header, index) => (
+                        <tr key={index}>
+                          <td className="font-medium">{header || `Column ${index + 1}`}</td>
+                          <td className="max-w-xs truncate text-base-content/60">
+                            {analysis.sample.map((row) => row[index]).filter(Boolean).slice(0, 3).join(", ")}
+                          </td>
+                          <td>
+                            <select
+                              className="select select-bordered select-xs"
+                              value={mapping[index] || ""}
+                              onChange={(e) => setMapping((current) =>
+                                current.map((field, column) => column === index ? (e.target.value || null) : field)
+                              )}
+                              disabled={busy}
+                            >
+                              <option value="">Ignore</option>
+                              {Object.entries(IMPORT_FIELDS).map(([field, { label }]) => (
+                                <option key={field} value={field}>{label}</option>
+                              ))}
+                            </select>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <p className="text-xs text-base-content/60 mb-4">
+                  Tags can be separated by commas, semicolons or |. Custom fields are saved under the column name.
+                  Leads already in one of your campaigns are skipped, leads on your do-not-contact list are flagged.
+                </p>
+              </>
+            )}
+
+            <div className="modal-action">
+              <button onClick={handleClose} className="btn btn-ghost btn-sm" disabled={busy}>
+                Cancel
+              </button>
+              <button
+                onClick={handleImport}
+                className="btn btn-primary btn-sm gap-1"
+                disabled={!analysis || !hasUrlColumn || busy}
+                title={analysis && !hasUrlColumn ? "Map a column to LinkedIn URL" : undefined}
+              >
+                {importing ? <Loader2 className="h-3 w-3 animate-spin" /> : <Upload className="h-3 w-3" />}
+                {importing ? "Importing..." : `Import ${analysis?.file.rows || ""} rows`}
+              </button>
+            </div>
+          </>
+        )}
+
+        {/* Import report */}
+        {report && (
+          <>
+            <div className="stats stats-horizontal shadow-sm w-full mb-4">
+              <div className="stat py-2">
+                <div className="stat-title">Imported</div>
+                <div className="stat-value text-success text-2xl">{report.summary.imported}</div>
+                {report.summary.blocked > 0 && (
+                  <div className="stat-desc">{report.summary.blocked} flagged do not contact</div>
+                )}
+              </div>
+              <div className="stat py-2">
+                <div className="stat-title">Skipped</div>
+                <div className="stat-value text-warning text-2xl">{report.summary.skipped}</div>
+              </div>
+              <div className="stat py-2">
+                <div className="stat-title">Invalid</div>
+                <div className="stat-value text-error text-2xl">{report.summary.invalid}</div>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto max-h-80 mb-2">
+              <table className="table table-xs">
+                <thead>
+                  <tr>
+                    <th>Line</th>
+                    <th>Status</th>
+                    <th>URL</th>
+                    <th>Reason</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.rows.slice(0, REPORT_PREVIEW_ROWS).map((row) => (
+                    <tr key={row.row}>
+                      <td>{row.row}</td>
+                      <td><span className={`badge badge-sm ${STATUS_BADGES[row.status]}`}>{row.status}</span></td>
+                      <td className="max-w-xs truncate">{row.name || row.url}</td>
+                      <td className="text-base-content/60">{row.reason}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {report.rows.length > REPORT_PREVIEW_ROWS && (
+              <p className="text-xs text-base-content/60">
+                Showing the first {REPORT_PREVIEW_ROWS} of {report.rows.length} rows, download the report for all of them.
+              </p>
+            )}
+
+            <div className="modal-action">
+              <button onClick={handleDownloadReport} className="btn btn-outline btn-sm gap-1">
+                <Download className="h-3 w-3" />
+                Download report
+              </button>
+              <button onClick={handleClose} className="btn btn-primary btn-sm">
+                Done
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+"use client";
+
+import { useState } from "react";
+import { X, Save, Loader2 } from "lucide-react";
+import { useLeadFields } from "../hooks/useLeadFields";
+import CustomFieldRows, { rowsFromCustomFields, parseTagList, customFieldsFromRows } from "./CustomFieldRows";
+
+// Tags and custom fields of one lead; rendered only while a lead is being edited
+export default function LeadFieldsModal({ lead, onClose, campaignId }) {
+  const { saveLeadFields, saving } = useLeadFields(campaignId);
+
+  const [tagText, setTagText] = useState((lead.tags || []).join(", "));
+  const [rows, setRows] = useState(() => rowsFromCustomFields(lead.customFields));
+  const [errors, setErrors] = useState([]);
+
+  const handleSave = async () => {
+    const { customFields, errors: fieldErrors } = customFieldsFromRows(rows);
+    setErrors(fieldErrors);
+    if (fieldErrors.length > 0) return;
+
+    try {
+      await saveLeadFields({ leadId: lead.id, tags: parseTagList(tagText), customFields });
+      onClose();
+    } catch (error) {
+      // Toast shown by the mutation
+    }
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box w-11/12 max-w-2xl">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-bold text-base-content truncate">
+            Tags and fields: {lead.name || lead.url}
+          </h3>
+          <button onClick={onClose} className="btn btn-sm btn-circle btn-ghost" disabled={saving}>
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        <div className="form-control mb-4">
+          <label className="label py-1" htmlFor="lead-tags">
+            <span className="label-text">Tags</span>
+            <span className="label-text-alt">Separated by commas</span>
+          </label>
+          <input
+            id="lead-tags"
+            type="text"
+            className="input input-bordered input-sm"
+            placeholder="vip, summit-2026"
+            value={tagText}
+            onChange={(e) => setTagText(e.target.value)}
+            disabled={saving}
+          />
+        </div>
+
+        <div className="mb-2">
+          <div className="label-text mb-1">Custom fields</div>
+          <p className="text-xs text-base-content/60 mb-2">
+            Use them in messages as {"{{custom.field_name}}"}, e.g. {"{{custom.event_name}}"}.
+          </p>
+          <CustomFieldRows rows={rows} onChange={setRows} disabled={saving} />
+        </div>
+
+        {errors.length > 0 && (
+          <div className="alert alert-warning text-xs mt-2">
+            <ul className="list-disc list-inside">
+              {errors.map((error) => (
+                <li key={error}>{error}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="modal-action">
+          <button onClick={onClose} className="btn btn-ghost btn-sm" disabled={saving}>
+            Cancel
+          </button>
+          <button onClick={handleSave} className="btn btn-primary btn-sm gap-1" disabled={saving}>
+            {saving ? <Loader2 className="h-3 w-3 animate-spin" /> : <Save className="h-3 w-3" />}
+            {saving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -20,6 +20,11 @@ import {
   Trash2,
   MessageSquare,
   UserCheck,
+  Ban,
+  Tag,
+  Tags,
+  Download,
+  Compass,
 } from "lucide-react";
 import {
   DndContext,
@@ -41,6 +46,14 @@ import {
 import { CSS } from '@dnd-kit/utilities';
 import { useLeads } from "../hooks/useLeads";
 import { useScraping } from "../hooks/useScraping";
+import { campaignApi } from "../hooks/api";
+import ImportLeadsModal from "./ImportLeadsModal";
+import LeadFieldsModal from "./LeadFieldsModal";
+import BulkLeadFieldsModal from "./BulkLeadFieldsModal";
+import SalesNavImportModal from "./SalesNavImportModal";
+
+// Tags shown on a lead card, the rest are counted
+const CARD_TAGS = 3;
 
 // Sortable Lead Item Component
 function SortableLeadItem({ lead, isSelected, onSelect, getDisplayName, getStatusIcon, getStatusColor, scrapingProgress }) {
@@ -137,12 +150,28 @@ function SortableLeadItem({ lead, isSelected, onSelect, getDisplayName, getStatu
                   }
                 />
               )}
+
+              {/* Do-not-contact flag */}
+              {lead.blockedReason && (
+                <span className="badge badge-neutral badge-xs gap-1 flex-shrink-0" title={lead.blockedReason}>
+                  <Ban className="h-2 w-2" />
+                  Blocked
+                </span>
+              )}
               
               {/* Message Sent Indicator */}
               {lead.messageSent && (
                 <div 
                   className="w-2 h-2 rounded-full bg-blue-500"
-                  title={`Message Sent ${lead.messageSentAt ? new Date(lead.messageSentAt).toLocaleDateString() : ''}`}
+                  title={`Message Sent ${lead.messageSentAt ? new Date(lead.messageSentAt).toLocaleDateString() : ''}${lead.followUpsSent > 0 ? ` + ${lead.followUpsSent} follow-up${lead.followUpsSent > 1 ? 's' : ''}` : ''}${lead.repliedAt ? ' - Replied' : ''}`}
+                />
+              )}
+              
+              {/* Endorsed Skills Indicator */}
+              {lead.endorsedSkills?.length > 0 && (
+                <div 
+                  className="w-2 h-2 rounded-full bg-purple-500"
+                  title={`Endorsed: ${lead.endorsedSkills.join(', ')}${lead.endorsedAt ? ` (${new Date(lead.endorsedAt).toLocaleDateString()})` : ''}`}
                 />
               )}
               
@@ -165,6 +194,19 @@ function SortableLeadItem({ lead, isSelected, onSelect, getDisplayName, getStatu
               </div>
             )}
 
+            {lead.tags?.length > 0 && (
+              <div className="flex flex-wrap gap-1 mb-1">
+                {lead.tags.slice(0, CARD_TAGS).map((tag) => (
+                  <span key={tag} className="badge badge-outline badge-xs">{tag}</span>
+                ))}
+                {lead.tags.length > CARD_TAGS && (
+                  <span className="badge badge-ghost badge-xs" title={lead.tags.slice(CARD_TAGS).join(", ")}>
+                    +{lead.tags.length - CARD_TAGS}
+                  </span>
+                )}
+              </div>
+            )}
+
             <p className="text-xs text-base-content/40 truncate mt-1">
               {lead.url}
             </p>
@@ -219,6 +261,11 @@ const LeadsColumn = memo(function LeadsColumn({
   const [searchQuery, setSearchQuery] = useState("");
   const [showClearErrorDialog, setShowClearErrorDialog] = useState(false);
   const [isClearingErrors, setIsClearingErrors] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [tagFilter, setTagFilter] = useState("");
+  const [editingLead, setEditingLead] = useState(null);
+  const [showBulkEdit, setShowBulkEdit] = useState(false);
+  const [showSalesNavImport, setShowSalesNavImport] = useState(false);
 
   // Drag and drop sensors
   const sensors = useSensors(
@@ -262,57 +309,6 @@ const LeadsColumn = memo(function LeadsColumn({
     return "LinkedIn Profile";
   };
 
-  const handleImportCSV = () => {
-    const input = document.createElement("input");
-    input.type = "file";
-    input.accept = ".csv";
-    input.onchange = (e) => {
-      const file = e.target.files?.[0];
-      if (file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          try {
-            const csv = e.target?.result;
-            const lines = csv.split("\n").filter((line) => line.trim());
-
-            if (lines.length === 0) {
-              toast.error("CSV file is empty");
-              return;
-            }
-
-            const urls = [];
-            lines.forEach((line) => {
-              const trimmedLine = line.trim();
-              if (!trimmedLine) return;
-
-              if (trimmedLine.includes("linkedin.com") && !trimmedLine.includes(",")) {
-                urls.push(trimmedLine);
-              } else {
-                const columns = trimmedLine.split(",").map((col) => col.trim().replace(/"/g, ""));
-                const url = columns[0];
-                if (url && url.includes("linkedin.com")) {
-                  urls.push(url);
-                }
-              }
-            });
-
-            if (urls.length === 0) {
-              toast.error("No valid LinkedIn URLs found in CSV");
-              return;
-            }
-
-            handleAddUrls(urls);
-          } catch (error) {
-            console.error("CSV import error:", error);
-            toast.error("Failed to parse CSV file");
-          }
-        };
-        reader.readAsText(file);
-      }
-    };
-    input.click();
-  };
-
   const handleAddUrls = async (urls = null) => {
     const urlsToAdd = urls || newUrls.split("\n").filter((url) => url.trim() && url.includes("linkedin.com"));
 
@@ -403,12 +399,15 @@ const LeadsColumn = memo(function LeadsColumn({
     }
   };
 
+  const allTags = Array.from(new Set(leads.flatMap((lead) => lead.tags || []))).sort();
+
   const filteredLeads = leads.filter(
     (lead) =>
-      !searchQuery ||
+      (!tagFilter || lead.tags?.includes(tagFilter)) &&
+      (!searchQuery ||
       lead.url.toLowerCase().includes(searchQuery.toLowerCase()) ||
       lead.name?.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      lead.company?.toLowerCase().includes(searchQuery.toLowerCase())
+      lead.company?.toLowerCase().includes(searchQuery.toLowerCase()))
   );
 
   const errorLeadsCount = leads.filter(lead => lead.status === 'error').length;
@@ -495,6 +494,20 @@ const LeadsColumn = memo(function LeadsColumn({
           />
         </div>
 
+        {/* Tag Filter */}
+        {allTags.length > 0 && (
+          <select
+            className="select select-bordered select-sm w-full mb-2"
+            value={tagFilter}
+            onChange={(e) => setTagFilter(e.target.value)}
+          >
+            <option value="">All tags</option>
+            {allTags.map((tag) => (
+              <option key={tag} value={tag}>{tag}</option>
+            ))}
+          </select>
+        )}
+
         {/* Action Buttons */}
         <div className="grid grid-cols-2 gap-2 mb-2">
           <button
@@ -542,12 +555,64 @@ const LeadsColumn = memo(function LeadsColumn({
             Add URLs
           </button>
           <button
-            onClick={handleImportCSV}
+            onClick={() => setShowImportModal(true)}
             className="btn btn-outline btn-sm gap-1"
           >
             <Upload className="h-3 w-3" />
             Import CSV
           </button>
+          <button
+            onClick={() => setShowSalesNavImport(true)}
+            className="btn btn-outline btn-sm gap-1 col-span-2"
+            title="Import the results of a Sales Navigator lead search"
+          >
+            <Compass className="h-3 w-3" />
+            Import from Sales Navigator
+          </button>
+        </div>
+
+        {/* Tags and Custom Fields */}
+        <div className="grid grid-cols-2 gap-2 mb-2">
+          <button
+            onClick={() => setEditingLead(selectedLead)}
+            disabled={!selectedLead}
+            className="btn btn-outline btn-sm gap-1"
+            title="Edit the tags and custom fields of the selected lead"
+          >
+            <Tag className="h-3 w-3" />
+            Edit Fields
+          </button>
+          <button
+            onClick={() => setShowBulkEdit(true)}
+            disabled={filteredLeads.length === 0}
+            className="btn btn-outline btn-sm gap-1"
+            title="Edit the tags and custom fields of all listed leads"
+          >
+            <Tags className="h-3 w-3" />
+            Bulk Edit ({filteredLeads.length})
+          </button>
+        </div>
+
+        {/* Export (follows the tag filter) */}
+        <div className="grid grid-cols-2 gap-2 mb-2">
+          <a
+            href={campaignApi.getLeadExportUrl(campaignId, "csv", { tag: tagFilter })}
+            className={`btn btn-outline btn-sm gap-1 ${leads.length === 0 ? "btn-disabled" : ""}`}
+            title={tagFilter ? `Export the leads tagged "${tagFilter}"` : "Export all leads"}
+            download
+          >
+            <Download className="h-3 w-3" />
+            Export CSV
+          </a>
+          <a
+            href={campaignApi.getLeadExportUrl(campaignId, "jsonl", { tag: tagFilter })}
+            className={`btn btn-outline btn-sm gap-1 ${leads.length === 0 ? "btn-disabled" : ""}`}
+            title={tagFilter ? `Export the leads tagged "${tagFilter}"` : "Export all leads"}
+            download
+          >
+            <Download className="h-3 w-3" />
+            JSON Lines
+          </a>
         </div>
 
         {/* Clear Error Leads Button */}
@@ -671,6 +736,35 @@ const LeadsColumn = memo(function LeadsColumn({
         </div>
       )}
 
+      <ImportLeadsModal
+        open={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        campaignId={campaignId}
+      />
+
+      {editingLead && (
+        <LeadFieldsModal
+          lead={editingLead}
+          onClose={() => setEditingLead(null)}
+          campaignId={campaignId}
+        />
+      )}
+
+      {showBulkEdit && (
+        <BulkLeadFieldsModal
+          leads={filteredLeads}
+          onClose={() => setShowBulkEdit(false)}
+          campaignId={campaignId}
+        />
+      )}
+
+      {showSalesNavImport && (
+        <SalesNavImportModal
+          onClose={() => setShowSalesNavImport(false)}
+          campaignId={campaignId}
+        />
+      )}
+
     </div>
   );
 });
@@ -0,0 +1,251 @@
+"use client";
+
+import { useState } from "react";
+import { X, Compass, Loader2, Play, Square } from "lucide-react";
+import { useSalesNavImport } from "../hooks/useSalesNavImport";
+import {
+  MAX_SALES_NAV_IMPORT,
+  DEFAULT_SALES_NAV_IMPORT,
+  parseSalesNavSearchUrl,
+  salesNavPagesFor,
+} from "@/libs/sales-nav-search";
+
+const STATUS_BADGES = {
+  completed: "badge-success",
+  failed: "badge-error",
+  cancelled: "badge-ghost",
+  paused: "badge-warning",
+  processing: "badge-info",
+  waiting: "badge-info",
+  queued: "badge-outline",
+  interrupted: "badge-warning",
+};
+
+const STAGE_LABELS = {
+  starting: "Opening Sales Navigator...",
+  reading_page: "Reading result page",
+  page_imported: "Page imported",
+  quota_reached: "Daily limit reached",
+};
+
+// Paste a Sales Navigator lead search; the import runs in the background and reports progress here
+export default function SalesNavImportModal({ onClose, campaignId }) {
+  const {
+    accounts,
+    latestImport,
+    isRunning,
+    progress,
+    loading,
+    startImport,
+    starting,
+    resumeImport,
+    cancelImport,
+    controlling,
+  } = useSalesNavImport(campaignId);
+
+  const [searchUrl, setSearchUrl] = useState("");
+  const [maxLeads, setMaxLeads] = useState(DEFAULT_SALES_NAV_IMPORT);
+  const [accountId, setAccountId] = useState("");
+  const [error, setError] = useState(null);
+
+  const salesNavAccounts = accounts.filter((account) => account.salesNavActive);
+  const selectedAccount = salesNavAccounts.find((account) => account.id === accountId)
+    || salesNavAccounts.find((account) => account.inCampaign)
+    || salesNavAccounts[0];
+
+  const handleStart = async () => {
+    const { error: urlError } = parseSalesNavSearchUrl(searchUrl);
+    const count = Number(maxLeads);
+    if (urlError) {
+      setError(urlError);
+      return;
+    }
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SALES_NAV_IMPORT) {
+      setError(`Import between 1 and ${MAX_SALES_NAV_IMPORT} leads`);
+      return;
+    }
+    setError(null);
+
+    try {
+      await startImport({ searchUrl, maxLeads: count, accountId: selectedAccount?.id || null });
+    } catch (startError) {
+      // Toast shown by the mutation
+    }
+  };
+
+  // Live values from the stream, saved values otherwise
+  const current = progress || latestImport;
+  const status = progress?.status || latestImport?.status;
+  const importTotal = current?.totalLeads || latestImport?.options?.maxLeads || 0;
+  const imported = current?.processedLeads || 0;
+  const results = current?.results || latestImport?.results || null;
+  const isPaused = status === "paused";
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box w-11/12 max-w-2xl">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-bold text-base-content">Import from Sales Navigator</h3>
+          <button onClick={onClose} className="btn btn-sm btn-circle btn-ghost">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-primary" />
+          </div>
+        ) : (
+          <>
+            {/* Latest import */}
+            {latestImport && (
+              <div className="border border-base-300 rounded-lg p-3 mb-4">
+                <div className="flex items-center justify-between mb-2">
+                  <div className="flex items-center gap-2 text-sm">
+                    <span className={`badge badge-sm ${STATUS_BADGES[status] || "badge-ghost"}`}>{status}</span>
+                    {isRunning && !isPaused && progress?.stage && (
+                      <span className="text-base-content/60">
+                        {STAGE_LABELS[progress.stage] || progress.stage}
+                        {progress.page ? ` ${progress.page}` : ""}
+                      </span>
+                    )}
+                  </div>
+                  <span className="text-sm font-medium">
+                    {imported}/{importTotal} leads
+                  </span>
+                </div>
+
+                <progress
+                  className={`progress w-full ${status === "failed" ? "progress-error" : "progress-primary"}`}
+                  value={status === "completed" ? 100 : current?.progress || 0}
+                  max="100"
+                />
+
+                {results && (
+                  <p className="text-xs text-base-content/60 mt-2">
+                    {results.message || `${results.pagesRead || 0} page(s) read, ${results.duplicates || 0} already known, ${results.blocked || 0} on the do-not-contact list`}
+                  </p>
+                )}
+                {(progress?.errorMessage || latestImport.errorMessage) && status === "failed" && (
+                  <p className="text-xs text-error mt-2">{progress?.errorMessage || latestImport.errorMessage}</p>
+                )}
+
+                {isRunning && (
+                  <div className="flex justify-end gap-2 mt-3">
+                    {isPaused && (
+                      <button
+                        onClick={() => resumeImport(latestImport.id).catch(() => {})}
+                        className="btn btn-primary btn-xs gap-1"
+                        disabled={controlling}
+                      >
+                        <Play className="h-3 w-3" />
+                        Resume
+                      </button>
+                    )}
+                    <button
+                      onClick={() => cancelImport(latestImport.id).catch(() => {})}
+                      className="btn btn-ghost btn-xs gap-1"
+                      disabled={controlling}
+                    >
+                      <Square className="h-3 w-3" />
+                      Cancel import
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {salesNavAccounts.length === 0 ? (
+              <div className="alert alert-warning text-sm">
+                None of your LinkedIn accounts has Sales Navigator. Connect an account with a Sales Navigator seat first.
+              </div>
+            ) : (
+              <>
+                <div className="form-control mb-3">
+                  <label className="label py-1" htmlFor="sales-nav-url">
+                    <span className="label-text">Lead search URL</span>
+                  </label>
+                  <input
+                    id="sales-nav-url"
+                    type="url"
+                    className="input input-bordered input-sm"
+                    placeholder="https://www.linkedin.com/sales/search/people?query=..."
+                    value={searchUrl}
+                    onChange={(e) => setSearchUrl(e.target.value)}
+                    disabled={isRunning || starting}
+                  />
+                  <span className="text-xs text-base-content/60 mt-1">
+                    Run the search in Sales Navigator and copy the URL from the address bar.
+                  </span>
+                </div>
+
+                <div className="grid grid-cols-2 gap-3 mb-3">
+                  <div className="form-control">
+                    <label className="label py-1" htmlFor="sales-nav-max">
+                      <span className="label-text">Leads to import</span>
+                    </label>
+                    <input
+                      id="sales-nav-max"
+                      type="number"
+                      min="1"
+                      max={MAX_SALES_NAV_IMPORT}
+                      className="input input-bordered input-sm"
+                      value={maxLeads}
+                      onChange={(e) => setMaxLeads(e.target.value)}
+                      disabled={isRunning || starting}
+                    />
+                  </div>
+                  <div className="form-control">
+                    <label className="label py-1" htmlFor="sales-nav-account">
+                      <span className="label-text">Account</span>
+                    </label>
+                    <select
+                      id="sales-nav-account"
+                      className="select select-bordered select-sm"
+                      value={selectedAccount?.id || ""}
+                      onChange={(e) => setAccountId(e.target.value)}
+                      disabled={isRunning || starting}
+                    >
+                      {salesNavAccounts.map((account) => (
+                        <option key={account.id} value={account.id}>
+                          {account.name || account.email}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                {selectedAccount && (
+                  <p className="text-xs text-base-content/60">
+                    Needs about {salesNavPagesFor(Number(maxLeads) || 0)} result page(s).{" "}
+                    {selectedAccount.pageQuota.remaining}/{selectedAccount.pageQuota.limit} pages left today on this account.
+                    Each new lead also takes one profile view to get its public profile URL
+                    ({selectedAccount.viewQuota.remaining}/{selectedAccount.viewQuota.limit} left today);
+                    the import pauses when either runs out and can be resumed the next day.
+                  </p>
+                )}
+
+                {error && <div className="alert alert-warning text-xs mt-3">{error}</div>}
+              </>
+            )}
+          </>
+        )}
+
+        <div className="modal-action">
+          <button onClick={onClose} className="btn btn-ghost btn-sm">
+            Close
+          </button>
+          <button
+            onClick={handleStart}
+            className="btn btn-primary btn-sm gap-1"
+            disabled={loading || isRunning || starting || salesNavAccounts.length === 0 || !searchUrl.trim()}
+          >
+            {starting ? <Loader2 className="h-3 w-3 animate-spin" /> : <Compass className="h-3 w-3" />}
+            {starting ? "Starting..." : "Start Import"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -70,6 +70,15 @@ export const campaignApi = {
     return result;
   },
 
+  // Download URL of a campaign's leads (format: csv or jsonl; filters: { tag, status, inviteStatus })
+  getLeadExportUrl: (campaignId, format = "csv", filters = {}) => {
+    const query = new URLSearchParams({ format });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) query.append(key, value);
+    });
+    return `/api/campaigns/${campaignId}/leads/export?${query}`;
+  },
+
   // Fetch leads for a campaign
   fetchCampaignLeads: async (campaignId) => {
     const response = await fetch(`/api/campaigns/${campaignId}/leads`);
@@ -81,6 +90,168 @@ export const campaignApi = {
 
     return result.leads;
   },
+
+  // Fetch campaign settings (timezone, working hours, daily caps)
+  fetchCampaignSettings: async (campaignId) => {
+    const response = await fetch(`/api/campaigns/${campaignId}/settings`);
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || result.error || "Failed to fetch campaign settings");
+    }
+
+    return result.settings;
+  },
+
+  // Update campaign settings
+  updateCampaignSettings: async ({ campaignId, settings }) => {
+    const response = await fetch(`/api/campaigns/${campaignId}/settings`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(settings),
+    });
+
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || result.error || "Failed to update campaign settings");
+    }
+
+    return result.settings;
+  },
+
+  // Fetch connection note A/B test results (sent/accepted per variant)
+  fetchNoteVariantStats: async (campaignId) => {
+    const response = await fetch(`/api/campaigns/${campaignId}/note-variants`);
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || result.error || "Failed to fetch note variant results");
+    }
+
+    return result;
+  },
+
+  // Fetch the user's LinkedIn accounts, flagged if they are in the campaign pool
+  fetchCampaignAccounts: async (campaignId) => {
+    const response = await fetch(`/api/campaigns/${campaignId}/accounts`);
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || result.error || "Failed to fetch campaign accounts");
+    }
+
+    return result.accounts;
+  },
+
+  // Replace the campaign account pool
+  updateCampaignAccounts: async ({ campaignId, accountIds }) => {
+    const response = await fetch(`/api/campaigns/${campaignId}/accounts`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ accountIds }),
+    });
+
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || result.error || "Failed to update campaign accounts");
+    }
+
+    return result.accountIds;
+  },
+
+  // Fetch the campaign sequence (graph and enrollment summary), null if never saved
+  fetchCampaignSequence: async (campaignId) => {
+    const response = await fetch(`/api/campaigns/${campaignId}/sequence`);
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || result.error || "Failed to fetch sequence");
+    }
+
+    return result.sequence;
+  },
+
+  // Save the canvas graph as the campaign sequence
+  saveCampaignSequence: async ({ campaignId, graph }) => {
+    const response = await fetch(`/api/campaigns/${campaignId}/sequence`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ graph }),
+    });
+
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || result.error || "Failed to save sequence");
+    }
+
+    return result.sequence;
+  },
+
+  // Pause or resume the campaign sequence
+  updateSequenceStatus: async ({ campaignId, status }) => {
+    const response = await fetch(`/api/campaigns/${campaignId}/sequence`, {
+      method: "PATCH",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ status }),
+    });
+
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || result.error || "Failed to update sequence");
+    }
+
+    return result.sequence;
+  },
+
+  // Enroll campaign leads in the sequence (all leads if leadIds is omitted)
+  enrollSequenceLeads: async ({ campaignId, leadIds }) => {
+    const response = await fetch(`/api/campaigns/${campaignId}/sequence/enroll`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ leadIds }),
+    });
+
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || result.error || "Failed to start sequence");
+    }
+
+    return result;
+  },
+
+  // Forecast the saved sequence day by day (nothing is sent)
+  simulateSequence: async ({ campaignId, audienceSize, acceptanceRate }) => {
+    const response = await fetch(`/api/campaigns/${campaignId}/sequence/simulate`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ audienceSize, acceptanceRate }),
+    });
+
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || result.error || "Failed to simulate sequence");
+    }
+
+    return result;
+  },
 };
 
 // Lead API functions
@@ -104,6 +275,73 @@ export const leadApi = {
     return result.leads;
   },
 
+  // Upload a CSV: without a mapping returns its columns and a suggested mapping,
+  // with one imports the rows and returns the per-row report
+  importLeadsCsv: async ({ campaignId, file, encoding = "auto", mapping = null }) => {
+    const formData = new FormData();
+    formData.append("file", file);
+    formData.append("encoding", encoding);
+    if (mapping) {
+      formData.append("mapping", JSON.stringify(mapping));
+    }
+
+    const response = await fetch(`/api/campaigns/${campaignId}/leads/import`, {
+      method: "POST",
+      body: formData,
+    });
+
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || result.error || "Failed to import CSV");
+    }
+
+    return result;
+  },
+
+  // Sales Navigator import: accounts with their page quota and the latest import
+  fetchSalesNavImport: async (campaignId) => {
+    const response = await fetch(`/api/campaigns/${campaignId}/leads/sales-nav`);
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || result.error || "Failed to load Sales Navigator import");
+    }
+
+    return result;
+  },
+
+  // Queue a Sales Navigator import; progress is streamed on /api/jobs/[jobId]/stream
+  startSalesNavImport: async ({ campaignId, searchUrl, maxLeads, accountId = null }) => {
+    const response = await fetch(`/api/campaigns/${campaignId}/leads/sales-nav`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ searchUrl, maxLeads, accountId }),
+    });
+
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || result.error || "Failed to start Sales Navigator import");
+    }
+
+    return result;
+  },
+
+  // Resume or cancel an import job (same job routes as invite workflows)
+  controlSalesNavImport: async ({ jobId, action }) => {
+    const response = await fetch(`/api/jobs/${jobId}/${action}`, { method: "POST" });
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || result.error || `Failed to ${action} import`);
+    }
+
+    return result;
+  },
+
   // Update a lead
   updateLead: async ({ leadId, updateData }) => {
     const response = await fetch(`/api/leads/${leadId}`, {
@@ -121,6 +359,42 @@ export const leadApi = {
     return response.json();
   },
 
+  // Replace the tags and custom fields of a lead
+  updateLeadFields: async ({ leadId, tags, customFields }) => {
+    const response = await fetch(`/api/leads/${leadId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ tags, customFields }),
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || "Failed to save lead fields");
+    }
+
+    return result.lead;
+  },
+
+  // Add or remove tags and custom fields on many leads
+  bulkEditLeadFields: async ({ leadIds, changes }) => {
+    const response = await fetch('/api/leads/bulk-fields', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ leadIds, ...changes }),
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || "Failed to update leads");
+    }
+
+    return result;
+  },
+
   // Fetch posts for a lead
   fetchLeadPosts: async (leadId) => {
     const response = await fetch(`/api/leads/${leadId}/posts`);
@@ -4,6 +4,12 @@ export { useLeads } from './useLeads';
 export { useScraping } from './useScraping';
 export { usePosts } from './usePosts';
 export { useMessages } from './useMessages';
+export { useCampaignSettings } from './useCampaignSettings';
+export { useCampaignAccounts } from './useCampaignAccounts';
+export { useCampaignSequence } from './useCampaignSequence';
+export { useLeadImport } from './useLeadImport';
+export { useLeadFields } from './useLeadFields';
+export { useSalesNavImport } from './useSalesNavImport';
 
 // Export query keys and API functions for advanced usage
 export { campaignKeys, leadKeys, messageKeys, scrapingKeys } from './queryKeys';
@@ -12,6 +12,16 @@ export const campaignKeys = {
   detail: (id) => [...campaignKeys.all, 'detail', id],
   // Campaign leads
   leads: (id) => [...campaignKeys.all, id, 'leads'],
+  // Campaign settings
+  settings: (id) => [...campaignKeys.all, id, 'settings'],
+  // Connection note A/B test results
+  noteVariants: (id) => [...campaignKeys.all, id, 'note-variants'],
+  // Campaign account pool
+  accounts: (id) => [...campaignKeys.all, id, 'accounts'],
+  // Campaign sequence (canvas graph and enrollments)
+  sequence: (id) => [...campaignKeys.all, id, 'sequence'],
+  // Sales Navigator import (accounts, latest import job)
+  salesNavImport: (id) => [...campaignKeys.all, id, 'sales-nav-import'],
 };
 
 export const leadKeys = {
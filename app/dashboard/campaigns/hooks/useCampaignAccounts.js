@@ -0,0 +1,48 @@
+/**
+ * Campaign Accounts Hook
+ * 
+ * React Query hook for the pool of LinkedIn accounts a campaign sends from
+ */
+
+"use client";
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { campaignKeys } from "./queryKeys";
+import { campaignApi } from "./api";
+
+export function useCampaignAccounts(campaignId) {
+  const queryClient = useQueryClient();
+
+  const {
+    data: accounts = [],
+    isLoading: loading,
+    error,
+  } = useQuery({
+    queryKey: campaignKeys.accounts(campaignId),
+    queryFn: () => campaignApi.fetchCampaignAccounts(campaignId),
+    enabled: !!campaignId,
+    staleTime: 1000 * 60, // 1 minute (daily quotas change while campaigns run)
+  });
+
+  const updateAccountsMutation = useMutation({
+    mutationFn: (accountIds) => campaignApi.updateCampaignAccounts({ campaignId, accountIds }),
+    onSuccess: (accountIds) => {
+      queryClient.setQueryData(campaignKeys.accounts(campaignId), (oldAccounts = []) =>
+        oldAccounts.map((account) => ({ ...account, selected: accountIds.includes(account.id) }))
+      );
+      toast.success("Sending accounts saved");
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to save sending accounts");
+    },
+  });
+
+  return {
+    accounts,
+    loading,
+    error,
+    saveAccounts: updateAccountsMutation.mutateAsync,
+    saving: updateAccountsMutation.isPending,
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * Campaign Sequence Hook
+ *
+ * React Query hook for the executable sequence built in the workflow canvas:
+ * load and save its graph, start it for the campaign leads, pause and resume,
+ * and forecast it before launch
+ */
+
+"use client";
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { campaignKeys } from "./queryKeys";
+import { campaignApi } from "./api";
+
+export function useCampaignSequence(campaignId) {
+  const queryClient = useQueryClient();
+
+  const {
+    data: sequence = null,
+    isLoading: loading,
+    error,
+  } = useQuery({
+    queryKey: campaignKeys.sequence(campaignId),
+    queryFn: () => campaignApi.fetchCampaignSequence(campaignId),
+    enabled: !!campaignId,
+    staleTime: 1000 * 30, // 30 seconds (leads move through the steps)
+  });
+
+  const saveSequenceMutation = useMutation({
+    mutationFn: (graph) => campaignApi.saveCampaignSequence({ campaignId, graph }),
+    onSuccess: (savedSequence) => {
+      queryClient.setQueryData(campaignKeys.sequence(campaignId), savedSequence);
+      toast.success(`Sequence saved (version ${savedSequence.version})`);
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to save sequence");
+    },
+  });
+
+  const updateStatusMutation = useMutation({
+    mutationFn: (status) => campaignApi.updateSequenceStatus({ campaignId, status }),
+    onSuccess: (updatedSequence) => {
+      queryClient.setQueryData(campaignKeys.sequence(campaignId), updatedSequence);
+      toast.success(updatedSequence.status === "paused" ? "Sequence paused" : "Sequence resumed");
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to update sequence");
+    },
+  });
+
+  const enrollMutation = useMutation({
+    mutationFn: (leadIds) => campaignApi.enrollSequenceLeads({ campaignId, leadIds }),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: campaignKeys.sequence(campaignId) });
+      toast.success(
+        result.enrolled > 0
+          ? `${result.enrolled} lead(s) started the sequence`
+          : "All leads are already in the sequence"
+      );
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to start sequence");
+    },
+  });
+
+  const simulateMutation = useMutation({
+    mutationFn: ({ audienceSize, acceptanceRate }) =>
+      campaignApi.simulateSequence({ campaignId, audienceSize, acceptanceRate }),
+    onError: (error) => {
+      toast.error(error.message || "Failed to simulate sequence");
+    },
+  });
+
+  return {
+    sequence,
+    loading,
+    error,
+    saveSequence: saveSequenceMutation.mutateAsync,
+    saving: saveSequenceMutation.isPending,
+    setSequenceStatus: updateStatusMutation.mutateAsync,
+    updatingStatus: updateStatusMutation.isPending,
+    enrollLeads: enrollMutation.mutateAsync,
+    enrolling: enrollMutation.isPending,
+    simulateSequence: simulateMutation.mutateAsync,
+    simulating: simulateMutation.isPending,
+    simulation: simulateMutation.data || null,
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Campaign Settings Hook
+ * 
+ * React Query hook for loading and saving per-campaign sending settings,
+ * and the results of the connection note A/B test
+ */
+
+"use client";
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { campaignKeys } from "./queryKeys";
+import { campaignApi } from "./api";
+
+export function useCampaignSettings(campaignId) {
+  const queryClient = useQueryClient();
+
+  const {
+    data: settings,
+    isLoading: loading,
+    error,
+  } = useQuery({
+    queryKey: campaignKeys.settings(campaignId),
+    queryFn: () => campaignApi.fetchCampaignSettings(campaignId),
+    enabled: !!campaignId,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+
+  const { data: noteVariantStats } = useQuery({
+    queryKey: campaignKeys.noteVariants(campaignId),
+    queryFn: () => campaignApi.fetchNoteVariantStats(campaignId),
+    enabled: !!campaignId,
+    staleTime: 1000 * 60, // 1 minute
+  });
+
+  const updateSettingsMutation = useMutation({
+    mutationFn: (newSettings) => campaignApi.updateCampaignSettings({ campaignId, settings: newSettings }),
+    onSuccess: (savedSettings) => {
+      queryClient.setQueryData(campaignKeys.settings(campaignId), savedSettings);
+      queryClient.invalidateQueries({ queryKey: campaignKeys.noteVariants(campaignId) });
+      toast.success("Campaign settings saved");
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to save campaign settings");
+    },
+  });
+
+  return {
+    settings,
+    loading,
+    error,
+    noteVariantStats,
+    saveSettings: updateSettingsMutation.mutateAsync,
+    saving: updateSettingsMutation.isPending,
+  };
+}
@@ -18,7 +18,7 @@ export function useConnectionCheck() {
     onSuccess: (data) => {
       console.log("✅ Connection check complete:", data);
       
-      const { matched, total, messagesSent, checksRemaining, checksLimit } = data;
+      const { matched, total, messagesSent, followUpsSent, checksRemaining, checksLimit } = data;
       
       if (matched > 0) {
         let message = `Found ${matched} accepted connection${matched > 1 ? 's' : ''}!`;
@@ -26,7 +26,11 @@ export function useConnectionCheck() {
           message += ` Sent ${messagesSent} message${messagesSent > 1 ? 's' : ''}.`;
         }
         toast.success(message, { duration: 5000 });
-      } else {
+      }
+      
+      if (followUpsSent > 0) {
+        toast.success(`Sent ${followUpsSent} follow-up${followUpsSent > 1 ? 's' : ''}.`, { duration: 5000 });
+      } else if (matched === 0) {
         toast.success(
           `Checked ${total} lead${total > 1 ? 's' : ''} - no new acceptances found.`,
           { duration: 4000 }
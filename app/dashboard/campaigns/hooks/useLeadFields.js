@@ -0,0 +1,46 @@
+/**
+ * Lead Fields Hook
+ *
+ * React Query mutations for editing lead tags and custom fields, one lead at
+ * a time or in bulk
+ */
+
+"use client";
+
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { campaignKeys } from "./queryKeys";
+import { leadApi } from "./api";
+
+export function useLeadFields(campaignId) {
+  const queryClient = useQueryClient();
+
+  const saveMutation = useMutation({
+    mutationFn: leadApi.updateLeadFields,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: campaignKeys.leads(campaignId) });
+      toast.success("Lead saved");
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to save lead fields");
+    },
+  });
+
+  const bulkMutation = useMutation({
+    mutationFn: leadApi.bulkEditLeadFields,
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: campaignKeys.leads(campaignId) });
+      toast.success(`Updated ${result.updated} lead${result.updated !== 1 ? "s" : ""}`);
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to update leads");
+    },
+  });
+
+  return {
+    saveLeadFields: saveMutation.mutateAsync,
+    saving: saveMutation.isPending,
+    bulkEditLeadFields: bulkMutation.mutateAsync,
+    bulkEditing: bulkMutation.isPending,
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * Lead Import Hook
+ *
+ * React Query mutations for the two steps of the CSV import: reading the
+ * file's columns, then importing it with the chosen column mapping
+ */
+
+"use client";
+
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { campaignKeys } from "./queryKeys";
+import { leadApi } from "./api";
+
+export function useLeadImport(campaignId) {
+  const queryClient = useQueryClient();
+
+  const analyzeMutation = useMutation({
+    mutationFn: ({ file, encoding }) => leadApi.importLeadsCsv({ campaignId, file, encoding }),
+    onError: (error) => {
+      toast.error(error.message || "Failed to read CSV file");
+    },
+  });
+
+  const importMutation = useMutation({
+    mutationFn: ({ file, encoding, mapping }) => leadApi.importLeadsCsv({ campaignId, file, encoding, mapping }),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: campaignKeys.leads(campaignId) });
+      toast.success(`Imported ${result.summary.imported} lead${result.summary.imported !== 1 ? "s" : ""}`);
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to import leads");
+    },
+  });
+
+  return {
+    analyzeCsv: analyzeMutation.mutateAsync,
+    analyzing: analyzeMutation.isPending,
+    importCsv: importMutation.mutateAsync,
+    importing: importMutation.isPending,
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * Sales Navigator Import Hook
+ *
+ * React Query hook for importing leads from a Sales Navigator search: the
+ * accounts that can run it, the campaign's latest import, and live progress
+ * from the job stream (/api/jobs/[jobId]/stream) while an import runs
+ */
+
+"use client";
+
+import { useEffect, useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { campaignKeys } from "./queryKeys";
+import { leadApi } from "./api";
+
+// The stream stays open while the job runs, ends on these
+const FINAL_STATUSES = ["completed", "failed", "cancelled", "timeout", "paused"];
+
+export function useSalesNavImport(campaignId) {
+  const queryClient = useQueryClient();
+  const [progress, setProgress] = useState(null);
+
+  const { data, isLoading: loading } = useQuery({
+    queryKey: campaignKeys.salesNavImport(campaignId),
+    queryFn: () => leadApi.fetchSalesNavImport(campaignId),
+    enabled: !!campaignId,
+    staleTime: 1000 * 30,
+  });
+
+  const latestImport = data?.latestImport || null;
+  const streamJobId = data?.isRunning && latestImport?.status !== "paused" ? latestImport.id : null;
+
+  useEffect(() => {
+    if (!streamJobId) return undefined;
+
+    const eventSource = new EventSource(`/api/jobs/${streamJobId}/stream`);
+
+    eventSource.onmessage = (event) => {
+      try {
+        const update = JSON.parse(event.data);
+        if (update.type !== "status") return;
+
+        setProgress(update);
+
+        if (update.stage === "page_imported") {
+          queryClient.invalidateQueries({ queryKey: campaignKeys.leads(campaignId) });
+        }
+
+        if (FINAL_STATUSES.includes(update.status)) {
+          eventSource.close();
+          queryClient.invalidateQueries({ queryKey: campaignKeys.leads(campaignId) });
+          queryClient.invalidateQueries({ queryKey: campaignKeys.salesNavImport(campaignId) });
+
+          if (update.status === "completed") {
+            toast.success(update.results?.message || "Sales Navigator import completed");
+          } else if (update.status === "failed") {
+            toast.error(update.errorMessage || "Sales Navigator import failed");
+          }
+        }
+      } catch (error) {
+        console.error("❌ Failed to parse import progress:", error);
+      }
+    };
+
+    eventSource.onerror = () => {
+      // EventSource reconnects on its own; the query shows the saved state meanwhile
+      console.warn("⚠️ Import progress stream interrupted");
+    };
+
+    return () => eventSource.close();
+  }, [streamJobId, campaignId, queryClient]);
+
+  const startMutation = useMutation({
+    mutationFn: (input) => leadApi.startSalesNavImport({ campaignId, ...input }),
+    onSuccess: () => {
+      setProgress(null);
+      queryClient.invalidateQueries({ queryKey: campaignKeys.salesNavImport(campaignId) });
+      toast.success("Sales Navigator import started");
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to start Sales Navigator import");
+    },
+  });
+
+  const controlMutation = useMutation({
+    mutationFn: leadApi.controlSalesNavImport,
+    onSuccess: (result, { action }) => {
+      setProgress(null);
+      queryClient.invalidateQueries({ queryKey: campaignKeys.salesNavImport(campaignId) });
+      toast.success(action === "resume" ? "Import resumed" : "Import cancelled");
+    },
+    onError: (error, { action }) => {
+      toast.error(error.message || `Failed to ${action} import`);
+    },
+  });
+
+  return {
+    accounts: data?.accounts || [],
+    limits: data?.limits || null,
+    latestImport,
+    isRunning: !!data?.isRunning,
+    progress: progress && progress.jobId === latestImport?.id ? progress : null,
+    loading,
+    startImport: startMutation.mutateAsync,
+    starting: startMutation.isPending,
+    resumeImport: (jobId) => controlMutation.mutateAsync({ jobId, action: "resume" }),
+    cancelImport: (jobId) => controlMutation.mutateAsync({ jobId, action: "cancel" }),
+    controlling: controlMutation.isPending,
+  };
+}
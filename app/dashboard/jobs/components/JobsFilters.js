@@ -0,0 +1,65 @@
+"use client";
+
+import { X } from "lucide-react";
+
+const STATUS_OPTIONS = [
+  { value: "", label: "All statuses" },
+  { value: "completed", label: "Completed" },
+  { value: "failed", label: "Failed" },
+  { value: "cancelled", label: "Cancelled" },
+  { value: "paused", label: "Paused" },
+  { value: "processing,waiting", label: "Running" },
+  { value: "queued,interrupted", label: "Queued" },
+];
+
+export const EMPTY_JOB_FILTERS = { status: "", from: "", to: "", campaignId: "", accountId: "" };
+
+export default function JobsFilters({ filters, options, onChange }) {
+  const update = (key) => (e) => onChange({ ...filters, [key]: e.target.value });
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="flex flex-wrap items-end gap-3 mb-4">
+      <div>
+        <label className="label py-1"><span className="label-text text-xs">Status</span></label>
+        <select className="select select-bordered select-sm" value={filters.status} onChange={update("status")}>
+          {STATUS_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="label py-1"><span className="label-text text-xs">From</span></label>
+        <input type="date" className="input input-bordered input-sm" value={filters.from} onChange={update("from")} />
+      </div>
+      <div>
+        <label className="label py-1"><span className="label-text text-xs">To</span></label>
+        <input type="date" className="input input-bordered input-sm" value={filters.to} onChange={update("to")} />
+      </div>
+      <div>
+        <label className="label py-1"><span className="label-text text-xs">Campaign</span></label>
+        <select className="select select-bordered select-sm max-w-xs" value={filters.campaignId} onChange={update("campaignId")}>
+          <option value="">All campaigns</option>
+          {options.campaigns.map((campaign) => (
+            <option key={campaign.id} value={campaign.id}>{campaign.name}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="label py-1"><span className="label-text text-xs">Account</span></label>
+        <select className="select select-bordered select-sm max-w-xs" value={filters.accountId} onChange={update("accountId")}>
+          <option value="">All accounts</option>
+          {options.accounts.map((account) => (
+            <option key={account.id} value={account.id}>{account.email}</option>
+          ))}
+        </select>
+      </div>
+      {hasFilters && (
+        <button className="btn btn-ghost btn-sm gap-1" onClick={() => onChange(EMPTY_JOB_FILTERS)}>
+          <X className="h-4 w-4" />
+          Clear
+        </button>
+      )}
+    </div>
+  );
+}
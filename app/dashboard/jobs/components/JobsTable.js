@@ -0,0 +1,96 @@
+"use client";
+
+import { Download } from "lucide-react";
+import { jobApi } from "../hooks/api";
+
+const STATUS_BADGES = {
+  completed: "badge-success",
+  failed: "badge-error",
+  timeout: "badge-error",
+  cancelled: "badge-ghost",
+  paused: "badge-warning",
+  processing: "badge-info",
+  waiting: "badge-info",
+  queued: "badge-outline",
+  interrupted: "badge-warning",
+};
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return "-";
+
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "-");
+
+export default function JobsTable({ jobs, loading }) {
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <span className="loading loading-spinner loading-md"></span>
+      </div>
+    );
+  }
+
+  if (jobs.length === 0) {
+    return <div className="text-sm text-base-content/60 py-12 text-center">No jobs match these filters.</div>;
+  }
+
+  return (
+    <div className="overflow-x-auto border border-base-300 rounded-lg">
+      <table className="table table-sm">
+        <thead>
+          <tr>
+            <th>Created</th>
+            <th>Campaign</th>
+            <th>Account</th>
+            <th>Status</th>
+            <th className="text-right">Duration</th>
+            <th className="text-right">Pauses</th>
+            <th className="text-right">Leads</th>
+            <th className="text-right">Sent</th>
+            <th className="text-right">Already</th>
+            <th className="text-right">Failed</th>
+            <th>Export</th>
+          </tr>
+        </thead>
+        <tbody>
+          {jobs.map((job) => (
+            <tr key={job.id} className="hover">
+              <td className="whitespace-nowrap">{formatDate(job.createdAt)}</td>
+              <td>{job.campaignName || <span className="text-base-content/40">Deleted campaign</span>}</td>
+              <td className="text-base-content/70">{job.accountEmail || "-"}</td>
+              <td>
+                <span className={`badge badge-sm ${STATUS_BADGES[job.status] || "badge-ghost"}`} title={job.errorMessage || undefined}>
+                  {job.status}
+                </span>
+                {job.dryRun && <span className="badge badge-sm badge-ghost ml-1">dry run</span>}
+                {job.type === "sales_nav_import" && <span className="badge badge-sm badge-ghost ml-1">Sales Nav import</span>}
+              </td>
+              <td className="text-right">{formatDuration(job.durationMs)}</td>
+              <td className="text-right">{job.pauseCount}</td>
+              <td className="text-right">{job.processedLeads}/{job.totalLeads ?? "-"}</td>
+              <td className="text-right">
+                {job.dryRun ? <span title="Would be sent">{job.totals.wouldSend}</span> : job.totals.sent}
+              </td>
+              <td className="text-right">{job.totals.alreadyConnected + job.totals.alreadyPending}</td>
+              <td className={`text-right ${job.totals.failed > 0 ? "text-error" : ""}`}>{job.totals.failed}</td>
+              <td className="whitespace-nowrap">
+                <a className="btn btn-ghost btn-xs gap-1" href={jobApi.getExportUrl(job.id, "csv")} download>
+                  <Download className="h-3 w-3" />
+                  CSV
+                </a>
+                <a className="btn btn-ghost btn-xs" href={jobApi.getExportUrl(job.id, "json")} download>
+                  JSON
+                </a>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+/**
+ * API functions for workflow jobs
+ * These functions will be used by React Query hooks
+ */
+
+// Build the query string of the jobs history API (empty filters are left out)
+const toSearchParams = (params) => {
+  const searchParams = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== "") {
+      searchParams.set(key, value);
+    }
+  });
+  return searchParams.toString();
+};
+
+export const jobApi = {
+  // Fetch one page of the job history
+  fetchJobs: async ({ filters, limit, offset }) => {
+    const response = await fetch(`/api/jobs?${toSearchParams({ ...filters, limit, offset })}`);
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || "Failed to fetch jobs");
+    }
+
+    return result;
+  },
+
+  // Download URL of a job's per-lead results
+  getExportUrl: (jobId, format = "csv") => `/api/jobs/${jobId}/export?format=${format}`,
+};
@@ -0,0 +1,6 @@
+// Export all hooks from a central location for cleaner imports
+export { useJobs, JOBS_PAGE_SIZE } from './useJobs';
+
+// Export query keys and API functions for advanced usage
+export { jobKeys } from './queryKeys';
+export { jobApi } from './api';
@@ -0,0 +1,11 @@
+/**
+ * Query keys for React Query caching
+ * Organized in a hierarchical structure for better cache invalidation
+ */
+
+export const jobKeys = {
+  // Base key for all job-related queries
+  all: ['jobs'],
+  // Filtered, paginated job history
+  list: (filters, page) => [...jobKeys.all, 'list', filters, page],
+};
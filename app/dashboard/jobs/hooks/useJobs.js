@@ -0,0 +1,39 @@
+/**
+ * Jobs History Hook
+ * 
+ * React Query hook for the filtered, paginated list of workflow jobs
+ */
+
+"use client";
+
+import { useQuery, keepPreviousData } from "@tanstack/react-query";
+import { jobKeys } from "./queryKeys";
+import { jobApi } from "./api";
+
+export const JOBS_PAGE_SIZE = 25;
+
+export function useJobs(filters, page = 0) {
+  const {
+    data,
+    isLoading: loading,
+    isFetching: fetching,
+    error,
+    refetch,
+  } = useQuery({
+    queryKey: jobKeys.list(filters, page),
+    queryFn: () => jobApi.fetchJobs({ filters, limit: JOBS_PAGE_SIZE, offset: page * JOBS_PAGE_SIZE }),
+    placeholderData: keepPreviousData,
+    staleTime: 1000 * 30, // 30 seconds - running jobs change often
+  });
+
+  return {
+    jobs: data?.jobs || [],
+    total: data?.pagination?.total || 0,
+    hasMore: !!data?.pagination?.hasMore,
+    filterOptions: data?.filterOptions || { campaigns: [], accounts: [] },
+    loading,
+    fetching,
+    error,
+    refetch,
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * Jobs Page
+ * 
+ * History of workflow jobs across campaigns and accounts, with filters and
+ * per-job exports of the lead results
+ */
+
+"use client";
+
+import { useState, useEffect } from "react";
+import { useSession } from "next-auth/react";
+import { useRouter } from "next/navigation";
+import { RefreshCw } from "lucide-react";
+import Sidebar from "@/components/layout/Sidebar";
+import TopBar from "@/components/layout/TopBar";
+import JobsFilters, { EMPTY_JOB_FILTERS } from "./components/JobsFilters";
+import JobsTable from "./components/JobsTable";
+import { useJobs, JOBS_PAGE_SIZE } from "./hooks";
+
+export default function JobsPage() {
+  const { data: session, status } = useSession();
+  const router = useRouter();
+  const [sidebarCollapsed, setSidebarCollapsed] = useState(true);
+  const [filters, setFilters] = useState(EMPTY_JOB_FILTERS);
+  const [page, setPage] = useState(0);
+  
+  const { jobs, total, hasMore, filterOptions, loading, fetching, error, refetch } = useJobs(filters, page);
+  
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (status === "loading") return;
+    if (!session) {
+      router.push("/");
+    }
+  }, [session, status, router]);
+  
+  const handleFiltersChange = (newFilters) => {
+    setFilters(newFilters);
+    setPage(0);
+  };
+  
+  if (status === "loading") {
+    return (
+      <div className="min-h-screen bg-base-100 flex items-center justify-center">
+        <div className="loading loading-spinner loading-lg text-primary"></div>
+      </div>
+    );
+  }
+  
+  if (!session) {
+    return null;
+  }
+  
+  return (
+    <div className="h-screen bg-base-100 flex overflow-hidden">
+      {/* Sidebar */}
+      <Sidebar
+        collapsed={sidebarCollapsed}
+        onToggle={() => setSidebarCollapsed(!sidebarCollapsed)}
+        activeSection="jobs"
+      />
+      
+      {/* Main Content */}
+      <div className={`flex-1 transition-all duration-300 ${
+        sidebarCollapsed ? "ml-16" : "ml-64"
+      } flex flex-col h-full overflow-hidden`}>
+        {/* Top Bar */}
+        <div className="flex-shrink-0">
+          <TopBar title="Jobs" />
+        </div>
+        
+        {/* Content Area */}
+        <div className="flex-1 overflow-auto p-6">
+          {/* Header with Refresh */}
+          <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4 mb-6">
+            <div>
+              <h1 className="text-2xl font-bold text-base-content">
+                Job History
+              </h1>
+              <p className="text-sm text-base-content/60 mt-1">
+                Every workflow run across your campaigns and accounts. Export a job to see what happened to each lead.
+              </p>
+            </div>
+            
+            <button 
+              onClick={() => refetch()}
+              disabled={fetching}
+              className="btn btn-primary btn-sm gap-2"
+            >
+              <RefreshCw className={`h-4 w-4 ${fetching ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+          </div>
+          
+          <JobsFilters filters={filters} options={filterOptions} onChange={handleFiltersChange} />
+          
+          {/* Error State */}
+          {error && (
+            <div className="alert alert-error mb-4">
+              <span>Failed to load jobs: {error.message}</span>
+            </div>
+          )}
+          
+          <JobsTable jobs={jobs} loading={loading} />
+          
+          {/* Pagination */}
+          {total > 0 && (
+            <div className="flex items-center justify-between mt-4 text-sm text-base-content/60">
+              <span>
+                {page * JOBS_PAGE_SIZE + 1}-{page * JOBS_PAGE_SIZE + jobs.length} of {total} jobs
+              </span>
+              <div className="join">
+                <button className="join-item btn btn-sm" onClick={() => setPage(page - 1)} disabled={page === 0 || fetching}>
+                  Previous
+                </button>
+                <button className="join-item btn btn-sm" onClick={() => setPage(page + 1)} disabled={!hasMore || fetching}>
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,31 +1,346 @@
 "use client";
 
-export default function AudienceTab() {
+import { useEffect, useMemo, useState } from "react";
+import { Plus, Trash2, Save, Users } from "lucide-react";
+import { useAudienceSegments, useAudiencePreview } from "../hooks/useAudienceSegments";
+import { useCampaignSettings } from "../../campaigns/hooks/useCampaignSettings";
+import { AUDIENCE_FIELDS, EMPTY_AUDIENCE_FILTERS, describeAudienceFilters } from "@/libs/audience-filters";
+
+const PREVIEW_DEBOUNCE_MS = 400;
+
+// Starting value of a rule when its field changes
+const newRule = (field = "title") => {
+  const definition = AUDIENCE_FIELDS[field];
+  const op = Object.keys(definition.ops)[0];
+  const value = { text: "", enum: [], tags: "", boolean: true, days: 30 }[definition.type];
+  return { field, op, value };
+};
+
+const splitTags = (text) => text.split(",").map((tag) => tag.trim()).filter(Boolean);
+
+// Tags are edited as comma-separated text and days as input text
+const toFormRule = (rule) => (AUDIENCE_FIELDS[rule.field]?.type === "tags" ? { ...rule, value: rule.value.join(", ") } : rule);
+
+const toFilterRule = (rule) => {
+  const { type } = AUDIENCE_FIELDS[rule.field];
+  if (type === "tags") return { ...rule, value: splitTags(rule.value) };
+  if (type === "days") return { ...rule, value: Number(rule.value) };
+  return rule;
+};
+
+// Rules still being typed are left out of the preview instead of failing it
+const isComplete = (rule) => {
+  const { type } = AUDIENCE_FIELDS[rule.field];
+  if (type === "text") return ["is_empty", "is_not_empty"].includes(rule.op) || rule.value.trim() !== "";
+  if (type === "enum") return rule.value.length > 0;
+  if (type === "tags") return splitTags(rule.value).length > 0;
+  if (type === "days") return Number(rule.value) >= 1;
+  return true;
+};
+
+function RuleValue({ rule, onChange }) {
+  const definition = AUDIENCE_FIELDS[rule.field];
+
+  switch (definition.type) {
+    case "text":
+      if (["is_empty", "is_not_empty"].includes(rule.op)) return null;
+      return (
+        <input type="text" className="input input-bordered input-sm flex-1" placeholder="Value" value={rule.value} onChange={(e) => onChange(e.target.value)} />
+      );
+    case "enum":
+      return (
+        <div className="flex flex-wrap gap-2 flex-1">
+          {definition.options.map((option) => (
+            <label key={option} className="label cursor-pointer gap-1 py-0">
+              <input
+                type="checkbox"
+                className="checkbox checkbox-xs"
+                checked={rule.value.includes(option)}
+                onChange={(e) => onChange(e.target.checked ? [...rule.value, option] : rule.value.filter((item) => item !== option))}
+               
+              />
+              <span className="label-text text-sm">{option}</span>
+            </label>
+          ))}
+        </div>
+      );
+    case "tags":
+      return (
+        <input
+          type="text"
+          className="input input-bordered input-sm flex-1"
+          placeholder="tag-a, tag-b"
+          value={rule.value}
+          onChange={(e) => onChange(e.target.value)}
+         
+        />
+      );
+    case "boolean":
+      return (
+        <select className="select select-bordered select-sm" value={rule.value ? "yes" : "no"} onChange={(e) => onChange(e.target.value === "yes")}>
+          <option value="yes">yes</option>
+          <option value="no">no</option>
+        </select>
+      );
+    case "days":
+      return (
+        <input type="number" min="1" className="input input-bordered input-sm w-24" value={rule.value} onChange={(e) => onChange(e.target.value)} />
+      );
+    default:
+      return null;
+  }
+}
+
+export default function AudienceTab({ campaignId }) {
+  const { segments, loading: segmentsLoading, createSegment, updateSegment, deleteSegment, busy } = useAudienceSegments();
+  const { settings, saveSettings, saving } = useCampaignSettings(campaignId);
+  const [filters, setFilters] = useState(EMPTY_AUDIENCE_FILTERS);
+  const [editingSegmentId, setEditingSegmentId] = useState(null);
+  const [name, setName] = useState("");
+  const [debouncedFilters, setDebouncedFilters] = useState(EMPTY_AUDIENCE_FILTERS);
+
+  const completeFilters = useMemo(
+    () => ({
+      match: filters.match,
+      rules: filters.rules.filter(isComplete).map(toFilterRule),
+    }),
+    [filters]
+  );
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedFilters(completeFilters), PREVIEW_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [completeFilters]);
+
+  const { preview, loading: previewLoading, error: previewError } = useAudiencePreview(campaignId, debouncedFilters);
+
+  const audienceSegmentId = settings?.audienceSegmentId || null;
+  const audienceSegment = segments.find((segment) => segment.id === audienceSegmentId);
+
+  const updateRule = (index, changes) => {
+    setFilters((prev) => ({
+      ...prev,
+      rules: prev.rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)),
+    }));
+  };
+
+  const changeField = (index) => (e) => updateRule(index, newRule(e.target.value));
+
+  const changeOp = (index) => (e) => updateRule(index, { op: e.target.value });
+
+  const addRule = () => setFilters((prev) => ({ ...prev, rules: [...prev.rules, newRule()] }));
+
+  const removeRule = (index) => () => setFilters((prev) => ({ ...prev, rules: prev.rules.filter((_, i) => i !== index) }));
+
+  const loadSegment = (segment) => {
+    setFilters({ match: segment.filters.match, rules: segment.filters.rules.map(toFormRule) });
+    setEditingSegmentId(segment.id);
+    setName(segment.name);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_AUDIENCE_FILTERS);
+    setEditingSegmentId(null);
+    setName("");
+  };
+
+  const handleSave = async (asNew) => {
+    try {
+      const segment = asNew || !editingSegmentId
+        ? await createSegment({ name, filters: completeFilters })
+        : await updateSegment({ segmentId: editingSegmentId, name, filters: completeFilters });
+      setEditingSegmentId(segment.id);
+    } catch (error) {
+      // Toast is shown by the mutation
+    }
+  };
+
+  const handleDelete = (segment) => async () => {
+    if (!window.confirm(`Delete segment "${segment.name}"?`)) return;
+    try {
+      await deleteSegment(segment.id);
+      if (editingSegmentId === segment.id) clearFilters();
+    } catch (error) {
+      // Toast is shown by the mutation
+    }
+  };
+
+  const selectAudience = (segmentId) => () => {
+    saveSettings({ audienceSegmentId: segmentId }).catch(() => null);
+  };
+
+  if (!campaignId) {
+    return (
+      <div className="h-full p-6">
+        <div className="max-w-7xl mx-auto text-sm text-base-content/60">
+          Open a campaign to define its audience.
+        </div>
+      </div>
+    );
+  }
+
   return (
-    <div className="h-full p-6">
-      <div className="max-w-7xl mx-auto">
-        <div className="mb-4">
+    <div className="h-full p-6 overflow-y-auto">
+      <div className="max-w-7xl mx-auto space-y-4">
+        <div>
           <h3 className="text-lg font-semibold">Audience</h3>
-          <p className="text-sm text-base-content/60">Define who enters this sequence.</p>
+          <p className="text-sm text-base-content/60">
+            Define who enters this sequence. Invites and sequence starts only take the campaign leads matching the audience segment; leads added later join it when they match.
+          </p>
         </div>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-          <div className="card bg-base-100 border border-base-300">
-            <div className="card-body">
-              <div className="font-medium">Filters</div>
-              <div className="text-xs text-base-content/60">Coming soon: roles, regions, tags, activity.</div>
+
+        <div className="alert py-2">
+          <Users className="h-4 w-4" />
+          <span className="text-sm">
+            Campaign audience: <span className="font-medium">{audienceSegment ? audienceSegment.name : "All leads"}</span>
+            {audienceSegment && <span className="text-base-content/60"> ({describeAudienceFilters(audienceSegment.filters)})</span>}
+          </span>
+          {audienceSegmentId && (
+            <button className="btn btn-ghost btn-xs" onClick={selectAudience(null)} disabled={saving}>Use all leads</button>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <div className="card bg-base-100 border border-base-300 lg:col-span-2">
+            <div className="card-body space-y-3">
+              <div className="flex items-center justify-between">
+                <div className="font-medium">Filters</div>
+                <div className="flex items-center gap-2">
+                  <span className="text-sm text-base-content/60">Match</span>
+                  <select className="select select-bordered select-sm" value={filters.match} onChange={(e) => setFilters((prev) => ({ ...prev, match: e.target.value }))}>
+                    <option value="all">all filters</option>
+                    <option value="any">any filter</option>
+                  </select>
+                  <button className="btn btn-ghost btn-sm" onClick={addRule}>
+                    <Plus className="h-4 w-4" />
+                    Add filter
+                  </button>
+                </div>
+              </div>
+
+              {filters.rules.length === 0 ? (
+                <div className="text-sm text-base-content/60">No filters: every lead of the campaign matches.</div>
+              ) : (
+                <div className="space-y-2">
+                  {filters.rules.map((rule, index) => (
+                    <div key={index} className="flex flex-wrap items-center gap-2">
+                      <select className="select select-bordered select-sm" value={rule.field} onChange={changeField(index)}>
+                        {Object.entries(AUDIENCE_FIELDS).map(([key, field]) => (
+                          <option key={key} value={key}>{field.label}</option>
+                        ))}
+                      </select>
+                      <select className="select select-bordered select-sm" value={rule.op} onChange={changeOp(index)}>
+                        {Object.entries(AUDIENCE_FIELDS[rule.field].ops).map(([key, label]) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                      </select>
+                      <RuleValue rule={rule} onChange={(value) => updateRule(index, { value })} />
+                      <button className="btn btn-ghost btn-sm btn-square" onClick={removeRule(index)} aria-label="Remove filter">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex flex-wrap items-center gap-2 pt-2 border-t border-base-300">
+                <input type="text" className="input input-bordered input-sm flex-1 min-w-48" placeholder="Segment name" value={name} onChange={(e) => setName(e.target.value)} />
+                <button className="btn btn-primary btn-sm" onClick={() => handleSave(false)} disabled={busy || !name.trim()}>
+                  <Save className="h-4 w-4" />
+                  {editingSegmentId ? "Update segment" : "Save segment"}
+                </button>
+                {editingSegmentId && (
+                  <button className="btn btn-ghost btn-sm" onClick={() => handleSave(true)} disabled={busy || !name.trim()}>Save as new</button>
+                )}
+                <button className="btn btn-ghost btn-sm" onClick={clearFilters}>Clear</button>
+              </div>
             </div>
           </div>
+
           <div className="card bg-base-100 border border-base-300">
             <div className="card-body">
-              <div className="font-medium">Sources</div>
-              <div className="text-xs text-base-content/60">Import CSV, Sales Navigator, lists.</div>
+              <div className="font-medium">Saved segments</div>
+              {segmentsLoading ? (
+                <span className="loading loading-spinner loading-sm"></span>
+              ) : segments.length === 0 ? (
+                <div className="text-xs text-base-content/60">Save filters as a segment to reuse them across campaigns.</div>
+              ) : (
+                <div className="space-y-2">
+                  {segments.map((segment) => (
+                    <div key={segment.id} className={`border rounded-lg p-2 ${segment.id === editingSegmentId ? "border-primary" : "border-base-300"}`}>
+                      <div className="flex items-center gap-2">
+                        <button className="link link-hover text-sm font-medium text-left flex-1" onClick={() => loadSegment(segment)}>{segment.name}</button>
+                        {segment.id === audienceSegmentId ? (
+                          <span className="badge badge-primary badge-sm">audience</span>
+                        ) : (
+                          <button className="btn btn-ghost btn-xs" onClick={selectAudience(segment.id)} disabled={saving}>Use as audience</button>
+                        )}
+                        <button className="btn btn-ghost btn-xs btn-square" onClick={handleDelete(segment)} disabled={busy} aria-label="Delete segment">
+                          <Trash2 className="h-3 w-3" />
+                        </button>
+                      </div>
+                      <div className="text-xs text-base-content/60 mt-1">{describeAudienceFilters(segment.filters)}</div>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
-          <div className="card bg-base-100 border border-base-300">
-            <div className="card-body">
+        </div>
+
+        <div className="card bg-base-100 border border-base-300">
+          <div className="card-body">
+            <div className="flex items-center justify-between">
               <div className="font-medium">Preview</div>
-              <div className="text-xs text-base-content/60">Lead count and sample entries.</div>
+              {previewLoading && <span className="loading loading-spinner loading-xs"></span>}
             </div>
+            {previewError ? (
+              <div className="text-sm text-error">{previewError.message}</div>
+            ) : preview ? (
+              <>
+                <div className="text-sm">
+                  <span className="text-2xl font-bold">{preview.count}</span>
+                  <span className="text-base-content/60"> of {preview.total} campaign lead(s) match</span>
+                </div>
+                {preview.sample.length > 0 && (
+                  <div className="overflow-x-auto">
+                    <table className="table table-sm">
+                      <thead>
+                        <tr>
+                          <th>Name</th>
+                          <th>Title</th>
+                          <th>Company</th>
+                          <th>Status</th>
+                          <th>Invite</th>
+                          <th>Tags</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {preview.sample.map((lead) => (
+                          <tr key={lead.id}>
+                            <td>{lead.name || lead.url}</td>
+                            <td>{lead.title}</td>
+                            <td>{lead.company}</td>
+                            <td>{lead.status}</td>
+                            <td>{lead.inviteStatus}</td>
+                            <td>{(lead.tags || []).join(", ")}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </>
+            ) : (
+              <div className="text-xs text-base-content/60">Lead count and sample entries.</div>
+            )}
+          </div>
+        </div>
+
+        <div className="card bg-base-100 border border-base-300">
+          <div className="card-body">
+            <div className="font-medium">Sources</div>
+            <div className="text-xs text-base-content/60">Import CSV, Sales Navigator, lists.</div>
           </div>
         </div>
       </div>
@@ -0,0 +1,187 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { Copy, Pencil, Trash2, History, Rocket, FolderOpen, RotateCcw } from "lucide-react";
+import { useSequenceTemplates, useTemplateVersions } from "../hooks";
+import TemplateNameModal from "./TemplateNameModal";
+
+const openCanvasUrl = ({ canvas, templateId, version, campaignId, campaignName }) => {
+  const params = new URLSearchParams();
+  if (campaignId) params.set("campaignId", campaignId);
+  if (campaignName) params.set("campaign", campaignName);
+  params.set("template", canvas);
+  params.set("templateId", templateId);
+  if (version) params.set("templateVersion", version);
+  return `/dashboard/workflow?${params.toString()}`;
+};
+
+function VersionHistory({ template, onRestore, busy }) {
+  const router = useRouter();
+  const { versions, loading } = useTemplateVersions(template.id);
+
+  if (loading) {
+    return <div className="py-2"><span className="loading loading-spinner loading-xs"></span></div>;
+  }
+
+  return (
+    <ul className="mt-3 space-y-1 max-h-48 overflow-y-auto">
+      {versions.map((v) => (
+        <li key={v.version} className="flex items-center justify-between text-xs rounded-md px-2 py-1 hover:bg-base-200/60">
+          <span>
+            <span className="font-medium">v{v.version}</span>
+            <span className="text-base-content/60"> · {v.nodeCount} steps · {new Date(v.createdAt).toLocaleString()}</span>
+          </span>
+          <span className="flex items-center gap-1">
+            <button
+              className="btn btn-ghost btn-xs"
+              title="Open this version"
+              onClick={() => router.push(openCanvasUrl({ canvas: template.canvas, templateId: template.id, version: v.version }))}
+            >
+              <FolderOpen className="h-3 w-3" />
+            </button>
+            {v.version !== template.version && (
+              <button
+                className="btn btn-ghost btn-xs"
+                title="Restore as the current version"
+                disabled={busy}
+                onClick={() => onRestore(v.version)}
+              >
+                <RotateCcw className="h-3 w-3" />
+              </button>
+            )}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default function SavedTemplates() {
+  const router = useRouter();
+  const {
+    templates,
+    loading,
+    renameTemplate,
+    duplicateTemplate,
+    deleteTemplate,
+    restoreVersion,
+    startCampaign,
+    busy,
+  } = useSequenceTemplates();
+
+  const [historyFor, setHistoryFor] = useState(null);
+  // { type: 'rename' | 'campaign', template }
+  const [dialog, setDialog] = useState(null);
+
+  const handleDelete = (template) => {
+    const confirmed = window.confirm(`Delete the template "${template.name}" and its ${template.version} version(s)?`);
+    if (confirmed) deleteTemplate(template.id).catch(() => {});
+  };
+
+  const handleDialogSubmit = async (name) => {
+    const { type, template } = dialog;
+
+    if (type === "rename") {
+      await renameTemplate({ templateId: template.id, name });
+      setDialog(null);
+      return;
+    }
+
+    const result = await startCampaign({ templateId: template.id, name });
+    setDialog(null);
+    router.push(openCanvasUrl({
+      canvas: result.canvas,
+      templateId: result.templateId,
+      campaignId: result.campaign.id,
+      campaignName: result.campaign.name,
+    }));
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <span className="loading loading-spinner loading-md text-primary"></span>
+      </div>
+    );
+  }
+
+  if (templates.length === 0) {
+    return (
+      <div className="rounded-xl border border-dashed border-base-300 p-10 text-center text-sm text-base-content/60">
+        No saved templates yet. Open any canvas and use its Save button to keep it as a template.
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+        {templates.map((t) => (
+          <div key={t.id} className="card bg-base-100 border border-base-300 shadow-sm hover:shadow-md transition-shadow">
+            <div className="card-body">
+              <div className="flex items-start justify-between gap-2">
+                <div>
+                  <div className="text-lg font-semibold">{t.name}</div>
+                  <div className="text-xs text-base-content/60 mt-1">
+                    {t.canvasLabel} · {t.nodeCount} steps · v{t.version} · updated {new Date(t.updatedAt).toLocaleDateString()}
+                  </div>
+                </div>
+                <div className="flex items-center gap-1">
+                  <button className="btn btn-ghost btn-xs" title="Rename" disabled={busy} onClick={() => setDialog({ type: "rename", template: t })}>
+                    <Pencil className="h-3.5 w-3.5" />
+                  </button>
+                  <button className="btn btn-ghost btn-xs" title="Duplicate" disabled={busy} onClick={() => duplicateTemplate(t.id).catch(() => {})}>
+                    <Copy className="h-3.5 w-3.5" />
+                  </button>
+                  <button className="btn btn-ghost btn-xs text-error" title="Delete" disabled={busy} onClick={() => handleDelete(t)}>
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </button>
+                </div>
+              </div>
+
+              <div className="mt-4 flex flex-wrap items-center gap-2">
+                <button className="btn btn-sm btn-primary gap-1" disabled={busy} onClick={() => setDialog({ type: "campaign", template: t })}>
+                  <Rocket className="h-4 w-4" />
+                  New campaign
+                </button>
+                <button
+                  className="btn btn-sm btn-outline gap-1"
+                  onClick={() => router.push(openCanvasUrl({ canvas: t.canvas, templateId: t.id }))}
+                >
+                  <FolderOpen className="h-4 w-4" />
+                  Edit
+                </button>
+                <button
+                  className={`btn btn-sm btn-ghost gap-1 ${historyFor === t.id ? "btn-active" : ""}`}
+                  onClick={() => setHistoryFor(historyFor === t.id ? null : t.id)}
+                >
+                  <History className="h-4 w-4" />
+                  History
+                </button>
+              </div>
+
+              {historyFor === t.id && (
+                <VersionHistory
+                  template={t}
+                  busy={busy}
+                  onRestore={(version) => restoreVersion({ templateId: t.id, version }).catch(() => {})}
+                />
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <TemplateNameModal
+        open={!!dialog}
+        title={dialog?.type === "rename" ? "Rename template" : "New campaign from template"}
+        label={dialog?.type === "rename" ? "Template name" : "Campaign name"}
+        initialName={dialog?.template.name || ""}
+        submitLabel={dialog?.type === "rename" ? "Rename" : "Create campaign"}
+        onClose={() => setDialog(null)}
+        onSubmit={handleDialogSubmit}
+      />
+    </>
+  );
+}
@@ -1,9 +1,16 @@
 "use client";
 
-import { useCallback, useMemo, useRef, useState } from "react";
-import { ZoomIn, ZoomOut, Maximize2, Minimize2, RefreshCcw, Save, LayoutTemplate, Crosshair } from "lucide-react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { ZoomIn, ZoomOut, Maximize2, Minimize2, RefreshCcw, Save, LayoutTemplate, Crosshair, Play, Pause, BookmarkPlus, Download, Upload, X } from "lucide-react";
 import ReactFlow, { Background, Controls, MiniMap, addEdge, Handle, Position, useEdgesState, useNodesState, MarkerType } from "reactflow";
 import "reactflow/dist/style.css";
+import toast from "react-hot-toast";
+import { useCampaignSequence } from "../../campaigns/hooks/useCampaignSequence";
+import { useCanvasTemplate } from "../hooks";
+import TemplateNameModal from "./TemplateNameModal";
+import { BRANCH_CONDITIONS, BRANCH_CONDITION_TYPES, describeCondition } from "@/libs/sequence-conditions";
+import { buildSequenceFile, parseSequenceFile } from "@/libs/sequence-file";
+import { DEFAULT_ENDORSE_SKILLS, MAX_ENDORSE_SKILLS } from "@/libs/sequence-graph";
 
 function BaseNode({ icon, title, subtitle, status = "pending", isStart = false, selected = false }) {
   const getStatusColor = () => {
@@ -54,16 +61,54 @@ const FollowNode = ({ data, selected }) => (
   <div>
     <Handle type="target" position={Position.Top} className="w-3 h-3" />
     <BaseNode 
-      icon="➕" 
-      title="Follow" 
-      subtitle="Follow the user" 
+      icon={data?.unfollow ? "➖" : "➕"} 
+      title={data?.unfollow ? "Unfollow" : "Follow"} 
+      subtitle={data?.unfollow ? "Stop following the user" : "Follow the user"} 
       status={data?.status}
+      isStart={data?.isStart}
       selected={selected}
     />
     <Handle type="source" position={Position.Bottom} className="w-3 h-3" />
   </div>
 );
 
+const LikeNode = ({ data, selected }) => (
+  <div>
+    <Handle type="target" position={Position.Top} className="w-3 h-3" />
+    <BaseNode 
+      icon="👍" 
+      title="Like a Post" 
+      subtitle="Like the latest post" 
+      status={data?.status}
+      isStart={data?.isStart}
+      selected={selected}
+    />
+    <Handle type="source" position={Position.Bottom} className="w-3 h-3" />
+  </div>
+);
+
+// Keywords are typed as a comma-separated list and saved as an array
+const endorseKeywords = (data) =>
+  Array.isArray(data?.keywords) ? data.keywords : String(data?.keywords || "").split(",").map((k) => k.trim()).filter(Boolean);
+
+const EndorseNode = ({ data, selected }) => {
+  const keywords = endorseKeywords(data);
+  return (
+    <div>
+      <Handle type="target" position={Position.Top} className="w-3 h-3" />
+      <BaseNode 
+        icon="🏅" 
+        title="Endorse Skills" 
+        subtitle={keywords.length ? `Skills matching ${keywords.join(", ")}` : `Top ${data?.maxSkills || DEFAULT_ENDORSE_SKILLS} skills`} 
+        status={data?.status}
+        isStart={data?.isStart}
+        selected={selected}
+      />
+      <Handle type="source" position={Position.Bottom} className="w-3 h-3" />
+    </div>
+  );
+};
+
 const ConnectNode = ({ data, selected }) => (
   <div>
     <Handle type="target" position={Position.Top} className="w-3 h-3" />
@@ -115,19 +160,23 @@ const BranchNode = ({ data, selected }) => (
         <div className="absolute inset-0 -rotate-45 flex items-center justify-center">
           <div className="text-center">
             <div className="text-sm font-semibold text-gray-900">Branch</div>
-            <div className="text-xs text-gray-500 mt-1">{data?.condition || "Reply detected?"}</div>
+            <div className="text-xs text-gray-500 mt-1">{typeof data?.condition === "string" ? data.condition : describeCondition(data?.condition)}</div>
+            {data?.timeout && <div className="text-[10px] text-gray-400">Timeout {data.timeout}</div>}
           </div>
         </div>
       </div>
     </div>
     <Handle id="yes" type="source" position={Position.Right} className="w-3 h-3" />
     <Handle id="no" type="source" position={Position.Bottom} className="w-3 h-3" />
+    {data?.timeout && <Handle id="timeout" type="source" position={Position.Left} className="w-3 h-3" />}
   </div>
 );
 
 const nodeTypes = {
   visit: VisitNode,
   follow: FollowNode,
+  like: LikeNode,
+  endorse: EndorseNode,
   connect: ConnectNode,
   wait: DelayNode,
   message: MessageNode,
@@ -135,14 +184,14 @@ const nodeTypes = {
 };
 
 const initialNodes = [
-  { id: "n1", type: "visit", position: { x: 300, y: 50 }, data: { status: "completed", isStart: true } },
-  { id: "n2", type: "follow", position: { x: 300, y: 200 }, data: { status: "completed" } },
-  { id: "n3", type: "connect", position: { x: 300, y: 350 }, data: { status: "running" } },
-  { id: "n4", type: "wait", position: { x: 300, y: 500 }, data: { status: "pending", delay: "2-4 hours" } },
-  { id: "n5", type: "message", position: { x: 300, y: 650 }, data: { status: "pending", messageType: "Follow-up message" } },
-  { id: "n6", type: "branch", position: { x: 500, y: 650 }, data: { status: "pending", condition: "Reply detected?" } },
-  { id: "n7", type: "message", position: { x: 700, y: 650 }, data: { status: "pending", messageType: "Reply to message" } },
-  { id: "n8", type: "message", position: { x: 300, y: 800 }, data: { status: "pending", messageType: "No reply - continue" } },
+  { id: "n1", type: "visit", position: { x: 300, y: 50 }, data: { isStart: true } },
+  { id: "n2", type: "follow", position: { x: 300, y: 200 }, data: {} },
+  { id: "n3", type: "connect", position: { x: 300, y: 350 }, data: {} },
+  { id: "n4", type: "wait", position: { x: 300, y: 500 }, data: { delay: "2-4 hours" } },
+  { id: "n5", type: "message", position: { x: 300, y: 650 }, data: { messageType: "Follow-up message" } },
+  { id: "n6", type: "branch", position: { x: 500, y: 650 }, data: { condition: { type: "replied" }, timeout: "3 days" } },
+  { id: "n7", type: "message", position: { x: 700, y: 650 }, data: { messageType: "Reply to message" } },
+  { id: "n8", type: "message", position: { x: 300, y: 800 }, data: { messageType: "No reply - continue" } },
 ];
 
 const initialEdges = [
@@ -155,13 +204,126 @@ const initialEdges = [
   { id: "e6-8", source: "n6", sourceHandle: "no", target: "n8", type: "smoothstep", label: "No" },
 ];
 
-export default function SequenceCanvas() {
+const BRANCH_EDGE_LABELS = { yes: "Yes", no: "No", timeout: "Timeout" };
+
+// Saved edges carry the branch handle; the canvas shows it as the edge label
+const toCanvasEdge = (edge) => ({
+  ...edge,
+  type: "smoothstep",
+  label: BRANCH_EDGE_LABELS[edge.sourceHandle],
+});
+
+export default function SequenceCanvas({ campaignId }) {
   const [fullscreen, setFullscreen] = useState(false);
   const [nodes, setNodes, onNodesChange] = useNodesState(initialNodes);
   const [edges, setEdges, onEdgesChange] = useEdgesState(initialEdges);
   const [selectedNodeId, setSelectedNodeId] = useState(null);
+  // { title, errors } from the last failed export or import
+  const [fileErrors, setFileErrors] = useState(null);
   const wrapperRef = useRef(null);
+  const fileInputRef = useRef(null);
   const rfInstance = useRef(null);
+  const loadedVersion = useRef(null);
+  const loadedTemplate = useRef(null);
+
+  const {
+    sequence,
+    saveSequence,
+    saving,
+    setSequenceStatus,
+    updatingStatus,
+    enrollLeads,
+    enrolling,
+  } = useCampaignSequence(campaignId);
+
+  const {
+    template,
+    saveTemplate,
+    saving: savingTemplate,
+    naming,
+    createTemplate,
+    cancelNaming,
+  } = useCanvasTemplate("custom");
+
+  // Show the saved graph once per version (later refetches only update the counts)
+  useEffect(() => {
+    if (!sequence?.graph || loadedVersion.current === sequence.version) return;
+    loadedVersion.current = sequence.version;
+    setNodes(sequence.graph.nodes.map((node) => ({ ...node, data: { ...node.data } })));
+    setEdges(sequence.graph.edges.map(toCanvasEdge));
+  }, [sequence, setNodes, setEdges]);
+
+  // A saved template fills the canvas until the campaign has a sequence of its own
+  useEffect(() => {
+    if (!template?.graph || sequence?.graph) return;
+    const key = `${template.id}:${template.graphVersion}`;
+    if (loadedTemplate.current === key) return;
+    loadedTemplate.current = key;
+    setNodes(template.graph.nodes.map((node) => ({ ...node, data: { ...node.data } })));
+    setEdges(template.graph.edges.map(toCanvasEdge));
+  }, [template, sequence, setNodes, setEdges]);
+
+  // Steps where enrolled leads currently are
+  const leadsAtNode = useMemo(() => sequence?.summary?.byNode || {}, [sequence]);
+  const displayNodes = useMemo(
+    () => nodes.map((node) => (leadsAtNode[node.id] ? { ...node, data: { ...node.data, status: "running" } } : node)),
+    [nodes, leadsAtNode]
+  );
+
+  const canvasGraph = () => ({
+    nodes: nodes.map(({ id, type, position, data }) => ({ id, type, position, data })),
+    edges: edges.map(({ id, source, target, sourceHandle }) => ({ id, source, target, sourceHandle: sourceHandle || null })),
+  });
+
+  const handleSave = async () => {
+    const saved = await saveSequence(canvasGraph()).catch(() => null);
+    if (saved) loadedVersion.current = saved.version;
+  };
+
+  const handleSaveTemplate = () => saveTemplate(canvasGraph());
+
+  const handleExport = () => {
+    const name = sequence?.name || template?.name || "Sequence";
+    const { file, errors } = buildSequenceFile({ name, graph: canvasGraph() });
+    if (!file) {
+      setFileErrors({ title: "Fix the sequence before exporting it", errors });
+      toast.error("Sequence has errors, see Configuration");
+      return;
+    }
+
+    setFileErrors(null);
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${name.replace(/[^a-z0-9-_ ]/gi, "").trim().replace(/\s+/g, "-").toLowerCase() || "sequence"}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    const { name, graph, errors } = parseSequenceFile(await file.text());
+    if (errors.length > 0) {
+      setFileErrors({ title: `${file.name} could not be imported`, errors });
+      toast.error("Invalid sequence file, see Configuration");
+      return;
+    }
+
+    setFileErrors(null);
+    setSelectedNodeId(null);
+    setNodes(graph.nodes.map((node) => ({ ...node, data: { ...node.data } })));
+    setEdges(graph.edges.map(toCanvasEdge));
+    setTimeout(() => rfInstance.current?.fitView?.({ padding: 0.2 }), 0);
+    toast.success(`Imported "${name || file.name}". Save to keep it.`);
+  };
+
+  const handleStart = () => enrollLeads().catch(() => {});
+  const handleToggleStatus = () =>
+    setSequenceStatus(sequence.status === "active" ? "paused" : "active").catch(() => {});
 
   const onInit = useCallback((instance) => {
     rfInstance.current = instance;
@@ -169,7 +331,7 @@ export default function SequenceCanvas() {
   }, []);
 
   const onConnect = useCallback(
-    (connection) => setEdges((eds) => addEdge({ ...connection, type: "smoothstep" }, eds)),
+    (connection) => setEdges((eds) => addEdge({ ...connection, type: "smoothstep", label: BRANCH_EDGE_LABELS[connection.sourceHandle] }, eds)),
     [setEdges]
   );
 
@@ -210,6 +372,15 @@ export default function SequenceCanvas() {
 
   const selectedNode = useMemo(() => nodes.find((n) => n.id === selectedNodeId) || null, [nodes, selectedNodeId]);
 
+  const updateNodeData = (nodeId, changes) =>
+    setNodes((nds) => nds.map((n) => (n.id === nodeId ? { ...n, data: { ...n.data, ...changes } } : n)));
+
+  // Plain-text conditions from older canvases have no type until one is picked
+  const branchCondition = selectedNode?.type === "branch" && typeof selectedNode.data?.condition === "object"
+    ? selectedNode.data.condition
+    : null;
+  const branchDefinition = BRANCH_CONDITIONS[branchCondition?.type] || null;
+
   return (
     <div className={`h-full w-full ${fullscreen ? "fixed inset-0 z-50 bg-base-100" : ""}`}>
       <div className="h-full flex">
@@ -220,6 +391,8 @@ export default function SequenceCanvas() {
             {[
               { type: "visit", label: "Visit Profile", emoji: "👁️" },
               { type: "follow", label: "Follow", emoji: "➕" },
+              { type: "like", label: "Like a Post", emoji: "👍" },
+              { type: "endorse", label: "Endorse Skills", emoji: "🏅" },
               { type: "connect", label: "Connect", emoji: "🤝" },
               { type: "wait", label: "Wait", emoji: "⏱️" },
               { type: "message", label: "Message", emoji: "💬" },
@@ -257,16 +430,54 @@ export default function SequenceCanvas() {
             <button className="btn btn-sm btn-square btn-ghost border border-base-300" onClick={toggleFullscreen} title={fullscreen ? "Exit full screen" : "Enter full screen"}>
               {fullscreen ? <Minimize2 className="h-4 w-4" /> : <Maximize2 className="h-4 w-4" />}
             </button>
-            <button className="btn btn-sm btn-square btn-ghost border border-base-300" title="Save as template">
-              <Save className="h-4 w-4" />
+            <button
+              className="btn btn-sm btn-square btn-ghost border border-base-300"
+              onClick={handleSave}
+              disabled={!campaignId || saving}
+              title={campaignId ? "Save sequence" : "Open a campaign to save its sequence"}
+            >
+              {saving ? <span className="loading loading-spinner loading-xs"></span> : <Save className="h-4 w-4" />}
+            </button>
+            <button
+              className="btn btn-sm btn-square btn-ghost border border-base-300"
+              onClick={handleStart}
+              disabled={!sequence || enrolling}
+              title={sequence ? "Start the sequence for all campaign leads" : "Save the sequence first"}
+            >
+              {enrolling ? <span className="loading loading-spinner loading-xs"></span> : <Play className="h-4 w-4" />}
+            </button>
+            {sequence && sequence.status !== "draft" && (
+              <button
+                className="btn btn-sm btn-square btn-ghost border border-base-300"
+                onClick={handleToggleStatus}
+                disabled={updatingStatus}
+                title={sequence.status === "active" ? "Pause sequence" : "Resume sequence"}
+              >
+                {sequence.status === "active" ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4 text-success" />}
+              </button>
+            )}
+            <button
+              className="btn btn-sm btn-square btn-ghost border border-base-300"
+              onClick={handleSaveTemplate}
+              disabled={savingTemplate}
+              title={template ? `Save as a new version of "${template.name}"` : "Save as template"}
+            >
+              {savingTemplate ? <span className="loading loading-spinner loading-xs"></span> : <BookmarkPlus className="h-4 w-4" />}
+            </button>
+            <button className="btn btn-sm btn-square btn-ghost border border-base-300" onClick={handleExport} title="Export sequence as JSON">
+              <Download className="h-4 w-4" />
+            </button>
+            <button className="btn btn-sm btn-square btn-ghost border border-base-300" onClick={() => fileInputRef.current?.click()} title="Import sequence from JSON">
+              <Upload className="h-4 w-4" />
             </button>
+            <input ref={fileInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
             <button className="btn btn-sm btn-square btn-ghost border border-base-300" title="Back to templates">
               <LayoutTemplate className="h-4 w-4" />
             </button>
           </div>
 
           <ReactFlow
-            nodes={nodes}
+            nodes={displayNodes}
             edges={edges}
             onNodesChange={onNodesChange}
             onEdgesChange={onEdgesChange}
@@ -299,6 +510,30 @@ export default function SequenceCanvas() {
         {/* Right Inspector */}
         <div className="w-80 border-l border-base-300 p-4 bg-base-100 flex-shrink-0 overflow-y-auto min-h-0">
           <div className="text-sm font-semibold mb-3">Configuration</div>
+          {fileErrors && (
+            <div className="mb-4 rounded-lg border border-error/40 bg-error/5 p-3 text-xs">
+              <div className="flex items-start justify-between gap-2">
+                <span className="font-medium text-error">{fileErrors.title}</span>
+                <button className="btn btn-ghost btn-xs btn-square" onClick={() => setFileErrors(null)} title="Dismiss">
+                  <X className="h-3 w-3" />
+                </button>
+              </div>
+              <ul className="mt-2 space-y-1 list-disc pl-4 text-base-content/80 max-h-48 overflow-y-auto">
+                {fileErrors.errors.map((error, index) => <li key={index}>{error}</li>)}
+              </ul>
+            </div>
+          )}
+          {sequence && (
+            <div className="mb-4 rounded-lg border border-base-300 p-3 text-xs space-y-1">
+              <div className="flex items-center justify-between">
+                <span className="text-base-content/70">Version {sequence.version}</span>
+                <span className="capitalize font-medium">{sequence.status}</span>
+              </div>
+              <div className="text-base-content/60">
+                {sequence.summary.total} enrolled · {(sequence.summary.byStatus.active || 0) + (sequence.summary.byStatus.running || 0)} in progress · {sequence.summary.byStatus.completed || 0} completed · {sequence.summary.byStatus.failed || 0} failed
+              </div>
+            </div>
+          )}
           {!selectedNode && (
             <div className="text-xs text-base-content/60">Select a node to configure its settings.</div>
           )}
@@ -308,6 +543,46 @@ export default function SequenceCanvas() {
                 <div className="text-[13px] text-base-content/70">Type</div>
                 <div className="text-sm font-medium mt-1 capitalize">{selectedNode.type}</div>
               </div>
+              {sequence && (
+                <div className="text-xs text-base-content/60">Leads at this step: {leadsAtNode[selectedNode.id] || 0}</div>
+              )}
+              {selectedNode.type === "follow" && (
+                <div className="space-y-2">
+                  <label className="text-[13px] text-base-content/70">Action</label>
+                  <select
+                    className="select select-sm select-bordered w-full"
+                    value={selectedNode.data?.unfollow ? "unfollow" : "follow"}
+                    onChange={(e) => updateNodeData(selectedNode.id, { unfollow: e.target.value === "unfollow" })}
+                  >
+                    <option value="follow">Follow</option>
+                    <option value="unfollow">Unfollow</option>
+                  </select>
+                  <div className="text-[11px] text-base-content/60">Unfollows count against the account&apos;s daily follow limit.</div>
+                </div>
+              )}
+              {selectedNode.type === "endorse" && (
+                <div className="space-y-2">
+                  <label className="text-[13px] text-base-content/70">Skills to endorse</label>
+                  <input
+                    type="number"
+                    min={1}
+                    max={MAX_ENDORSE_SKILLS}
+                    className="input input-sm input-bordered w-full"
+                    value={selectedNode.data?.maxSkills ?? DEFAULT_ENDORSE_SKILLS}
+                    onChange={(e) => updateNodeData(selectedNode.id, { maxSkills: parseInt(e.target.value, 10) || 1 })}
+                  />
+                  <label className="text-[13px] text-base-content/70">Only skills matching</label>
+                  <input
+                    className="input input-sm input-bordered w-full"
+                    value={Array.isArray(selectedNode.data?.keywords) ? selectedNode.data.keywords.join(", ") : selectedNode.data?.keywords || ""}
+                    onChange={(e) => updateNodeData(selectedNode.id, { keywords: e.target.value })}
+                    placeholder="e.g. sales, marketing (empty for top skills)"
+                  />
+                  <div className="text-[11px] text-base-content/60">
+                    Connections only. Endorses the top skills of the profile, or the first ones matching a keyword; each skill counts against the account&apos;s daily endorsement limit.
+                  </div>
+                </div>
+              )}
               {selectedNode.type === "wait" && (
                 <div className="space-y-2">
                   <label className="text-[13px] text-base-content/70">Delay label</label>
@@ -332,25 +607,93 @@ export default function SequenceCanvas() {
                     }
                     placeholder="Follow-up message"
                   />
+                  <label className="text-[13px] text-base-content/70">Message</label>
+                  <textarea
+                    className="textarea textarea-sm textarea-bordered w-full"
+                    rows={5}
+                    value={selectedNode.data?.message || ""}
+                    onChange={(e) =>
+                      setNodes((nds) => nds.map((n) => n.id === selectedNode.id ? { ...n, data: { ...n.data, message: e.target.value } } : n))
+                    }
+                    placeholder="Hi {{firstName}}, ..."
+                  />
+                  <div className="text-[11px] text-base-content/60">
+                    Variables: {"{{firstName}}"}, {"{{name}}"}, {"{{company}}"}, {"{{title}}"}, {"{{location}}"}, {"{{tags}}"}, {"{{custom.field_name|fallback}}"}. Leave empty to send the lead&apos;s generated message.
+                  </div>
                 </div>
               )}
               {selectedNode.type === "branch" && (
                 <div className="space-y-2">
                   <label className="text-[13px] text-base-content/70">Condition</label>
-                  <input
-                    className="input input-sm input-bordered w-full"
-                    value={selectedNode.data?.condition || ""}
+                  <select
+                    className="select select-sm select-bordered w-full"
+                    value={branchCondition?.type || ""}
                     onChange={(e) =>
-                      setNodes((nds) => nds.map((n) => n.id === selectedNode.id ? { ...n, data: { ...n.data, condition: e.target.value } } : n))
+                      updateNodeData(selectedNode.id, {
+                        condition: e.target.value ? { type: e.target.value, ...BRANCH_CONDITIONS[e.target.value].defaults } : null,
+                      })
                     }
-                    placeholder="Reply detected?"
+                  >
+                    <option value="">Choose a condition</option>
+                    {BRANCH_CONDITION_TYPES.map((type) => (
+                      <option key={type} value={type}>{BRANCH_CONDITIONS[type].label}</option>
+                    ))}
+                  </select>
+                  {branchDefinition?.params.includes("days") && (
+                    <>
+                      <label className="text-[13px] text-base-content/70">Days</label>
+                      <input
+                        type="number"
+                        min={1}
+                        max={365}
+                        className="input input-sm input-bordered w-full"
+                        value={branchCondition.days ?? ""}
+                        onChange={(e) =>
+                          updateNodeData(selectedNode.id, { condition: { ...branchCondition, days: e.target.value === "" ? "" : Number(e.target.value) } })
+                        }
+                      />
+                    </>
+                  )}
+                  {branchDefinition?.params.includes("text") && (
+                    <>
+                      <label className="text-[13px] text-base-content/70">Text</label>
+                      <input
+                        className="input input-sm input-bordered w-full"
+                        value={branchCondition.text || ""}
+                        onChange={(e) =>
+                          updateNodeData(selectedNode.id, { condition: { ...branchCondition, text: e.target.value } })
+                        }
+                        placeholder="e.g. founder"
+                      />
+                    </>
+                  )}
+                  <label className="text-[13px] text-base-content/70">Timeout</label>
+                  <input
+                    className="input input-sm input-bordered w-full"
+                    value={selectedNode.data?.timeout || ""}
+                    onChange={(e) => updateNodeData(selectedNode.id, { timeout: e.target.value })}
+                    placeholder={branchDefinition?.canWait ? "e.g. 3 days (required)" : "Optional, e.g. 3 days"}
                   />
+                  <div className="text-[11px] text-base-content/60">
+                    Yes leaves from the right, No from the bottom.
+                    {branchDefinition?.canWait
+                      ? " Leads wait here until the condition is met; after the timeout they take the Timeout connection (left), or No if it has none."
+                      : " This condition is decided as soon as a lead arrives."}
+                  </div>
                 </div>
               )}
             </div>
           )}
         </div>
       </div>
+      <TemplateNameModal
+        open={naming}
+        title="Save as template"
+        label="Template name"
+        submitLabel="Save template"
+        onClose={cancelNaming}
+        onSubmit={createTemplate}
+      />
     </div>
   );
 }
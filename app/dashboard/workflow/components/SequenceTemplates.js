@@ -1,9 +1,12 @@
 "use client";
 
-import { useRouter } from "next/navigation";
+import { useState } from "react";
+import { useRouter, useSearchParams } from "next/navigation";
 import LeadGenerationPreview from "../templates/lead-generation/Preview";
-import EndorseSkillsPreview from "../templates/send-invite/Preview";
+import SendInvitePreview from "../templates/send-invite/Preview";
+import EndorseSkillsPreview from "../templates/endorse-my-skills/Preview";
 import ExtraProfileViewsPreview from "../templates/extra-profile-views/Preview";
+import SavedTemplates from "./SavedTemplates";
 
 const templates = [
   {
@@ -12,10 +15,15 @@ const templates = [
     description: "Multi-step outreach with follow-ups",
   },
   {
-    id: "endorse-my-skills",
+    id: "send-invite",
     title: "Send Invite",
     description: "Simple workflow to send a connection invite",
   },
+  {
+    id: "endorse-my-skills",
+    title: "Endorse My Skills",
+    description: "Warm up existing connections by endorsing their skills",
+  },
   {
     id: "extra-profile-views",
     title: "Extra Profile Views",
@@ -25,18 +33,22 @@ const templates = [
 
 export default function SequenceTemplates() {
   const router = useRouter();
+  const searchParams = useSearchParams();
+  const [tab, setTab] = useState("prebuilt");
 
-  const handleSelectTemplate = (id) => {
-    const params = new URLSearchParams();
-    params.set('template', id);
+  // Keep the campaign in the URL so the chosen canvas can load and save its data
+  // (a saved template opened before is not carried over to another canvas)
+  const openCanvas = (template) => {
+    const params = new URLSearchParams(searchParams.toString());
+    params.set('template', template);
+    params.delete('templateId');
+    params.delete('templateVersion');
     router.push(`/dashboard/workflow?${params.toString()}`);
   };
 
-  const handleCustom = () => {
-    const params = new URLSearchParams();
-    params.set('template', 'custom');
-    router.push(`/dashboard/workflow?${params.toString()}`);
-  };
+  const handleSelectTemplate = (id) => openCanvas(id);
+
+  const handleCustom = () => openCanvas('custom');
 
   return (
     <div className="p-6">
@@ -50,38 +62,44 @@ export default function SequenceTemplates() {
         </div>
 
         <div className="tabs tabs-boxed w-fit mb-6">
-          <a className="tab tab-active">Pre-built Templates</a>
-          <a className="tab">Saved Templates</a>
+          <a className={`tab ${tab === "prebuilt" ? "tab-active" : ""}`} onClick={() => setTab("prebuilt")}>Pre-built Templates</a>
+          <a className={`tab ${tab === "saved" ? "tab-active" : ""}`} onClick={() => setTab("saved")}>Saved Templates</a>
         </div>
 
-        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
-          {templates.map((t) => (
-            <div key={t.id} className="card bg-base-100 border border-base-300 shadow-sm hover:shadow-md transition-shadow">
-              <div className="card-body">
-                <div className="aspect-[16/9] w-full rounded-lg bg-base-200/60 border border-base-300 overflow-hidden">
-                  {t.id === "lead-generation" ? (
-                    <LeadGenerationPreview />
-                  ) : t.id === "endorse-my-skills" ? (
-                    <EndorseSkillsPreview />
-                  ) : t.id === "extra-profile-views" ? (
-                    <ExtraProfileViewsPreview />
-                  ) : (
-                    <div className="flex items-center justify-center text-xs text-base-content/60 h-full">
-                      Template preview
-                    </div>
-                  )}
-                </div>
-                <div className="mt-4">
-                  <div className="text-lg font-semibold">{t.title}</div>
-                  <div className="text-xs text-base-content/60 mt-1">{t.description}</div>
-                </div>
-                <div className="mt-4">
-                  <button className="btn btn-sm btn-outline" onClick={() => handleSelectTemplate(t.id)}>Select template</button>
+        {tab === "saved" && <SavedTemplates />}
+
+        {tab === "prebuilt" && (
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+            {templates.map((t) => (
+              <div key={t.id} className="card bg-base-100 border border-base-300 shadow-sm hover:shadow-md transition-shadow">
+                <div className="card-body">
+                  <div className="aspect-[16/9] w-full rounded-lg bg-base-200/60 border border-base-300 overflow-hidden">
+                    {t.id === "lead-generation" ? (
+                      <LeadGenerationPreview />
+                    ) : t.id === "send-invite" ? (
+                      <SendInvitePreview />
+                    ) : t.id === "endorse-my-skills" ? (
+                      <EndorseSkillsPreview />
+                    ) : t.id === "extra-profile-views" ? (
+                      <ExtraProfileViewsPreview />
+                    ) : (
+                      <div className="flex items-center justify-center text-xs text-base-content/60 h-full">
+                        Template preview
+                      </div>
+                    )}
+                  </div>
+                  <div className="mt-4">
+                    <div className="text-lg font-semibold">{t.title}</div>
+                    <div className="text-xs text-base-content/60 mt-1">{t.description}</div>
+                  </div>
+                  <div className="mt-4">
+                    <button className="btn btn-sm btn-outline" onClick={() => handleSelectTemplate(t.id)}>Select template</button>
+                  </div>
                 </div>
               </div>
-            </div>
-          ))}
-        </div>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
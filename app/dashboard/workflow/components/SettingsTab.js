@@ -1,42 +1,423 @@
 "use client";
 
-export default function SettingsTab() {
+import { useEffect, useMemo, useState } from "react";
+import { Save, Plus, Trash2, Trophy } from "lucide-react";
+import { useCampaignSettings } from "../../campaigns/hooks/useCampaignSettings";
+import { useCampaignAccounts } from "../../campaigns/hooks/useCampaignAccounts";
+import { INVITE_ERROR_CLASSES, DEFAULT_RETRY_POLICY } from "@/libs/invite-retry-policy";
+import { MAX_FOLLOW_UPS } from "@/libs/follow-up-policy";
+import { MAX_NOTE_VARIANTS, MAX_NOTE_LENGTH } from "@/libs/note-variants";
+
+const FALLBACK_TIMEZONES = ["UTC", "Europe/London", "Europe/Berlin", "America/New_York", "America/Chicago", "America/Los_Angeles", "Asia/Karachi", "Asia/Kolkata", "Asia/Singapore", "Australia/Sydney"];
+
+const toForm = (settings) => ({
+  timezone: settings?.timezone || "UTC",
+  restrictHours: !!settings?.workingHours,
+  start: settings?.workingHours?.start || "09:00",
+  end: settings?.workingHours?.end || "17:00",
+  dailyConnectCap: settings?.dailyConnectCap ?? "",
+  dailyMessageCap: settings?.dailyMessageCap ?? "",
+  defaultMessageTemplate: settings?.defaultMessageTemplate || "",
+  maxAttempts: settings?.retryPolicy?.maxAttempts ?? DEFAULT_RETRY_POLICY.maxAttempts,
+  backoffMinutes: settings?.retryPolicy?.backoffMinutes ?? DEFAULT_RETRY_POLICY.backoffMinutes,
+  retryableErrors: settings?.retryPolicy?.retryableErrors || DEFAULT_RETRY_POLICY.retryableErrors,
+  // A follow-up is written by AI from its prompt, or sent from its template
+  followUps: (settings?.followUps || []).map((followUp) => ({
+    delay: followUp.delay,
+    mode: followUp.template ? "template" : "ai",
+    text: followUp.template || followUp.prompt || "",
+  })),
+  noteVariants: settings?.noteTest?.variants || [],
+  autoPromoteAfter: settings?.noteTest?.autoPromoteAfter ?? "",
+  noteWinner: settings?.noteTest?.winner || null,
+});
+
+const formatRate = (rate) => (rate === null ? "-" : `${Math.round(rate * 1000) / 10}%`);
+
+export default function SettingsTab({ campaignId }) {
+  const { settings, loading, noteVariantStats, saveSettings, saving } = useCampaignSettings(campaignId);
+  const { accounts, loading: accountsLoading, saveAccounts, saving: savingAccounts } = useCampaignAccounts(campaignId);
+  const [form, setForm] = useState(() => toForm(null));
+  const [selectedAccountIds, setSelectedAccountIds] = useState([]);
+
+  useEffect(() => {
+    if (settings) {
+      setForm(toForm(settings));
+    }
+  }, [settings]);
+
+  useEffect(() => {
+    setSelectedAccountIds(accounts.filter((account) => account.selected).map((account) => account.id));
+  }, [accounts]);
+
+  const accountsChanged = accounts.some((account) => account.selected !== selectedAccountIds.includes(account.id));
+
+  const timezones = useMemo(() => {
+    const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const supported = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : FALLBACK_TIMEZONES;
+    return Array.from(new Set(["UTC", browserTimezone, form.timezone, ...supported].filter(Boolean)));
+  }, [form.timezone]);
+
+  const update = (key) => (e) => {
+    const value = e.target.type === "checkbox" ? e.target.checked : e.target.value;
+    setForm((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const toggleRetryable = (key) => (e) => {
+    const checked = e.target.checked;
+    setForm((prev) => ({
+      ...prev,
+      retryableErrors: checked
+        ? [...prev.retryableErrors, key]
+        : prev.retryableErrors.filter((item) => item !== key),
+    }));
+  };
+
+  const updateFollowUp = (index, key) => (e) => {
+    const value = e.target.value;
+    setForm((prev) => ({
+      ...prev,
+      followUps: prev.followUps.map((followUp, i) => (i === index ? { ...followUp, [key]: value } : followUp)),
+    }));
+  };
+
+  const addFollowUp = () => {
+    setForm((prev) => ({
+      ...prev,
+      followUps: [...prev.followUps, { delay: prev.followUps.length === 0 ? "3 business days" : "7 days", mode: "ai", text: "" }],
+    }));
+  };
+
+  const removeFollowUp = (index) => () => {
+    setForm((prev) => ({ ...prev, followUps: prev.followUps.filter((_, i) => i !== index) }));
+  };
+
+  const updateNoteVariant = (index) => (e) => {
+    const value = e.target.value;
+    setForm((prev) => ({
+      ...prev,
+      noteVariants: prev.noteVariants.map((variant, i) => (i === index ? { ...variant, text: value } : variant)),
+    }));
+  };
+
+  // New variants get their letter from the server
+  const addNoteVariant = () => {
+    setForm((prev) => ({ ...prev, noteVariants: [...prev.noteVariants, { id: null, text: "" }] }));
+  };
+
+  const removeNoteVariant = (index) => () => {
+    setForm((prev) => ({ ...prev, noteVariants: prev.noteVariants.filter((_, i) => i !== index) }));
+  };
+
+  const toggleAccount = (accountId) => (e) => {
+    const checked = e.target.checked;
+    setSelectedAccountIds((prev) => (checked ? [...prev, accountId] : prev.filter((id) => id !== accountId)));
+  };
+
+  const handleSave = async () => {
+    try {
+      if (accountsChanged) {
+        await saveAccounts(selectedAccountIds);
+      }
+      await saveSettings({
+        timezone: form.timezone,
+        workingHours: form.restrictHours ? { start: form.start, end: form.end } : null,
+        dailyConnectCap: form.dailyConnectCap === "" ? null : Number(form.dailyConnectCap),
+        dailyMessageCap: form.dailyMessageCap === "" ? null : Number(form.dailyMessageCap),
+        defaultMessageTemplate: form.defaultMessageTemplate,
+        retryPolicy: {
+          maxAttempts: Number(form.maxAttempts),
+          backoffMinutes: Number(form.backoffMinutes),
+          retryableErrors: form.retryableErrors,
+        },
+        followUps: form.followUps.map((followUp) => ({
+          delay: followUp.delay,
+          prompt: followUp.mode === "ai" ? followUp.text : "",
+          template: followUp.mode === "template" ? followUp.text : "",
+        })),
+        noteTest: {
+          variants: form.noteVariants,
+          autoPromoteAfter: form.autoPromoteAfter === "" ? null : Number(form.autoPromoteAfter),
+          winner: form.noteVariants.some((variant) => variant.id === form.noteWinner) ? form.noteWinner : null,
+        },
+      });
+    } catch (error) {
+      // Toast is shown by the mutation
+    }
+  };
+
+  if (!campaignId) {
+    return (
+      <div className="h-full p-6">
+        <div className="max-w-4xl mx-auto text-sm text-base-content/60">
+          Open a campaign to configure its settings.
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="h-full p-6">
       <div className="max-w-4xl mx-auto space-y-4">
-        <div>
-          <h3 className="text-lg font-semibold">Campaign Settings</h3>
-          <p className="text-sm text-base-content/60">Configure limits, windows, and defaults (UI only).</p>
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h3 className="text-lg font-semibold">Campaign Settings</h3>
+            <p className="text-sm text-base-content/60">
+              Invites and messages are only sent inside the working hours of the campaign timezone. Leave a cap empty to use the LinkedIn account limit only.
+            </p>
+          </div>
+          <button className="btn btn-primary btn-sm" onClick={handleSave} disabled={loading || saving || savingAccounts}>
+            {saving || savingAccounts ? <span className="loading loading-spinner loading-xs"></span> : <Save className="h-4 w-4" />}
+            Save
+          </button>
         </div>
 
         <div className="card bg-base-100 border border-base-300">
           <div className="card-body grid grid-cols-1 md:grid-cols-2 gap-4">
             <div>
               <label className="label"><span className="label-text">Timezone</span></label>
-              <select className="select select-bordered w-full">
-                <option>Browser default</option>
-                <option>UTC</option>
+              <select className="select select-bordered w-full" value={form.timezone} onChange={update("timezone")} disabled={loading}>
+                {timezones.map((tz) => (
+                  <option key={tz} value={tz}>{tz}</option>
+                ))}
               </select>
             </div>
             <div>
-              <label className="label"><span className="label-text">Working hours</span></label>
-              <input className="input input-bordered w-full" placeholder="9:00 - 17:00" />
+              <label className="label cursor-pointer justify-start gap-2">
+                <input type="checkbox" className="checkbox checkbox-sm" checked={form.restrictHours} onChange={update("restrictHours")} disabled={loading} />
+                <span className="label-text">Working hours</span>
+              </label>
+              <div className="flex items-center gap-2">
+                <input type="time" className="input input-bordered w-full" value={form.start} onChange={update("start")} disabled={loading || !form.restrictHours} />
+                <span className="text-base-content/60">-</span>
+                <input type="time" className="input input-bordered w-full" value={form.end} onChange={update("end")} disabled={loading || !form.restrictHours} />
+              </div>
             </div>
             <div>
               <label className="label"><span className="label-text">Daily connect cap</span></label>
-              <input type="number" className="input input-bordered w-full" placeholder="20" />
+              <input type="number" min="0" className="input input-bordered w-full" placeholder="20" value={form.dailyConnectCap} onChange={update("dailyConnectCap")} disabled={loading} />
             </div>
             <div>
               <label className="label"><span className="label-text">Daily message cap</span></label>
-              <input type="number" className="input input-bordered w-full" placeholder="50" />
+              <input type="number" min="0" className="input input-bordered w-full" placeholder="50" value={form.dailyMessageCap} onChange={update("dailyMessageCap")} disabled={loading} />
+            </div>
+          </div>
+        </div>
+
+        <div className="card bg-base-100 border border-base-300">
+          <div className="card-body">
+            <div className="font-medium">Sending accounts</div>
+            <p className="text-sm text-base-content/60 mb-2">
+              Leads are split across the selected accounts by their remaining daily quota, and follow-ups come from the account that sent the invite. Leave all unchecked to send from the active account.
+            </p>
+            {accountsLoading ? (
+              <span className="loading loading-spinner loading-sm"></span>
+            ) : accounts.length === 0 ? (
+              <div className="text-sm text-base-content/60">No LinkedIn accounts connected.</div>
+            ) : (
+              <div className="space-y-1">
+                {accounts.map((account) => (
+                  <label key={account.id} className="label cursor-pointer justify-start gap-2 py-1">
+                    <input type="checkbox" className="checkbox checkbox-sm" checked={selectedAccountIds.includes(account.id)} onChange={toggleAccount(account.id)} />
+                    <span className="label-text">
+                      {account.name || account.email}
+                      {account.isActive && <span className="badge badge-ghost badge-sm ml-2">active</span>}
+                    </span>
+                    <span className="label-text-alt ml-auto text-base-content/60">
+                      {Math.max(0, account.dailyLimit - account.dailyInvitesSent)}/{account.dailyLimit} invites left today
+                    </span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="card bg-base-100 border border-base-300">
+          <div className="card-body">
+            <div className="font-medium">Invite retry policy</div>
+            <p className="text-sm text-base-content/60 mb-2">
+              Failed invites are retried on the next run once the backoff has passed. The backoff doubles after every attempt.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="label"><span className="label-text">Max attempts</span></label>
+                <input type="number" min="1" max="10" className="input input-bordered w-full" value={form.maxAttempts} onChange={update("maxAttempts")} disabled={loading} />
+              </div>
+              <div>
+                <label className="label"><span className="label-text">First retry after (minutes)</span></label>
+                <input type="number" min="1" className="input input-bordered w-full" value={form.backoffMinutes} onChange={update("backoffMinutes")} disabled={loading} />
+              </div>
+            </div>
+            <div className="label"><span className="label-text">Retry these errors</span></div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-1">
+              {Object.entries(INVITE_ERROR_CLASSES).map(([key, errorClass]) => (
+                <label key={key} className="label cursor-pointer justify-start gap-2 py-1">
+                  <input type="checkbox" className="checkbox checkbox-sm" checked={form.retryableErrors.includes(key)} onChange={toggleRetryable(key)} disabled={loading} />
+                  <span className="label-text">{errorClass.label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="card bg-base-100 border border-base-300">
+          <div className="card-body">
+            <div className="flex items-center justify-between">
+              <div className="font-medium">Connection note A/B test</div>
+              <button className="btn btn-ghost btn-sm" onClick={addNoteVariant} disabled={loading || form.noteVariants.length >= MAX_NOTE_VARIANTS}>
+                <Plus className="h-4 w-4" />
+                Add variant
+              </button>
+            </div>
+            <p className="text-sm text-base-content/60 mb-2">
+              Each lead always gets the same variant, split evenly across the variants, and its acceptance rate is tracked per variant. Once a winner is set, every new invite uses it.
+            </p>
+            {form.noteVariants.length === 0 ? (
+              <div className="text-sm text-base-content/60">No variants: invites are sent without a note.</div>
+            ) : (
+              <div className="space-y-3">
+                {form.noteVariants.map((variant, index) => (
+                  <div key={variant.id || `new-${index}`} className="space-y-1">
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm font-medium">Variant {variant.id || "(new)"}</span>
+                      {variant.id && variant.id === form.noteWinner && (
+                        <span className="badge badge-success badge-sm gap-1"><Trophy className="h-3 w-3" />winner</span>
+                      )}
+                      <span className="text-xs text-base-content/60 ml-auto">{variant.text.length}/{MAX_NOTE_LENGTH}</span>
+                      <button className="btn btn-ghost btn-sm btn-square" onClick={removeNoteVariant(index)} disabled={loading} aria-label="Remove variant">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                    <textarea
+                      className="textarea textarea-bordered w-full h-20"
+                      placeholder="Hi {{firstName}}, I came across your work at {{company}}..."
+                      maxLength={MAX_NOTE_LENGTH}
+                      value={variant.text}
+                      onChange={updateNoteVariant(index)}
+                      disabled={loading}
+                    />
+                  </div>
+                ))}
+                <div className="text-xs text-base-content/60">
+                  Variables: {"{{firstName}}"}, {"{{name}}"}, {"{{company}}"}, {"{{title}}"}, {"{{location}}"}, {"{{custom.field_name}}"}.
+                  Add a fallback with {"{{custom.field_name|text}}"}.
+                </div>
+              </div>
+            )}
+            <div className="flex items-center gap-2 mt-2">
+              <span className="text-sm">Promote the winner after</span>
+              <input type="number" min="1" className="input input-bordered input-sm w-24" placeholder="Never" value={form.autoPromoteAfter} onChange={update("autoPromoteAfter")} disabled={loading} />
+              <span className="text-sm text-base-content/60">invites per variant, if the leader is significantly ahead</span>
+            </div>
+            {noteVariantStats?.variants?.length > 0 && (
+              <div className="overflow-x-auto mt-2">
+                <table className="table table-sm">
+                  <thead>
+                    <tr>
+                      <th>Variant</th>
+                      <th className="text-right">Sent</th>
+                      <th className="text-right">Accepted</th>
+                      <th className="text-right">Acceptance</th>
+                      <th>Significance</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {noteVariantStats.variants.map((row) => (
+                      <tr key={row.id}>
+                        <td>{row.id}</td>
+                        <td className="text-right">{row.sent}</td>
+                        <td className="text-right">{row.accepted}</td>
+                        <td className="text-right">{formatRate(row.acceptanceRate)}</td>
+                        <td>
+                          {row.id === noteVariantStats.leader ? (
+                            <span className={`badge badge-sm ${noteVariantStats.significant ? "badge-success" : "badge-ghost"}`}>
+                              {noteVariantStats.significant ? "leader, significant" : "leader, not significant yet"}
+                            </span>
+                          ) : row.pValue !== null ? (
+                            <span className="text-xs text-base-content/60">
+                              p = {row.pValue.toFixed(3)}{row.significant ? " (behind)" : ""}
+                            </span>
+                          ) : (
+                            <span className="text-xs text-base-content/60">no data</span>
+                          )}
+                        </td>
+                        <td className="text-right">
+                          {form.noteWinner === row.id ? (
+                            <button className="btn btn-ghost btn-xs" onClick={() => setForm((prev) => ({ ...prev, noteWinner: null }))} disabled={loading}>
+                              Clear winner
+                            </button>
+                          ) : (
+                            <button className="btn btn-ghost btn-xs" onClick={() => setForm((prev) => ({ ...prev, noteWinner: row.id }))} disabled={loading || !form.noteVariants.some((variant) => variant.id === row.id)}>
+                              Use as winner
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="text-xs text-base-content/60 mt-1">
+                  Two-proportion z-test against the leader at p &lt; {noteVariantStats.significanceLevel}. Winner changes apply on save.
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="card bg-base-100 border border-base-300">
+          <div className="card-body">
+            <div className="flex items-center justify-between">
+              <div className="font-medium">Follow-ups</div>
+              <button className="btn btn-ghost btn-sm" onClick={addFollowUp} disabled={loading || form.followUps.length >= MAX_FOLLOW_UPS}>
+                <Plus className="h-4 w-4" />
+                Add follow-up
+              </button>
             </div>
+            <p className="text-sm text-base-content/60 mb-2">
+              Sent after the first message to accepted leads, each delay counted from the previous message. Follow-ups stop as soon as the lead replies.
+            </p>
+            {form.followUps.length === 0 ? (
+              <div className="text-sm text-base-content/60">No follow-ups: leads only get the first message.</div>
+            ) : (
+              <div className="space-y-4">
+                {form.followUps.map((followUp, index) => (
+                  <div key={index} className="border border-base-300 rounded-lg p-3 space-y-2">
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm font-medium w-24">Message {index + 2}</span>
+                      <input type="text" className="input input-bordered input-sm w-40" placeholder="3 business days" value={followUp.delay} onChange={updateFollowUp(index, "delay")} disabled={loading} />
+                      <span className="text-sm text-base-content/60">after the previous message</span>
+                      <select className="select select-bordered select-sm ml-auto" value={followUp.mode} onChange={updateFollowUp(index, "mode")} disabled={loading}>
+                        <option value="ai">Write with AI</option>
+                        <option value="template">Use template</option>
+                      </select>
+                      <button className="btn btn-ghost btn-sm btn-square" onClick={removeFollowUp(index)} disabled={loading} aria-label="Remove follow-up">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                    <textarea
+                      className="textarea textarea-bordered w-full h-24"
+                      placeholder={followUp.mode === "ai" ? "Instructions for the AI, e.g. ask if they are open to a quick call" : "Hi {{firstName}}, just following up..."}
+                      value={followUp.text}
+                      onChange={updateFollowUp(index, "text")}
+                      disabled={loading}
+                    />
+                    <div className="text-xs text-base-content/60">
+                      Variables: {"{{firstName}}"}, {"{{name}}"}, {"{{company}}"}, {"{{title}}"}, {"{{location}}"}, {"{{tags}}"}, {"{{custom.field_name}}"}.
+                      Add a fallback with {"{{custom.field_name|text}}"}.
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
         </div>
 
         <div className="card bg-base-100 border border-base-300">
           <div className="card-body">
             <div className="font-medium mb-2">Template defaults</div>
-            <textarea className="textarea textarea-bordered w-full h-32" placeholder="Default message template..." />
+            <textarea className="textarea textarea-bordered w-full h-32" placeholder="Default message template..." value={form.defaultMessageTemplate} onChange={update("defaultMessageTemplate")} disabled={loading} />
           </div>
         </div>
       </div>
@@ -1,39 +1,186 @@
 "use client";
 
-export default function StatisticsTab() {
+import { useState } from "react";
+import { Play } from "lucide-react";
+import { useCampaignSequence } from "../../campaigns/hooks/useCampaignSequence";
+
+const COLUMNS = [
+  { key: "invites", label: "Invites" },
+  { key: "messages", label: "Messages" },
+  { key: "accepted", label: "Accepted" },
+  { key: "views", label: "Views" },
+  { key: "follows", label: "Follows" },
+  { key: "likes", label: "Likes" },
+  { key: "endorsements", label: "Endorsements" },
+  { key: "completed", label: "Done" },
+];
+
+const formatDate = (date) =>
+  new Date(`${date}T12:00:00Z`).toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric", timeZone: "UTC" });
+
+function ForecastChart({ days }) {
+  const max = Math.max(1, ...days.map((day) => Math.max(day.invites, day.messages)));
+
   return (
-    <div className="h-full p-6">
-      <div className="max-w-7xl mx-auto">
-        <div className="mb-4">
-          <h3 className="text-lg font-semibold">Statistics</h3>
-          <p className="text-sm text-base-content/60">Funnel and performance metrics (UI only).</p>
+    <div className="overflow-x-auto">
+      <div className="flex items-end gap-1 h-48 min-w-full" style={{ width: Math.max(days.length * 18, 100) }}>
+        {days.map((day) => (
+          <div
+            key={day.date}
+            className="flex-1 flex items-end justify-center gap-px h-full"
+            title={`${formatDate(day.date)}: ${day.invites} invites, ${day.messages} messages, ${day.accepted} accepted`}
+          >
+            <div className="w-1/2 bg-primary rounded-t" style={{ height: `${(day.invites / max) * 100}%` }} />
+            <div className="w-1/2 bg-secondary rounded-t" style={{ height: `${(day.messages / max) * 100}%` }} />
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-base-content/60 mt-1">
+        <span>{formatDate(days[0].date)}</span>
+        <span>{formatDate(days[days.length - 1].date)}</span>
+      </div>
+    </div>
+  );
+}
+
+export default function StatisticsTab({ campaignId }) {
+  const { sequence, simulateSequence, simulating, simulation } = useCampaignSequence(campaignId);
+  const [audienceSize, setAudienceSize] = useState("");
+  const [acceptanceRate, setAcceptanceRate] = useState(30);
+
+  const handleSimulate = () => {
+    simulateSequence({
+      audienceSize: audienceSize === "" ? undefined : Number(audienceSize),
+      acceptanceRate: Number(acceptanceRate),
+    }).catch(() => null);
+  };
+
+  if (!campaignId) {
+    return (
+      <div className="h-full p-6">
+        <div className="max-w-7xl mx-auto text-sm text-base-content/60">
+          Open a campaign to forecast its sequence.
         </div>
+      </div>
+    );
+  }
 
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-          {["Queued", "Sent", "Accepted", "Replied"].map((label) => (
-            <div key={label} className="card bg-base-100 border border-base-300">
-              <div className="card-body">
-                <div className="text-xs text-base-content/60">{label}</div>
-                <div className="text-2xl font-bold">0</div>
-              </div>
-            </div>
-          ))}
+  const visibleColumns = simulation
+    ? COLUMNS.filter((column) => ["invites", "messages", "completed"].includes(column.key) || simulation.totals[column.key] > 0)
+    : [];
+
+  return (
+    <div className="h-full p-6 overflow-y-auto">
+      <div className="max-w-7xl mx-auto space-y-4">
+        <div>
+          <h3 className="text-lg font-semibold">Statistics</h3>
+          <p className="text-sm text-base-content/60">
+            Forecast the saved sequence before launching it: LinkedIn steps run inside the campaign working hours and within the daily limits of the sending accounts.
+          </p>
         </div>
 
-        <div className="mt-6 grid grid-cols-1 lg:grid-cols-2 gap-4">
-          <div className="card bg-base-100 border border-base-300 h-64">
-            <div className="card-body">
-              <div className="font-medium">Step conversion</div>
-              <div className="text-xs text-base-content/60">Chart placeholder</div>
+        <div className="card bg-base-100 border border-base-300">
+          <div className="card-body flex flex-col md:flex-row md:items-end gap-4">
+            <div>
+              <label className="label"><span className="label-text">Audience size</span></label>
+              <input type="number" min="1" className="input input-bordered w-40" placeholder="All campaign leads" value={audienceSize} onChange={(e) => setAudienceSize(e.target.value)} />
             </div>
-          </div>
-          <div className="card bg-base-100 border border-base-300 h-64">
-            <div className="card-body">
-              <div className="font-medium">Time to advance</div>
-              <div className="text-xs text-base-content/60">Chart placeholder</div>
+            <div>
+              <label className="label"><span className="label-text">Acceptance rate (%)</span></label>
+              <input type="number" min="0" max="100" className="input input-bordered w-40" value={acceptanceRate} onChange={(e) => setAcceptanceRate(e.target.value)} />
             </div>
+            <button className="btn btn-primary" onClick={handleSimulate} disabled={simulating || !sequence}>
+              {simulating ? <span className="loading loading-spinner loading-xs"></span> : <Play className="h-4 w-4" />}
+              Simulate
+            </button>
+            {!sequence && (
+              <span className="text-sm text-base-content/60">Save a sequence in the Sequence tab first.</span>
+            )}
           </div>
         </div>
+
+        {simulation && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div className="card bg-base-100 border border-base-300">
+                <div className="card-body">
+                  <div className="text-xs text-base-content/60">Invites</div>
+                  <div className="text-2xl font-bold">{simulation.totals.invites}</div>
+                </div>
+              </div>
+              <div className="card bg-base-100 border border-base-300">
+                <div className="card-body">
+                  <div className="text-xs text-base-content/60">Expected acceptances</div>
+                  <div className="text-2xl font-bold">{simulation.totals.accepted}</div>
+                </div>
+              </div>
+              <div className="card bg-base-100 border border-base-300">
+                <div className="card-body">
+                  <div className="text-xs text-base-content/60">Messages</div>
+                  <div className="text-2xl font-bold">{simulation.totals.messages}</div>
+                </div>
+              </div>
+              <div className="card bg-base-100 border border-base-300">
+                <div className="card-body">
+                  <div className="text-xs text-base-content/60">Expected completion</div>
+                  <div className="text-2xl font-bold">
+                    {simulation.completionDate ? formatDate(simulation.completionDate) : `> ${simulation.assumptions.maxDays} days`}
+                  </div>
+                </div>
+              </div>
+            </div>
+
+            <div className="text-xs text-base-content/60">
+              {simulation.assumptions.audienceSize} leads, {simulation.assumptions.acceptanceRate}% of invites accepted {simulation.assumptions.acceptDelayDays} days after sending, {simulation.accounts} sending account{simulation.accounts === 1 ? "" : "s"}, dates in {simulation.assumptions.timezone}.
+              {simulation.notConnected > 0 && ` ${simulation.notConnected} lead(s) leave at a message step because they never connect.`}
+              {simulation.unfinished > 0 && ` ${simulation.unfinished} lead(s) are still running at the end of the forecast.`}
+              {" "}Replies are not forecast.
+            </div>
+
+            {simulation.days.length > 0 && (
+              <div className="card bg-base-100 border border-base-300">
+                <div className="card-body">
+                  <div className="flex items-center justify-between">
+                    <div className="font-medium">Daily sends</div>
+                    <div className="flex items-center gap-3 text-xs text-base-content/60">
+                      <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full bg-primary"></span>Invites</span>
+                      <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full bg-secondary"></span>Messages</span>
+                    </div>
+                  </div>
+                  <ForecastChart days={simulation.days} />
+                </div>
+              </div>
+            )}
+
+            <div className="card bg-base-100 border border-base-300">
+              <div className="card-body">
+                <div className="font-medium">Day by day</div>
+                <div className="overflow-x-auto max-h-96">
+                  <table className="table table-sm table-pin-rows">
+                    <thead>
+                      <tr>
+                        <th>Day</th>
+                        {visibleColumns.map((column) => (
+                          <th key={column.key} className="text-right">{column.label}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {simulation.days.map((day) => (
+                        <tr key={day.date}>
+                          <td>{formatDate(day.date)}</td>
+                          {visibleColumns.map((column) => (
+                            <td key={column.key} className="text-right">{day[column.key] || ""}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </div>
+          </>
+        )}
       </div>
     </div>
   );
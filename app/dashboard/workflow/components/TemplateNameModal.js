@@ -0,0 +1,95 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { X, Save, Loader2 } from "lucide-react";
+
+const MAX_NAME_LENGTH = 100;
+
+// Asks for a name: new template, template rename, or campaign started from a template
+export default function TemplateNameModal({ open, title, label = "Name", initialName = "", submitLabel = "Save", onClose, onSubmit }) {
+  const [name, setName] = useState(initialName);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (open) setName(initialName);
+  }, [open, initialName]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    setLoading(true);
+    try {
+      await onSubmit(name.trim());
+    } catch (error) {
+      console.error("Error saving name:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box w-11/12 max-w-md">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-lg font-bold text-base-content">{title}</h3>
+          <button
+            onClick={onClose}
+            className="btn btn-sm btn-circle btn-ghost"
+            disabled={loading}
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="form-control">
+            <label className="label" htmlFor="template-name">
+              <span className="label-text font-medium">{label}</span>
+              <span className="label-text-alt text-error">*</span>
+            </label>
+            <input
+              id="template-name"
+              type="text"
+              className="input input-bordered w-full"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              disabled={loading}
+              maxLength={MAX_NAME_LENGTH}
+              autoFocus
+            />
+            <label className="label">
+              <span className="label-text-alt text-base-content/60">
+                {name.length}/{MAX_NAME_LENGTH} characters
+              </span>
+            </label>
+          </div>
+
+          {/* Actions */}
+          <div className="modal-action">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-ghost"
+              disabled={loading}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary gap-2"
+              disabled={loading || !name.trim()}
+            >
+              {loading ? <Loader2 className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+              {submitLabel}
+            </button>
+          </div>
+        </form>
+      </div>
+      <div className="modal-backdrop" onClick={onClose}></div>
+    </div>
+  );
+}
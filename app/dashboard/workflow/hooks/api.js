@@ -0,0 +1,88 @@
+/**
+ * API functions for saved sequence templates and audience segments
+ * These functions will be used by React Query hooks
+ */
+
+const request = async (url, { method = "GET", body, fallback }) => {
+  const response = await fetch(url, {
+    method,
+    ...(body !== undefined && {
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    }),
+  });
+
+  const result = await response.json();
+
+  if (!result.success) {
+    throw new Error(result.message || result.error || fallback);
+  }
+
+  return result;
+};
+
+export const templateApi = {
+  // Fetch the user's saved templates
+  fetchTemplates: async () =>
+    (await request("/api/templates", { fallback: "Failed to fetch templates" })).templates,
+
+  // Fetch a template with the graph of a version (current one by default)
+  fetchTemplate: async ({ templateId, version }) =>
+    (await request(`/api/templates/${templateId}${version ? `?version=${version}` : ""}`, { fallback: "Failed to fetch template" })).template,
+
+  // Fetch the version history of a template
+  fetchTemplateVersions: async (templateId) =>
+    (await request(`/api/templates/${templateId}/versions`, { fallback: "Failed to fetch template history" })).versions,
+
+  // Save a canvas as a new template
+  createTemplate: async ({ name, canvas, graph }) =>
+    (await request("/api/templates", { method: "POST", body: { name, canvas, graph }, fallback: "Failed to save template" })).template,
+
+  // Save a new version of a template (from the canvas graph or an older version)
+  saveTemplateVersion: async ({ templateId, graph, fromVersion }) =>
+    request(`/api/templates/${templateId}/versions`, {
+      method: "POST",
+      body: fromVersion !== undefined ? { fromVersion } : { graph },
+      fallback: "Failed to save template",
+    }),
+
+  // Rename a template
+  renameTemplate: async ({ templateId, name }) =>
+    (await request(`/api/templates/${templateId}`, { method: "PATCH", body: { name }, fallback: "Failed to rename template" })).template,
+
+  // Copy a template
+  duplicateTemplate: async (templateId) =>
+    (await request(`/api/templates/${templateId}/duplicate`, { method: "POST", body: {}, fallback: "Failed to duplicate template" })).template,
+
+  // Delete a template and its history
+  deleteTemplate: async (templateId) =>
+    request(`/api/templates/${templateId}`, { method: "DELETE", fallback: "Failed to delete template" }),
+
+  // Create a campaign set up with a template
+  startCampaign: async ({ templateId, name }) =>
+    request(`/api/templates/${templateId}/campaign`, { method: "POST", body: { name }, fallback: "Failed to create campaign" }),
+};
+
+export const segmentApi = {
+  // Fetch the user's saved audience segments
+  fetchSegments: async () =>
+    (await request("/api/segments", { fallback: "Failed to fetch segments" })).segments,
+
+  // Save filters as a named segment
+  createSegment: async ({ name, filters }) =>
+    (await request("/api/segments", { method: "POST", body: { name, filters }, fallback: "Failed to save segment" })).segment,
+
+  // Rename a segment and/or replace its filters
+  updateSegment: async ({ segmentId, name, filters }) =>
+    (await request(`/api/segments/${segmentId}`, { method: "PUT", body: { name, filters }, fallback: "Failed to update segment" })).segment,
+
+  // Delete a segment (campaigns using it go back to all of their leads)
+  deleteSegment: async (segmentId) =>
+    request(`/api/segments/${segmentId}`, { method: "DELETE", fallback: "Failed to delete segment" }),
+
+  // Count and sample the campaign leads matching filters
+  previewAudience: async ({ campaignId, filters }) =>
+    request(`/api/campaigns/${campaignId}/audience`, { method: "POST", body: { filters }, fallback: "Failed to preview audience" }),
+};
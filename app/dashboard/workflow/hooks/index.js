@@ -0,0 +1,8 @@
+// Export all hooks from a central location for cleaner imports
+export { useSequenceTemplates, useTemplateVersions } from './useSequenceTemplates';
+export { useCanvasTemplate } from './useCanvasTemplate';
+export { useAudienceSegments, useAudiencePreview } from './useAudienceSegments';
+
+// Export query keys and API functions for advanced usage
+export { templateKeys, segmentKeys } from './queryKeys';
+export { templateApi, segmentApi } from './api';
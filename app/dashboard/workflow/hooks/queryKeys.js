@@ -0,0 +1,24 @@
+/**
+ * Query keys for React Query caching
+ * Organized in a hierarchical structure for better cache invalidation
+ */
+
+export const templateKeys = {
+  // Base key for all template-related queries
+  all: ['templates'],
+  // The user's saved templates
+  lists: () => [...templateKeys.all, 'list'],
+  // One template with the graph of a version (null = current)
+  detail: (id, version = null) => [...templateKeys.all, 'detail', id, version],
+  // Version history of a template
+  versions: (id) => [...templateKeys.all, id, 'versions'],
+};
+
+export const segmentKeys = {
+  // Base key for all audience segment queries
+  all: ['segments'],
+  // The user's saved segments
+  lists: () => [...segmentKeys.all, 'list'],
+  // Campaign leads matching filters
+  preview: (campaignId, filters) => [...segmentKeys.all, 'preview', campaignId, filters],
+};
@@ -0,0 +1,95 @@
+/**
+ * Audience Segments Hook
+ *
+ * React Query hooks for the user's saved audience segments (save, update,
+ * delete) and the live preview of the campaign leads matching filters
+ */
+
+"use client";
+
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { segmentKeys } from "./queryKeys";
+import { segmentApi } from "./api";
+import { campaignKeys } from "../../campaigns/hooks/queryKeys";
+
+export function useAudienceSegments() {
+  const queryClient = useQueryClient();
+
+  const {
+    data: segments = [],
+    isLoading: loading,
+    error,
+  } = useQuery({
+    queryKey: segmentKeys.lists(),
+    queryFn: segmentApi.fetchSegments,
+    staleTime: 1000 * 60, // 1 minute
+  });
+
+  const invalidateSegments = () => queryClient.invalidateQueries({ queryKey: segmentKeys.lists() });
+
+  const createMutation = useMutation({
+    mutationFn: segmentApi.createSegment,
+    onSuccess: (segment) => {
+      invalidateSegments();
+      toast.success(`Segment "${segment.name}" saved`);
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to save segment");
+    },
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: segmentApi.updateSegment,
+    onSuccess: (segment) => {
+      invalidateSegments();
+      toast.success(`Segment "${segment.name}" updated`);
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to update segment");
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: segmentApi.deleteSegment,
+    onSuccess: (result) => {
+      invalidateSegments();
+      // Campaigns that used the segment had it removed from their settings
+      if (result.campaignsCleared > 0) {
+        queryClient.invalidateQueries({ queryKey: campaignKeys.all });
+      }
+      toast.success("Segment deleted");
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to delete segment");
+    },
+  });
+
+  return {
+    segments,
+    loading,
+    error,
+    createSegment: createMutation.mutateAsync,
+    updateSegment: updateMutation.mutateAsync,
+    deleteSegment: deleteMutation.mutateAsync,
+    busy: createMutation.isPending || updateMutation.isPending || deleteMutation.isPending,
+  };
+}
+
+// Count and sample of the campaign leads matching filters (pass debounced filters)
+export function useAudiencePreview(campaignId, filters) {
+  const {
+    data: preview = null,
+    isFetching: loading,
+    error,
+  } = useQuery({
+    queryKey: segmentKeys.preview(campaignId, filters),
+    queryFn: () => segmentApi.previewAudience({ campaignId, filters }),
+    enabled: !!campaignId && !!filters,
+    placeholderData: keepPreviousData,
+    staleTime: 1000 * 30, // 30 seconds
+    retry: false,
+  });
+
+  return { preview, loading, error };
+}
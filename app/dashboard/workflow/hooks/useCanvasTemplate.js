@@ -0,0 +1,90 @@
+/**
+ * Canvas Template Hook
+ *
+ * Lets a workflow canvas save itself as a saved template and open one.
+ * The template comes from the `templateId` (and optional `templateVersion`)
+ * URL parameters: saving a canvas opened from a template adds a version to
+ * it, saving any other canvas asks for a name and creates a new template.
+ */
+
+"use client";
+
+import { useState } from "react";
+import { useRouter, useSearchParams } from "next/navigation";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { templateKeys } from "./queryKeys";
+import { templateApi } from "./api";
+
+export function useCanvasTemplate(canvas) {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const queryClient = useQueryClient();
+  const templateId = searchParams.get("templateId");
+  const templateVersion = searchParams.get("templateVersion");
+
+  // Graph waiting for a template name
+  const [pendingGraph, setPendingGraph] = useState(null);
+
+  const { data: loadedTemplate = null, isLoading: loading } = useQuery({
+    queryKey: templateKeys.detail(templateId, templateVersion),
+    queryFn: () => templateApi.fetchTemplate({ templateId, version: templateVersion }),
+    enabled: !!templateId,
+    staleTime: Infinity, // The canvas edits its own copy
+  });
+
+  // A template of another canvas cannot be shown here
+  const template = loadedTemplate?.canvas === canvas ? loadedTemplate : null;
+
+  const createMutation = useMutation({
+    mutationFn: ({ name, graph }) => templateApi.createTemplate({ name, canvas, graph }),
+    onSuccess: (created) => {
+      queryClient.invalidateQueries({ queryKey: templateKeys.lists() });
+      toast.success(`Template "${created.name}" saved`);
+
+      // Later saves of this canvas add versions to the new template
+      const params = new URLSearchParams(searchParams.toString());
+      params.set("templateId", created.id);
+      params.delete("templateVersion");
+      router.replace(`/dashboard/workflow?${params.toString()}`);
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to save template");
+    },
+  });
+
+  const versionMutation = useMutation({
+    mutationFn: (graph) => templateApi.saveTemplateVersion({ templateId: template.id, graph }),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: templateKeys.all });
+      toast.success(result.created ? `Template saved (version ${result.template.version})` : "No changes to save");
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to save template");
+    },
+  });
+
+  // Save the canvas: new version of the open template, else ask for a name
+  const saveTemplate = (graph) => {
+    if (template) return versionMutation.mutateAsync(graph).catch(() => null);
+    setPendingGraph(graph);
+    return Promise.resolve(null);
+  };
+
+  const createTemplate = async (name) => {
+    const created = await createMutation.mutateAsync({ name, graph: pendingGraph });
+    setPendingGraph(null);
+    return created;
+  };
+
+  return {
+    template,
+    loading: !!templateId && loading,
+    saveTemplate,
+    saving: createMutation.isPending || versionMutation.isPending,
+    // Name prompt for a new template
+    naming: !!pendingGraph,
+    createTemplate,
+    cancelNaming: () => setPendingGraph(null),
+  };
+}
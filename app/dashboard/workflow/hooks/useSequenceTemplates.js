@@ -0,0 +1,116 @@
+/**
+ * Saved Templates Hook
+ *
+ * React Query hook for the user's saved sequence templates: list, rename,
+ * duplicate, delete, and start a new campaign from one
+ */
+
+"use client";
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { templateKeys } from "./queryKeys";
+import { templateApi } from "./api";
+import { campaignKeys } from "../../campaigns/hooks/queryKeys";
+
+export function useSequenceTemplates() {
+  const queryClient = useQueryClient();
+
+  const {
+    data: templates = [],
+    isLoading: loading,
+    error,
+  } = useQuery({
+    queryKey: templateKeys.lists(),
+    queryFn: templateApi.fetchTemplates,
+    staleTime: 1000 * 60, // 1 minute
+  });
+
+  const invalidateTemplates = () => queryClient.invalidateQueries({ queryKey: templateKeys.all });
+
+  const renameMutation = useMutation({
+    mutationFn: templateApi.renameTemplate,
+    onSuccess: () => {
+      invalidateTemplates();
+      toast.success("Template renamed");
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to rename template");
+    },
+  });
+
+  const duplicateMutation = useMutation({
+    mutationFn: templateApi.duplicateTemplate,
+    onSuccess: (template) => {
+      invalidateTemplates();
+      toast.success(`Created "${template.name}"`);
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to duplicate template");
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: templateApi.deleteTemplate,
+    onSuccess: () => {
+      invalidateTemplates();
+      toast.success("Template deleted");
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to delete template");
+    },
+  });
+
+  const restoreMutation = useMutation({
+    mutationFn: ({ templateId, version }) => templateApi.saveTemplateVersion({ templateId, fromVersion: version }),
+    onSuccess: (result, { version }) => {
+      invalidateTemplates();
+      toast.success(`Version ${version} restored as version ${result.template.version}`);
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to restore version");
+    },
+  });
+
+  const startCampaignMutation = useMutation({
+    mutationFn: templateApi.startCampaign,
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: campaignKeys.lists() });
+      toast.success(`Campaign "${result.campaign.name}" created`);
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to create campaign");
+    },
+  });
+
+  return {
+    templates,
+    loading,
+    error,
+    renameTemplate: renameMutation.mutateAsync,
+    duplicateTemplate: duplicateMutation.mutateAsync,
+    deleteTemplate: deleteMutation.mutateAsync,
+    restoreVersion: restoreMutation.mutateAsync,
+    startCampaign: startCampaignMutation.mutateAsync,
+    busy:
+      renameMutation.isPending ||
+      duplicateMutation.isPending ||
+      deleteMutation.isPending ||
+      restoreMutation.isPending ||
+      startCampaignMutation.isPending,
+  };
+}
+
+// Version history of one template (loaded when `enabled`, e.g. while its panel is open)
+export function useTemplateVersions(templateId, enabled = true) {
+  const {
+    data: versions = [],
+    isLoading: loading,
+  } = useQuery({
+    queryKey: templateKeys.versions(templateId),
+    queryFn: () => templateApi.fetchTemplateVersions(templateId),
+    enabled: !!templateId && enabled,
+  });
+
+  return { versions, loading };
+}
@@ -11,6 +11,8 @@ import SequenceTemplates from "./components/SequenceTemplates";
 import LeadGenerationCanvas from "./templates/lead-generation/LeadGenerationCanvas";
 import SendInviteCanvas from "./templates/send-invite/SendInviteCanvas";
 import ExtraProfileViewsCanvas from "./templates/extra-profile-views/ExtraProfileViewsCanvas";
+import EndorseSkillsCanvas from "./templates/endorse-my-skills/EndorseSkillsCanvas";
+import SequenceCanvas from "./components/SequenceCanvas";
 import StatisticsTab from "./components/StatisticsTab";
 import SettingsTab from "./components/SettingsTab";
 import { useCampaigns } from "../campaigns/hooks/useCampaigns";
@@ -157,16 +159,18 @@ export default function WorkflowPage() {
 
           <div className="flex-1 min-h-0">
             <WorkflowLayout
-              AudienceTab={AudienceTab}
+              AudienceTab={() => <AudienceTab campaignId={campaignId} />}
               SequenceTab={() => {
                 const template = searchParams.get('template');
                 if (template === 'lead-generation') return <LeadGenerationCanvas campaignName={campaignName} campaignId={campaignId} />;
-                if (template === 'endorse-my-skills') return <SendInviteCanvas campaignName={campaignName} campaignId={campaignId} />;
+                if (template === 'send-invite') return <SendInviteCanvas campaignName={campaignName} campaignId={campaignId} />;
+                if (template === 'endorse-my-skills') return <EndorseSkillsCanvas campaignName={campaignName} campaignId={campaignId} />;
                 if (template === 'extra-profile-views') return <ExtraProfileViewsCanvas campaignName={campaignName} campaignId={campaignId} />;
+                if (template === 'custom') return <SequenceCanvas campaignId={campaignId} />;
                 return <SequenceTemplates />;
               }}
-              StatisticsTab={StatisticsTab}
-              SettingsTab={SettingsTab}
+              StatisticsTab={() => <StatisticsTab campaignId={campaignId} />}
+              SettingsTab={() => <SettingsTab campaignId={campaignId} />}
             />
           </div>
         </div>
@@ -0,0 +1,32 @@
+"use client";
+
+import { MarkerType } from "reactflow";
+import ExtraProfileViewsCanvas from "../extra-profile-views/ExtraProfileViewsCanvas";
+
+const edgeStyle = { stroke: "#3b475e", strokeWidth: 5 };
+const nodeWrapperStyle = { boxShadow: 'none', background: 'transparent', border: 'none', padding: 0 };
+const markerEnd = { type: MarkerType.ArrowClosed, color: "#3b475e" };
+
+// Warm touch for existing connections: look at the profile, then endorse their skills
+const initialNodes = [
+  { id: "node1", position: { x: 250, y: 100 }, data: { label: "View profile", icon: "👁" }, type: "default", style: nodeWrapperStyle },
+  { id: "node2", position: { x: 250, y: 300 }, data: { label: "Endorse skills", icon: "🏅", maxSkills: 3, keywords: [] }, style: nodeWrapperStyle },
+  { id: "end", position: { x: 250, y: 550 }, data: { label: "End of sequence", isEnd: true, icon: "■", note: "Connections only: other leads are skipped" }, style: nodeWrapperStyle },
+];
+
+const initialEdges = [
+  { id: "e1-2", source: "node1", target: "node2", type: "delay", data: { pill: "1 day" }, style: edgeStyle, markerEnd },
+  { id: "e2-end", source: "node2", target: "end", type: "delay", data: { pill: "No delay" }, style: edgeStyle, markerEnd },
+];
+
+export default function EndorseSkillsCanvas({ campaignName, campaignId }) {
+  return (
+    <ExtraProfileViewsCanvas
+      campaignName={campaignName}
+      campaignId={campaignId}
+      canvas="endorse-my-skills"
+      startNodes={initialNodes}
+      startEdges={initialEdges}
+    />
+  );
+}
@@ -2,10 +2,15 @@
 
 export default function EndorseSkillsPreview() {
   return (
-    <div className="aspect-[16/9] w-full rounded-lg bg-base-200/60 border border-base-300 flex items-center justify-center text-xs text-base-content/60">
-      Endorse My Skills preview
+    <div className="w-full h-full bg-gray-800 flex items-center justify-center">
+      <div className="text-center">
+        <div className="text-white text-sm font-medium mb-2">Endorse My Skills</div>
+        <div className="text-gray-400 text-xs">Endorse skills of your connections</div>
+        <div className="mt-3 flex justify-center gap-2">
+          <div className="w-2 h-2 bg-orange-500 rounded-full"></div>
+          <div className="w-2 h-2 bg-orange-500 rounded-full"></div>
+        </div>
+      </div>
     </div>
   );
 }
-
-
@@ -2,9 +2,15 @@
 
 import { useCallback, useEffect, useRef, useState } from "react";
 import { useRouter } from "next/navigation";
-import { Plus, Minus, Maximize2, Save, Target, Undo2, Trash2 } from "lucide-react";
+import { Plus, Minus, Maximize2, Save, Target, Undo2, Trash2, Play } from "lucide-react";
 import ReactFlow, { Background, Controls, MiniMap, addEdge, useEdgesState, useNodesState, MarkerType, BaseEdge, getBezierPath, Handle, Position, EdgeLabelRenderer } from "reactflow";
 import "reactflow/dist/style.css";
+import toast from "react-hot-toast";
+import { useCanvasTemplate } from "../../hooks";
+import { useCampaignSequence } from "../../../campaigns/hooks/useCampaignSequence";
+import { templateToSequenceGraph } from "@/libs/template-sequences";
+import { DEFAULT_ENDORSE_SKILLS, MAX_ENDORSE_SKILLS } from "@/libs/sequence-graph";
+import TemplateNameModal from "../../components/TemplateNameModal";
 
 const edgeStyle = { stroke: "#3b475e", strokeWidth: 5 };
 
@@ -56,6 +62,8 @@ const initialEdges = [
   { id: "e5-end", source: "node5", target: "end", type: "delay", data: { pill: "No delay" }, style: edgeStyle, markerEnd: { type: MarkerType.ArrowClosed, color: "#3b475e" } },
 ];
 
+const isEndorseStep = (data) => String(data?.label || "").trim().toLowerCase() === "endorse skills";
+
 function DarkNode({ data, id }) {
   const isEnd = data?.isEnd;
   const [showDelete, setShowDelete] = useState(false);
@@ -66,6 +74,11 @@ function DarkNode({ data, id }) {
     window.dispatchEvent(event);
   };
 
+  const updateData = (changes) => {
+    const event = new CustomEvent('updateNodeData', { detail: { nodeId: id, changes } });
+    window.dispatchEvent(event);
+  };
+
   return (
     <div 
       className="relative min-w-[250px] group"
@@ -78,7 +91,28 @@ function DarkNode({ data, id }) {
           <span>{data?.label}</span>
         </div>
         {isEnd && (
-          <div className="text-[9px] text-[#9aa6bd] mt-2">Withdraw requests if not accepted yet</div>
+          <div className="text-[9px] text-[#9aa6bd] mt-2">{data?.note || "Withdraw requests if not accepted yet"}</div>
+        )}
+        {isEndorseStep(data) && (
+          <div className="nodrag mt-3 space-y-2 text-[10px] text-[#9aa6bd]">
+            <label className="flex items-center justify-between gap-2">
+              Skills to endorse
+              <input
+                type="number"
+                min={1}
+                max={MAX_ENDORSE_SKILLS}
+                className="w-14 rounded bg-[#2f3a4e] px-2 py-1 text-[#dbe4f3]"
+                value={data.maxSkills ?? DEFAULT_ENDORSE_SKILLS}
+                onChange={(e) => updateData({ maxSkills: parseInt(e.target.value, 10) || 1 })}
+              />
+            </label>
+            <input
+              className="w-full rounded bg-[#2f3a4e] px-2 py-1 text-[#dbe4f3] placeholder:text-[#64748b]"
+              value={Array.isArray(data.keywords) ? data.keywords.join(", ") : data.keywords || ""}
+              onChange={(e) => updateData({ keywords: e.target.value })}
+              placeholder="Only skills matching (e.g. sales, marketing)"
+            />
+          </div>
         )}
         
         {/* Delete button */}
@@ -101,10 +135,11 @@ function DarkNode({ data, id }) {
 const nodeTypes = { default: DarkNode };
 const edgeTypes = { delay: DelayEdge };
 
-export default function ExtraProfileViewsCanvas({ campaignName, campaignId }) {
+// Also renders other chain templates (Endorse My Skills) from their own steps
+export default function ExtraProfileViewsCanvas({ campaignName, campaignId, canvas = "extra-profile-views", startNodes = initialNodes, startEdges = initialEdges }) {
   const router = useRouter();
-  const [nodes, setNodes, onNodesChange] = useNodesState(initialNodes);
-  const [edges, setEdges, onEdgesChange] = useEdgesState(initialEdges);
+  const [nodes, setNodes, onNodesChange] = useNodesState(startNodes);
+  const [edges, setEdges, onEdgesChange] = useEdgesState(startEdges);
   const rf = useRef(null);
   const [zoom, setZoom] = useState(1);
   const [isDark, setIsDark] = useState(true);
@@ -127,6 +162,34 @@ export default function ExtraProfileViewsCanvas({ campaignName, campaignId }) {
     setEdges((eds) => eds.filter((edge) => edge.source !== nodeId && edge.target !== nodeId));
   }, [setNodes, setEdges]);
 
+  // Saved template opened from the Saved Templates tab
+  const { template, saveTemplate, saving, naming, createTemplate, cancelNaming } = useCanvasTemplate(canvas);
+  const loadedTemplate = useRef(null);
+
+  useEffect(() => {
+    if (!template?.graph) return;
+    const key = `${template.id}:${template.graphVersion}`;
+    if (loadedTemplate.current === key) return;
+    loadedTemplate.current = key;
+    setNodes(template.graph.nodes);
+    setEdges(template.graph.edges);
+  }, [template, setNodes, setEdges]);
+
+  const handleSaveTemplate = () => saveTemplate({ nodes, edges });
+
+  // Run the canvas as the campaign's sequence: save it, then start it for the campaign leads
+  const { saveSequence, saving: savingSequence, enrollLeads, enrolling } = useCampaignSequence(campaignId);
+
+  const handleRun = async () => {
+    const { graph, errors } = templateToSequenceGraph(canvas, { nodes, edges });
+    if (errors.length > 0) {
+      toast.error(errors[0]);
+      return;
+    }
+    const saved = await saveSequence(graph).catch(() => null);
+    if (saved) await enrollLeads().catch(() => {});
+  };
+
   useEffect(() => {
     const detect = () => {
       const html = document.documentElement;
@@ -204,6 +267,17 @@ export default function ExtraProfileViewsCanvas({ campaignName, campaignId }) {
     return () => window.removeEventListener('deleteNode', handleDeleteNode);
   }, [deleteNode]);
 
+  // Handle step settings edited inside a node
+  useEffect(() => {
+    const handleUpdateNodeData = (event) => {
+      const { nodeId, changes } = event.detail;
+      setNodes((nds) => nds.map((node) => (node.id === nodeId ? { ...node, data: { ...node.data, ...changes } } : node)));
+    };
+
+    window.addEventListener('updateNodeData', handleUpdateNodeData);
+    return () => window.removeEventListener('updateNodeData', handleUpdateNodeData);
+  }, [setNodes]);
+
   return (
     <div ref={containerRef} className={`w-full ${isFullscreen ? 'h-screen' : 'min-h-[1200px]'} ${isDark ? 'bg-gray-900' : 'bg-white/60'}`}>
       <div className={`${isFullscreen ? 'h-screen' : 'min-h-[1200px]'} relative p-5`}>
@@ -233,8 +307,8 @@ export default function ExtraProfileViewsCanvas({ campaignName, campaignId }) {
               </button>
             </div>
             <div className="border-t border-slate-700 mx-4" />
-            <div className="tooltip tooltip-left" data-tip="Save" role="tooltip">
-              <button className="p-4 text-slate-200 hover:bg-white/5" onClick={() => { /* TODO: save handler */ }} aria-label="Save" tabIndex={0}>
+            <div className="tooltip tooltip-left" data-tip={template ? `Save ${template.name}` : "Save as template"} role="tooltip">
+              <button className="p-4 text-slate-200 hover:bg-white/5" onClick={handleSaveTemplate} disabled={saving} aria-label="Save" tabIndex={0}>
                 <Save className="h-6 w-6" />
               </button>
             </div>
@@ -302,13 +376,31 @@ export default function ExtraProfileViewsCanvas({ campaignName, campaignId }) {
             <button className="btn btn-ghost btn-sm text-slate-400 hover:text-slate-200" onClick={() => {/* TODO: hook cancel */}}>
               Cancel
             </button>
-            <button className="btn btn-primary btn-sm px-6 font-medium shadow-lg hover:shadow-xl transition-all duration-200" onClick={() => {/* TODO: hook save */}}>
-              Save
+            <button className="btn btn-primary btn-sm px-6 font-medium shadow-lg hover:shadow-xl transition-all duration-200" onClick={handleSaveTemplate} disabled={saving}>
+              {saving ? <span className="loading loading-spinner loading-xs"></span> : template ? "Save version" : "Save as template"}
+            </button>
+            <button
+              className="btn btn-success btn-sm px-6 gap-2 font-medium shadow-lg hover:shadow-xl transition-all duration-200"
+              onClick={handleRun}
+              disabled={!campaignId || savingSequence || enrolling}
+              title={campaignId ? "Save as the campaign sequence and start it for all campaign leads" : "Open a campaign to run this sequence"}
+            >
+              {savingSequence || enrolling ? <span className="loading loading-spinner loading-xs"></span> : <Play className="h-4 w-4" />}
+              Run for campaign
             </button>
           </div>
         </div>
         </div>
       </div>
+      <TemplateNameModal
+        open={naming}
+        title="Save as template"
+        label="Template name"
+        initialName={campaignName ? `${campaignName} sequence` : ""}
+        submitLabel="Save template"
+        onClose={cancelNaming}
+        onSubmit={createTemplate}
+      />
     </div>
   );
 }
@@ -5,6 +5,8 @@ import { useRouter } from "next/navigation";
 import { Plus, Minus, Maximize2, Save, Target, Undo2, Trash2 } from "lucide-react";
 import ReactFlow, { Background, Controls, MiniMap, addEdge, useEdgesState, useNodesState, MarkerType, BaseEdge, getBezierPath, Handle, Position, EdgeLabelRenderer } from "reactflow";
 import "reactflow/dist/style.css";
+import { useCanvasTemplate } from "../../hooks";
+import TemplateNameModal from "../../components/TemplateNameModal";
 
 const edgeStyle = { stroke: "#3b475e", strokeWidth: 5 };
 
@@ -137,6 +139,21 @@ export default function LeadGenerationCanvas({ campaignName, campaignId }) {
     setEdges((eds) => eds.filter((edge) => edge.source !== nodeId && edge.target !== nodeId));
   }, [setNodes, setEdges]);
 
+  // Saved template opened from the Saved Templates tab
+  const { template, saveTemplate, saving, naming, createTemplate, cancelNaming } = useCanvasTemplate("lead-generation");
+  const loadedTemplate = useRef(null);
+
+  useEffect(() => {
+    if (!template?.graph) return;
+    const key = `${template.id}:${template.graphVersion}`;
+    if (loadedTemplate.current === key) return;
+    loadedTemplate.current = key;
+    setNodes(template.graph.nodes);
+    setEdges(template.graph.edges);
+  }, [template, setNodes, setEdges]);
+
+  const handleSaveTemplate = () => saveTemplate({ nodes, edges });
+
   useEffect(() => {
     const detect = () => {
       const html = document.documentElement;
@@ -243,8 +260,8 @@ export default function LeadGenerationCanvas({ campaignName, campaignId }) {
               </button>
             </div>
             <div className="border-t border-slate-700 mx-4" />
-            <div className="tooltip tooltip-left" data-tip="Save" role="tooltip">
-              <button className="p-4 text-slate-200 hover:bg-white/5" onClick={() => { /* TODO: save handler */ }} aria-label="Save" tabIndex={0}>
+            <div className="tooltip tooltip-left" data-tip={template ? `Save ${template.name}` : "Save as template"} role="tooltip">
+              <button className="p-4 text-slate-200 hover:bg-white/5" onClick={handleSaveTemplate} disabled={saving} aria-label="Save" tabIndex={0}>
                 <Save className="h-6 w-6" />
               </button>
             </div>
@@ -312,13 +329,22 @@ export default function LeadGenerationCanvas({ campaignName, campaignId }) {
             <button className="btn btn-ghost btn-sm text-slate-400 hover:text-slate-200" onClick={() => {/* TODO: hook cancel */}}>
               Cancel
             </button>
-            <button className="btn btn-primary btn-sm px-6 font-medium shadow-lg hover:shadow-xl transition-all duration-200" onClick={() => {/* TODO: hook save */}}>
-              Save
+            <button className="btn btn-primary btn-sm px-6 font-medium shadow-lg hover:shadow-xl transition-all duration-200" onClick={handleSaveTemplate} disabled={saving}>
+              {saving ? <span className="loading loading-spinner loading-xs"></span> : template ? "Save version" : "Save as template"}
             </button>
           </div>
         </div>
         </div>
       </div>
+      <TemplateNameModal
+        open={naming}
+        title="Save as template"
+        label="Template name"
+        initialName={campaignName ? `${campaignName} sequence` : ""}
+        submitLabel="Save template"
+        onClose={cancelNaming}
+        onSubmit={createTemplate}
+      />
     </div>
   );
 }
@@ -1,6 +1,6 @@
 "use client";
 
-export default function EndorseSkillsPreview() {
+export default function SendInvitePreview() {
   return (
     <div className="w-full h-full bg-gray-800 flex items-center justify-center">
       <div className="text-center">
@@ -5,6 +5,9 @@ import { useRouter } from "next/navigation";
 import { Plus, Minus, Maximize2, Save, Target, Undo2, Trash2, Play, Pause, X, AlertCircle } from "lucide-react";
 import ReactFlow, { Background, Controls, MiniMap, addEdge, useEdgesState, useNodesState, MarkerType, BaseEdge, getBezierPath, Handle, Position, EdgeLabelRenderer } from "reactflow";
 import "reactflow/dist/style.css";
+import JobTimeline from "./components/JobTimeline";
+import { useCanvasTemplate } from "../../hooks";
+import TemplateNameModal from "../../components/TemplateNameModal";
 
 const edgeStyle = { stroke: "#3b475e", strokeWidth: 5 };
 
@@ -108,6 +111,8 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
   // Workflow state
   const [isRunning, setIsRunning] = useState(false);
   const [activationStatus, setActivationStatus] = useState(null);
+  const [dryRun, setDryRun] = useState(false);
+  const [runNow, setRunNow] = useState(false);
   
   // Progress state for SSE
   const [progress, setProgress] = useState({ current: 0, total: 0, stage: null });
@@ -122,7 +127,7 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
     'finding_account': 'Finding LinkedIn account...',
     'checking_existing': 'Checking for existing jobs...',
     'creating_job': 'Creating workflow job...',
-    'spawning_worker': 'Starting background worker...',
+    'queueing_job': 'Queueing job for background worker...',
     'connecting_stream': 'Connecting to live updates...',
     'starting': 'Starting to process lead...',
     'navigating': 'Visiting profile...',
@@ -137,10 +142,13 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
     'completed_connected': 'Already connected with this lead',
     'completed_none': 'No invites needed',
     'already_processed': 'Lead already processed',
+    'would_send': 'Would send invite (dry run)',
     'already_pending': 'Invite already pending',
     'already_connected': 'Already connected',
     'failed': 'Failed to process',
-    'processing': 'Processing...'
+    'processing': 'Processing...',
+    'worker_lost': 'Worker lost - waiting to resume...',
+    'waiting_window': 'Outside working hours - waiting...'
   };
   
   const getStageDescription = (stage) => {
@@ -194,6 +202,21 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
     setEdges((eds) => eds.filter((edge) => edge.source !== nodeId && edge.target !== nodeId));
   }, [setNodes, setEdges]);
 
+  // Saved template opened from the Saved Templates tab
+  const { template, saveTemplate, saving, naming, createTemplate, cancelNaming } = useCanvasTemplate("send-invite");
+  const loadedTemplate = useRef(null);
+
+  useEffect(() => {
+    if (!template?.graph) return;
+    const key = `${template.id}:${template.graphVersion}`;
+    if (loadedTemplate.current === key) return;
+    loadedTemplate.current = key;
+    setNodes(template.graph.nodes);
+    setEdges(template.graph.edges);
+  }, [template, setNodes, setEdges]);
+
+  const handleSaveTemplate = () => saveTemplate({ nodes, edges });
+
   // Background workflow with polling
   const handleRunWorkflowBackground = async () => {
     if (!campaignId) {
@@ -231,13 +254,15 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          customMessage: "Hi! I'd like to connect with you."
+          customMessage: "Hi! I'd like to connect with you.",
+          dryRun,
+          runNow
         })
       });
 
       // Show optimistic stages while API call is in progress
       // These stages represent what the API is doing internally
-      const stages = ['finding_account', 'checking_existing', 'creating_job', 'spawning_worker'];
+      const stages = ['finding_account', 'checking_existing', 'creating_job', 'queueing_job'];
       let stageIndex = 0;
       
       const stageInterval = setInterval(() => {
@@ -256,7 +281,7 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
       clearInterval(stageInterval);
       
       // Show final preflight stage
-      updatePreflightStage('spawning_worker');
+      updatePreflightStage('queueing_job');
 
       if (!response.ok) {
         const errorData = await response.json();
@@ -410,8 +435,10 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
             } else {
               setActivationStatus({
                 type: 'success',
-                message: '✅ Workflow completed!',
-                details: data.results ? 
+                message: data.results?.dryRun ? '✅ Dry run completed - nothing was sent' : '✅ Workflow completed!',
+                details: data.results?.dryRun ?
+                  `Would send: ${data.results.wouldSend}, Already Connected: ${data.results.alreadyConnected}, Already Pending: ${data.results.alreadyPending}, Failed: ${data.results.failed}` :
+                  data.results ? 
                   `Sent: ${data.results.sent}, Already Connected: ${data.results.alreadyConnected}, Already Pending: ${data.results.alreadyPending}, Failed: ${data.results.failed}` : 
                   'Workflow completed successfully'
               });
@@ -505,6 +532,30 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
             localStorage.removeItem('currentJobId');
             localStorage.removeItem('currentCampaignId');
             
+          } else if (data.status === 'waiting') {
+            // Outside campaign working hours - worker resumes when the window opens
+            setIsRunning(true);
+            setIsProcessing(false);
+            
+            setActivationStatus({
+              type: 'info',
+              message: '🌙 Waiting for working hours',
+              details: data.resumeAt
+                ? `Sending resumes at ${new Date(data.resumeAt).toLocaleString()}.`
+                : 'Sending resumes when the campaign working hours start.'
+            });
+            
+          } else if (data.status === 'interrupted') {
+            // Worker died mid-job - the worker pool will pick it up again
+            setIsRunning(true);
+            setIsProcessing(false);
+            
+            setActivationStatus({
+              type: 'warning',
+              message: '⚠️ Worker lost',
+              details: data.errorMessage || 'The background worker stopped responding. The workflow will resume automatically.'
+            });
+            
           } else if (data.status === 'processing' || data.status === 'queued') {
             setIsRunning(true);
             setIsProcessing(true);
@@ -902,7 +953,7 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
         
         const { job } = await response.json();
         
-        if (job && ['processing', 'queued', 'paused'].includes(job.status)) {
+        if (job && ['processing', 'queued', 'waiting', 'paused', 'interrupted'].includes(job.status)) {
           console.log(`✅ Found active job: ${job.id.substring(0, 8)}... | Status: ${job.status}`);
           
           // Restore job state
@@ -993,8 +1044,8 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
               </button>
             </div>
             <div className="border-t border-slate-700 mx-4" />
-            <div className="tooltip tooltip-left" data-tip="Save" role="tooltip">
-              <button className="p-4 text-slate-200 hover:bg-white/5" onClick={() => { /* TODO: save handler */ }} aria-label="Save" tabIndex={0}>
+            <div className="tooltip tooltip-left" data-tip={template ? `Save ${template.name}` : "Save as template"} role="tooltip">
+              <button className="p-4 text-slate-200 hover:bg-white/5" onClick={handleSaveTemplate} disabled={saving} aria-label="Save" tabIndex={0}>
                 <Save className="h-6 w-6" />
               </button>
             </div>
@@ -1054,7 +1105,7 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
           <Background variant="dots" gap={18} size={1} color={isDark ? "#6b7280" : "#cbd5e1"} />
         </ReactFlow>
         {/* Progress Bar - Compact Top-Right */}
-        {(isProcessing || preflightStage) && (
+        {(isProcessing || preflightStage || ['interrupted', 'waiting'].includes(status?.status)) && (
           <div className="absolute top-4 right-4 z-[120] w-[22rem] max-w-full">
             <div
               className={`rounded-2xl shadow-2xl backdrop-blur-xl border px-4 py-3 ${
@@ -1079,6 +1130,10 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
                   <span className="text-sm font-semibold">
                     {preflightStage
                       ? getStageDescription(preflightStage)
+                      : status?.status === 'interrupted'
+                        ? getStageDescription('worker_lost')
+                      : status?.status === 'waiting'
+                        ? getStageDescription('waiting_window')
                       : progress.stage
                         ? getStageDescription(progress.stage)
                         : progress.current === 0 && progress.total === 1
@@ -1094,6 +1149,10 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
                 <span className="text-xs font-semibold">
                   {status?.status === 'paused'
                     ? 'Paused'
+                    : status?.status === 'interrupted'
+                      ? 'Worker lost'
+                    : status?.status === 'waiting'
+                      ? 'Waiting'
                     : preflightStage
                       ? 'Preparing'
                       : status?.status === 'processing'
@@ -1117,6 +1176,15 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
           </div>
         )}
 
+        {/* Per-lead event log of the current job */}
+        {currentJobId && (
+          <JobTimeline
+            jobId={currentJobId}
+            refreshKey={`${status?.status}:${Math.floor(progress.current)}`}
+            isDark={isDark}
+          />
+        )}
+
         {/* Status Display */}
         {activationStatus && !isProcessing && (
           <div className={`absolute top-4 left-4 right-4 z-50 alert ${
@@ -1151,6 +1219,36 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
               Back
             </button>
             
+            {/* Dry Run Toggle */}
+            <label 
+              className="label cursor-pointer gap-2 text-xs text-slate-300"
+              title="Go through every lead up to the final click without sending anything"
+            >
+              <input 
+                type="checkbox" 
+                className="checkbox checkbox-xs" 
+                checked={dryRun} 
+                onChange={(e) => setDryRun(e.target.checked)} 
+                disabled={isRunning}
+              />
+              Dry run
+            </label>
+            
+            {/* Run Now Toggle */}
+            <label 
+              className="label cursor-pointer gap-2 text-xs text-slate-300"
+              title="Start ahead of your other queued workflows (one at a time)"
+            >
+              <input 
+                type="checkbox" 
+                className="checkbox checkbox-xs" 
+                checked={runNow} 
+                onChange={(e) => setRunNow(e.target.checked)} 
+                disabled={isRunning}
+              />
+              Run now
+            </label>
+            
             {/* Run Background Button */}
             <button 
               className="btn btn-primary btn-sm px-4 font-medium shadow-lg hover:shadow-xl transition-all duration-200"
@@ -1173,10 +1271,10 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
                 status?.status === 'paused' ? 'btn-success' : 'btn-warning'
               }`}
               onClick={status?.status === 'paused' ? handleResumeWorkflow : handlePauseWorkflow}
-              disabled={!currentJobId || !status || !['processing', 'paused', 'queued'].includes(status?.status)}
+              disabled={!currentJobId || !status || !['processing', 'waiting', 'paused', 'queued'].includes(status?.status)}
               title={
                 status?.status === 'paused' ? 'Resume workflow' : 
-                status?.status === 'processing' || status?.status === 'queued' ? 'Pause workflow' : 
+                ['processing', 'waiting', 'queued'].includes(status?.status) ? 'Pause workflow' : 
                 'Only available when processing or paused'
               }
             >
@@ -1197,9 +1295,9 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
             <button 
               className="btn btn-error btn-sm px-4 font-medium shadow-lg transition-all duration-200"
               onClick={handleCancelWorkflow}
-              disabled={!currentJobId || !status || !['processing', 'paused', 'queued'].includes(status?.status)}
+              disabled={!currentJobId || !status || !['processing', 'waiting', 'paused', 'queued', 'interrupted'].includes(status?.status)}
               title={
-                (currentJobId && status && ['processing', 'paused', 'queued'].includes(status?.status))
+                (currentJobId && status && ['processing', 'waiting', 'paused', 'queued', 'interrupted'].includes(status?.status))
                   ? 'Permanently cancel workflow' 
                   : 'No active workflow to cancel'
               }
@@ -1211,6 +1309,15 @@ export default function SendInviteCanvas({ campaignName, campaignId }) {
         </div>
         </div>
       </div>
+      <TemplateNameModal
+        open={naming}
+        title="Save as template"
+        label="Template name"
+        initialName={campaignName ? `${campaignName} sequence` : ""}
+        submitLabel="Save template"
+        onClose={cancelNaming}
+        onSubmit={createTemplate}
+      />
     </div>
   );
 }
@@ -1,6 +1,6 @@
 import { Play, Pause, X } from "lucide-react";
 
-const CONTROLLABLE_STATUSES = ["processing", "paused", "queued"];
+const CONTROLLABLE_STATUSES = ["processing", "waiting", "paused", "queued", "interrupted"];
 
 export default function InviteActionBar({
   campaignId,
@@ -10,6 +10,8 @@ export default function InviteActionBar({
   isRunning,
   isProcessing,
   isDark,
+  dryRun,
+  onDryRunChange,
   onRunBackground,
   onPause,
   onResume,
@@ -18,6 +20,8 @@ export default function InviteActionBar({
 }) {
   const canControl = currentJobId && status && CONTROLLABLE_STATUSES.includes(status.status);
   const isPaused = status?.status === "paused";
+  // Interrupted jobs wait for the worker pool and can only be cancelled
+  const canPauseOrResume = canControl && status.status !== "interrupted";
 
   return (
     <div
@@ -43,6 +47,20 @@ export default function InviteActionBar({
           Back
         </button>
 
+        <label
+          className={`label cursor-pointer gap-2 text-xs ${isDark ? "text-slate-300" : "text-slate-600"}`}
+          title="Go through every lead up to the final click without sending anything"
+        >
+          <input
+            type="checkbox"
+            className="checkbox checkbox-xs"
+            checked={!!dryRun}
+            onChange={(e) => onDryRunChange?.(e.target.checked)}
+            disabled={isRunning}
+          />
+          Dry run
+        </label>
+
         <button
           className="btn btn-primary btn-sm px-4 font-medium shadow-lg hover:shadow-xl transition-all duration-200"
           onClick={onRunBackground}
@@ -64,11 +82,11 @@ export default function InviteActionBar({
             isPaused ? "btn-success" : "btn-warning"
           }`}
           onClick={isPaused ? onResume : onPause}
-          disabled={!canControl}
+          disabled={!canPauseOrResume}
           title={
             isPaused
               ? "Resume workflow"
-              : status?.status === "processing" || status?.status === "queued"
+              : ["processing", "waiting", "queued"].includes(status?.status)
                 ? "Pause workflow"
                 : "Only available when processing or paused"
           }
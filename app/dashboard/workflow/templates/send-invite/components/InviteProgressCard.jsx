@@ -1,8 +1,9 @@
+import { AlertTriangle } from "lucide-react";
 import { getStageDescription } from "../constants/stageDescriptions";
 
-export default function InviteProgressCard({ progress, isProcessing, preflightStage }) {
-  // Show progress bar if processing OR if we're in preflight stage
-  const showProgress = isProcessing || preflightStage;
+export default function InviteProgressCard({ progress, isProcessing, preflightStage, workerLost = false, waiting = false }) {
+  // Show progress bar if processing, in preflight stage, waiting for working hours or for a lost worker to be replaced
+  const showProgress = isProcessing || preflightStage || workerLost || waiting;
 
   if (!showProgress) {
     return null;
@@ -10,6 +11,10 @@ export default function InviteProgressCard({ progress, isProcessing, preflightSt
 
   const label = preflightStage
     ? getStageDescription(preflightStage)
+    : workerLost
+      ? getStageDescription("worker_lost")
+    : waiting
+      ? getStageDescription("waiting_window")
     : progress.stage
       ? getStageDescription(progress.stage)
       : progress.current === 0 && progress.total === 1
@@ -37,7 +42,11 @@ export default function InviteProgressCard({ progress, isProcessing, preflightSt
       <div className="bg-base-100 rounded-lg shadow-xl border border-base-300 p-3">
         <div className="flex items-center justify-between mb-2">
           <span className="text-xs font-medium text-base-content flex items-center gap-1.5">
-            <span className="loading loading-spinner loading-xs text-primary"></span>
+            {workerLost ? (
+              <AlertTriangle className="h-3.5 w-3.5 text-warning" />
+            ) : (
+              <span className="loading loading-spinner loading-xs text-primary"></span>
+            )}
             {label}
           </span>
           <span className="text-xs font-mono font-semibold text-primary">{percentage}</span>
@@ -45,7 +54,9 @@ export default function InviteProgressCard({ progress, isProcessing, preflightSt
 
         <div className="w-full bg-base-300 rounded-full h-2 overflow-hidden">
           <div
-            className="bg-gradient-to-r from-primary to-secondary h-full rounded-full transition-all duration-300 ease-out"
+            className={`h-full rounded-full transition-all duration-300 ease-out ${
+              workerLost ? "bg-warning" : "bg-gradient-to-r from-primary to-secondary"
+            }`}
             style={{ width }}
           />
         </div>
@@ -0,0 +1,95 @@
+import { useState } from "react";
+import { ChevronDown, ChevronUp, History } from "lucide-react";
+import useJobEvents from "../hooks/useJobEvents";
+import { getStageDescription } from "../constants/stageDescriptions";
+
+const TYPE_BADGES = {
+  job: "badge-info",
+  stage: "badge-ghost",
+  outcome: "badge-success",
+  error: "badge-error",
+};
+
+const formatTime = (value) =>
+  new Date(value).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+
+const describeEvent = (event) => {
+  if (event.type === "job") {
+    return event.message || `Job ${event.status}`;
+  }
+
+  if (event.type === "error" && !event.leadId) {
+    return event.message || "Job error";
+  }
+
+  return getStageDescription(event.status || event.stage);
+};
+
+export default function JobTimeline({ jobId, refreshKey, isDark = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const { events, total, hasMore, isLoading, error, loadMore } = useJobEvents({
+    jobId,
+    enabled: isOpen,
+    refreshKey,
+  });
+
+  if (!jobId) {
+    return null;
+  }
+
+  return (
+    <div
+      className={`absolute left-4 bottom-20 z-[110] w-[26rem] max-w-[calc(100%-2rem)] rounded-2xl shadow-2xl border backdrop-blur-xl ${
+        isDark ? "bg-slate-900/85 border-white/10 text-slate-100" : "bg-white/90 border-slate-200 text-slate-800"
+      }`}
+    >
+      <button
+        className="w-full flex items-center justify-between px-4 py-2 text-xs font-semibold uppercase tracking-[0.2em] opacity-80"
+        onClick={() => setIsOpen((open) => !open)}
+      >
+        <span className="flex items-center gap-2">
+          <History className="h-4 w-4" />
+          Job timeline{isOpen && total > 0 ? ` (${total})` : ""}
+        </span>
+        {isOpen ? <ChevronDown className="h-4 w-4" /> : <ChevronUp className="h-4 w-4" />}
+      </button>
+
+      {isOpen && (
+        <div className="max-h-72 overflow-y-auto px-4 pb-3 space-y-2">
+          {error && <div className="text-xs text-error">{error}</div>}
+
+          {!error && events.length === 0 && !isLoading && (
+            <div className="text-xs opacity-60">No events recorded yet.</div>
+          )}
+
+          {events.map((event) => (
+            <div key={event.id} className="flex items-start gap-2 text-xs">
+              <span className="font-mono opacity-60 shrink-0">{formatTime(event.createdAt)}</span>
+              <span className={`badge badge-xs shrink-0 mt-0.5 ${TYPE_BADGES[event.type] || "badge-ghost"}`}>
+                {event.type}
+              </span>
+              <div className="min-w-0">
+                <div>
+                  {event.data?.leadNumber && <span className="font-semibold">#{event.data.leadNumber} </span>}
+                  {event.leadName && <span className="font-medium">{event.leadName} · </span>}
+                  {describeEvent(event)}
+                </div>
+                {event.leadId && event.message && (
+                  <div className="text-error break-words">{event.message}</div>
+                )}
+              </div>
+            </div>
+          ))}
+
+          {isLoading && <span className="loading loading-spinner loading-xs"></span>}
+
+          {hasMore && !isLoading && (
+            <button className="btn btn-ghost btn-xs w-full" onClick={loadMore}>
+              Load more
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
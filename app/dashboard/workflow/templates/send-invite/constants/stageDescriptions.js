@@ -4,7 +4,7 @@ export const STAGE_DESCRIPTIONS = {
   finding_account: 'Finding LinkedIn account...',
   checking_existing: 'Checking for existing jobs...',
   creating_job: 'Creating workflow job...',
-  spawning_worker: 'Starting background worker...',
+  queueing_job: 'Queueing job for background worker...',
   connecting_stream: 'Connecting to live updates...',
   // Workflow stages
   initializing: 'Initializing workflow...',
@@ -17,11 +17,14 @@ export const STAGE_DESCRIPTIONS = {
   waiting_modal: 'Waiting for modal...',
   sending: 'Sending invitation...',
   completed: 'Invite sent successfully!',
+  would_send: 'Would send invite (dry run)',
   already_processed: 'Lead already processed',
   already_pending: 'Invite already pending',
   already_connected: 'Already connected',
   failed: 'Failed to process',
   processing: 'Processing...',
+  worker_lost: 'Worker lost - waiting to resume...',
+  waiting_window: 'Outside working hours - waiting...',
 };
 
 export const getStageDescription = (stage) => {
@@ -1,7 +1,7 @@
 import { useState, useEffect, useRef, useCallback } from "react";
 
 const initialProgress = { current: 0, total: 0, stage: null };
-const CONTROLLABLE_STATUSES = ["processing", "paused", "queued"];
+const CONTROLLABLE_STATUSES = ["processing", "waiting", "paused", "queued", "interrupted"];
 
 export default function useInviteWorkflow({ campaignId }) {
   const [isRunning, setIsRunning] = useState(false);
@@ -11,6 +11,8 @@ export default function useInviteWorkflow({ campaignId }) {
   const [preflightStage, setPreflightStage] = useState(null);
   const [currentJobId, setCurrentJobId] = useState(null);
   const [status, setStatus] = useState(null);
+  const [dryRun, setDryRun] = useState(false);
+  const [runNow, setRunNow] = useState(false);
   const eventSourceRef = useRef(null);
 
   const resetProgress = () => setProgress(initialProgress);
@@ -51,12 +53,14 @@ export default function useInviteWorkflow({ campaignId }) {
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
           customMessage: "Hi! I'd like to connect with you.",
+          dryRun,
+          runNow,
         }),
       });
 
       // Show optimistic stages while API call is in progress
       // These stages represent what the API is doing internally
-      const stages = ['finding_account', 'checking_existing', 'creating_job', 'spawning_worker'];
+      const stages = ['finding_account', 'checking_existing', 'creating_job', 'queueing_job'];
       let stageIndex = 0;
       
       const stageInterval = setInterval(() => {
@@ -75,7 +79,7 @@ export default function useInviteWorkflow({ campaignId }) {
       clearInterval(stageInterval);
       
       // Show final preflight stage
-      updatePreflightStage('spawning_worker');
+      updatePreflightStage('queueing_job');
 
       if (!response.ok) {
         const errorData = await response.json();
@@ -136,7 +140,7 @@ export default function useInviteWorkflow({ campaignId }) {
       setIsProcessing(false);
       setPreflightStage(null);
     }
-  }, [campaignId]);
+  }, [campaignId, dryRun, runNow]);
 
   const handlePauseWorkflow = useCallback(async () => {
     if (!currentJobId) return;
@@ -375,8 +379,10 @@ export default function useInviteWorkflow({ campaignId }) {
           } else {
             setActivationStatus({
               type: "success",
-              message: "✅ Workflow completed!",
-              details: data.results
+              message: data.results?.dryRun ? "✅ Dry run completed - nothing was sent" : "✅ Workflow completed!",
+              details: data.results?.dryRun
+                ? `Would send: ${data.results.wouldSend}, Already Connected: ${data.results.alreadyConnected}, Already Pending: ${data.results.alreadyPending}, Failed: ${data.results.failed}`
+                : data.results
                 ? `Sent: ${data.results.sent}, Already Connected: ${data.results.alreadyConnected}, Already Pending: ${data.results.alreadyPending}, Failed: ${data.results.failed}`
                 : "Workflow completed successfully",
             });
@@ -418,6 +424,28 @@ export default function useInviteWorkflow({ campaignId }) {
           });
           localStorage.removeItem("currentJobId");
           localStorage.removeItem("currentCampaignId");
+        } else if (data.status === "waiting") {
+          // Outside campaign working hours - worker resumes when the window opens
+          setIsRunning(true);
+          setIsProcessing(false);
+          setActivationStatus({
+            type: "info",
+            message: "🌙 Waiting for working hours",
+            details: data.resumeAt
+              ? `Sending resumes at ${new Date(data.resumeAt).toLocaleString()}.`
+              : "Sending resumes when the campaign working hours start.",
+          });
+        } else if (data.status === "interrupted") {
+          // Worker died mid-job - the worker pool will pick it up again
+          setIsRunning(true);
+          setIsProcessing(false);
+          setActivationStatus({
+            type: "warning",
+            message: "⚠️ Worker lost",
+            details:
+              data.errorMessage ||
+              "The background worker stopped responding. The workflow will resume automatically.",
+          });
         } else if (data.status === "processing" || data.status === "queued") {
           setIsRunning(true);
           setIsProcessing(true);
@@ -490,8 +518,12 @@ export default function useInviteWorkflow({ campaignId }) {
       preflightStage,
       status,
       currentJobId,
+      dryRun,
+      runNow,
     },
     actions: {
+      setDryRun,
+      setRunNow,
       handleRunWorkflowBackground,
       handleRunWorkflow,
       handlePauseWorkflow,
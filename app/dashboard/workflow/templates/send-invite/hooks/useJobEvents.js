@@ -0,0 +1,73 @@
+import { useState, useEffect, useCallback } from "react";
+
+const PAGE_SIZE = 50;
+
+/**
+ * Load the persisted event timeline of a workflow job page by page
+ * Reloads the already loaded range whenever refreshKey changes (e.g. on progress updates).
+ */
+export default function useJobEvents({ jobId, enabled = true, refreshKey = null }) {
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [loadedCount, setLoadedCount] = useState(PAGE_SIZE);
+
+  const fetchPage = useCallback(async (offset, limit) => {
+    const response = await fetch(`/api/jobs/${jobId}/events?offset=${offset}&limit=${limit}`);
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || data.error || "Failed to load job events");
+    }
+
+    return data;
+  }, [jobId]);
+
+  // Reset when switching jobs
+  useEffect(() => {
+    setEvents([]);
+    setTotal(0);
+    setLoadedCount(PAGE_SIZE);
+  }, [jobId]);
+
+  useEffect(() => {
+    if (!jobId || !enabled) return undefined;
+
+    let cancelled = false;
+
+    const load = async () => {
+      setIsLoading(true);
+      try {
+        const data = await fetchPage(0, loadedCount);
+        if (cancelled) return;
+        setEvents(data.events);
+        setTotal(data.pagination.total);
+        setError(null);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId, enabled, refreshKey, loadedCount, fetchPage]);
+
+  const loadMore = useCallback(() => {
+    setLoadedCount((count) => count + PAGE_SIZE);
+  }, []);
+
+  return {
+    events,
+    total,
+    hasMore: events.length < total,
+    isLoading,
+    error,
+    loadMore,
+  };
+}
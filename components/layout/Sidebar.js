@@ -15,6 +15,8 @@ import {
   UserCheck,
   Workflow,
   TrendingUp,
+  History,
+  Ban,
 } from "lucide-react";
 
 const menuItems = [
@@ -36,6 +38,12 @@ const menuItems = [
     href: "/dashboard/workflow",
     key: "workflow" 
   },
+  { 
+    icon: History, 
+    label: "Jobs", 
+    href: "/dashboard/jobs",
+    key: "jobs" 
+  },
   { 
     icon: Users, 
     label: "Leads", 
@@ -54,6 +62,12 @@ const menuItems = [
     href: "/dashboard/analytics",
     key: "analytics" 
   },
+  { 
+    icon: Ban, 
+    label: "Do Not Contact", 
+    href: "/dashboard/blocklist",
+    key: "blocklist" 
+  },
   { 
     icon: UserCheck, 
     label: "Accounts", 
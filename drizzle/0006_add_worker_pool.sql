@@ -0,0 +1,2 @@
+-- Track which worker pool instance claimed a workflow job
+ALTER TABLE "workflow_jobs" ADD COLUMN "worker_id" text;
@@ -0,0 +1,3 @@
+-- Worker heartbeats and stale-job reaping for workflow jobs
+ALTER TABLE "workflow_jobs" ADD COLUMN "heartbeat_at" timestamp;
+ALTER TABLE "workflow_jobs" ADD COLUMN "interrupt_count" integer DEFAULT 0;
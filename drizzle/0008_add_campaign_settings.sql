@@ -0,0 +1,2 @@
+-- Per-campaign sending settings (timezone, working hours, daily caps)
+ALTER TABLE "campaigns" ADD COLUMN "settings" json;
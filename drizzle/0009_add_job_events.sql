@@ -0,0 +1,17 @@
+-- Per-lead event log for workflow jobs (stage transitions, outcomes, errors)
+CREATE TABLE IF NOT EXISTS "job_events" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"job_id" uuid NOT NULL,
+	"lead_id" uuid,
+	"lead_name" text,
+	"type" varchar(20) NOT NULL,
+	"stage" varchar(40),
+	"status" varchar(30),
+	"message" text,
+	"data" json,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+
+ALTER TABLE "job_events" ADD CONSTRAINT "job_events_job_id_workflow_jobs_id_fk" FOREIGN KEY ("job_id") REFERENCES "public"."workflow_jobs"("id") ON DELETE cascade ON UPDATE no action;
+ALTER TABLE "job_events" ADD CONSTRAINT "job_events_lead_id_leads_id_fk" FOREIGN KEY ("lead_id") REFERENCES "public"."leads"("id") ON DELETE set null ON UPDATE no action;
+CREATE INDEX IF NOT EXISTS "job_events_job_id_created_at_idx" ON "job_events" USING btree ("job_id","created_at");
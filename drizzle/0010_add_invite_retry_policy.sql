@@ -0,0 +1,6 @@
+-- Retry policy for failed invite attempts
+ALTER TABLE "leads" ADD COLUMN "invite_last_error" text;
+ALTER TABLE "leads" ADD COLUMN "invite_next_retry_at" timestamp;
+
+-- Failed leads used to be retried on every run; keep them eligible once
+UPDATE "leads" SET "invite_next_retry_at" = now() WHERE "invite_status" = 'failed';
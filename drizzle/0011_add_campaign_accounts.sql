@@ -0,0 +1,14 @@
+-- Pool of LinkedIn accounts per campaign, and the account each lead was invited from
+CREATE TABLE IF NOT EXISTS "campaign_accounts" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"campaign_id" uuid NOT NULL,
+	"account_id" uuid NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+
+ALTER TABLE "campaign_accounts" ADD CONSTRAINT "campaign_accounts_campaign_id_campaigns_id_fk" FOREIGN KEY ("campaign_id") REFERENCES "public"."campaigns"("id") ON DELETE cascade ON UPDATE no action;
+ALTER TABLE "campaign_accounts" ADD CONSTRAINT "campaign_accounts_account_id_linkedin_accounts_id_fk" FOREIGN KEY ("account_id") REFERENCES "public"."linkedin_accounts"("id") ON DELETE cascade ON UPDATE no action;
+CREATE UNIQUE INDEX IF NOT EXISTS "campaign_accounts_campaign_id_account_id_idx" ON "campaign_accounts" USING btree ("campaign_id","account_id");
+
+ALTER TABLE "leads" ADD COLUMN "sender_account_id" uuid;
+ALTER TABLE "leads" ADD CONSTRAINT "leads_sender_account_id_linkedin_accounts_id_fk" FOREIGN KEY ("sender_account_id") REFERENCES "public"."linkedin_accounts"("id") ON DELETE set null ON UPDATE no action;
@@ -0,0 +1,2 @@
+-- Dry-run workflow jobs (rehearse a campaign without sending anything)
+ALTER TABLE "workflow_jobs" ADD COLUMN "dry_run" boolean DEFAULT false NOT NULL;
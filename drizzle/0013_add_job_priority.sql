@@ -0,0 +1,3 @@
+-- Job priority for the worker pool scheduler (run now > paid plans > everyone else)
+ALTER TABLE "workflow_jobs" ADD COLUMN "priority" integer DEFAULT 0 NOT NULL;
+CREATE INDEX IF NOT EXISTS "workflow_jobs_status_priority_idx" ON "workflow_jobs" USING btree ("status","priority","created_at");
@@ -0,0 +1,18 @@
+-- Lead-level checkpoints so a resumed job continues from the exact next lead
+CREATE TABLE IF NOT EXISTS "job_leads" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"job_id" uuid NOT NULL,
+	"lead_id" uuid NOT NULL,
+	"position" integer NOT NULL,
+	"account_id" uuid,
+	"status" varchar(30) DEFAULT 'planned' NOT NULL,
+	"error" text,
+	"started_at" timestamp,
+	"finished_at" timestamp,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+
+ALTER TABLE "job_leads" ADD CONSTRAINT "job_leads_job_id_workflow_jobs_id_fk" FOREIGN KEY ("job_id") REFERENCES "public"."workflow_jobs"("id") ON DELETE cascade ON UPDATE no action;
+ALTER TABLE "job_leads" ADD CONSTRAINT "job_leads_lead_id_leads_id_fk" FOREIGN KEY ("lead_id") REFERENCES "public"."leads"("id") ON DELETE cascade ON UPDATE no action;
+ALTER TABLE "job_leads" ADD CONSTRAINT "job_leads_account_id_linkedin_accounts_id_fk" FOREIGN KEY ("account_id") REFERENCES "public"."linkedin_accounts"("id") ON DELETE set null ON UPDATE no action;
+CREATE UNIQUE INDEX IF NOT EXISTS "job_leads_job_id_lead_id_idx" ON "job_leads" USING btree ("job_id","lead_id");
@@ -0,0 +1,51 @@
+-- Executable sequences: versioned canvas graphs and per-lead enrollments
+CREATE TABLE IF NOT EXISTS "sequences" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"user_id" text NOT NULL,
+	"campaign_id" uuid NOT NULL,
+	"name" text NOT NULL,
+	"status" varchar(20) DEFAULT 'draft' NOT NULL,
+	"current_version" integer DEFAULT 1 NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "sequences_campaign_id_unique" UNIQUE("campaign_id")
+);
+
+CREATE TABLE IF NOT EXISTS "sequence_versions" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"sequence_id" uuid NOT NULL,
+	"version" integer NOT NULL,
+	"graph" json NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS "sequence_enrollments" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"sequence_id" uuid NOT NULL,
+	"version" integer NOT NULL,
+	"campaign_id" uuid NOT NULL,
+	"lead_id" uuid NOT NULL,
+	"account_id" uuid,
+	"status" varchar(20) DEFAULT 'active' NOT NULL,
+	"current_node_id" text,
+	"next_due_at" timestamp,
+	"step_started_at" timestamp,
+	"attempts" integer DEFAULT 0 NOT NULL,
+	"last_error" text,
+	"history" json DEFAULT '[]'::json,
+	"locked_at" timestamp,
+	"completed_at" timestamp,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL
+);
+
+ALTER TABLE "sequences" ADD CONSTRAINT "sequences_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE cascade ON UPDATE no action;
+ALTER TABLE "sequences" ADD CONSTRAINT "sequences_campaign_id_campaigns_id_fk" FOREIGN KEY ("campaign_id") REFERENCES "public"."campaigns"("id") ON DELETE cascade ON UPDATE no action;
+ALTER TABLE "sequence_versions" ADD CONSTRAINT "sequence_versions_sequence_id_sequences_id_fk" FOREIGN KEY ("sequence_id") REFERENCES "public"."sequences"("id") ON DELETE cascade ON UPDATE no action;
+ALTER TABLE "sequence_enrollments" ADD CONSTRAINT "sequence_enrollments_sequence_id_sequences_id_fk" FOREIGN KEY ("sequence_id") REFERENCES "public"."sequences"("id") ON DELETE cascade ON UPDATE no action;
+ALTER TABLE "sequence_enrollments" ADD CONSTRAINT "sequence_enrollments_campaign_id_campaigns_id_fk" FOREIGN KEY ("campaign_id") REFERENCES "public"."campaigns"("id") ON DELETE cascade ON UPDATE no action;
+ALTER TABLE "sequence_enrollments" ADD CONSTRAINT "sequence_enrollments_lead_id_leads_id_fk" FOREIGN KEY ("lead_id") REFERENCES "public"."leads"("id") ON DELETE cascade ON UPDATE no action;
+ALTER TABLE "sequence_enrollments" ADD CONSTRAINT "sequence_enrollments_account_id_linkedin_accounts_id_fk" FOREIGN KEY ("account_id") REFERENCES "public"."linkedin_accounts"("id") ON DELETE set null ON UPDATE no action;
+CREATE UNIQUE INDEX IF NOT EXISTS "sequence_versions_sequence_id_version_idx" ON "sequence_versions" USING btree ("sequence_id","version");
+CREATE UNIQUE INDEX IF NOT EXISTS "sequence_enrollments_sequence_id_lead_id_idx" ON "sequence_enrollments" USING btree ("sequence_id","lead_id");
+CREATE INDEX IF NOT EXISTS "sequence_enrollments_status_next_due_at_idx" ON "sequence_enrollments" USING btree ("status","next_due_at");
@@ -0,0 +1,2 @@
+-- Reply tracking for sequence branch conditions
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "replied_at" timestamp;
@@ -0,0 +1,23 @@
+-- Saved sequence templates with their version history
+CREATE TABLE IF NOT EXISTS "sequence_templates" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"user_id" text NOT NULL,
+	"name" text NOT NULL,
+	"canvas" varchar(40) NOT NULL,
+	"current_version" integer DEFAULT 1 NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS "sequence_template_versions" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"template_id" uuid NOT NULL,
+	"version" integer NOT NULL,
+	"graph" json NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+
+ALTER TABLE "sequence_templates" ADD CONSTRAINT "sequence_templates_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE cascade ON UPDATE no action;
+ALTER TABLE "sequence_template_versions" ADD CONSTRAINT "sequence_template_versions_template_id_sequence_templates_id_fk" FOREIGN KEY ("template_id") REFERENCES "public"."sequence_templates"("id") ON DELETE cascade ON UPDATE no action;
+CREATE INDEX IF NOT EXISTS "sequence_templates_user_id_idx" ON "sequence_templates" USING btree ("user_id");
+CREATE UNIQUE INDEX IF NOT EXISTS "sequence_template_versions_template_id_version_idx" ON "sequence_template_versions" USING btree ("template_id","version");
@@ -0,0 +1,10 @@
+-- Daily caps for profile actions run by sequences (view, follow/unfollow, like)
+ALTER TABLE "linkedin_accounts" ADD COLUMN IF NOT EXISTS "daily_profile_views" integer DEFAULT 0 NOT NULL;
+ALTER TABLE "linkedin_accounts" ADD COLUMN IF NOT EXISTS "daily_profile_view_limit" integer DEFAULT 80 NOT NULL;
+ALTER TABLE "linkedin_accounts" ADD COLUMN IF NOT EXISTS "last_profile_view_reset" timestamp DEFAULT now() NOT NULL;
+ALTER TABLE "linkedin_accounts" ADD COLUMN IF NOT EXISTS "daily_follows" integer DEFAULT 0 NOT NULL;
+ALTER TABLE "linkedin_accounts" ADD COLUMN IF NOT EXISTS "daily_follow_limit" integer DEFAULT 20 NOT NULL;
+ALTER TABLE "linkedin_accounts" ADD COLUMN IF NOT EXISTS "last_follow_reset" timestamp DEFAULT now() NOT NULL;
+ALTER TABLE "linkedin_accounts" ADD COLUMN IF NOT EXISTS "daily_likes" integer DEFAULT 0 NOT NULL;
+ALTER TABLE "linkedin_accounts" ADD COLUMN IF NOT EXISTS "daily_like_limit" integer DEFAULT 30 NOT NULL;
+ALTER TABLE "linkedin_accounts" ADD COLUMN IF NOT EXISTS "last_like_reset" timestamp DEFAULT now() NOT NULL;
@@ -0,0 +1,9 @@
+-- Skill endorsements: per-lead results and per-account daily cap (counted per skill)
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "endorsed_skills" json DEFAULT '[]'::json;
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "endorsed_at" timestamp;
+ALTER TABLE "linkedin_accounts" ADD COLUMN IF NOT EXISTS "daily_endorsements" integer DEFAULT 0 NOT NULL;
+ALTER TABLE "linkedin_accounts" ADD COLUMN IF NOT EXISTS "daily_endorsement_limit" integer DEFAULT 30 NOT NULL;
+ALTER TABLE "linkedin_accounts" ADD COLUMN IF NOT EXISTS "last_endorsement_reset" timestamp DEFAULT now() NOT NULL;
+
+-- "endorse-my-skills" used to open the Send Invite canvas; it is now the endorsement template
+UPDATE "sequence_templates" SET "canvas" = 'send-invite' WHERE "canvas" = 'endorse-my-skills';
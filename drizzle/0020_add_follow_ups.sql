@@ -0,0 +1,3 @@
+-- Follow-up messages 2 and 3 after the first message (schedule lives in campaigns.settings.followUps)
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "follow_ups_sent" integer DEFAULT 0 NOT NULL;
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "last_follow_up_at" timestamp;
@@ -0,0 +1,2 @@
+-- Connection note A/B test (variants live in campaigns.settings.noteTest)
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "note_variant" varchar(10);
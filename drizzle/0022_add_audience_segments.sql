@@ -0,0 +1,14 @@
+-- Lead tags and saved audience segments (campaigns pick one in campaigns.settings.audienceSegmentId)
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "tags" json DEFAULT '[]'::json;
+
+CREATE TABLE IF NOT EXISTS "audience_segments" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"user_id" text NOT NULL,
+	"name" text NOT NULL,
+	"filters" json NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL
+);
+
+ALTER TABLE "audience_segments" ADD CONSTRAINT "audience_segments_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE cascade ON UPDATE no action;
+CREATE INDEX IF NOT EXISTS "audience_segments_user_id_idx" ON "audience_segments" USING btree ("user_id");
@@ -0,0 +1,3 @@
+-- Lead fields filled by the CSV import (location was only set by scraping until now)
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "location" text;
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "custom_fields" json DEFAULT '{}'::json;
@@ -0,0 +1,15 @@
+-- Per-user do-not-contact list; matching leads are flagged instead of contacted
+CREATE TABLE IF NOT EXISTS "blocklist_entries" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"user_id" text NOT NULL,
+	"type" varchar(20) NOT NULL,
+	"value" text NOT NULL,
+	"reason" text,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+
+ALTER TABLE "blocklist_entries" ADD CONSTRAINT "blocklist_entries_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE cascade ON UPDATE no action;
+CREATE UNIQUE INDEX IF NOT EXISTS "blocklist_entries_user_id_type_value_idx" ON "blocklist_entries" USING btree ("user_id","type","value");
+
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "blocked_reason" text;
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "blocked_at" timestamp;
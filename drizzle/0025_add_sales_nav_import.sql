@@ -0,0 +1,8 @@
+-- Workflow jobs also run Sales Navigator lead imports (type sales_nav_import, search URL and count in options)
+ALTER TABLE "workflow_jobs" ADD COLUMN IF NOT EXISTS "type" varchar(30) DEFAULT 'invite' NOT NULL;
+ALTER TABLE "workflow_jobs" ADD COLUMN IF NOT EXISTS "options" json;
+
+-- Daily quota of Sales Navigator search result pages per account
+ALTER TABLE "linkedin_accounts" ADD COLUMN IF NOT EXISTS "daily_search_page_views" integer DEFAULT 0 NOT NULL;
+ALTER TABLE "linkedin_accounts" ADD COLUMN IF NOT EXISTS "daily_search_page_view_limit" integer DEFAULT 40 NOT NULL;
+ALTER TABLE "linkedin_accounts" ADD COLUMN IF NOT EXISTS "last_search_page_view_reset" timestamp DEFAULT now() NOT NULL;
@@ -0,0 +1,151 @@
+/**
+ * Audience Filters Module
+ *
+ * Filters over lead fields that define who enters a campaign or sequence:
+ *   { match: 'all' | 'any', rules: [{ field, op, value }] }
+ * e.g. { match: 'all', rules: [
+ *   { field: 'title', op: 'contains', value: 'founder' },
+ *   { field: 'lastPostAt', op: 'within_days', value: 30 }
+ * ] }
+ * An empty rule list matches every lead. Saved as named segments and turned
+ * into SQL by libs/audience-segments.js.
+ *
+ * Pure functions (also used by the audience filter builder).
+ */
+
+export const MAX_AUDIENCE_RULES = 20;
+export const MAX_TEXT_VALUE_LENGTH = 200;
+const MAX_DAYS = 3650;
+
+export const LEAD_STATUSES = ['pending', 'processing', 'completed', 'error'];
+export const INVITE_STATUSES = ['pending', 'sent', 'accepted', 'rejected', 'failed'];
+
+const TEXT_OPS = {
+  contains: 'contains',
+  not_contains: 'does not contain',
+  equals: 'is',
+  is_empty: 'is empty',
+  is_not_empty: 'is not empty'
+};
+
+/**
+ * Filterable lead fields
+ * type decides the value of a rule: text (string), enum (list of options),
+ * tags (list of tags), boolean, days (whole number of days)
+ */
+export const AUDIENCE_FIELDS = {
+  title: { label: 'Title', type: 'text', ops: TEXT_OPS },
+  company: { label: 'Company', type: 'text', ops: TEXT_OPS },
+  status: { label: 'Status', type: 'enum', options: LEAD_STATUSES, ops: { in: 'is any of', not_in: 'is none of' } },
+  inviteStatus: { label: 'Invite status', type: 'enum', options: INVITE_STATUSES, ops: { in: 'is any of', not_in: 'is none of' } },
+  tags: { label: 'Tags', type: 'tags', ops: { has_any: 'has any of', has_all: 'has all of', has_none: 'has none of' } },
+  hasPosts: { label: 'Has posts', type: 'boolean', ops: { is: 'is' } },
+  lastPostAt: { label: 'Last post', type: 'days', ops: { within_days: 'within the last (days)', older_than_days: 'older than (days)' } }
+};
+
+export const EMPTY_AUDIENCE_FILTERS = { match: 'all', rules: [] };
+
+// Operators that take no value
+const VALUELESS_OPS = ['is_empty', 'is_not_empty'];
+
+/**
+ * Validate a single rule
+ * @returns {Object} - { rule, error }
+ */
+function validateRule(input, index) {
+  const label = `Filter ${index + 1}`;
+  // Own keys only, so names like "constructor" are unknown fields and not prototype members
+  const field = Object.hasOwn(AUDIENCE_FIELDS, input?.field) ? AUDIENCE_FIELDS[input.field] : null;
+
+  if (!field) return { rule: null, error: `${label}: unknown field ${input?.field}` };
+  if (!Object.hasOwn(field.ops, input.op)) return { rule: null, error: `${label}: ${field.label} cannot use "${input.op}"` };
+
+  const rule = { field: input.field, op: input.op };
+
+  switch (field.type) {
+    case 'text': {
+      if (VALUELESS_OPS.includes(input.op)) return { rule, error: null };
+      const value = typeof input.value === 'string' ? input.value.trim() : '';
+      if (!value) return { rule: null, error: `${label}: ${field.label} needs a value` };
+      if (value.length > MAX_TEXT_VALUE_LENGTH) return { rule: null, error: `${label}: value is too long` };
+      return { rule: { ...rule, value }, error: null };
+    }
+    case 'enum': {
+      const values = Array.isArray(input.value) ? Array.from(new Set(input.value)) : [];
+      if (values.length === 0) return { rule: null, error: `${label}: pick at least one ${field.label.toLowerCase()}` };
+      const unknown = values.find(value => !field.options.includes(value));
+      if (unknown !== undefined) return { rule: null, error: `${label}: unknown ${field.label.toLowerCase()} ${unknown}` };
+      return { rule: { ...rule, value: values }, error: null };
+    }
+    case 'tags': {
+      const values = Array.isArray(input.value)
+        ? Array.from(new Set(input.value.filter(tag => typeof tag === 'string').map(tag => tag.trim()).filter(Boolean)))
+        : [];
+      if (values.length === 0) return { rule: null, error: `${label}: add at least one tag` };
+      return { rule: { ...rule, value: values }, error: null };
+    }
+    case 'boolean': {
+      if (typeof input.value !== 'boolean') return { rule: null, error: `${label}: ${field.label} must be yes or no` };
+      return { rule: { ...rule, value: input.value }, error: null };
+    }
+    case 'days': {
+      const value = Number(input.value);
+      if (!Number.isInteger(value) || value < 1 || value > MAX_DAYS) {
+        return { rule: null, error: `${label}: days must be a whole number between 1 and ${MAX_DAYS}` };
+      }
+      return { rule: { ...rule, value }, error: null };
+    }
+    default:
+      return { rule: null, error: `${label}: unsupported field` };
+  }
+}
+
+/**
+ * Validate audience filters submitted by the client
+ *
+ * @param {Object} input - { match, rules }
+ * @returns {Object} - { filters, errors }
+ */
+export function validateAudienceFilters(input) {
+  if (input === undefined || input === null) {
+    return { filters: EMPTY_AUDIENCE_FILTERS, errors: [] };
+  }
+  if (typeof input !== 'object' || !Array.isArray(input.rules)) {
+    return { filters: null, errors: ['Filters must be an object with a rules array'] };
+  }
+  if (input.match !== undefined && !['all', 'any'].includes(input.match)) {
+    return { filters: null, errors: ['match must be "all" or "any"'] };
+  }
+  if (input.rules.length > MAX_AUDIENCE_RULES) {
+    return { filters: null, errors: [`At most ${MAX_AUDIENCE_RULES} filters`] };
+  }
+
+  const errors = [];
+  const rules = [];
+
+  input.rules.forEach((item, index) => {
+    const { rule, error } = validateRule(item, index);
+    if (error) errors.push(error);
+    else rules.push(rule);
+  });
+
+  if (errors.length > 0) return { filters: null, errors };
+
+  return { filters: { match: input.match || 'all', rules }, errors };
+}
+
+/**
+ * Short human-readable summary of filters, e.g. "Title contains founder and Has posts is yes"
+ * Pure function.
+ */
+export function describeAudienceFilters(filters) {
+  if (!filters?.rules?.length) return 'All leads';
+
+  return filters.rules.map(rule => {
+    const field = AUDIENCE_FIELDS[rule.field];
+    const value = Array.isArray(rule.value)
+      ? rule.value.join(', ')
+      : typeof rule.value === 'boolean' ? (rule.value ? 'yes' : 'no') : rule.value;
+    return [field?.label || rule.field, field?.ops[rule.op] || rule.op, value].filter(part => part !== undefined).join(' ');
+  }).join(filters.match === 'any' ? ' or ' : ' and ');
+}
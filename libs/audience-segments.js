@@ -0,0 +1,262 @@
+/**
+ * Audience Segments Module
+ *
+ * Named audience filters (libs/audience-filters.js) a user saves once and
+ * reuses across campaigns. A campaign picks its audience in
+ * campaigns.settings.audienceSegmentId; invite runs and sequence enrollment
+ * then only take the campaign leads matching the segment. Filters are
+ * evaluated when the campaign runs, so new leads that match join the audience.
+ */
+
+import { db } from './db';
+import { audienceSegments, campaigns, leads, posts } from './schema';
+import { eq, and, or, not, inArray, notInArray, desc, count, sql } from 'drizzle-orm';
+
+export const MAX_SEGMENT_NAME_LENGTH = 100;
+const DEFAULT_SAMPLE_SIZE = 10;
+
+const TEXT_COLUMNS = {
+  title: leads.title,
+  company: leads.company
+};
+
+const ENUM_COLUMNS = {
+  status: leads.status,
+  inviteStatus: leads.inviteStatus
+};
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+/**
+ * SQL condition of a validated rule
+ */
+function buildRuleCondition(rule) {
+  if (TEXT_COLUMNS[rule.field]) {
+    const value = sql`lower(coalesce(${TEXT_COLUMNS[rule.field]}, ''))`;
+    switch (rule.op) {
+      case 'contains': return sql`position(lower(${rule.value}) in ${value}) > 0`;
+      case 'not_contains': return sql`position(lower(${rule.value}) in ${value}) = 0`;
+      case 'equals': return sql`${value} = lower(${rule.value})`;
+      case 'is_empty': return sql`${value} = ''`;
+      case 'is_not_empty': return sql`${value} <> ''`;
+    }
+  }
+
+  if (ENUM_COLUMNS[rule.field]) {
+    return rule.op === 'in'
+      ? inArray(ENUM_COLUMNS[rule.field], rule.value)
+      : notInArray(ENUM_COLUMNS[rule.field], rule.value);
+  }
+
+  if (rule.field === 'tags') {
+    const hasTag = (tag) => sql`coalesce(${leads.tags}::jsonb, '[]'::jsonb) @> jsonb_build_array(${tag}::text)`;
+    const tags = rule.value.map(hasTag);
+    if (rule.op === 'has_all') return and(...tags);
+    if (rule.op === 'has_any') return or(...tags);
+    return not(or(...tags));
+  }
+
+  if (rule.field === 'hasPosts') {
+    const hasPosts = sql`exists (select 1 from ${posts} where ${posts.leadId} = ${leads.id})`;
+    return rule.value ? hasPosts : not(hasPosts);
+  }
+
+  if (rule.field === 'lastPostAt') {
+    const lastPostAt = sql`(select max(${posts.timestamp}) from ${posts} where ${posts.leadId} = ${leads.id})`;
+    return rule.op === 'within_days'
+      ? sql`${lastPostAt} >= ${daysAgo(rule.value)}::timestamp`
+      : sql`${lastPostAt} < ${daysAgo(rule.value)}::timestamp`;
+  }
+
+  throw new Error(`Unsupported audience rule: ${rule.field} ${rule.op}`);
+}
+
+/**
+ * SQL condition of validated audience filters
+ *
+ * @param {Object} filters - { match, rules } (see validateAudienceFilters)
+ * @returns {SQL|undefined} - undefined when every lead matches
+ */
+export function buildAudienceCondition(filters) {
+  if (!filters?.rules?.length) return undefined;
+
+  const conditions = filters.rules.map(buildRuleCondition);
+  return filters.match === 'any' ? or(...conditions) : and(...conditions);
+}
+
+/**
+ * Count the leads matching filters and return a sample of them
+ *
+ * @param {Object} options
+ * @param {string} options.userId - Owner of the leads
+ * @param {string} options.campaignId - Campaign to preview (all of the user's leads if omitted)
+ * @param {Object} options.filters - Validated filters
+ * @param {number} options.sampleSize - Sample leads to return
+ * @returns {Promise<Object>} - { count, total, sample }
+ */
+export async function previewAudience({ userId, campaignId = null, filters, sampleSize = DEFAULT_SAMPLE_SIZE }) {
+  const scope = campaignId
+    ? and(eq(leads.userId, userId), eq(leads.campaignId, campaignId))
+    : eq(leads.userId, userId);
+  const matching = and(scope, buildAudienceCondition(filters));
+
+  const [{ total }] = await db.select({ total: count() }).from(leads).where(scope);
+  const [{ matched }] = await db.select({ matched: count() }).from(leads).where(matching);
+
+  const sample = await db
+    .select({
+      id: leads.id,
+      name: leads.name,
+      url: leads.url,
+      title: leads.title,
+      company: leads.company,
+      status: leads.status,
+      inviteStatus: leads.inviteStatus,
+      tags: leads.tags
+    })
+    .from(leads)
+    .where(matching)
+    .orderBy(leads.createdAt)
+    .limit(sampleSize);
+
+  return { count: Number(matched), total: Number(total), sample };
+}
+
+/**
+ * IDs of the campaign leads matching filters
+ *
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} filters - Validated filters
+ * @returns {Promise<Set<string>>}
+ */
+export async function getAudienceLeadIds(campaignId, filters) {
+  const rows = await db
+    .select({ id: leads.id })
+    .from(leads)
+    .where(and(eq(leads.campaignId, campaignId), buildAudienceCondition(filters)));
+
+  return new Set(rows.map(row => row.id));
+}
+
+/**
+ * Audience of a campaign from its settings
+ * A segment that no longer exists is ignored (every lead is in the audience).
+ *
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} settings - Campaign settings (audienceSegmentId)
+ * @returns {Promise<Object|null>} - { segment, leadIds }, or null when the campaign has no segment
+ */
+export async function getCampaignAudience(campaignId, settings) {
+  if (!settings?.audienceSegmentId) return null;
+
+  const segment = await db.query.audienceSegments.findFirst({
+    where: eq(audienceSegments.id, settings.audienceSegmentId)
+  });
+
+  if (!segment) {
+    console.log(`⚠️ Audience segment ${settings.audienceSegmentId} of campaign ${campaignId} not found - using all leads`);
+    return null;
+  }
+
+  return { segment, leadIds: await getAudienceLeadIds(campaignId, segment.filters) };
+}
+
+/**
+ * Check a segment name
+ *
+ * @returns {string|null} - Trimmed name, or null if empty or too long
+ */
+export function cleanSegmentName(name) {
+  const clean = typeof name === 'string' ? name.trim() : '';
+  return clean && clean.length <= MAX_SEGMENT_NAME_LENGTH ? clean : null;
+}
+
+/**
+ * API shape of a segment
+ */
+export function serializeSegment(segment) {
+  return {
+    id: segment.id,
+    name: segment.name,
+    filters: segment.filters,
+    createdAt: segment.createdAt,
+    updatedAt: segment.updatedAt
+  };
+}
+
+/**
+ * List a user's segments, most recently updated first
+ */
+export async function listSegments(userId) {
+  return db.select()
+    .from(audienceSegments)
+    .where(eq(audienceSegments.userId, userId))
+    .orderBy(desc(audienceSegments.updatedAt));
+}
+
+/**
+ * Get a segment owned by a user
+ *
+ * @returns {Promise<Object|null>}
+ */
+export async function getSegment(segmentId, userId) {
+  const segment = await db.query.audienceSegments.findFirst({
+    where: and(eq(audienceSegments.id, segmentId), eq(audienceSegments.userId, userId))
+  });
+
+  return segment || null;
+}
+
+/**
+ * Save a new segment
+ *
+ * @param {Object} segment - { userId, name, filters }
+ * @returns {Promise<Object>} - Segment row
+ */
+export async function createSegment({ userId, name, filters }) {
+  const [segment] = await db.insert(audienceSegments)
+    .values({ userId, name, filters })
+    .returning();
+
+  return segment;
+}
+
+/**
+ * Rename a segment and/or replace its filters
+ *
+ * @param {string} segmentId - Segment ID
+ * @param {Object} changes - { name?, filters? }
+ * @returns {Promise<Object>} - Updated segment row
+ */
+export async function updateSegment(segmentId, changes) {
+  const [segment] = await db.update(audienceSegments)
+    .set({ ...changes, updatedAt: new Date() })
+    .where(eq(audienceSegments.id, segmentId))
+    .returning();
+
+  return segment;
+}
+
+/**
+ * Delete a segment; campaigns using it go back to all of their leads
+ *
+ * @param {string} segmentId - Segment ID
+ * @param {string} userId - Owner (only their campaigns can use the segment)
+ * @returns {Promise<number>} - Campaigns that used the segment
+ */
+export async function deleteSegment(segmentId, userId) {
+  const userCampaigns = await db
+    .select({ id: campaigns.id, settings: campaigns.settings })
+    .from(campaigns)
+    .where(eq(campaigns.userId, userId));
+
+  const using = userCampaigns.filter(campaign => campaign.settings?.audienceSegmentId === segmentId);
+  for (const campaign of using) {
+    await db.update(campaigns)
+      .set({ settings: { ...campaign.settings, audienceSegmentId: null }, updatedAt: new Date() })
+      .where(eq(campaigns.id, campaign.id));
+  }
+
+  await db.delete(audienceSegments).where(eq(audienceSegments.id, segmentId));
+  return using.length;
+}
@@ -0,0 +1,166 @@
+/**
+ * Blocklist Rules Module
+ *
+ * A user's do-not-contact list: clients, competitors and people who asked
+ * not to be contacted. Each entry blocks one of:
+ *   profile - a LinkedIn profile URL (normalized, exact match)
+ *   name    - a lead name pattern
+ *   company - a company name pattern
+ * Name and company patterns ignore case and extra spaces and match the whole
+ * value; * matches anything ("Acme*" blocks "Acme Inc" and "Acme Labs").
+ *
+ * Blocked leads are never invited or messaged. They stay in their campaign,
+ * flagged with the reason (leads.blockedReason). Stored by libs/blocklist.js.
+ *
+ * Pure functions (also used by the do-not-contact page).
+ */
+
+import { normalizeProfileUrl } from './lead-import';
+import { detectCsvDelimiter, parseCsv } from './csv';
+
+export const MAX_BLOCKLIST_VALUE_LENGTH = 300;
+export const MAX_BLOCKLIST_REASON_LENGTH = 200;
+export const MAX_BLOCKLIST_UPLOAD = 5000;
+
+export const BLOCKLIST_TYPES = {
+  profile: { label: 'Profile URL' },
+  name: { label: 'Name' },
+  company: { label: 'Company' }
+};
+
+const collapseSpaces = (value) => value.replace(/\s+/g, ' ').trim();
+
+/**
+ * Validate an entry submitted by the client
+ * Profile URLs are normalized so the same profile is only listed once.
+ *
+ * @param {Object} input - { type, value, reason? }
+ * @returns {Object} - { entry, error }
+ */
+export function validateBlocklistEntry(input) {
+  const type = input?.type;
+  if (!BLOCKLIST_TYPES[type]) {
+    return { entry: null, error: `Unknown type ${type}` };
+  }
+
+  const raw = typeof input.value === 'string' ? collapseSpaces(input.value) : '';
+  if (!raw) return { entry: null, error: `${BLOCKLIST_TYPES[type].label} is empty` };
+  if (raw.length > MAX_BLOCKLIST_VALUE_LENGTH) return { entry: null, error: `"${raw.slice(0, 40)}..." is too long` };
+
+  const value = type === 'profile' ? normalizeProfileUrl(raw) : raw;
+  if (!value) return { entry: null, error: `"${raw}" is not a LinkedIn profile URL` };
+  if (type !== 'profile' && !value.replace(/\*/g, '').trim()) {
+    return { entry: null, error: `"${raw}" would block everyone` };
+  }
+
+  const reason = typeof input.reason === 'string' ? input.reason.trim() : '';
+  if (reason.length > MAX_BLOCKLIST_REASON_LENGTH) {
+    return { entry: null, error: `Reason must be at most ${MAX_BLOCKLIST_REASON_LENGTH} characters` };
+  }
+
+  return { entry: { type, value, reason: reason || null }, error: null };
+}
+
+/**
+ * Read a bulk upload: one entry per line, or a CSV with type, value and
+ * (optional) reason columns. Lines with a LinkedIn URL are profile entries,
+ * the others get defaultType.
+ * Pure function.
+ *
+ * @param {string} text - Pasted text or file contents
+ * @param {string} defaultType - Type of lines that are not URLs (name or company)
+ * @param {string} defaultReason - Reason of entries without one
+ * @returns {Object} - { entries, errors }
+ */
+export function parseBlocklistText(text, defaultType = 'company', defaultReason = '') {
+  const delimiter = detectCsvDelimiter(text);
+  const rows = parseCsv(text, delimiter);
+  const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+  const hasHeader = header.includes('value');
+  const column = (name) => header.indexOf(name);
+
+  // Without a header every line is a single value, commas included
+  const items = hasHeader
+    ? rows.slice(1).map(cells => ({
+      type: cells[column('type')]?.trim().toLowerCase(),
+      value: cells[column('value')],
+      reason: column('reason') >= 0 ? cells[column('reason')] : ''
+    }))
+    : text.split(/\r?\n/).filter(line => line.trim()).map(line => ({ value: line }));
+
+  if (items.length > MAX_BLOCKLIST_UPLOAD) {
+    return { entries: [], errors: [`At most ${MAX_BLOCKLIST_UPLOAD} entries per upload`] };
+  }
+
+  const entries = [];
+  const errors = [];
+
+  items.forEach((item, index) => {
+    const value = (item.value || '').trim();
+    const type = item.type || (/linkedin\.com\//i.test(value) ? 'profile' : defaultType);
+    const { entry, error } = validateBlocklistEntry({ type, value, reason: item.reason || defaultReason });
+
+    if (error) errors.push(`Line ${index + (hasHeader ? 2 : 1)}: ${error}`);
+    else entries.push(entry);
+  });
+
+  return { entries, errors };
+}
+
+const escapeRegExp = (value) => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+const compilePattern = (value) =>
+  new RegExp(`^${escapeRegExp(collapseSpaces(value).toLowerCase()).replace(/\*/g, '.*')}$`);
+
+/**
+ * Prepare entries for matching many leads
+ * Pure function.
+ *
+ * @param {Array<Object>} entries - Blocklist entries
+ * @returns {Object} - Matcher for matchBlocklist
+ */
+export function buildBlocklistMatcher(entries = []) {
+  const matcher = { profiles: new Map(), names: [], companies: [], size: entries.length };
+
+  entries.forEach(entry => {
+    if (entry.type === 'profile') matcher.profiles.set(entry.value, entry);
+    else if (entry.type === 'name') matcher.names.push({ pattern: compilePattern(entry.value), entry });
+    else if (entry.type === 'company') matcher.companies.push({ pattern: compilePattern(entry.value), entry });
+  });
+
+  return matcher;
+}
+
+/**
+ * Blocklist entry a lead matches
+ * Pure function.
+ *
+ * @param {Object} lead - { url, name, company }
+ * @param {Object} matcher - From buildBlocklistMatcher
+ * @returns {Object|null} - Matching entry
+ */
+export function matchBlocklist(lead, matcher) {
+  if (!matcher?.size || !lead) return null;
+
+  const url = normalizeProfileUrl(lead.url);
+  if (url && matcher.profiles.has(url)) return matcher.profiles.get(url);
+
+  const name = lead.name ? collapseSpaces(lead.name).toLowerCase() : '';
+  const byName = name && matcher.names.find(({ pattern }) => pattern.test(name));
+  if (byName) return byName.entry;
+
+  const company = lead.company ? collapseSpaces(lead.company).toLowerCase() : '';
+  const byCompany = company && matcher.companies.find(({ pattern }) => pattern.test(company));
+  if (byCompany) return byCompany.entry;
+
+  return null;
+}
+
+/**
+ * Reason a lead is flagged with, e.g. 'Do not contact: company "Acme*" (client)'
+ * Pure function.
+ */
+export function describeBlocklistMatch(entry) {
+  const what = entry.type === 'profile' ? 'profile' : `${entry.type} "${entry.value}"`;
+  return `Do not contact: ${what}${entry.reason ? ` (${entry.reason})` : ''}`;
+}
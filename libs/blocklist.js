@@ -0,0 +1,159 @@
+/**
+ * Blocklist Module
+ *
+ * Storage of a user's do-not-contact list (libs/blocklist-rules.js) and the
+ * flags on their leads. The invite worker, the connection checker and lead
+ * imports check leads against the list; leads are flagged when an entry is
+ * added and unflagged when it is removed.
+ */
+
+import { db } from './db';
+import { blocklistEntries, leads, campaigns } from './schema';
+import { eq, and, desc, inArray, isNotNull } from 'drizzle-orm';
+import { buildBlocklistMatcher, matchBlocklist, describeBlocklistMatch } from './blocklist-rules';
+
+const INSERT_BATCH_SIZE = 500;
+
+/**
+ * API shape of an entry
+ */
+export function serializeBlocklistEntry(entry) {
+  return {
+    id: entry.id,
+    type: entry.type,
+    value: entry.value,
+    reason: entry.reason,
+    createdAt: entry.createdAt
+  };
+}
+
+/**
+ * List a user's entries, most recent first
+ */
+export async function listBlocklistEntries(userId) {
+  return db.select()
+    .from(blocklistEntries)
+    .where(eq(blocklistEntries.userId, userId))
+    .orderBy(desc(blocklistEntries.createdAt));
+}
+
+/**
+ * Matcher of a user's list, for checking many leads
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - See buildBlocklistMatcher
+ */
+export async function getBlocklistMatcher(userId) {
+  return buildBlocklistMatcher(await listBlocklistEntries(userId));
+}
+
+/**
+ * Leads currently flagged as blocked, most recently flagged first
+ *
+ * @param {string} userId - User ID
+ * @param {number} limit - Leads to return
+ * @returns {Promise<Array>}
+ */
+export async function listBlockedLeads(userId, limit = 100) {
+  return db
+    .select({
+      id: leads.id,
+      name: leads.name,
+      url: leads.url,
+      company: leads.company,
+      campaignId: leads.campaignId,
+      campaignName: campaigns.name,
+      blockedReason: leads.blockedReason,
+      blockedAt: leads.blockedAt
+    })
+    .from(leads)
+    .leftJoin(campaigns, eq(leads.campaignId, campaigns.id))
+    .where(and(eq(leads.userId, userId), isNotNull(leads.blockedReason)))
+    .orderBy(desc(leads.blockedAt))
+    .limit(limit);
+}
+
+/**
+ * Flag the user's leads matching the list and unflag the others
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Leads currently blocked
+ */
+export async function refreshBlockedLeads(userId) {
+  const matcher = await getBlocklistMatcher(userId);
+  const userLeads = await db
+    .select({ id: leads.id, url: leads.url, name: leads.name, company: leads.company, blockedReason: leads.blockedReason })
+    .from(leads)
+    .where(eq(leads.userId, userId));
+
+  const byReason = new Map();
+  const unblocked = [];
+  let blocked = 0;
+
+  userLeads.forEach(lead => {
+    const entry = matchBlocklist(lead, matcher);
+    const reason = entry ? describeBlocklistMatch(entry) : null;
+
+    if (entry) blocked++;
+    if (reason === lead.blockedReason) return;
+
+    if (reason) {
+      if (!byReason.has(reason)) byReason.set(reason, []);
+      byReason.get(reason).push(lead.id);
+    } else {
+      unblocked.push(lead.id);
+    }
+  });
+
+  const now = new Date();
+  for (const [reason, leadIds] of byReason) {
+    await db.update(leads)
+      .set({ blockedReason: reason, blockedAt: now })
+      .where(inArray(leads.id, leadIds));
+  }
+
+  if (unblocked.length > 0) {
+    await db.update(leads)
+      .set({ blockedReason: null, blockedAt: null })
+      .where(and(inArray(leads.id, unblocked), isNotNull(leads.blockedReason)));
+  }
+
+  console.log(`🚫 Blocklist of user ${userId}: ${blocked} lead(s) blocked, ${unblocked.length} unblocked`);
+  return blocked;
+}
+
+/**
+ * Add validated entries; entries already on the list are ignored
+ *
+ * @param {string} userId - User ID
+ * @param {Array<Object>} entries - [{ type, value, reason }]
+ * @returns {Promise<Object>} - { added, blockedLeads }
+ */
+export async function addBlocklistEntries(userId, entries) {
+  let added = 0;
+
+  for (let i = 0; i < entries.length; i += INSERT_BATCH_SIZE) {
+    const rows = await db.insert(blocklistEntries)
+      .values(entries.slice(i, i + INSERT_BATCH_SIZE).map(entry => ({ ...entry, userId })))
+      .onConflictDoNothing({ target: [blocklistEntries.userId, blocklistEntries.type, blocklistEntries.value] })
+      .returning({ id: blocklistEntries.id });
+    added += rows.length;
+  }
+
+  return { added, blockedLeads: await refreshBlockedLeads(userId) };
+}
+
+/**
+ * Remove an entry owned by a user
+ *
+ * @returns {Promise<Object|null>} - { blockedLeads }, or null if the entry does not exist
+ */
+export async function deleteBlocklistEntry(entryId, userId) {
+  const [deleted] = await db.delete(blocklistEntries)
+    .where(and(eq(blocklistEntries.id, entryId), eq(blocklistEntries.userId, userId)))
+    .returning({ id: blocklistEntries.id });
+
+  if (!deleted) return null;
+
+  return { blockedLeads: await refreshBlockedLeads(userId) };
+}
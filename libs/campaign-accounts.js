@@ -0,0 +1,140 @@
+/**
+ * Campaign Accounts Module
+ *
+ * Pool of LinkedIn accounts a campaign sends from (campaign_accounts table).
+ * The worker splits eligible leads across the pool by remaining daily quota;
+ * each lead is then pinned to the account that invited it (leads.sender_account_id)
+ * so the follow-up message comes from the same sender.
+ */
+
+import { db } from './db';
+import { campaignAccounts, linkedinAccounts } from './schema';
+import { eq, inArray } from 'drizzle-orm';
+import { checkDailyLimit } from './rate-limit-manager';
+
+/**
+ * Get the account IDs attached to a campaign
+ *
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Array<string>>}
+ */
+export async function getCampaignAccountIds(campaignId) {
+  const rows = await db
+    .select({ accountId: campaignAccounts.accountId })
+    .from(campaignAccounts)
+    .where(eq(campaignAccounts.campaignId, campaignId));
+
+  return rows.map(row => row.accountId);
+}
+
+/**
+ * Replace the account pool of a campaign
+ * Ownership of the accounts must be checked by the caller.
+ *
+ * @param {string} campaignId - Campaign ID
+ * @param {Array<string>} accountIds - LinkedIn account IDs
+ */
+export async function setCampaignAccounts(campaignId, accountIds) {
+  const uniqueIds = Array.from(new Set(accountIds));
+
+  await db.transaction(async (tx) => {
+    await tx.delete(campaignAccounts).where(eq(campaignAccounts.campaignId, campaignId));
+
+    if (uniqueIds.length > 0) {
+      await tx.insert(campaignAccounts).values(
+        uniqueIds.map(accountId => ({ campaignId, accountId }))
+      );
+    }
+  });
+}
+
+/**
+ * Load the sending pool of a campaign with each account's daily quota
+ * Campaigns without a pool send from the job's own account.
+ *
+ * @param {string} campaignId - Campaign ID
+ * @param {string} fallbackAccountId - Account of the workflow job
+ * @returns {Promise<Array>} - [{ account, quota }] where quota comes from checkDailyLimit
+ */
+export async function getCampaignAccountPool(campaignId, fallbackAccountId) {
+  const poolIds = await getCampaignAccountIds(campaignId);
+  const accountIds = poolIds.length > 0 ? poolIds : [fallbackAccountId];
+
+  const accounts = await db
+    .select()
+    .from(linkedinAccounts)
+    .where(inArray(linkedinAccounts.id, accountIds));
+
+  const pool = [];
+  for (const account of accounts) {
+    pool.push({ account, quota: await checkDailyLimit(account.id) });
+  }
+
+  return pool;
+}
+
+/**
+ * Split leads across accounts, weighted by remaining daily quota
+ * Uses smooth weighted round-robin so accounts with more quota left get
+ * proportionally more leads without sending them in one block. A lead already
+ * pinned to an account of the pool stays with it. Leads beyond the pool's
+ * combined quota are left out.
+ *
+ * The returned queue is ordered in single-account chunks of `batchSize`,
+ * alternating between accounts, so each batch runs in one browser session.
+ *
+ * @param {Array} leads - Eligible leads, in processing order
+ * @param {Array} pool - [{ account, quota }] from getCampaignAccountPool
+ * @param {number} batchSize - Leads per batch
+ * @returns {Object} - { queue, assigned } where queue leads carry `assignedAccountId`
+ *   and assigned maps accountId -> number of leads
+ */
+export function splitLeadsAcrossAccounts(leads, pool, batchSize) {
+  const slots = pool
+    .filter(({ quota }) => quota.remaining > 0)
+    .map(({ account, quota }) => ({
+      accountId: account.id,
+      weight: quota.remaining,
+      capacity: quota.remaining,
+      current: 0,
+      leads: []
+    }));
+
+  for (const lead of leads) {
+    const available = slots.filter(slot => slot.capacity > 0);
+    if (available.length === 0) break;
+
+    let slot = available.find(s => s.accountId === lead.senderAccountId);
+
+    if (!slot) {
+      const totalWeight = available.reduce((sum, s) => sum + s.weight, 0);
+      available.forEach(s => { s.current += s.weight; });
+      slot = available.reduce((best, s) => (s.current > best.current ? s : best));
+      slot.current -= totalWeight;
+    }
+
+    slot.capacity--;
+    slot.leads.push({ ...lead, assignedAccountId: slot.accountId });
+  }
+
+  // Interleave single-account chunks: A1, B1, A2, B2...
+  const queue = [];
+  const chunks = slots.map(slot => {
+    const accountChunks = [];
+    for (let i = 0; i < slot.leads.length; i += batchSize) {
+      accountChunks.push(slot.leads.slice(i, i + batchSize));
+    }
+    return accountChunks;
+  });
+
+  const rounds = Math.max(0, ...chunks.map(c => c.length));
+  for (let round = 0; round < rounds; round++) {
+    chunks.forEach(accountChunks => {
+      if (accountChunks[round]) queue.push(...accountChunks[round]);
+    });
+  }
+
+  const assigned = Object.fromEntries(slots.map(slot => [slot.accountId, slot.leads.length]));
+
+  return { queue, assigned };
+}
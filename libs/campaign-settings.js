@@ -0,0 +1,315 @@
+/**
+ * Campaign Settings Module
+ *
+ * Per-campaign sending rules stored in campaigns.settings (JSON):
+ * timezone, working hours window, daily connect/message caps, the
+ * default message template, the invite retry policy, the follow-up messages, the connection
+ * note A/B test and the audience segment. Used by the settings
+ * API, the invite worker and the connection checker so they all apply the same rules.
+ */
+
+import getRedisClient from './redis';
+import { db } from './db';
+import { campaigns } from './schema';
+import { eq } from 'drizzle-orm';
+import { DEFAULT_RETRY_POLICY, normalizeRetryPolicy, validateRetryPolicy } from './invite-retry-policy';
+import { normalizeFollowUps, validateFollowUps } from './follow-up-policy';
+import { DEFAULT_NOTE_TEST, normalizeNoteTest, validateNoteTest } from './note-variants';
+
+/**
+ * Defaults for campaigns without saved settings
+ * workingHours / caps set to null mean "no restriction" (account limits still apply)
+ */
+export const DEFAULT_CAMPAIGN_SETTINGS = {
+  timezone: 'UTC',
+  workingHours: null, // { start: '09:00', end: '17:00' } in the campaign timezone
+  dailyConnectCap: null,
+  dailyMessageCap: null,
+  defaultMessageTemplate: '',
+  retryPolicy: DEFAULT_RETRY_POLICY,
+  followUps: [], // Messages 2 and 3: [{ delay: '3 business days', prompt, template }]
+  noteTest: DEFAULT_NOTE_TEST, // Connection note variants: { variants: [{ id, text }], autoPromoteAfter, winner }
+  audienceSegmentId: null // Saved audience segment the campaign runs on (null = all leads, see libs/audience-segments.js)
+};
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check that a timezone is a valid IANA name
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ */
+function parseTime(value) {
+  const match = TIME_PATTERN.exec(value || '');
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Merge saved settings with defaults
+ *
+ * @param {Object|null} settings - campaigns.settings value
+ * @returns {Object} - Complete settings object
+ */
+export function normalizeCampaignSettings(settings) {
+  const normalized = { ...DEFAULT_CAMPAIGN_SETTINGS, ...(settings || {}) };
+  normalized.retryPolicy = normalizeRetryPolicy(normalized.retryPolicy);
+  normalized.followUps = normalizeFollowUps(normalized.followUps);
+  normalized.noteTest = normalizeNoteTest(normalized.noteTest);
+  return normalized;
+}
+
+/**
+ * Validate settings submitted by the client
+ * Only known keys are kept; partial updates are merged into the current settings.
+ *
+ * @param {Object} input - Submitted settings
+ * @param {Object} current - Currently saved settings
+ * @returns {Object} - { settings, errors }
+ */
+export function validateCampaignSettings(input, current = null) {
+  const settings = normalizeCampaignSettings(current);
+  const errors = [];
+
+  if (!input || typeof input !== 'object') {
+    return { settings, errors: ['Settings must be an object'] };
+  }
+
+  if (input.timezone !== undefined) {
+    if (!isValidTimezone(input.timezone)) {
+      errors.push(`Invalid timezone: ${input.timezone}`);
+    } else {
+      settings.timezone = input.timezone;
+    }
+  }
+
+  if (input.workingHours !== undefined) {
+    if (input.workingHours === null) {
+      settings.workingHours = null;
+    } else {
+      const start = parseTime(input.workingHours?.start);
+      const end = parseTime(input.workingHours?.end);
+
+      if (start === null || end === null) {
+        errors.push('Working hours must use HH:MM format');
+      } else if (start === end) {
+        errors.push('Working hours start and end must be different');
+      } else {
+        settings.workingHours = {
+          start: input.workingHours.start,
+          end: input.workingHours.end
+        };
+      }
+    }
+  }
+
+  for (const key of ['dailyConnectCap', 'dailyMessageCap']) {
+    if (input[key] === undefined) continue;
+
+    if (input[key] === null || input[key] === '') {
+      settings[key] = null;
+      continue;
+    }
+
+    const value = Number(input[key]);
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push(`${key} must be a positive whole number`);
+    } else {
+      settings[key] = value;
+    }
+  }
+
+  if (input.defaultMessageTemplate !== undefined) {
+    if (typeof input.defaultMessageTemplate !== 'string') {
+      errors.push('defaultMessageTemplate must be a string');
+    } else {
+      settings.defaultMessageTemplate = input.defaultMessageTemplate;
+    }
+  }
+
+  if (input.retryPolicy !== undefined) {
+    const { policy, errors: policyErrors } = validateRetryPolicy(input.retryPolicy, settings.retryPolicy);
+    errors.push(...policyErrors);
+    settings.retryPolicy = policy;
+  }
+
+  if (input.followUps !== undefined) {
+    const { followUps, errors: followUpErrors } = validateFollowUps(input.followUps);
+    errors.push(...followUpErrors);
+    if (followUpErrors.length === 0) {
+      settings.followUps = followUps;
+    }
+  }
+
+  if (input.noteTest !== undefined) {
+    const { noteTest, errors: noteTestErrors } = validateNoteTest(input.noteTest, settings.noteTest);
+    errors.push(...noteTestErrors);
+    if (noteTestErrors.length === 0) {
+      settings.noteTest = noteTest;
+    }
+  }
+
+  if (input.audienceSegmentId !== undefined) {
+    if (input.audienceSegmentId === null || input.audienceSegmentId === '') {
+      settings.audienceSegmentId = null;
+    } else if (typeof input.audienceSegmentId !== 'string' || !UUID_PATTERN.test(input.audienceSegmentId)) {
+      errors.push('audienceSegmentId must be a segment ID');
+    } else {
+      settings.audienceSegmentId = input.audienceSegmentId;
+    }
+  }
+
+  return { settings, errors };
+}
+
+/**
+ * Get minutes since local midnight (and seconds) in a timezone
+ */
+function getLocalClock(timezone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parseInt(parts.find(p => p.type === type)?.value || '0', 10);
+
+  return {
+    minutes: get('hour') * 60 + get('minute'),
+    seconds: get('second')
+  };
+}
+
+/**
+ * Check whether a date falls inside the campaign working hours
+ * Windows that cross midnight (e.g. 22:00 - 06:00) are supported.
+ *
+ * @param {Object} settings - Campaign settings
+ * @param {Date} date - Date to check (default: now)
+ * @returns {boolean}
+ */
+export function isWithinWorkingHours(settings, date = new Date()) {
+  const { timezone, workingHours } = normalizeCampaignSettings(settings);
+  if (!workingHours) return true;
+
+  const start = parseTime(workingHours.start);
+  const end = parseTime(workingHours.end);
+  if (start === null || end === null) return true;
+
+  const { minutes } = getLocalClock(timezone, date);
+
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Get when the next working window opens
+ *
+ * @param {Object} settings - Campaign settings
+ * @param {Date} date - Reference date (default: now)
+ * @returns {Date} - Start of the next window (or `date` if already inside one)
+ */
+export function getNextWorkingWindowStart(settings, date = new Date()) {
+  if (isWithinWorkingHours(settings, date)) return date;
+
+  const { timezone, workingHours } = normalizeCampaignSettings(settings);
+  const start = parseTime(workingHours.start);
+  const { minutes, seconds } = getLocalClock(timezone, date);
+
+  const minutesUntilStart = (start - minutes + 1440) % 1440;
+  return new Date(date.getTime() + (minutesUntilStart * 60 - seconds) * 1000);
+}
+
+/**
+ * Get the date (YYYY-MM-DD) of a moment in the campaign timezone (default: today)
+ */
+export function getLocalDateKey(timezone, date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+const getDailyCounterKey = (campaignId, type, settings) =>
+  `campaign:${campaignId}:daily:${type}:${getLocalDateKey(normalizeCampaignSettings(settings).timezone)}`;
+
+/**
+ * Load normalized settings for a campaign
+ *
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} - Campaign settings
+ */
+export async function getCampaignSettings(campaignId) {
+  const campaign = await db.query.campaigns.findFirst({
+    where: eq(campaigns.id, campaignId),
+    columns: { settings: true }
+  });
+
+  return normalizeCampaignSettings(campaign?.settings);
+}
+
+/**
+ * Check a campaign daily cap (invites or messages sent today in the campaign timezone)
+ * Mirrors the shape returned by rate-limit-manager so callers can combine both.
+ * If Redis is unavailable the cap is skipped; account limits still apply.
+ *
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} settings - Campaign settings
+ * @param {string} type - 'connect' | 'message'
+ * @returns {Promise<Object>} { canSend, remaining, limit, sent }
+ */
+export async function checkCampaignDailyCap(campaignId, settings, type = 'connect') {
+  const normalized = normalizeCampaignSettings(settings);
+  const limit = type === 'message' ? normalized.dailyMessageCap : normalized.dailyConnectCap;
+
+  if (limit === null || limit === undefined) {
+    return { canSend: true, remaining: Infinity, limit: null, sent: 0 };
+  }
+
+  try {
+    const redis = getRedisClient();
+    const sent = parseInt(await redis.get(getDailyCounterKey(campaignId, type, normalized)) || '0', 10);
+    const remaining = Math.max(0, limit - sent);
+
+    return { canSend: remaining > 0, remaining, limit, sent };
+  } catch (error) {
+    console.warn(`⚠️  Campaign ${type} cap check failed, relying on account limits:`, error.message);
+    return { canSend: true, remaining: Infinity, limit, sent: 0 };
+  }
+}
+
+/**
+ * Count an invite or message against today's campaign cap
+ *
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} settings - Campaign settings
+ * @param {string} type - 'connect' | 'message'
+ */
+export async function incrementCampaignDailyCounter(campaignId, settings, type = 'connect') {
+  try {
+    const redis = getRedisClient();
+    const key = getDailyCounterKey(campaignId, type, settings);
+    await redis.incr(key);
+    await redis.expire(key, 48 * 60 * 60); // keep until the local day is over everywhere
+  } catch (error) {
+    console.warn(`⚠️  Failed to increment campaign ${type} counter:`, error.message);
+  }
+}
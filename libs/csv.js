@@ -0,0 +1,150 @@
+/**
+ * CSV Module
+ *
+ * Minimal CSV reader and writer (RFC 4180 quoting) for lead imports and exports.
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Quote a single value when it contains a delimiter, quote or line break
+ * Text a spreadsheet would run as a formula (=, +, -, @, tab or CR first) is
+ * prefixed with ' and quoted, since lead fields come from LinkedIn profiles.
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    return `"'${text.replace(/"/g, '""')}"`;
+  }
+
+  return /[",\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * Build a CSV document
+ *
+ * @param {Array<Object>} rows - Data rows
+ * @param {Array<Object>} columns - [{ key, label }] in output order
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const header = columns.map(column => escapeCsvValue(column.label)).join(',');
+  const lines = rows.map(row =>
+    columns.map(column => escapeCsvValue(row[column.key])).join(',')
+  );
+
+  return [header, ...lines].join('\r\n');
+}
+
+
+/**
+ * Decode an uploaded CSV file
+ * Honors byte order marks (UTF-8, UTF-16 LE/BE); otherwise tries UTF-8 and
+ * falls back to Windows-1252, the usual encoding of spreadsheets saved on Windows.
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} encoding - Encoding to force, or 'auto'
+ * @returns {Object} - { text, encoding }
+ */
+export function decodeCsvBytes(bytes, encoding = 'auto') {
+  if (encoding && encoding !== 'auto') {
+    return { text: new TextDecoder(encoding).decode(bytes), encoding };
+  }
+
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' };
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'utf-16le' };
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'utf-16be' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+  } catch (e) {
+    return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+  }
+}
+
+/**
+ * Guess the delimiter from the first line (comma, semicolon or tab)
+ * Pure function.
+ */
+export function detectCsvDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const counts = DELIMITERS.map(delimiter => firstLine.split(delimiter).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+
+  return counts[best] > 0 ? DELIMITERS[best] : ',';
+}
+
+/**
+ * Parse a CSV document into rows of cells
+ * Handles quoted fields with delimiters, escaped quotes and line breaks;
+ * blank lines are dropped. Each row carries the line of the file it starts
+ * on (row.line, 1-based), for reports that point back to the file.
+ * Pure function.
+ *
+ * @param {string} text - CSV document
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') {
+      row.line = rowLine;
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+    rowLine = line;
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n' || (char === '\r' && source[i + 1] !== '\n')) line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      line++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+}
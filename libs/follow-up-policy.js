@@ -0,0 +1,179 @@
+/**
+ * Follow-up Policy Module
+ *
+ * Follow-up messages sent to an accepted lead after the first message.
+ * Configured per campaign in campaigns.settings.followUps: follow-up 2 and 3,
+ * each with its own delay counted from the previous message ("3 business
+ * days", "7 days") and either a fixed template or an AI prompt. The
+ * connection checker sends the due follow-ups and stops as soon as the lead
+ * replies (leads.replied_at).
+ */
+
+export const MAX_FOLLOW_UPS = 2; // Messages 2 and 3
+export const MAX_FOLLOW_UP_LENGTH = 8000;
+
+const DELAY_PATTERN = /^(\d+)\s*(hours?|business days?|days?|weeks?)$/i;
+const MAX_DELAY_DAYS = 90;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Parse a follow-up delay such as "3 business days", "7 days" or "2 weeks"
+ * Pure function.
+ *
+ * @param {string} delay - Delay text
+ * @returns {Object|null} - { amount, unit: 'hour' | 'business_day' | 'day' | 'week' } or null if invalid
+ */
+export function parseFollowUpDelay(delay) {
+  const match = DELAY_PATTERN.exec(String(delay || '').trim());
+  if (!match) return null;
+
+  const amount = parseInt(match[1], 10);
+  const word = match[2].toLowerCase();
+  const unit = word.startsWith('hour') ? 'hour'
+    : word.startsWith('business') ? 'business_day'
+    : word.startsWith('week') ? 'week'
+    : 'day';
+
+  // Business days span weekends, so they get the same cap as calendar days
+  const days = unit === 'hour' ? amount / 24 : unit === 'week' ? amount * 7 : amount;
+  if (amount < 1 || days > MAX_DELAY_DAYS) return null;
+
+  return { amount, unit };
+}
+
+/**
+ * Check whether a date falls on a Saturday or Sunday in a timezone
+ */
+function isWeekend(date, timezone) {
+  const day = new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'short' }).format(date);
+  return day === 'Sat' || day === 'Sun';
+}
+
+/**
+ * Add a follow-up delay to a date
+ * Business days skip Saturdays and Sundays of the campaign timezone.
+ * Pure function.
+ *
+ * @param {Date|string} from - Previous message date
+ * @param {string} delay - Follow-up delay
+ * @param {string} timezone - Campaign timezone (IANA name)
+ * @returns {Date|null} - When the follow-up is due, null if the delay is invalid
+ */
+export function addFollowUpDelay(from, delay, timezone = 'UTC') {
+  const parsed = parseFollowUpDelay(delay);
+  if (!parsed) return null;
+
+  const start = new Date(from).getTime();
+
+  if (parsed.unit === 'hour') return new Date(start + parsed.amount * HOUR_MS);
+  if (parsed.unit === 'day') return new Date(start + parsed.amount * DAY_MS);
+  if (parsed.unit === 'week') return new Date(start + parsed.amount * 7 * DAY_MS);
+
+  let due = start;
+  let remaining = parsed.amount;
+  while (remaining > 0) {
+    due += DAY_MS;
+    if (!isWeekend(new Date(due), timezone)) remaining--;
+  }
+
+  return new Date(due);
+}
+
+/**
+ * Keep the saved follow-ups that can run
+ *
+ * @param {Array|null} followUps - campaigns.settings.followUps value
+ * @returns {Array} - [{ delay, prompt, template }]
+ */
+export function normalizeFollowUps(followUps) {
+  if (!Array.isArray(followUps)) return [];
+
+  return followUps
+    .filter(item => item && parseFollowUpDelay(item.delay))
+    .slice(0, MAX_FOLLOW_UPS)
+    .map(item => ({
+      delay: String(item.delay).trim(),
+      prompt: typeof item.prompt === 'string' ? item.prompt : '',
+      template: typeof item.template === 'string' ? item.template : ''
+    }));
+}
+
+/**
+ * Validate follow-ups submitted by the client
+ * The submitted list replaces the saved one.
+ *
+ * @param {Array} input - Submitted follow-ups, in sending order
+ * @returns {Object} - { followUps, errors }
+ */
+export function validateFollowUps(input) {
+  const followUps = [];
+  const errors = [];
+
+  if (!Array.isArray(input)) {
+    return { followUps, errors: ['followUps must be an array'] };
+  }
+
+  if (input.length > MAX_FOLLOW_UPS) {
+    errors.push(`At most ${MAX_FOLLOW_UPS} follow-ups can be sent after the first message`);
+  }
+
+  input.slice(0, MAX_FOLLOW_UPS).forEach((item, index) => {
+    const label = `Follow-up ${index + 2}`;
+
+    if (!item || typeof item !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    const delay = String(item.delay || '').trim();
+    if (!parseFollowUpDelay(delay)) {
+      errors.push(`${label} delay must be a duration like "3 business days" or "7 days" (${MAX_DELAY_DAYS} days max)`);
+    }
+
+    for (const key of ['prompt', 'template']) {
+      if (item[key] !== undefined && item[key] !== null && typeof item[key] !== 'string') {
+        errors.push(`${label} ${key} must be a string`);
+      }
+    }
+
+    const template = typeof item.template === 'string' ? item.template : '';
+    if (template.length > MAX_FOLLOW_UP_LENGTH) {
+      errors.push(`${label} template is longer than ${MAX_FOLLOW_UP_LENGTH} characters`);
+    }
+
+    followUps.push({ delay, prompt: typeof item.prompt === 'string' ? item.prompt : '', template });
+  });
+
+  return { followUps, errors };
+}
+
+/**
+ * Find the next follow-up of a lead
+ * Pure function.
+ *
+ * @param {Object} lead - Lead row (messageSent, messageSentAt, followUpsSent, lastFollowUpAt, repliedAt)
+ * @param {Array} followUps - Campaign follow-ups
+ * @param {Object} options
+ * @param {string} options.timezone - Campaign timezone
+ * @param {Date} options.now - Reference date (default: now)
+ * @returns {Object|null} - { number, followUp, dueAt, due } or null when nothing is left to send
+ *   number is the message number (2 or 3)
+ */
+export function getNextFollowUp(lead, followUps, { timezone = 'UTC', now = new Date() } = {}) {
+  if (!lead.messageSent || lead.repliedAt) return null;
+
+  const sent = lead.followUpsSent || 0;
+  const followUp = normalizeFollowUps(followUps)[sent];
+  const previousAt = lead.lastFollowUpAt || lead.messageSentAt;
+  if (!followUp || !previousAt) return null;
+
+  const dueAt = addFollowUpDelay(previousAt, followUp.delay, timezone);
+
+  return {
+    number: sent + 2,
+    followUp,
+    dueAt,
+    due: dueAt.getTime() <= now.getTime()
+  };
+}
@@ -186,6 +186,61 @@ Write the message directly without any prefixes, introductions, or explanations.
   }
 }
 
+// Follow-up to a conversation that got no reply yet (messages 2 and 3)
+export async function generateFollowUpMessage({
+  leadName,
+  leadTitle,
+  leadCompany,
+  previousMessages,
+  followUpNumber,
+  customPrompt,
+  model = 'llama-3.1-8b-instant',
+}) {
+  try {
+    const conversation = previousMessages
+      .map((content, index) => `Message ${index + 1}: ${content.slice(0, 1000)}`)
+      .join('\n\n');
+
+    const systemPrompt = `You are an expert at writing LinkedIn follow-up messages.
+The lead accepted a connection request but has not replied to the previous messages yet.
+The follow-up should:
+- Build on the previous messages without repeating them
+- Be short (under 80 words) and friendly, never pushy or guilt-tripping
+- Add a new angle or a simple question that is easy to answer
+- Start directly with the message content (no introductory text or prefixes)
+- Be ready to send as-is
+${customPrompt ? `\nAdditional instructions: ${customPrompt}` : ''}`;
+
+    const userPrompt = `Write follow-up message ${followUpNumber} to ${leadName}${leadTitle ? ` (${leadTitle}` : ''}${leadCompany ? ` at ${leadCompany}` : ''}${leadTitle ? ')' : ''}.
+
+Messages already sent, oldest first:
+${conversation || 'None recorded'}
+
+Write the message directly without any prefixes, introductions, or explanations.`;
+
+    const completion = await groq.chat.completions.create({
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+      ],
+      model,
+      temperature: 0.7,
+      max_tokens: 300,
+    });
+
+    const message = completion.choices[0]?.message?.content;
+
+    if (!message) {
+      throw new Error('No message generated');
+    }
+
+    return message.trim().replace(/^(Here's (a|the) follow-up( message)?[^:]*|Follow-up( message)?|Message):\s*/i, '').trim();
+  } catch (error) {
+    console.error('Error generating follow-up with Groq:', error);
+    throw new Error(`Failed to generate follow-up: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+}
+
 // Function to validate Groq API key
 export async function validateGroqApiKey() {
   try {
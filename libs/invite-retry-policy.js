@@ -0,0 +1,179 @@
+/**
+ * Invite Retry Policy Module
+ *
+ * Classifies failed invite attempts and decides whether (and when) a lead
+ * should be retried. The policy is configured per campaign in
+ * campaigns.settings.retryPolicy; fetchEligibleLeads picks failed leads up
+ * again once leads.invite_next_retry_at has passed.
+ */
+
+/**
+ * Known error classes, matched in order against the failure message
+ * `retryable` is the default used when a campaign has no custom policy.
+ */
+export const INVITE_ERROR_CLASSES = {
+  profile_unavailable: {
+    label: 'Profile unavailable',
+    retryable: false,
+    pattern: /profile (is )?(not available|unavailable)|page (doesn.t|does not) exist|page not found|\b(http|status( code)?)[ :]*404\b|\b404 (error|not found)\b/i
+  },
+  already_connected: {
+    label: 'Already connected / pending',
+    retryable: false,
+    pattern: /already (connected|pending)/i
+  },
+  timeout: {
+    label: 'Page timeout',
+    retryable: true,
+    pattern: /timeout|timed out/i
+  },
+  navigation: {
+    label: 'Navigation error',
+    retryable: true,
+    pattern: /navigation failed|net::err|target (page|closed)|page (has been )?closed/i
+  },
+  button_not_found: {
+    label: 'Connect button missing / not clickable',
+    retryable: true,
+    pattern: /connect button|button not found|not (visible|clickable)/i
+  },
+  modal: {
+    label: 'Invite modal error',
+    retryable: true,
+    pattern: /modal/i
+  },
+  unknown: {
+    label: 'Other errors',
+    retryable: false,
+    pattern: null
+  }
+};
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3, // Total attempts including the first one
+  backoffMinutes: 30, // Delay before the first retry, doubled for every further attempt
+  retryableErrors: Object.keys(INVITE_ERROR_CLASSES).filter(key => INVITE_ERROR_CLASSES[key].retryable)
+};
+
+const MAX_ATTEMPTS_LIMIT = 10;
+const MAX_BACKOFF_MINUTES = 7 * 24 * 60;
+
+/**
+ * Merge a saved policy with defaults
+ *
+ * @param {Object|null} policy - campaigns.settings.retryPolicy value
+ * @returns {Object} - Complete retry policy
+ */
+export function normalizeRetryPolicy(policy) {
+  return { ...DEFAULT_RETRY_POLICY, ...(policy || {}) };
+}
+
+/**
+ * Validate a retry policy submitted by the client
+ *
+ * @param {Object} input - Submitted policy (partial updates allowed)
+ * @param {Object} current - Currently saved policy
+ * @returns {Object} - { policy, errors }
+ */
+export function validateRetryPolicy(input, current = null) {
+  const policy = normalizeRetryPolicy(current);
+  const errors = [];
+
+  if (!input || typeof input !== 'object') {
+    return { policy, errors: ['retryPolicy must be an object'] };
+  }
+
+  if (input.maxAttempts !== undefined) {
+    const value = Number(input.maxAttempts);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_ATTEMPTS_LIMIT) {
+      errors.push(`retryPolicy.maxAttempts must be a whole number between 1 and ${MAX_ATTEMPTS_LIMIT}`);
+    } else {
+      policy.maxAttempts = value;
+    }
+  }
+
+  if (input.backoffMinutes !== undefined) {
+    const value = Number(input.backoffMinutes);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_BACKOFF_MINUTES) {
+      errors.push(`retryPolicy.backoffMinutes must be a whole number between 1 and ${MAX_BACKOFF_MINUTES}`);
+    } else {
+      policy.backoffMinutes = value;
+    }
+  }
+
+  if (input.retryableErrors !== undefined) {
+    const unknown = Array.isArray(input.retryableErrors)
+      ? input.retryableErrors.filter(key => !INVITE_ERROR_CLASSES[key])
+      : null;
+
+    if (!unknown) {
+      errors.push('retryPolicy.retryableErrors must be an array');
+    } else if (unknown.length > 0) {
+      errors.push(`Unknown error classes: ${unknown.join(', ')}`);
+    } else {
+      policy.retryableErrors = Array.from(new Set(input.retryableErrors));
+    }
+  }
+
+  return { policy, errors };
+}
+
+/**
+ * Classify a failure message
+ *
+ * @param {string} errorMessage - Error recorded for the failed attempt
+ * @returns {string} - Key of INVITE_ERROR_CLASSES
+ */
+export function classifyInviteError(errorMessage) {
+  const message = errorMessage || '';
+
+  for (const [key, errorClass] of Object.entries(INVITE_ERROR_CLASSES)) {
+    if (errorClass.pattern && errorClass.pattern.test(message)) {
+      return key;
+    }
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Decide what happens to a lead after a failed invite attempt
+ *
+ * @param {Object} policy - Campaign retry policy
+ * @param {number} attempts - Failed attempts so far, including this one
+ * @param {string} errorMessage - Error of this attempt
+ * @param {Date} now - Reference date (default: now)
+ * @returns {Object} - { errorClass, retry, nextRetryAt }
+ */
+export function getRetryDecision(policy, attempts, errorMessage, now = new Date()) {
+  const { maxAttempts, backoffMinutes, retryableErrors } = normalizeRetryPolicy(policy);
+  const errorClass = classifyInviteError(errorMessage);
+  const retry = retryableErrors.includes(errorClass) && attempts < maxAttempts;
+
+  if (!retry) {
+    return { errorClass, retry: false, nextRetryAt: null };
+  }
+
+  const delayMinutes = Math.min(backoffMinutes * Math.pow(2, attempts - 1), MAX_BACKOFF_MINUTES);
+
+  return {
+    errorClass,
+    retry: true,
+    nextRetryAt: new Date(now.getTime() + delayMinutes * 60 * 1000)
+  };
+}
+
+/**
+ * Check whether a failed lead is due for another attempt
+ *
+ * @param {Object} lead - Lead (DB row or Redis cache entry)
+ * @param {Date} now - Reference date (default: now)
+ * @returns {boolean}
+ */
+export function isLeadDueForRetry(lead, now = new Date()) {
+  if (lead.inviteStatus !== 'failed') return false;
+
+  // null means "do not retry"; entries without the field have unknown state (see fetchEligibleLeads)
+  if (!lead.inviteNextRetryAt) return false;
+  return new Date(lead.inviteNextRetryAt).getTime() <= now.getTime();
+}
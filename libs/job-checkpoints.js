@@ -0,0 +1,256 @@
+/**
+ * Job Checkpoints Module
+ *
+ * Lead-level checkpoints of a workflow job (job_leads table).
+ * When a job starts, the leads it is going to process are planned in order;
+ * each lead is marked `in_progress` before the worker touches its profile and
+ * gets its outcome when it finishes. A resumed job continues with the exact
+ * next lead instead of a processedLeads count, even if the eligible set
+ * changed in the meantime:
+ * - finished leads are never attempted again by the same job
+ * - leads that were mid-flight are attempted again from the same account, so
+ *   LinkedIn's "Pending" state catches an invite that already went out
+ */
+
+import { db } from './db';
+import { jobLeads, leads } from './schema';
+import { eq, and, asc, inArray, notInArray, max, count } from 'drizzle-orm';
+
+export const FINISHED_LEAD_STATUSES = [
+  'sent',
+  'would_send',
+  'failed',
+  'already_pending',
+  'already_connected',
+  'already_processed',
+  'skipped'
+];
+
+/**
+ * Get all checkpoints of a job in processing order
+ *
+ * @param {string} jobId - Workflow job ID
+ * @returns {Promise<Array>}
+ */
+export async function getJobCheckpoints(jobId) {
+  return db.select()
+    .from(jobLeads)
+    .where(eq(jobLeads.jobId, jobId))
+    .orderBy(asc(jobLeads.position));
+}
+
+/**
+ * Plan leads for a job, after the ones already planned
+ * Leads that already have a checkpoint keep their position and status.
+ *
+ * @param {string} jobId - Workflow job ID
+ * @param {Array} leadsToPlan - Leads in processing order
+ */
+export async function planJobLeads(jobId, leadsToPlan) {
+  if (leadsToPlan.length === 0) return;
+
+  const [{ value: lastPosition }] = await db.select({ value: max(jobLeads.position) })
+    .from(jobLeads)
+    .where(eq(jobLeads.jobId, jobId));
+
+  const start = (lastPosition ?? -1) + 1;
+
+  await db.insert(jobLeads)
+    .values(leadsToPlan.map((lead, index) => ({
+      jobId,
+      leadId: lead.id,
+      position: start + index
+    })))
+    .onConflictDoNothing({ target: [jobLeads.jobId, jobLeads.leadId] });
+}
+
+/**
+ * Mark a lead as mid-flight, before the worker opens its profile
+ * Never throws - a failed write must not stop the workflow
+ *
+ * @param {string} jobId - Workflow job ID
+ * @param {string} leadId - Lead ID
+ * @param {string} accountId - Account attempting the lead
+ */
+export async function markLeadStarted(jobId, leadId, accountId) {
+  try {
+    await db.update(jobLeads)
+      .set({ status: 'in_progress', accountId, startedAt: new Date() })
+      .where(and(eq(jobLeads.jobId, jobId), eq(jobLeads.leadId, leadId)));
+  } catch (error) {
+    console.warn(`⚠️  Failed to checkpoint lead ${leadId} as started:`, error.message);
+  }
+}
+
+/**
+ * Record the outcome of a lead
+ * Never throws - a failed write must not stop the workflow
+ *
+ * @param {string} jobId - Workflow job ID
+ * @param {string} leadId - Lead ID
+ * @param {string} status - One of FINISHED_LEAD_STATUSES
+ * @param {string|null} error - Error message for failed leads
+ */
+export async function markLeadFinished(jobId, leadId, status, error = null) {
+  try {
+    await db.update(jobLeads)
+      .set({ status, error, finishedAt: new Date() })
+      .where(and(eq(jobLeads.jobId, jobId), eq(jobLeads.leadId, leadId)));
+  } catch (updateError) {
+    console.warn(`⚠️  Failed to checkpoint lead ${leadId} as ${status}:`, updateError.message);
+  }
+}
+
+/**
+ * Record the same outcome for leads that have not finished yet
+ * (e.g. a batch whose browser session could not be opened)
+ *
+ * @param {string} jobId - Workflow job ID
+ * @param {Array<string>} leadIds - Lead IDs
+ * @param {string} status - One of FINISHED_LEAD_STATUSES
+ * @param {string|null} error - Error message
+ */
+export async function markUnfinishedLeads(jobId, leadIds, status, error = null) {
+  if (leadIds.length === 0) return;
+
+  try {
+    await db.update(jobLeads)
+      .set({ status, error, finishedAt: new Date() })
+      .where(and(
+        eq(jobLeads.jobId, jobId),
+        inArray(jobLeads.leadId, leadIds),
+        notInArray(jobLeads.status, FINISHED_LEAD_STATUSES)
+      ));
+  } catch (updateError) {
+    console.warn(`⚠️  Failed to checkpoint ${leadIds.length} lead(s) as ${status}:`, updateError.message);
+  }
+}
+
+/**
+ * Close the planned checkpoints a finishing job did not reach (e.g. daily
+ * limit), so reports and resumes do not take those leads for running
+ * Mid-flight leads are never closed: they must be attempted again, so the
+ * caller keeps the job resumable while any are left.
+ * Never throws.
+ *
+ * @param {string} jobId - Workflow job ID
+ * @returns {Promise<number>} - Mid-flight leads still open
+ */
+export async function closeUnfinishedLeads(jobId) {
+  try {
+    await db.update(jobLeads)
+      .set({ status: 'skipped', error: 'Not reached before the job completed', finishedAt: new Date() })
+      .where(and(
+        eq(jobLeads.jobId, jobId),
+        notInArray(jobLeads.status, [...FINISHED_LEAD_STATUSES, 'in_progress'])
+      ));
+
+    const [{ value }] = await db.select({ value: count() })
+      .from(jobLeads)
+      .where(and(eq(jobLeads.jobId, jobId), eq(jobLeads.status, 'in_progress')));
+
+    return Number(value);
+  } catch (updateError) {
+    console.warn(`⚠️  Failed to close unfinished checkpoints of job ${jobId}:`, updateError.message);
+    return 0;
+  }
+}
+
+/**
+ * Build the lead list of a resumed job from its checkpoints
+ * Pure function: the caller provides the checkpoints and current leads.
+ *
+ * Order: unfinished checkpoints by position (mid-flight and planned), then
+ * eligible leads the job has never seen. Mid-flight leads are kept even if
+ * they no longer look eligible (the invite may have gone out before the
+ * status was saved) and are pinned to the account that started them; if that
+ * account cannot send now they are held for a later resume. Planned leads
+ * that are no longer eligible are dropped.
+ *
+ * @param {Object} state
+ * @param {Array} state.checkpoints - From getJobCheckpoints
+ * @param {Array} state.allLeads - All campaign leads
+ * @param {Array} state.eligibleLeads - Leads eligible for an invite now
+ * @param {Array<string>} state.availableAccountIds - Accounts that can send now
+ * @returns {Object} - { leads, finished, held, dropped, newLeads }
+ */
+export function buildResumeQueue({ checkpoints, allLeads, eligibleLeads, availableAccountIds }) {
+  const allById = new Map(allLeads.map(lead => [lead.id, lead]));
+  const eligibleById = new Map(eligibleLeads.map(lead => [lead.id, lead]));
+  const known = new Set(checkpoints.map(checkpoint => checkpoint.leadId));
+
+  const finished = [];
+  const held = [];
+  const dropped = [];
+  const resumed = [];
+
+  for (const checkpoint of checkpoints) {
+    if (FINISHED_LEAD_STATUSES.includes(checkpoint.status)) {
+      finished.push(checkpoint);
+      continue;
+    }
+
+    if (checkpoint.status === 'in_progress') {
+      const lead = allById.get(checkpoint.leadId);
+
+      if (!lead?.url) {
+        dropped.push(checkpoint);
+      } else if (checkpoint.accountId && !availableAccountIds.includes(checkpoint.accountId)) {
+        held.push(checkpoint);
+      } else {
+        resumed.push(checkpoint.accountId ? { ...lead, senderAccountId: checkpoint.accountId } : lead);
+      }
+      continue;
+    }
+
+    const lead = eligibleById.get(checkpoint.leadId);
+    if (lead) {
+      resumed.push(lead);
+    } else {
+      dropped.push(checkpoint);
+    }
+  }
+
+  const newLeads = eligibleLeads.filter(lead => !known.has(lead.id));
+
+  return {
+    leads: [...resumed, ...newLeads],
+    finished,
+    held,
+    dropped,
+    newLeads
+  };
+}
+
+/**
+ * Get where a job will continue: its first unfinished lead and progress so far
+ *
+ * @param {string} jobId - Workflow job ID
+ * @returns {Promise<Object>} - { nextLead, finished, remaining }
+ */
+export async function getResumePoint(jobId) {
+  const rows = await db.select({
+    leadId: jobLeads.leadId,
+    position: jobLeads.position,
+    status: jobLeads.status,
+    leadName: leads.name
+  })
+    .from(jobLeads)
+    .leftJoin(leads, eq(jobLeads.leadId, leads.id))
+    .where(eq(jobLeads.jobId, jobId))
+    .orderBy(asc(jobLeads.position));
+
+  const unfinished = rows.filter(row => !FINISHED_LEAD_STATUSES.includes(row.status));
+  const next = unfinished.find(row => row.status === 'in_progress') || unfinished[0] || null;
+
+  return {
+    nextLead: next && {
+      leadId: next.leadId,
+      name: next.leadName,
+      position: next.position + 1,
+      wasInProgress: next.status === 'in_progress'
+    },
+    finished: rows.length - unfinished.length,
+    remaining: unfinished.length
+  };
+}
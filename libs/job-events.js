@@ -0,0 +1,94 @@
+/**
+ * Job Events Module
+ *
+ * Persistent per-lead event log for workflow jobs (job_events table).
+ * The worker records every stage transition, outcome and error so a job can
+ * be explained after the fact; the events API reads them back page by page.
+ */
+
+import { db } from './db';
+import { jobEvents } from './schema';
+import { eq, and, asc, count } from 'drizzle-orm';
+
+export const JOB_EVENT_TYPES = ['job', 'stage', 'outcome', 'error'];
+
+// Final lead statuses reported by processInvitesDirectly
+const OUTCOME_STATUSES = ['sent', 'would_send', 'failed', 'already_processed', 'already_pending', 'already_connected'];
+
+/**
+ * Record a single job event
+ * Never throws - a failed insert must not stop the workflow
+ *
+ * @param {string} jobId - Workflow job ID
+ * @param {Object} event - { type, stage?, status?, message?, leadId?, leadName?, data? }
+ */
+export async function recordJobEvent(jobId, event) {
+  try {
+    await db.insert(jobEvents).values({
+      jobId,
+      type: event.type,
+      stage: event.stage || null,
+      status: event.status || null,
+      message: event.message || null,
+      leadId: event.leadId || null,
+      leadName: event.leadName || null,
+      data: event.data || null
+    });
+  } catch (error) {
+    console.warn(`⚠️  Failed to record job event (${event.type}/${event.stage || event.status}):`, error.message);
+  }
+}
+
+/**
+ * Record the event matching a progress update from processInvitesDirectly
+ * Intermediate stages become `stage` events, final statuses become `outcome`
+ * (or `error` when the lead failed).
+ *
+ * @param {string} jobId - Workflow job ID
+ * @param {Object} progressData - Progress callback payload
+ * @param {number} leadNumber - 1-based lead position in the job
+ */
+export async function recordLeadProgressEvent(jobId, progressData, leadNumber) {
+  const isOutcome = OUTCOME_STATUSES.includes(progressData.status);
+  const isError = progressData.status === 'failed';
+
+  await recordJobEvent(jobId, {
+    type: isError ? 'error' : isOutcome ? 'outcome' : 'stage',
+    stage: progressData.stage,
+    status: isOutcome ? progressData.status : null,
+    message: progressData.error || null,
+    leadId: progressData.leadId,
+    leadName: progressData.leadName,
+    data: { leadNumber }
+  });
+}
+
+/**
+ * Fetch a page of events for a job, oldest first
+ *
+ * @param {string} jobId - Workflow job ID
+ * @param {Object} options - { limit, offset, leadId, type }
+ * @returns {Promise<Object>} - { events, total }
+ */
+export async function getJobEvents(jobId, { limit = 50, offset = 0, leadId = null, type = null } = {}) {
+  const conditions = [eq(jobEvents.jobId, jobId)];
+
+  if (leadId) conditions.push(eq(jobEvents.leadId, leadId));
+  if (type) conditions.push(eq(jobEvents.type, type));
+
+  const where = and(...conditions);
+
+  const [events, [{ value: total }]] = await Promise.all([
+    db.select()
+      .from(jobEvents)
+      .where(where)
+      .orderBy(asc(jobEvents.createdAt), asc(jobEvents.id))
+      .limit(limit)
+      .offset(offset),
+    db.select({ value: count() })
+      .from(jobEvents)
+      .where(where)
+  ]);
+
+  return { events, total };
+}
@@ -0,0 +1,181 @@
+/**
+ * Job Heartbeat Module
+ *
+ * Liveness tracking for running workflow jobs.
+ * Workers refresh a Redis key with a TTL (job:{id}:heartbeat) plus the
+ * heartbeat_at column while a job runs. The reaper finds running jobs
+ * whose heartbeat expired (OOM kill, host restart...) and either marks them
+ * `interrupted` so the worker pool resumes them, or fails them once they
+ * have been interrupted too many times.
+ */
+
+import getRedisClient from './redis';
+import { db } from './db';
+import { workflowJobs } from './schema';
+import { recordJobEvent } from './job-events';
+import { eq, and, or, lt, isNull, inArray } from 'drizzle-orm';
+
+export const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+export const HEARTBEAT_TTL_SECONDS = 60;
+export const MAX_JOB_INTERRUPTIONS = 3;
+
+// Statuses in which a worker owns the job and must keep sending heartbeats
+const RUNNING_STATUSES = ['processing', 'waiting'];
+
+const getHeartbeatKey = (jobId) => `job:${jobId}:heartbeat`;
+
+/**
+ * Start writing heartbeats for a running job
+ *
+ * @param {string} jobId - Workflow job ID
+ * @param {string} workerId - Identifier of the worker running the job
+ * @returns {Function} - stop() clears the interval and removes the Redis key
+ */
+export function startJobHeartbeat(jobId, workerId) {
+  const redis = getRedisClient();
+  const key = getHeartbeatKey(jobId);
+
+  const beat = async () => {
+    const now = new Date();
+
+    try {
+      await redis.set(key, JSON.stringify({ workerId, at: now.toISOString() }), 'EX', HEARTBEAT_TTL_SECONDS);
+    } catch (error) {
+      console.warn('⚠️  Heartbeat Redis write failed:', error.message);
+    }
+
+    try {
+      await db.update(workflowJobs)
+        .set({ heartbeatAt: now })
+        .where(eq(workflowJobs.id, jobId));
+    } catch (error) {
+      console.warn('⚠️  Heartbeat DB write failed:', error.message);
+    }
+  };
+
+  beat();
+  const timer = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+
+  return async function stopJobHeartbeat() {
+    clearInterval(timer);
+
+    try {
+      await redis.del(key);
+    } catch (error) {
+      console.warn('⚠️  Heartbeat cleanup failed:', error.message);
+    }
+  };
+}
+
+/**
+ * Check the Redis heartbeat key of a job
+ * Returns null when Redis is unavailable so callers fall back to the DB column
+ *
+ * @param {string} jobId - Workflow job ID
+ * @returns {Promise<boolean|null>}
+ */
+async function hasLiveRedisHeartbeat(jobId) {
+  try {
+    const redis = getRedisClient();
+    return (await redis.exists(getHeartbeatKey(jobId))) === 1;
+  } catch (error) {
+    console.warn('⚠️  Heartbeat Redis check failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Publish a reaped job's new status for SSE clients
+ */
+async function publishReapedStatus(job) {
+  try {
+    const redis = getRedisClient();
+    const payload = {
+      type: 'status',
+      jobId: job.id,
+      campaignId: job.campaignId,
+      status: job.status,
+      workerLost: true,
+      progress: job.progress || 0,
+      totalLeads: job.totalLeads,
+      processedLeads: job.processedLeads || 0,
+      errorMessage: job.errorMessage,
+      interruptCount: job.interruptCount,
+      timestamp: Date.now()
+    };
+
+    await redis.publish(`job:${job.id}:status`, JSON.stringify(payload));
+    await redis.setex(`job:${job.id}:status:last`, 600, JSON.stringify(payload));
+  } catch (error) {
+    console.warn('⚠️  Failed to publish reaped job status:', error.message);
+  }
+}
+
+/**
+ * Find running jobs whose worker stopped sending heartbeats
+ * Interrupted jobs are picked up again by the worker pool and continue with
+ * the leads that are still eligible; after MAX_JOB_INTERRUPTIONS they fail.
+ *
+ * @param {Object} options
+ * @param {string} options.jobId - Only check this job (used by the status API)
+ * @returns {Promise<Array>} - Updated job rows
+ */
+export async function reapStaleJobs({ jobId } = {}) {
+  const cutoff = new Date(Date.now() - HEARTBEAT_TTL_SECONDS * 1000);
+
+  // Jobs started before heartbeats existed fall back to startedAt
+  const staleCondition = or(
+    lt(workflowJobs.heartbeatAt, cutoff),
+    and(isNull(workflowJobs.heartbeatAt), lt(workflowJobs.startedAt, cutoff))
+  );
+
+  const candidates = await db.query.workflowJobs.findMany({
+    where: jobId
+      ? and(eq(workflowJobs.id, jobId), inArray(workflowJobs.status, RUNNING_STATUSES), staleCondition)
+      : and(inArray(workflowJobs.status, RUNNING_STATUSES), staleCondition)
+  });
+
+  const reaped = [];
+
+  for (const job of candidates) {
+    // Redis key still alive means only the DB write is lagging
+    if (await hasLiveRedisHeartbeat(job.id)) continue;
+
+    const interruptCount = (job.interruptCount || 0) + 1;
+    const lastSeen = job.heartbeatAt || job.startedAt;
+    const shouldFail = interruptCount > MAX_JOB_INTERRUPTIONS;
+
+    const update = shouldFail
+      ? {
+          status: 'failed',
+          interruptCount,
+          completedAt: new Date(),
+          errorMessage: `Worker lost: no heartbeat since ${lastSeen.toISOString()}. The job was interrupted ${interruptCount} times and will not be retried.`
+        }
+      : {
+          status: 'interrupted',
+          interruptCount,
+          workerId: null,
+          errorMessage: `Worker lost: no heartbeat since ${lastSeen.toISOString()}. The job will resume from its next unfinished lead.`
+        };
+
+    // Conditional update so a concurrent reaper or a recovering worker wins cleanly
+    const [updated] = await db.update(workflowJobs)
+      .set(update)
+      .where(and(
+        eq(workflowJobs.id, job.id),
+        eq(workflowJobs.status, job.status)
+      ))
+      .returning();
+
+    if (!updated) continue;
+
+    console.log(`💀 Reaped job ${job.id.substring(0, 8)}... | Worker: ${job.workerId || 'unknown'} | Status: ${updated.status} (${interruptCount}/${MAX_JOB_INTERRUPTIONS})`);
+
+    await recordJobEvent(updated.id, { type: 'error', status: updated.status, message: updated.errorMessage });
+    await publishReapedStatus(updated);
+    reaped.push(updated);
+  }
+
+  return reaped;
+}
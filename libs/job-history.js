@@ -0,0 +1,309 @@
+/**
+ * Job History Module
+ *
+ * Read side of past and current workflow jobs for the jobs history page:
+ * a filtered, paginated job list with per-job totals, and the per-lead
+ * results of one job for exports.
+ *
+ * Totals come from the job's lead checkpoints (libs/job-checkpoints.js) so
+ * they cover every run of a resumed job; jobs from before checkpoints fall
+ * back to their stored results and job events.
+ */
+
+import { db } from './db';
+import { workflowJobs, campaigns, linkedinAccounts, jobLeads, jobEvents, leads } from './schema';
+import { eq, and, or, gte, lt, desc, asc, inArray, count, exists, isNotNull } from 'drizzle-orm';
+
+export const JOB_STATUSES = ['queued', 'processing', 'waiting', 'paused', 'interrupted', 'cancelled', 'completed', 'failed', 'timeout'];
+
+const ACTIVE_STATUSES = ['processing', 'waiting'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Add a lead outcome to a totals object
+ */
+function addToTotals(totals, status, amount = 1) {
+  switch (status) {
+    case 'sent':
+      totals.sent += amount;
+      break;
+    case 'would_send':
+      totals.wouldSend += amount;
+      break;
+    case 'failed':
+      totals.failed += amount;
+      break;
+    case 'already_connected':
+      totals.alreadyConnected += amount;
+      break;
+    case 'already_pending':
+    case 'already_processed':
+      totals.alreadyPending += amount;
+      break;
+    case 'skipped':
+      totals.skipped += amount;
+      break;
+    default:
+      break;
+  }
+}
+
+const emptyTotals = () => ({ sent: 0, wouldSend: 0, failed: 0, alreadyConnected: 0, alreadyPending: 0, skipped: 0 });
+
+/**
+ * Totals stored in job.results by the worker (run-local, used for old jobs)
+ */
+function totalsFromResults(results) {
+  const totals = emptyTotals();
+  if (!results) return totals;
+
+  totals.sent = results.sent || 0;
+  totals.wouldSend = results.wouldSend || 0;
+  totals.failed = results.failed || 0;
+  totals.alreadyConnected = results.alreadyConnected || 0;
+  totals.alreadyPending = results.alreadyPending || 0;
+  return totals;
+}
+
+/**
+ * Parse a YYYY-MM-DD (or ISO) date filter
+ * `to` dates without a time include the whole day.
+ */
+function parseDateFilter(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+
+  return date;
+}
+
+/**
+ * Validate job list filters from query parameters
+ *
+ * @param {URLSearchParams} searchParams
+ * @returns {Object} - { filters, errors }
+ */
+export function parseJobFilters(searchParams) {
+  const errors = [];
+
+  const statuses = (searchParams.get('status') || '')
+    .split(',')
+    .map(status => status.trim())
+    .filter(Boolean);
+
+  const invalidStatuses = statuses.filter(status => !JOB_STATUSES.includes(status));
+  if (invalidStatuses.length > 0) {
+    errors.push(`Unknown status: ${invalidStatuses.join(', ')}`);
+  }
+
+  const from = parseDateFilter(searchParams.get('from'));
+  const to = parseDateFilter(searchParams.get('to'), { endOfDay: true });
+  if (from === undefined) errors.push('from must be a date (YYYY-MM-DD)');
+  if (to === undefined) errors.push('to must be a date (YYYY-MM-DD)');
+
+  const campaignId = searchParams.get('campaignId') || null;
+  const accountId = searchParams.get('accountId') || null;
+  if (campaignId && !UUID_PATTERN.test(campaignId)) errors.push('campaignId must be a campaign ID (UUID)');
+  if (accountId && !UUID_PATTERN.test(accountId)) errors.push('accountId must be a LinkedIn account ID (UUID)');
+
+  return {
+    filters: {
+      statuses,
+      from: from || null,
+      to: to || null,
+      campaignId,
+      accountId
+    },
+    errors
+  };
+}
+
+/**
+ * List a user's jobs, newest first
+ *
+ * @param {string} userId - User ID
+ * @param {Object} filters - From parseJobFilters
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Object>} - { jobs, total }
+ */
+export async function listJobs(userId, filters, { limit = 25, offset = 0 } = {}) {
+  const conditions = [eq(workflowJobs.userId, userId)];
+
+  if (filters.statuses.length > 0) conditions.push(inArray(workflowJobs.status, filters.statuses));
+  if (filters.from) conditions.push(gte(workflowJobs.createdAt, filters.from));
+  if (filters.to) conditions.push(lt(workflowJobs.createdAt, filters.to));
+  if (filters.campaignId) conditions.push(eq(workflowJobs.campaignId, filters.campaignId));
+
+  // Jobs of pooled campaigns also count for every account that attempted a lead
+  if (filters.accountId) {
+    conditions.push(or(
+      eq(workflowJobs.accountId, filters.accountId),
+      exists(
+        db.select({ id: jobLeads.id })
+          .from(jobLeads)
+          .where(and(eq(jobLeads.jobId, workflowJobs.id), eq(jobLeads.accountId, filters.accountId)))
+      )
+    ));
+  }
+
+  const where = and(...conditions);
+
+  const [rows, [{ value: total }]] = await Promise.all([
+    db.select({
+      job: workflowJobs,
+      campaignName: campaigns.name,
+      accountEmail: linkedinAccounts.email
+    })
+      .from(workflowJobs)
+      .leftJoin(campaigns, eq(workflowJobs.campaignId, campaigns.id))
+      .leftJoin(linkedinAccounts, eq(workflowJobs.accountId, linkedinAccounts.id))
+      .where(where)
+      .orderBy(desc(workflowJobs.createdAt))
+      .limit(limit)
+      .offset(offset),
+    db.select({ value: count() })
+      .from(workflowJobs)
+      .where(where)
+  ]);
+
+  // Per-job outcome counts from the lead checkpoints
+  const jobIds = rows.map(({ job }) => job.id);
+  const checkpointCounts = jobIds.length > 0
+    ? await db.select({ jobId: jobLeads.jobId, status: jobLeads.status, value: count() })
+        .from(jobLeads)
+        .where(inArray(jobLeads.jobId, jobIds))
+        .groupBy(jobLeads.jobId, jobLeads.status)
+    : [];
+
+  const totalsByJob = new Map();
+  checkpointCounts.forEach(({ jobId, status, value }) => {
+    if (!totalsByJob.has(jobId)) totalsByJob.set(jobId, emptyTotals());
+    addToTotals(totalsByJob.get(jobId), status, Number(value));
+  });
+
+  const now = new Date();
+
+  const jobs = rows.map(({ job, campaignName, accountEmail }) => {
+    // Latest run: until completion, the last pause, or now while running
+    const endedAt = ACTIVE_STATUSES.includes(job.status) ? now : (job.completedAt || job.pausedAt);
+    const durationMs = job.startedAt && endedAt
+      ? new Date(endedAt).getTime() - new Date(job.startedAt).getTime()
+      : null;
+
+    return {
+      id: job.id,
+      campaignId: job.campaignId,
+      campaignName,
+      accountId: job.accountId,
+      accountEmail,
+      status: job.status,
+      type: job.type,
+      dryRun: job.dryRun,
+      priority: job.priority,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      durationMs: durationMs !== null && durationMs >= 0 ? durationMs : null,
+      pauseCount: job.pauseCount || 0,
+      interruptCount: job.interruptCount || 0,
+      totalLeads: job.totalLeads,
+      processedLeads: job.processedLeads || 0,
+      progress: job.progress || 0,
+      errorMessage: job.errorMessage,
+      totals: totalsByJob.get(job.id) || totalsFromResults(job.results)
+    };
+  });
+
+  return { jobs, total };
+}
+
+/**
+ * Get the filter options for a user's jobs page (campaigns and accounts)
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { campaigns: [{ id, name }], accounts: [{ id, email }] }
+ */
+export async function getJobFilterOptions(userId) {
+  const [campaignRows, accountRows] = await Promise.all([
+    db.select({ id: campaigns.id, name: campaigns.name })
+      .from(campaigns)
+      .where(eq(campaigns.userId, userId))
+      .orderBy(asc(campaigns.name)),
+    db.select({ id: linkedinAccounts.id, email: linkedinAccounts.email })
+      .from(linkedinAccounts)
+      .where(eq(linkedinAccounts.userId, userId))
+      .orderBy(asc(linkedinAccounts.email))
+  ]);
+
+  return { campaigns: campaignRows, accounts: accountRows };
+}
+
+/**
+ * Get the per-lead results of a job, in processing order
+ * Old jobs without checkpoints are rebuilt from their outcome/error events.
+ *
+ * @param {string} jobId - Workflow job ID
+ * @returns {Promise<Array>} - [{ position, leadId, leadName, leadUrl, company, status, error, accountEmail, startedAt, finishedAt }]
+ */
+export async function getJobLeadResults(jobId) {
+  const checkpointRows = await db.select({
+    position: jobLeads.position,
+    leadId: jobLeads.leadId,
+    leadName: leads.name,
+    leadUrl: leads.url,
+    company: leads.company,
+    status: jobLeads.status,
+    error: jobLeads.error,
+    accountEmail: linkedinAccounts.email,
+    startedAt: jobLeads.startedAt,
+    finishedAt: jobLeads.finishedAt
+  })
+    .from(jobLeads)
+    .leftJoin(leads, eq(jobLeads.leadId, leads.id))
+    .leftJoin(linkedinAccounts, eq(jobLeads.accountId, linkedinAccounts.id))
+    .where(eq(jobLeads.jobId, jobId))
+    .orderBy(asc(jobLeads.position));
+
+  if (checkpointRows.length > 0) {
+    return checkpointRows.map(row => ({ ...row, position: row.position + 1 }));
+  }
+
+  const eventRows = await db.select({
+    leadId: jobEvents.leadId,
+    eventLeadName: jobEvents.leadName,
+    leadName: leads.name,
+    leadUrl: leads.url,
+    company: leads.company,
+    status: jobEvents.status,
+    message: jobEvents.message,
+    createdAt: jobEvents.createdAt
+  })
+    .from(jobEvents)
+    .leftJoin(leads, eq(jobEvents.leadId, leads.id))
+    .where(and(
+      eq(jobEvents.jobId, jobId),
+      inArray(jobEvents.type, ['outcome', 'error']),
+      isNotNull(jobEvents.status),
+      isNotNull(jobEvents.leadId)
+    ))
+    .orderBy(asc(jobEvents.createdAt), asc(jobEvents.id));
+
+  return eventRows.map((row, index) => ({
+    position: index + 1,
+    leadId: row.leadId,
+    leadName: row.leadName || row.eventLeadName,
+    leadUrl: row.leadUrl,
+    company: row.company,
+    status: row.status,
+    error: row.status === 'failed' ? row.message : null,
+    accountEmail: null,
+    startedAt: null,
+    finishedAt: row.createdAt
+  }));
+}
@@ -0,0 +1,305 @@
+/**
+ * Job Scheduler Module
+ *
+ * Decides which queued workflow jobs the worker pool may start next:
+ * - higher priority first (paid plans, then the rest; a "run now" start moves
+ *   one job per user up a level, free plans no higher than the paid level)
+ * - round-robin between users inside a priority level, so one user with many
+ *   campaigns cannot starve everyone else
+ * - at most MAX_RUNNING_JOBS_PER_USER running jobs per user
+ * - never two running jobs on the same LinkedIn account (a campaign with an
+ *   account pool holds every account of the pool; a Sales Navigator import
+ *   only holds the account it searches with)
+ *
+ * Blocked jobs never hold a slot: a lower priority job that can run starts
+ * before a higher priority job that has to wait for its account.
+ *
+ * The plan is made per pool; claimJob (workflow-queue.js) checks the account
+ * exclusion again under a lock, so two pools cannot start jobs sharing an account.
+ */
+
+import { db } from './db';
+import { workflowJobs, campaignAccounts, campaigns } from './schema';
+import { eq, and, gt, inArray, asc, desc } from 'drizzle-orm';
+
+export const JOB_PRIORITY = {
+  normal: 0,
+  paid: 10,
+  runNow: 20
+};
+
+export const MAX_RUNNING_JOBS_PER_USER = Math.max(1, parseInt(process.env.WORKER_USER_CONCURRENCY || '1', 10) || 1);
+
+// Jobs a worker is holding: they use a slot and their accounts
+export const RUNNING_JOB_STATUSES = ['processing', 'waiting'];
+export const DISPATCHABLE_JOB_STATUSES = ['queued', 'interrupted'];
+
+const PAID_SUBSCRIPTION_STATUSES = ['active', 'trialing'];
+
+// Upper bound of queued rows looked at per dispatch pass
+const MAX_QUEUE_SCAN = 500;
+
+/**
+ * Get the priority of a new job
+ * "Run now" raises a job one level above the user's plan: paid plans go to
+ * the run now level, free plans to the paid level.
+ *
+ * @param {Object} user - Database user row
+ * @param {Object} options - { runNow } (manually started from the dashboard, see canBoostJob)
+ * @returns {number}
+ */
+export function getJobPriority(user, { runNow = false } = {}) {
+  const paid = PAID_SUBSCRIPTION_STATUSES.includes(user?.subscriptionStatus);
+  if (runNow) return paid ? JOB_PRIORITY.runNow : JOB_PRIORITY.paid;
+  return paid ? JOB_PRIORITY.paid : JOB_PRIORITY.normal;
+}
+
+/**
+ * Whether a new job of the user may be started with "run now"
+ * One raised job per user at a time: none of the user's unfinished jobs may
+ * have a priority above the plan's.
+ *
+ * @param {Object} user - Database user row
+ * @returns {Promise<boolean>}
+ */
+export async function canBoostJob(user) {
+  const boosted = await db.query.workflowJobs.findFirst({
+    where: and(
+      eq(workflowJobs.userId, user.id),
+      inArray(workflowJobs.status, [...DISPATCHABLE_JOB_STATUSES, ...RUNNING_JOB_STATUSES, 'paused']),
+      gt(workflowJobs.priority, getJobPriority(user))
+    ),
+    columns: { id: true }
+  });
+
+  return !boosted;
+}
+
+/**
+ * LinkedIn accounts a job holds while it runs
+ * Pure function.
+ *
+ * @param {Object} job - { campaignId, accountId, type }
+ * @param {Map} accountsByCampaign - campaignId -> account IDs of its pool
+ * @returns {Array<string>}
+ */
+export function getJobAccountIds(job, accountsByCampaign = new Map()) {
+  if (job.type === 'sales_nav_import') return [job.accountId];
+  const pool = accountsByCampaign.get(job.campaignId);
+  return pool && pool.length > 0 ? pool : [job.accountId];
+}
+
+/**
+ * Load the account pools of campaigns
+ *
+ * @param {Array<string>} campaignIds - Campaign IDs
+ * @param {Object} executor - db or a transaction
+ * @returns {Promise<Map>} - campaignId -> account IDs of its pool
+ */
+export async function loadCampaignAccounts(campaignIds, executor = db) {
+  const accountsByCampaign = new Map();
+  const ids = [...new Set(campaignIds)];
+  if (ids.length === 0) return accountsByCampaign;
+
+  const rows = await executor.select({
+    campaignId: campaignAccounts.campaignId,
+    accountId: campaignAccounts.accountId
+  })
+    .from(campaignAccounts)
+    .where(inArray(campaignAccounts.campaignId, ids));
+
+  rows.forEach(({ campaignId, accountId }) => {
+    if (!accountsByCampaign.has(campaignId)) accountsByCampaign.set(campaignId, []);
+    accountsByCampaign.get(campaignId).push(accountId);
+  });
+
+  return accountsByCampaign;
+}
+
+/**
+ * Plan which queued jobs to start
+ * Pure function: the caller provides the queue state.
+ *
+ * @param {Object} state
+ * @param {Array} state.queued - Queued/interrupted jobs
+ * @param {Array} state.running - Running jobs (all workers)
+ * @param {Map} state.accountsByCampaign - campaignId -> account IDs of its pool
+ * @param {number} state.freeSlots - Jobs the caller can start (default: unlimited)
+ * @param {number} state.maxPerUser - Running jobs allowed per user
+ * @returns {Object} - { dispatch: [job], blocked: [{ job, reason }] }
+ *   reason: 'user_limit' | 'account_busy' | 'no_free_slot'
+ */
+export function planDispatch({
+  queued,
+  running,
+  accountsByCampaign = new Map(),
+  freeSlots = Infinity,
+  maxPerUser = MAX_RUNNING_JOBS_PER_USER
+}) {
+  const getJobAccounts = (job) => getJobAccountIds(job, accountsByCampaign);
+
+  const busyAccounts = new Set(running.flatMap(getJobAccounts));
+  const runningByUser = new Map();
+  running.forEach(job => runningByUser.set(job.userId, (runningByUser.get(job.userId) || 0) + 1));
+
+  const ordered = [...queued].sort((a, b) =>
+    (b.priority || 0) - (a.priority || 0) || new Date(a.createdAt) - new Date(b.createdAt)
+  );
+
+  const dispatch = [];
+  const dispatched = new Set();
+
+  // Priority levels, highest first
+  const levels = [...new Set(ordered.map(job => job.priority || 0))];
+
+  for (const level of levels) {
+    // Per-user queues of this level, oldest job first
+    const userQueues = new Map();
+    ordered
+      .filter(job => (job.priority || 0) === level)
+      .forEach(job => {
+        if (!userQueues.has(job.userId)) userQueues.set(job.userId, []);
+        userQueues.get(job.userId).push(job);
+      });
+
+    // Each round starts at most one job per user; users with fewer running
+    // jobs go first, then whoever has waited longest
+    let pickedInRound = true;
+    while (pickedInRound && dispatch.length < freeSlots) {
+      pickedInRound = false;
+
+      const users = [...userQueues.entries()]
+        .filter(([, jobs]) => jobs.length > 0)
+        .sort(([userA, jobsA], [userB, jobsB]) =>
+          (runningByUser.get(userA) || 0) - (runningByUser.get(userB) || 0) ||
+          new Date(jobsA[0].createdAt) - new Date(jobsB[0].createdAt)
+        );
+
+      for (const [userId, jobs] of users) {
+        if (dispatch.length >= freeSlots) break;
+        if ((runningByUser.get(userId) || 0) >= maxPerUser) continue;
+
+        const index = jobs.findIndex(job => getJobAccounts(job).every(id => !busyAccounts.has(id)));
+        if (index === -1) continue;
+
+        const [job] = jobs.splice(index, 1);
+        getJobAccounts(job).forEach(id => busyAccounts.add(id));
+        runningByUser.set(userId, (runningByUser.get(userId) || 0) + 1);
+        dispatch.push(job);
+        dispatched.add(job.id);
+        pickedInRound = true;
+      }
+    }
+  }
+
+  const blocked = ordered
+    .filter(job => !dispatched.has(job.id))
+    .map(job => ({
+      job,
+      reason: (runningByUser.get(job.userId) || 0) >= maxPerUser
+        ? 'user_limit'
+        : getJobAccounts(job).some(id => busyAccounts.has(id))
+          ? 'account_busy'
+          : 'no_free_slot'
+    }));
+
+  return { dispatch, blocked };
+}
+
+/**
+ * Load the queue state from the database
+ *
+ * @returns {Promise<Object>} - { queued, running, accountsByCampaign }
+ */
+export async function loadQueueState() {
+  const jobColumns = {
+    id: true,
+    campaignId: true,
+    userId: true,
+    accountId: true,
+    type: true,
+    status: true,
+    priority: true,
+    createdAt: true,
+    startedAt: true,
+    workerId: true,
+    dryRun: true
+  };
+
+  const [queued, running] = await Promise.all([
+    db.query.workflowJobs.findMany({
+      where: inArray(workflowJobs.status, DISPATCHABLE_JOB_STATUSES),
+      columns: jobColumns,
+      orderBy: [desc(workflowJobs.priority), asc(workflowJobs.createdAt)],
+      limit: MAX_QUEUE_SCAN
+    }),
+    db.query.workflowJobs.findMany({
+      where: inArray(workflowJobs.status, RUNNING_JOB_STATUSES),
+      columns: jobColumns
+    })
+  ]);
+
+  const accountsByCampaign = await loadCampaignAccounts([...queued, ...running].map(job => job.campaignId));
+
+  return { queued, running, accountsByCampaign };
+}
+
+/**
+ * Pick the next jobs for a worker pool with free slots
+ *
+ * @param {number} freeSlots - Jobs the pool can start
+ * @returns {Promise<Array>} - Jobs to claim, in order
+ */
+export async function getJobsToDispatch(freeSlots) {
+  const state = await loadQueueState();
+  return planDispatch({ ...state, freeSlots }).dispatch;
+}
+
+/**
+ * Describe the queue for the jobs API
+ * Queued jobs are listed in the order they would start, with the reason a
+ * blocked job is waiting.
+ *
+ * @param {Object} options - { userId } (only list this user's jobs; counts stay global)
+ * @returns {Promise<Object>} - { limits, summary, running, queued }
+ */
+export async function getQueueSnapshot({ userId = null } = {}) {
+  const state = await loadQueueState();
+  const { dispatch, blocked } = planDispatch(state);
+
+  const queue = [
+    ...dispatch.map(job => ({ job, reason: null })),
+    ...blocked
+  ].map(({ job, reason }, index) => ({
+    ...job,
+    position: index + 1,
+    blockedBy: reason
+  }));
+
+  const visible = (job) => !userId || job.userId === userId;
+  const listed = [...state.running, ...queue].filter(visible);
+
+  // Campaign names for the listed jobs
+  const campaignIds = [...new Set(listed.map(job => job.campaignId))];
+  const names = campaignIds.length > 0
+    ? await db.select({ id: campaigns.id, name: campaigns.name })
+        .from(campaigns)
+        .where(inArray(campaigns.id, campaignIds))
+    : [];
+  const nameById = new Map(names.map(({ id, name }) => [id, name]));
+  const withName = (job) => ({ ...job, campaignName: nameById.get(job.campaignId) || null });
+
+  return {
+    limits: {
+      maxRunningJobsPerUser: MAX_RUNNING_JOBS_PER_USER
+    },
+    summary: {
+      running: state.running.length,
+      queued: queue.length,
+      ready: dispatch.length,
+      blocked: blocked.length
+    },
+    running: state.running.filter(visible).map(withName),
+    queued: queue.filter(visible).map(withName)
+  };
+}
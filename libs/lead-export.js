@@ -0,0 +1,110 @@
+/**
+ * Lead Export Module
+ *
+ * Flattens campaign leads into export records (profile fields, invite and
+ * message state, generated message without follow-ups, post count) and writes them as
+ * CSV or JSON Lines. Custom fields become one CSV column each
+ * ("custom.event_name"); JSON Lines keeps them as an object.
+ *
+ * Pure functions.
+ */
+
+import { toCsv } from './csv';
+
+export const LEAD_EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  jsonl: { extension: 'jsonl', contentType: 'application/x-ndjson; charset=utf-8' }
+};
+
+export const LEAD_EXPORT_COLUMNS = [
+  { key: 'name', label: 'Name' },
+  { key: 'url', label: 'LinkedIn URL' },
+  { key: 'title', label: 'Title' },
+  { key: 'company', label: 'Company' },
+  { key: 'location', label: 'Location' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'status', label: 'Scraping Status' },
+  { key: 'postCount', label: 'Posts' },
+  { key: 'inviteStatus', label: 'Invite Status' },
+  { key: 'inviteSentAt', label: 'Invite Sent At' },
+  { key: 'inviteAcceptedAt', label: 'Invite Accepted At' },
+  { key: 'inviteError', label: 'Invite Error' },
+  { key: 'messageSent', label: 'Message Sent' },
+  { key: 'messageSentAt', label: 'Message Sent At' },
+  { key: 'messageError', label: 'Message Error' },
+  { key: 'followUpsSent', label: 'Follow-ups Sent' },
+  { key: 'repliedAt', label: 'Replied At' },
+  { key: 'blockedReason', label: 'Blocked' },
+  { key: 'message', label: 'Generated Message' },
+  { key: 'addedAt', label: 'Added At' }
+];
+
+/**
+ * Export record of a lead
+ * Pure function.
+ *
+ * @param {Object} lead - Lead row
+ * @param {Object} extra - { message: generated message content (not a follow-up), postCount }
+ * @returns {Object}
+ */
+export function toLeadExportRecord(lead, { message = null, postCount = 0 } = {}) {
+  return {
+    id: lead.id,
+    name: lead.name || null,
+    url: lead.url,
+    title: lead.title || null,
+    company: lead.company || null,
+    location: lead.location || null,
+    tags: lead.tags || [],
+    customFields: lead.customFields || {},
+    status: lead.status,
+    postCount,
+    inviteStatus: lead.inviteStatus,
+    inviteSentAt: lead.inviteSentAt || null,
+    inviteAcceptedAt: lead.inviteAcceptedAt || null,
+    inviteError: lead.inviteLastError || null,
+    messageSent: !!lead.messageSent,
+    messageSentAt: lead.messageSentAt || null,
+    messageError: lead.messageError || null,
+    followUpsSent: lead.followUpsSent || 0,
+    repliedAt: lead.repliedAt || null,
+    blockedReason: lead.blockedReason || null,
+    message,
+    addedAt: lead.addedAt || lead.createdAt || null
+  };
+}
+
+/**
+ * Write export records in a format of LEAD_EXPORT_FORMATS
+ * Pure function.
+ *
+ * @param {Array<Object>} records - From toLeadExportRecord
+ * @param {string} format - 'csv' or 'jsonl'
+ * @returns {string}
+ */
+export function formatLeadExport(records, format) {
+  if (format === 'jsonl') {
+    return records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : '');
+  }
+
+  const customKeys = Array.from(new Set(records.flatMap(record => Object.keys(record.customFields)))).sort();
+  const columns = [
+    ...LEAD_EXPORT_COLUMNS,
+    ...customKeys.map(key => ({ key: `custom.${key}`, label: `custom.${key}` }))
+  ];
+
+  const rows = records.map(record => {
+    const row = {
+      ...record,
+      tags: record.tags.join(', '),
+      messageSent: record.messageSent ? 'yes' : 'no'
+    };
+    customKeys.forEach(key => {
+      row[`custom.${key}`] = record.customFields[key];
+    });
+    return row;
+  });
+
+  // Byte order mark so Excel reads the file as UTF-8
+  return '\uFEFF' + toCsv(rows, columns);
+}
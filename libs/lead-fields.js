@@ -0,0 +1,218 @@
+/**
+ * Lead Fields Module
+ *
+ * Free-form tags and typed custom fields of leads:
+ *   tags:         ['summit-2026', 'vip']
+ *   customFields: { event_name: 'Summit', employees: 120, met_on: '2026-05-01', vip: true }
+ * Custom field values keep their JSON type: text, number, boolean, or date
+ * (a YYYY-MM-DD string). Messages use them as {{custom.event_name}}
+ * (libs/message-template.js), the leads API filters on them.
+ *
+ * Pure functions (also used by the lead editors).
+ */
+
+export const MAX_TAGS = 50;
+export const MAX_TAG_LENGTH = 50;
+export const MAX_CUSTOM_FIELDS = 50;
+export const MAX_CUSTOM_FIELD_KEY_LENGTH = 50;
+export const MAX_CUSTOM_VALUE_LENGTH = 500;
+
+export const CUSTOM_FIELD_TYPES = {
+  text: { label: 'Text' },
+  number: { label: 'Number' },
+  date: { label: 'Date' },
+  boolean: { label: 'Yes / No' }
+};
+
+const KEY_PATTERN = /^[a-z0-9_]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (value) => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * Key a custom field is stored under, e.g. "Event Name" -> event_name
+ * Pure function.
+ */
+export function customFieldKey(label) {
+  return String(label || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, MAX_CUSTOM_FIELD_KEY_LENGTH);
+}
+
+/**
+ * Type of a stored custom field value
+ * Pure function.
+ */
+export function customFieldType(value) {
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'string' && isValidDate(value)) return 'date';
+  return 'text';
+}
+
+/**
+ * Convert an edited value to its type
+ *
+ * @param {string} type - One of CUSTOM_FIELD_TYPES
+ * @param {*} raw - Value from the editor
+ * @returns {Object} - { value, error }
+ */
+export function coerceCustomFieldValue(type, raw) {
+  switch (type) {
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      return String(raw).trim() !== '' && Number.isFinite(value)
+        ? { value, error: null }
+        : { value: null, error: 'must be a number' };
+    }
+    case 'date': {
+      const value = String(raw || '').trim();
+      return isValidDate(value) ? { value, error: null } : { value: null, error: 'must be a date (YYYY-MM-DD)' };
+    }
+    case 'boolean':
+      if (typeof raw === 'boolean') return { value: raw, error: null };
+      if (['true', 'yes', '1'].includes(String(raw).trim().toLowerCase())) return { value: true, error: null };
+      if (['false', 'no', '0'].includes(String(raw).trim().toLowerCase())) return { value: false, error: null };
+      return { value: null, error: 'must be yes or no' };
+    case 'text': {
+      const value = String(raw ?? '').trim();
+      if (!value) return { value: null, error: 'is empty' };
+      if (value.length > MAX_CUSTOM_VALUE_LENGTH) return { value: null, error: `must be at most ${MAX_CUSTOM_VALUE_LENGTH} characters` };
+      return { value, error: null };
+    }
+    default:
+      return { value: null, error: `has an unknown type ${type}` };
+  }
+}
+
+/**
+ * Clean a list of tags (trimmed, unique, case kept)
+ *
+ * @param {Array<string>} input - Tags
+ * @returns {Object} - { tags, error }
+ */
+export function validateTags(input) {
+  if (!Array.isArray(input) || input.some(tag => typeof tag !== 'string')) {
+    return { tags: null, error: 'Tags must be a list of strings' };
+  }
+
+  const tags = Array.from(new Set(input.map(tag => tag.trim()).filter(Boolean)));
+  if (tags.length > MAX_TAGS) return { tags: null, error: `At most ${MAX_TAGS} tags per lead` };
+
+  const long = tags.find(tag => tag.length > MAX_TAG_LENGTH);
+  if (long) return { tags: null, error: `Tag "${long.slice(0, 20)}..." is longer than ${MAX_TAG_LENGTH} characters` };
+
+  return { tags, error: null };
+}
+
+/**
+ * Validate custom fields submitted by the client
+ * Values must already have their type (see coerceCustomFieldValue); null removes a field.
+ *
+ * @param {Object} input - { [key]: value }
+ * @returns {Object} - { customFields, errors }
+ */
+export function validateCustomFields(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { customFields: null, errors: ['Custom fields must be an object'] };
+  }
+
+  const errors = [];
+  const customFields = {};
+
+  Object.entries(input).forEach(([key, value]) => {
+    if (!KEY_PATTERN.test(key) || key.length > MAX_CUSTOM_FIELD_KEY_LENGTH) {
+      errors.push(`"${key}" is not a valid field name (lowercase letters, digits and _)`);
+      return;
+    }
+    if (value === null) return;
+
+    const { value: clean, error } = coerceCustomFieldValue(customFieldType(value), value);
+    if (typeof value === 'object' || error) {
+      errors.push(`${key} ${error || 'must be text, a number, a date or yes/no'}`);
+      return;
+    }
+    customFields[key] = clean;
+  });
+
+  if (Object.keys(customFields).length > MAX_CUSTOM_FIELDS) {
+    errors.push(`At most ${MAX_CUSTOM_FIELDS} custom fields per lead`);
+  }
+
+  return errors.length > 0 ? { customFields: null, errors } : { customFields, errors };
+}
+
+/**
+ * Validate a bulk edit
+ *
+ * @param {Object} input - { addTags?, removeTags?, setCustomFields?, removeCustomFields? }
+ * @returns {Object} - { changes, errors }
+ */
+export function validateLeadFieldChanges(input) {
+  const errors = [];
+  const changes = { addTags: [], removeTags: [], setCustomFields: {}, removeCustomFields: [] };
+
+  ['addTags', 'removeTags'].forEach(name => {
+    if (input?.[name] === undefined) return;
+    const { tags, error } = validateTags(input[name]);
+    if (error) errors.push(`${name}: ${error}`);
+    else changes[name] = tags;
+  });
+
+  if (input?.setCustomFields !== undefined) {
+    const { customFields, errors: fieldErrors } = validateCustomFields(input.setCustomFields);
+    if (fieldErrors.length > 0) errors.push(...fieldErrors);
+    else changes.setCustomFields = customFields;
+  }
+
+  if (input?.removeCustomFields !== undefined) {
+    if (!Array.isArray(input.removeCustomFields) || input.removeCustomFields.some(key => typeof key !== 'string')) {
+      errors.push('removeCustomFields must be a list of field names');
+    } else {
+      changes.removeCustomFields = input.removeCustomFields;
+    }
+  }
+
+  const empty = !changes.addTags.length && !changes.removeTags.length &&
+    !Object.keys(changes.setCustomFields).length && !changes.removeCustomFields.length;
+  if (errors.length === 0 && empty) errors.push('Nothing to change');
+
+  return errors.length > 0 ? { changes: null, errors } : { changes, errors };
+}
+
+/**
+ * Tags and custom fields of a lead after a bulk edit
+ * Added tags the lead already has in another case are not added again; an
+ * edit that leaves more than MAX_TAGS tags or MAX_CUSTOM_FIELDS fields
+ * returns an error instead.
+ * Pure function.
+ *
+ * @param {Object} lead - { tags, customFields }
+ * @param {Object} changes - From validateLeadFieldChanges
+ * @returns {Object} - { tags, customFields, error }
+ */
+export function applyLeadFieldChanges(lead, changes) {
+  const removed = new Set(changes.removeTags.map(tag => tag.toLowerCase()));
+  const seen = new Set();
+  const tags = [...(lead.tags || []), ...changes.addTags].filter(tag => {
+    const key = tag.toLowerCase();
+    if (removed.has(key) || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const customFields = { ...(lead.customFields || {}), ...changes.setCustomFields };
+  changes.removeCustomFields.forEach(key => delete customFields[key]);
+
+  if (tags.length > MAX_TAGS) {
+    return { tags: null, customFields: null, error: `At most ${MAX_TAGS} tags per lead` };
+  }
+  if (Object.keys(customFields).length > MAX_CUSTOM_FIELDS) {
+    return { tags: null, customFields: null, error: `At most ${MAX_CUSTOM_FIELDS} custom fields per lead` };
+  }
+
+  return { tags, customFields, error: null };
+}
@@ -0,0 +1,47 @@
+/**
+ * Lead Filters Module
+ *
+ * Query string filters shared by the campaign leads list and its export:
+ *   ?tag=vip&tag=summit-2026      leads with all these tags
+ *   ?custom.event_name=Summit     custom field equal to a value (case-insensitive)
+ *   ?status=completed             scraping status
+ *   ?inviteStatus=accepted        invite status
+ */
+
+import { eq, sql } from 'drizzle-orm';
+import { leads } from './schema';
+import { customFieldKey } from './lead-fields';
+
+const CUSTOM_FILTER_PREFIX = 'custom.';
+
+/**
+ * Build SQL conditions from the query string of a leads request
+ *
+ * @param {URLSearchParams} searchParams - Request query string
+ * @returns {Object} - { filters, error } (error is a message for a 400 response)
+ */
+export function parseLeadFilters(searchParams) {
+  const filters = [];
+
+  searchParams.getAll('tag').map(tag => tag.trim()).filter(Boolean).forEach(tag => {
+    filters.push(sql`coalesce(${leads.tags}::jsonb, '[]'::jsonb) @> jsonb_build_array(${tag}::text)`);
+  });
+
+  for (const [param, value] of searchParams.entries()) {
+    if (!param.startsWith(CUSTOM_FILTER_PREFIX)) continue;
+
+    const key = param.slice(CUSTOM_FILTER_PREFIX.length);
+    if (!key || customFieldKey(key) !== key) {
+      return { filters: null, error: `"${key}" is not a valid custom field name` };
+    }
+    filters.push(sql`lower(${leads.customFields}::jsonb ->> ${key}::text) = lower(${value.trim()}::text)`);
+  }
+
+  const status = searchParams.get('status');
+  if (status) filters.push(eq(leads.status, status));
+
+  const inviteStatus = searchParams.get('inviteStatus');
+  if (inviteStatus) filters.push(eq(leads.inviteStatus, inviteStatus));
+
+  return { filters, error: null };
+}
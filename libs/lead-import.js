@@ -0,0 +1,168 @@
+/**
+ * Lead Import Module
+ *
+ * Turns the rows of an uploaded CSV into campaign leads. The user maps each
+ * column to a lead field (one entry per column, null to ignore it):
+ *   ['url', 'name', null, 'company', 'custom', 'tags']
+ * Columns mapped to 'custom' are kept as text in leads.customFields under a
+ * key derived from their header ("Event Name" -> event_name, see libs/lead-fields.js).
+ *
+ * Every row ends up in the import report as imported, blocked (imported but
+ * on the do-not-contact list), skipped (duplicate) or invalid, with the reason.
+ *
+ * Pure functions (also used by the import dialog).
+ */
+
+import { normalizeLinkedInUrl } from './scraping-utils';
+import { customFieldKey, MAX_TAGS, MAX_TAG_LENGTH, MAX_CUSTOM_VALUE_LENGTH } from './lead-fields';
+
+export const MAX_IMPORT_ROWS = 5000;
+export const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024; // 5 MB
+export const IMPORT_ENCODINGS = ['auto', 'utf-8', 'windows-1252', 'utf-16le', 'utf-16be'];
+
+/**
+ * Lead fields a column can be mapped to
+ * single: at most one column per field
+ */
+export const IMPORT_FIELDS = {
+  url: { label: 'LinkedIn URL', single: true },
+  name: { label: 'Name', single: true },
+  title: { label: 'Title', single: true },
+  company: { label: 'Company', single: true },
+  location: { label: 'Location', single: true },
+  tags: { label: 'Tags', single: false },
+  custom: { label: 'Custom field', single: false }
+};
+
+// Header names recognized when suggesting a mapping
+const HEADER_ALIASES = {
+  url: ['url', 'linkedin', 'linkedin url', 'linkedin profile', 'profile url', 'profile', 'linkedinurl', 'profile_url', 'linkedin_url'],
+  name: ['name', 'full name', 'fullname', 'full_name', 'contact name'],
+  title: ['title', 'job title', 'jobtitle', 'job_title', 'headline', 'position'],
+  company: ['company', 'company name', 'companyname', 'company_name', 'organization', 'account'],
+  location: ['location', 'city', 'region', 'country'],
+  tags: ['tags', 'tag', 'labels']
+};
+
+export const IMPORT_REPORT_COLUMNS = [
+  { key: 'row', label: 'Line' },
+  { key: 'status', label: 'Status' },
+  { key: 'url', label: 'URL' },
+  { key: 'name', label: 'Name' },
+  { key: 'reason', label: 'Reason' }
+];
+
+const PROFILE_URL_PATTERN = /^https:\/\/www\.linkedin\.com\/in\/[^/]+$/;
+
+/**
+ * Suggest a mapping from the header row
+ * Unrecognized columns are ignored; when several columns match a
+ * single-column field, the first one wins.
+ * Pure function.
+ *
+ * @param {Array<string>} headers - Header row
+ * @returns {Array<string|null>}
+ */
+export function suggestImportMapping(headers) {
+  const used = new Set();
+
+  return headers.map(header => {
+    const normalized = String(header || '').trim().toLowerCase();
+    const field = Object.keys(HEADER_ALIASES).find(key => HEADER_ALIASES[key].includes(normalized));
+
+    if (!field || (IMPORT_FIELDS[field].single && used.has(field))) return null;
+    used.add(field);
+    return field;
+  });
+}
+
+/**
+ * Validate a column mapping submitted by the client
+ *
+ * @param {Array<string|null>} input - One field (or null) per column
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} - { mapping, errors }
+ */
+export function validateImportMapping(input, headers) {
+  if (!Array.isArray(input) || input.length !== headers.length) {
+    return { mapping: null, errors: [`Mapping must have one entry per column (${headers.length})`] };
+  }
+
+  const errors = [];
+  const counts = {};
+
+  input.forEach((field, index) => {
+    if (field === null) return;
+    if (!Object.hasOwn(IMPORT_FIELDS, field)) {
+      errors.push(`Column "${headers[index]}": unknown field ${field}`);
+      return;
+    }
+    counts[field] = (counts[field] || 0) + 1;
+    if (field === 'custom' && !customFieldKey(headers[index])) {
+      errors.push(`Column ${index + 1}: custom fields need a header name`);
+    }
+  });
+
+  Object.entries(counts).forEach(([field, total]) => {
+    if (IMPORT_FIELDS[field].single && total > 1) {
+      errors.push(`Only one column can be mapped to ${IMPORT_FIELDS[field].label}`);
+    }
+  });
+
+  if (!counts.url) errors.push('Map a column to LinkedIn URL');
+
+  return errors.length > 0 ? { mapping: null, errors } : { mapping: input, errors };
+}
+
+/**
+ * Normalize a LinkedIn profile URL from a CSV cell
+ *
+ * @returns {string|null} - https://www.linkedin.com/in/<username>, or null if not a profile URL
+ */
+export function normalizeProfileUrl(value) {
+  // Country subdomains (uk.linkedin.com) point to the same profile
+  const url = normalizeLinkedInUrl(String(value || '').trim().replace(/^(https?:\/\/)?[a-z]{2}\.linkedin\.com/i, '$1www.linkedin.com'));
+  return PROFILE_URL_PATTERN.test(url) ? url : null;
+}
+
+const splitTags = (value) => value.split(/[,;|]/).map(tag => tag.trim()).filter(Boolean);
+
+/**
+ * Map CSV rows to leads
+ * Rows without a valid profile URL are marked invalid; the others carry the
+ * lead fields and still need the duplicate checks.
+ * Pure function.
+ *
+ * @param {Array<Array<string>>} rows - Data rows (without the header row)
+ * @param {Array<string>} headers - Header row
+ * @param {Array<string|null>} mapping - Validated mapping
+ * @returns {Array<Object>} - [{ row, url, name, lead, status?, reason? }], row is the line of the file
+ *   the lead starts on (from parseCsv; blank lines and line breaks inside cells are counted)
+ */
+export function mapImportRows(rows, headers, mapping) {
+  return rows.map((cells, index) => {
+    const lead = { tags: [], customFields: {} };
+
+    mapping.forEach((field, column) => {
+      const value = (cells[column] || '').trim();
+      if (!field || !value) return;
+
+      if (field === 'tags') lead.tags.push(...splitTags(value).map(tag => tag.slice(0, MAX_TAG_LENGTH)));
+      else if (field === 'custom') lead.customFields[customFieldKey(headers[column])] = value.slice(0, MAX_CUSTOM_VALUE_LENGTH);
+      else lead[field] = value;
+    });
+
+    lead.tags = Array.from(new Set(lead.tags)).slice(0, MAX_TAGS);
+
+    const row = cells.line ?? index + 2;
+    const name = lead.name || '';
+    const rawUrl = lead.url || '';
+
+    if (!rawUrl) return { row, url: '', name, lead: null, status: 'invalid', reason: 'Missing LinkedIn URL' };
+
+    const url = normalizeProfileUrl(rawUrl);
+    if (!url) return { row, url: rawUrl, name, lead: null, status: 'invalid', reason: 'Not a LinkedIn profile URL' };
+
+    return { row, url, name, lead: { ...lead, url } };
+  });
+}
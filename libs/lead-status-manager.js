@@ -7,8 +7,14 @@
 
 import getRedisClient from './redis';
 import { db } from './db';
-import { leads } from './schema';
-import { eq } from 'drizzle-orm';
+import { leads, campaigns } from './schema';
+import { eq, and, inArray, isNotNull, sql } from 'drizzle-orm';
+import { getRetryDecision, isLeadDueForRetry } from './invite-retry-policy';
+import { getCampaignSettings } from './campaign-settings';
+import { computeNoteVariantStats } from './note-variants';
+import { getCampaignAudience } from './audience-segments';
+import { getBlocklistMatcher } from './blocklist';
+import { matchBlocklist, describeBlocklistMatch } from './blocklist-rules';
 
 /**
  * Update lead status in Redis FIRST, then PostgreSQL
@@ -52,15 +58,308 @@ export async function updateLeadStatus(campaignId, leadId, inviteStatus, inviteS
   }
 }
 
+/**
+ * Pin a lead to the LinkedIn account that invited it
+ * Follow-up messages for the lead are sent from this account.
+ *
+ * @param {string} campaignId - Campaign ID
+ * @param {string} leadId - Lead ID
+ * @param {string} accountId - LinkedIn account ID
+ */
+export async function pinLeadToAccount(campaignId, leadId, accountId) {
+  try {
+    const redis = getRedisClient();
+    const leadKey = `campaign:${campaignId}:leads`;
+    const leadData = await redis.hget(leadKey, leadId);
+
+    if (leadData) {
+      await redis.hset(leadKey, leadId, JSON.stringify({ ...JSON.parse(leadData), senderAccountId: accountId }));
+    }
+
+    await db.update(leads)
+      .set({ senderAccountId: accountId })
+      .where(eq(leads.id, leadId));
+  } catch (error) {
+    console.error(`❌ Failed to pin lead ${leadId} to account ${accountId}:`, error.message);
+  }
+}
+
+/**
+ * Store the connection note variant a lead was invited with
+ * Same Redis-first order as updateLeadStatus. Never throws.
+ *
+ * @param {string} campaignId - Campaign ID
+ * @param {string} leadId - Lead ID
+ * @param {string} variantId - Note variant ID (see libs/note-variants.js)
+ */
+export async function recordNoteVariant(campaignId, leadId, variantId) {
+  try {
+    const redis = getRedisClient();
+    const leadKey = `campaign:${campaignId}:leads`;
+    const leadData = await redis.hget(leadKey, leadId);
+
+    if (leadData) {
+      await redis.hset(leadKey, leadId, JSON.stringify({ ...JSON.parse(leadData), noteVariant: variantId }));
+    }
+
+    await db.update(leads)
+      .set({ noteVariant: variantId })
+      .where(eq(leads.id, leadId));
+  } catch (error) {
+    console.error(`❌ Failed to record note variant ${variantId} for lead ${leadId}:`, error.message);
+  }
+}
+
+/**
+ * Save the tags and custom fields of a lead
+ * Same Redis-first order as updateLeadStatus, so connection notes and
+ * messages rendered from the cache see the new values.
+ *
+ * @param {string} campaignId - Campaign ID
+ * @param {string} leadId - Lead ID
+ * @param {Object} fields - { tags, customFields } (see libs/lead-fields.js)
+ * @returns {Promise<Object>} - Updated lead row
+ */
+export async function updateLeadFields(campaignId, leadId, { tags, customFields }) {
+  try {
+    const redis = getRedisClient();
+    const leadKey = `campaign:${campaignId}:leads`;
+    const leadData = await redis.hget(leadKey, leadId);
+
+    if (leadData) {
+      await redis.hset(leadKey, leadId, JSON.stringify({ ...JSON.parse(leadData), tags, customFields }));
+    }
+
+    const [updatedLead] = await db.update(leads)
+      .set({ tags, customFields, updatedAt: new Date() })
+      .where(eq(leads.id, leadId))
+      .returning();
+
+    return updatedLead;
+  } catch (error) {
+    console.error(`❌ Failed to update fields of lead ${leadId}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Redis cache entry of a lead row, as written by every cache rebuild
+ * Carries the invite retry state so a rebuilt cache keeps the backoff and
+ * the attempt count of failed leads, and the fields connection notes are
+ * rendered with (location, tags, custom fields; see libs/message-template.js).
+ * Pure function.
+ *
+ * @param {Object} lead - Lead row
+ * @param {Object} options - { hasMessage }
+ * @returns {Object}
+ */
+export function toCachedLead(lead, { hasMessage = false } = {}) {
+  return {
+    id: lead.id,
+    name: lead.name,
+    title: lead.title,
+    company: lead.company,
+    location: lead.location || null,
+    tags: lead.tags || [],
+    customFields: lead.customFields || {},
+    url: lead.url,
+    status: lead.status,
+    hasMessage,
+    inviteSent: lead.inviteSent || false,
+    inviteStatus: lead.inviteStatus || 'pending',
+    inviteRetryCount: lead.inviteRetryCount || 0,
+    inviteLastError: lead.inviteLastError || null,
+    inviteNextRetryAt: lead.inviteNextRetryAt ? new Date(lead.inviteNextRetryAt).toISOString() : null
+  };
+}
+
+/**
+ * Add newly imported leads to the campaign's Redis cache used by the workflow
+ * Only a warm cache is extended: a missing hash is left alone so the next
+ * read rebuilds it from PostgreSQL with every lead, not just the new ones.
+ * Used by the CSV and Sales Navigator imports. Never throws.
+ *
+ * @param {string} campaignId - Campaign ID
+ * @param {Array<Object>} newLeads - Inserted lead rows
+ */
+export async function cacheNewLeads(campaignId, newLeads) {
+  try {
+    const redis = getRedisClient();
+    if (!(await redis.exists(`campaign:${campaignId}:leads`))) return;
+
+    const leadsData = {};
+
+    newLeads.forEach((lead) => {
+      leadsData[lead.id] = JSON.stringify(toCachedLead(lead));
+    });
+
+    await redis.hset(`campaign:${campaignId}:leads`, leadsData);
+    if (await redis.exists(`campaign:${campaignId}:data`)) {
+      await redis.hincrby(`campaign:${campaignId}:data`, 'leadsCount', newLeads.length);
+      await redis.hset(`campaign:${campaignId}:data`, { lastUpdated: Date.now() });
+    }
+  } catch (error) {
+    console.log(`❌ CACHE REFRESH: Error caching imported leads for campaign ${campaignId}:`, error.message);
+  }
+}
+
+/**
+ * Flag a lead that matches the user's do-not-contact list
+ * Same Redis-first order as updateLeadStatus. Never throws.
+ *
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} lead - Lead ({ id, name, blockedReason })
+ * @param {Object} entry - Matching blocklist entry
+ */
+export async function flagBlockedLead(campaignId, lead, entry) {
+  const blockedReason = describeBlocklistMatch(entry);
+  if (lead.blockedReason === blockedReason) return;
+
+  try {
+    const blockedAt = new Date();
+    const redis = getRedisClient();
+    const leadKey = `campaign:${campaignId}:leads`;
+    const leadData = await redis.hget(leadKey, lead.id);
+
+    if (leadData) {
+      await redis.hset(leadKey, lead.id, JSON.stringify({ ...JSON.parse(leadData), blockedReason, blockedAt: blockedAt.toISOString() }));
+    }
+
+    await db.update(leads)
+      .set({ blockedReason, blockedAt })
+      .where(eq(leads.id, lead.id));
+
+    lead.blockedReason = blockedReason;
+    console.log(`🚫 ${lead.name || lead.id} flagged: ${blockedReason}`);
+  } catch (error) {
+    console.error(`❌ Failed to flag blocked lead ${lead.id}:`, error.message);
+  }
+}
+
+/**
+ * Count sent and accepted invites per note variant of a campaign
+ *
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} - { [variantId]: { sent, accepted } }
+ */
+export async function getNoteVariantCounts(campaignId) {
+  const rows = await db
+    .select({
+      variant: leads.noteVariant,
+      sent: sql`COUNT(*) FILTER (WHERE ${leads.inviteStatus} IN ('sent', 'accepted'))`,
+      accepted: sql`COUNT(*) FILTER (WHERE ${leads.inviteStatus} = 'accepted')`
+    })
+    .from(leads)
+    .where(and(eq(leads.campaignId, campaignId), isNotNull(leads.noteVariant)))
+    .groupBy(leads.noteVariant);
+
+  return Object.fromEntries(rows.map(row => [row.variant, { sent: Number(row.sent), accepted: Number(row.accepted) }]));
+}
+
+/**
+ * Promote the winning note variant once the campaign test allows it
+ * Runs before each invite batch: when every variant reached autoPromoteAfter
+ * sends and the leader is significantly ahead, it is saved as
+ * settings.noteTest.winner and new invites all use its note.
+ *
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} settings - Campaign settings (loaded if omitted)
+ * @returns {Promise<Object>} - Campaign settings, with the winner if one was promoted
+ */
+export async function promoteNoteVariantWinner(campaignId, settings = null) {
+  const campaignSettings = settings || await getCampaignSettings(campaignId);
+  const { noteTest } = campaignSettings;
+
+  if (noteTest.winner || noteTest.autoPromoteAfter === null || noteTest.variants.length < 2) {
+    return campaignSettings;
+  }
+
+  try {
+    const stats = computeNoteVariantStats(noteTest, await getNoteVariantCounts(campaignId));
+    if (!stats.winnerReady) return campaignSettings;
+
+    const promoted = { ...campaignSettings, noteTest: { ...noteTest, winner: stats.leader } };
+    await db.update(campaigns)
+      .set({ settings: promoted, updatedAt: new Date() })
+      .where(eq(campaigns.id, campaignId));
+
+    console.log(`🏆 Campaign ${campaignId}: note variant ${stats.leader} promoted after ${noteTest.autoPromoteAfter}+ sends per variant`);
+    return promoted;
+  } catch (error) {
+    console.error(`❌ Failed to promote note variant for campaign ${campaignId}:`, error.message);
+    return campaignSettings;
+  }
+}
+
+/**
+ * Record a failed invite attempt and schedule a retry according to the campaign policy
+ * Same Redis-first order as updateLeadStatus. Never throws - a failed status
+ * write must not stop the remaining leads.
+ *
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} lead - Lead being processed (needs id and inviteRetryCount)
+ * @param {string} errorMessage - Error of this attempt
+ * @param {Object} retryPolicy - Campaign retry policy (loaded from the campaign if omitted)
+ * @returns {Promise<Object>} - Retry decision { errorClass, retry, nextRetryAt, attempts }
+ */
+export async function recordInviteFailure(campaignId, lead, errorMessage, retryPolicy = null) {
+  const attempts = (lead.inviteRetryCount || 0) + 1;
+  let decision = { errorClass: 'unknown', retry: false, nextRetryAt: null };
+
+  try {
+    const policy = retryPolicy || (await getCampaignSettings(campaignId)).retryPolicy;
+    decision = getRetryDecision(policy, attempts, errorMessage);
+
+    const update = {
+      inviteSent: false,
+      inviteStatus: 'failed',
+      inviteRetryCount: attempts,
+      inviteLastError: errorMessage,
+      inviteNextRetryAt: decision.nextRetryAt
+    };
+
+    // STEP 1: Update Redis cache
+    const redis = getRedisClient();
+    const leadKey = `campaign:${campaignId}:leads`;
+    const leadData = await redis.hget(leadKey, lead.id);
+
+    if (leadData) {
+      await redis.hset(leadKey, lead.id, JSON.stringify({
+        ...JSON.parse(leadData),
+        ...update,
+        inviteNextRetryAt: decision.nextRetryAt ? decision.nextRetryAt.toISOString() : null
+      }));
+    }
+
+    // STEP 2: Update PostgreSQL
+    await db.update(leads)
+      .set(update)
+      .where(eq(leads.id, lead.id));
+
+    lead.inviteRetryCount = attempts;
+
+    console.log(decision.retry
+      ? `🔁 Retry ${attempts}/${policy.maxAttempts} for ${lead.name || lead.id} scheduled at ${decision.nextRetryAt.toISOString()} (${decision.errorClass})`
+      : `⛔ No retry for ${lead.name || lead.id} after ${attempts} attempt(s) (${decision.errorClass})`);
+  } catch (error) {
+    console.error(`❌ Failed to record invite failure for lead ${lead.id}:`, error.message);
+  }
+
+  return { ...decision, attempts };
+}
 
 /**
  * Fetch eligible leads for invite sending
  * First tries Redis cache, falls back to PostgreSQL
+ * Campaigns with an audience segment only invite the leads matching it.
+ * Leads on the user's do-not-contact list are flagged and never invited
+ * (a dry run only reports them in blockedLeads and changes nothing).
  * 
  * @param {string} campaignId - Campaign ID
- * @returns {Promise<Object>} - Object containing allLeads and eligibleLeads arrays
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} - { allLeads, eligibleLeads, blockedLeads: [{ lead, reason }], source }
  */
-export async function fetchEligibleLeads(campaignId) {
+export async function fetchEligibleLeads(campaignId, { dryRun = false } = {}) {
   const redis = getRedisClient();
   let leadsData = await redis.hgetall(`campaign:${campaignId}:leads`);
   let allLeads = [];
@@ -75,6 +374,7 @@ export async function fetchEligibleLeads(campaignId) {
       return {
         allLeads: [],
         eligibleLeads: [],
+        blockedLeads: [],
         source: 'postgresql'
       };
     }
@@ -110,40 +410,115 @@ export async function fetchEligibleLeads(campaignId) {
     // Redis cache has data, use it
     allLeads = Object.values(leadsData).map((s) => JSON.parse(s));
     console.log(`✅ Fetched ${allLeads.length} leads from Redis cache`);
+
+    // Failed leads cached without their retry state get it from PostgreSQL
+    const missingRetryState = allLeads.filter((lead) => lead.inviteStatus === 'failed' && lead.inviteNextRetryAt === undefined);
+    if (missingRetryState.length > 0) {
+      const retryRows = await db
+        .select({
+          id: leads.id,
+          inviteRetryCount: leads.inviteRetryCount,
+          inviteLastError: leads.inviteLastError,
+          inviteNextRetryAt: leads.inviteNextRetryAt
+        })
+        .from(leads)
+        .where(inArray(leads.id, missingRetryState.map((lead) => lead.id)));
+      const retryById = new Map(retryRows.map((row) => [row.id, row]));
+
+      missingRetryState.forEach((lead) => {
+        const row = retryById.get(lead.id);
+        lead.inviteRetryCount = row?.inviteRetryCount || 0;
+        lead.inviteLastError = row?.inviteLastError || null;
+        lead.inviteNextRetryAt = row?.inviteNextRetryAt ? row.inviteNextRetryAt.toISOString() : null;
+      });
+      console.log(`🔁 Loaded retry state of ${missingRetryState.length} failed lead(s) from PostgreSQL`);
+    }
   }
   
   // Filter leads that need invites (independent of post scraping)
   // Only check: has URL, invite not sent, status is eligible
+  // Failed leads are only eligible once their retry backoff has expired
   // Note: Name is optional - we only need the LinkedIn URL to send invites
   console.log(`🔍 Filtering ${allLeads.length} leads for eligibility...`);
+
+  const audience = await getCampaignAudience(campaignId, await getCampaignSettings(campaignId));
+  if (audience) {
+    console.log(`🎯 Audience segment "${audience.segment.name}": ${audience.leadIds.size} matching lead(s)`);
+  }
+
+  const campaign = await db.query.campaigns.findFirst({
+    where: eq(campaigns.id, campaignId),
+    columns: { userId: true }
+  });
+  const blocklist = campaign ? await getBlocklistMatcher(campaign.userId) : null;
+  const blockedEntries = new Map();
   
+  const now = new Date();
   const eligibleLeads = allLeads.filter((lead) => {
     const hasUrl = !!lead.url;
     const hasName = !!lead.name;
     const notSent = !lead.inviteSent || lead.inviteSent === false;
-    const eligibleStatus = lead.inviteStatus === 'pending' || lead.inviteStatus === 'failed' || !lead.inviteStatus;
+    const eligibleStatus = lead.inviteStatus === 'pending' || !lead.inviteStatus || isLeadDueForRetry(lead, now);
+    const inAudience = !audience || audience.leadIds.has(lead.id);
+    const blockedBy = notSent ? matchBlocklist(lead, blocklist) : null;
+    if (blockedBy) blockedEntries.set(lead, blockedBy);
     
     // Only require URL, not name (name is optional for display purposes)
-    const isEligible = hasUrl && notSent && eligibleStatus;
+    const isEligible = hasUrl && notSent && eligibleStatus && inAudience && !blockedBy;
     
     // Debug logging for each lead
     console.log(`🔍 Lead: ${lead.name || lead.id}`);
     console.log(`   - Has URL: ${hasUrl} (${lead.url || 'MISSING'})`);
     console.log(`   - Has Name: ${hasName} (${lead.name || 'MISSING'}) - OPTIONAL`);
     console.log(`   - Not Sent: ${notSent} (inviteSent: ${lead.inviteSent})`);
-    console.log(`   - Eligible Status: ${eligibleStatus} (inviteStatus: ${lead.inviteStatus})`);
+    console.log(`   - Eligible Status: ${eligibleStatus} (inviteStatus: ${lead.inviteStatus}${lead.inviteStatus === 'failed' ? `, next retry: ${lead.inviteNextRetryAt || 'none'}` : ''})`);
+    if (audience) {
+      console.log(`   - In Audience: ${inAudience}`);
+    }
+    if (blockedBy) {
+      console.log(`   - Blocked: ${describeBlocklistMatch(blockedBy)}`);
+    }
     console.log(`   - ✅ ELIGIBLE: ${isEligible}`);
     
     return isEligible;
   });
 
+  if (!dryRun) {
+    for (const [lead, entry] of blockedEntries) {
+      await flagBlockedLead(campaignId, lead, entry);
+    }
+  }
+
   return {
     allLeads,
     eligibleLeads,
+    blockedLeads: [...blockedEntries].map(([lead, entry]) => ({ lead, reason: describeBlocklistMatch(entry) })),
     source: leadsData && Object.keys(leadsData).length > 0 ? 'redis' : 'postgresql'
   };
 }
 
+/**
+ * Dry run entries for the blocked leads of fetchEligibleLeads, in the shape
+ * of processInvitesDirectly's plannedActions
+ * Pure function.
+ *
+ * @param {Array} blockedLeads - [{ lead, reason }]
+ * @returns {Array}
+ */
+export function toBlockedPlannedActions(blockedLeads = []) {
+  return blockedLeads.map(({ lead, reason }) => ({
+    leadId: lead.id,
+    name: lead.name,
+    url: lead.url,
+    connectionState: 'unknown',
+    action: 'skip',
+    note: null,
+    noteVariant: null,
+    outcome: 'blocked',
+    error: reason
+  }));
+}
+
 /**
  * Calculate lead analytics (invite status breakdown)
  * 
@@ -160,11 +535,18 @@ export function getLeadAnalytics(leads) {
 
   // Count leads with invites sent
   const leadsWithInvites = leads.filter(lead => lead.inviteSent === true).length;
+
+  // Failed leads that will be picked up again later
+  const now = new Date();
+  const awaitingRetry = leads.filter(lead =>
+    lead.inviteStatus === 'failed' && lead.inviteNextRetryAt && new Date(lead.inviteNextRetryAt) > now
+  ).length;
   
   return {
     total: leads.length,
     inviteStats,
-    leadsWithInvites
+    leadsWithInvites,
+    awaitingRetry
   };
 }
 
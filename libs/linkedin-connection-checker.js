@@ -3,16 +3,31 @@
  * 
  * Automatically checks LinkedIn connections page to detect accepted connection requests.
  * Matches connections with leads by username and updates status globally.
+ * Accepted leads get their generated message, then the campaign follow-ups
+ * (libs/follow-up-policy.js) until they reply. Leads on the user's
+ * do-not-contact list (libs/blocklist.js) get neither.
  */
 
 import { testLinkedInSession, cleanupBrowserSession } from './linkedin-session-validator';
-import { updateLeadStatus } from './lead-status-manager';
+import { updateLeadStatus, flagBlockedLead } from './lead-status-manager';
 import { db } from './db';
 import { leads, campaigns, messages } from './schema';
-import { eq, and, or, inArray } from 'drizzle-orm';
+import { eq, and, or, inArray, isNull, lt, asc } from 'drizzle-orm';
 import getRedisClient from './redis';
-import { sendMessageToLead, randomDelay } from './linkedin-message-sender';
+import { sendMessageToLead, checkLeadReplied, randomDelay } from './linkedin-message-sender';
+import { generateFollowUpMessage } from './groq-service';
+import { MAX_FOLLOW_UPS, getNextFollowUp } from './follow-up-policy';
+import { renderMessageTemplate } from './message-template';
 import { checkDailyMessageLimit, incrementMessageCounter } from './rate-limit-manager';
+import {
+  getCampaignSettings,
+  isWithinWorkingHours,
+  checkCampaignDailyCap,
+  incrementCampaignDailyCounter
+} from './campaign-settings';
+import { getSequenceManagedLeadIds } from './sequences';
+import { getBlocklistMatcher } from './blocklist';
+import { matchBlocklist, describeBlocklistMatch } from './blocklist-rules';
 
 /**
  * Extract username from LinkedIn URL
@@ -148,10 +163,13 @@ export async function scrapeConnectionsPage(page, targetCount = 50) {
 
 /**
  * Fetch all leads with sent invites for the user
+ * Only leads invited from this account (or not pinned to any account) are returned,
+ * so acceptances are matched and follow-ups sent by the account that invited them.
  * @param {string} userId - User ID
+ * @param {string} accountId - LinkedIn account being checked
  * @returns {Promise<Array>} - Array of leads with sent invites
  */
-async function fetchLeadsWithSentInvites(userId) {
+async function fetchLeadsWithSentInvites(userId, accountId) {
   try {
     console.log(`📥 Fetching leads for connection check (sent invites + accepted without messages)`);
     
@@ -164,6 +182,10 @@ async function fetchLeadsWithSentInvites(userId) {
       .where(
         and(
           eq(leads.userId, userId),
+          or(
+            eq(leads.senderAccountId, accountId),
+            isNull(leads.senderAccountId)  // Invited before account pinning
+          ),
           or(
             eq(leads.inviteStatus, 'sent'),  // Pending invites
             and(
@@ -189,24 +211,266 @@ async function fetchLeadsWithSentInvites(userId) {
   }
 }
 
+/**
+ * Fetch accepted leads whose next follow-up (message 2 or 3) is due
+ * Leads that replied or are messaged by a running sequence get no follow-ups.
+ * @param {string} userId - User ID
+ * @param {string} accountId - LinkedIn account being checked
+ * @param {Function} loadCampaignSettings - Campaign settings loader (cached per campaign)
+ * @returns {Promise<Array>} - [{ lead, next }] with next from getNextFollowUp
+ */
+async function fetchLeadsDueForFollowUp(userId, accountId, loadCampaignSettings) {
+  const candidates = await db
+    .select()
+    .from(leads)
+    .where(
+      and(
+        eq(leads.userId, userId),
+        or(
+          eq(leads.senderAccountId, accountId),
+          isNull(leads.senderAccountId)
+        ),
+        eq(leads.inviteStatus, 'accepted'),
+        eq(leads.messageSent, true),
+        isNull(leads.repliedAt),
+        lt(leads.followUpsSent, MAX_FOLLOW_UPS)
+      )
+    );
+
+  if (candidates.length === 0) return [];
+
+  const sequenceLeadIds = await getSequenceManagedLeadIds(candidates.map(l => l.id));
+  const now = new Date();
+  const dueLeads = [];
+
+  for (const lead of candidates) {
+    if (sequenceLeadIds.has(lead.id)) continue;
+
+    const settings = await loadCampaignSettings(lead.campaignId);
+    const next = getNextFollowUp(lead, settings.followUps, { timezone: settings.timezone, now });
+    if (next?.due) {
+      dueLeads.push({ lead, next });
+    }
+  }
+
+  console.log(`✅ Found ${dueLeads.length} lead(s) due for a follow-up (${candidates.length} waiting for one)`);
+  return dueLeads;
+}
+
+/**
+ * Write the text of a follow-up: its template, else an AI message built on the conversation so far
+ * @param {Object} lead - Lead row
+ * @param {Object} next - Next follow-up from getNextFollowUp
+ * @returns {Promise<Object>} - { content, model, customPrompt }
+ */
+async function composeFollowUp(lead, next) {
+  const { followUp, number } = next;
+
+  if (followUp.template.trim()) {
+    return { content: renderMessageTemplate(followUp.template, lead), model: 'template', customPrompt: null };
+  }
+
+  const sentMessages = await db
+    .select({ content: messages.content })
+    .from(messages)
+    .where(and(eq(messages.leadId, lead.id), eq(messages.status, 'sent')))
+    .orderBy(asc(messages.sentAt));
+
+  const model = 'llama-3.1-8b-instant';
+  const content = await generateFollowUpMessage({
+    leadName: lead.name || 'LinkedIn User',
+    leadTitle: lead.title,
+    leadCompany: lead.company,
+    previousMessages: sentMessages.map(m => m.content),
+    followUpNumber: number,
+    customPrompt: followUp.prompt ? renderMessageTemplate(followUp.prompt, lead) : followUp.prompt,
+    model
+  });
+
+  return { content, model, customPrompt: followUp.prompt || null };
+}
+
+/**
+ * Send the due follow-ups, checking each conversation for a reply first
+ * Leads who replied are marked (repliedAt) and get no more follow-ups.
+ * Follow-ups skipped by limits or working hours stay due for the next check.
+ * @param {Page} page - Playwright page object
+ * @param {Object} accountData - LinkedIn account sending the follow-ups
+ * @param {Array} dueLeads - From fetchLeadsDueForFollowUp
+ * @param {Object} options - { dryRun, loadCampaignSettings, plannedActions, skipBlockedLead }
+ * @returns {Promise<Object>} - { sent, replied }
+ */
+async function sendDueFollowUps(page, accountData, dueLeads, { dryRun, loadCampaignSettings, plannedActions, skipBlockedLead }) {
+  let sent = 0;
+  let replied = 0;
+
+  for (let i = 0; i < dueLeads.length; i++) {
+    const { lead, next } = dueLeads[i];
+    const leadName = lead.name || 'Lead';
+
+    if (await skipBlockedLead(lead, `send_follow_up_${next.number}`)) continue;
+
+    const currentLimit = await checkDailyMessageLimit(accountData.id);
+    if (!currentLimit.canSend) {
+      console.log(`⚠️ Daily message limit reached after ${sent} follow-ups. Stopping.\n`);
+      break;
+    }
+
+    const campaignSettings = await loadCampaignSettings(lead.campaignId);
+
+    if (!isWithinWorkingHours(campaignSettings)) {
+      console.log(`🌙 Skipping follow-up to ${leadName}: outside campaign working hours (${campaignSettings.timezone})`);
+      continue;
+    }
+
+    const campaignCap = await checkCampaignDailyCap(lead.campaignId, campaignSettings, 'message');
+    if (!campaignCap.canSend) {
+      console.log(`⚠️ Skipping follow-up to ${leadName}: campaign daily message cap reached (${campaignCap.limit})`);
+      continue;
+    }
+
+    // Stop the follow-ups as soon as the lead has answered
+    const replyCheck = await checkLeadReplied(page, lead.url, leadName);
+    if (!replyCheck.success) {
+      console.log(`⚠️ Skipping follow-up to ${leadName}: reply check failed (${replyCheck.error})`);
+      continue;
+    }
+
+    if (replyCheck.replied) {
+      replied++;
+      if (dryRun) {
+        plannedActions.push({ leadId: lead.id, name: lead.name, url: lead.url, action: 'stop_follow_ups', outcome: 'replied' });
+      } else {
+        await db.update(leads)
+          .set({ repliedAt: new Date() })
+          .where(eq(leads.id, lead.id));
+      }
+      console.log(`💬 ${leadName} replied, no more follow-ups`);
+      continue;
+    }
+
+    console.log(`📤 Sending follow-up ${next.number} (${i + 1}/${dueLeads.length}) to: ${leadName}`);
+
+    try {
+      const followUp = await composeFollowUp(lead, next);
+      const result = await sendMessageToLead(page, lead.url, followUp.content, leadName, { dryRun });
+
+      if (dryRun) {
+        plannedActions.push({
+          leadId: lead.id,
+          name: lead.name,
+          url: lead.url,
+          action: `send_follow_up_${next.number}`,
+          message: followUp.content,
+          outcome: result.success ? 'would_send' : 'failed',
+          error: result.error || null
+        });
+        if (result.success) sent++;
+        continue;
+      }
+
+      if (!result.success) {
+        console.error(`❌ Failed to send follow-up: ${result.error}`);
+        await db.update(leads)
+          .set({ messageError: result.error })
+          .where(eq(leads.id, lead.id));
+        continue;
+      }
+
+      const sentAt = new Date();
+
+      await db.update(leads)
+        .set({
+          followUpsSent: next.number - 1,
+          lastFollowUpAt: sentAt,
+          messageError: null
+        })
+        .where(eq(leads.id, lead.id));
+
+      // Keep the follow-up with the lead's messages so the next one can build on it
+      await db.insert(messages).values({
+        userId: lead.userId,
+        leadId: lead.id,
+        campaignId: lead.campaignId,
+        content: followUp.content,
+        model: followUp.model,
+        customPrompt: followUp.customPrompt,
+        postsAnalyzed: 0,
+        status: 'sent',
+        sentAt
+      });
+
+      await incrementMessageCounter(accountData.id);
+      await incrementCampaignDailyCounter(lead.campaignId, campaignSettings, 'message');
+
+      sent++;
+      console.log(`✅ Follow-up ${next.number} sent (${sent} total)\n`);
+
+      if (i < dueLeads.length - 1) {
+        await randomDelay(30, 90);
+      }
+
+    } catch (error) {
+      console.error(`❌ Error sending follow-up to ${leadName}:`, error.message);
+      if (dryRun) {
+        plannedActions.push({ leadId: lead.id, name: lead.name, url: lead.url, action: `send_follow_up_${next.number}`, outcome: 'failed', error: error.message });
+        continue;
+      }
+      await db.update(leads)
+        .set({ messageError: error.message })
+        .where(eq(leads.id, lead.id));
+    }
+  }
+
+  return { sent, replied };
+}
+
 /**
  * Check connection acceptances for a LinkedIn account
  * Main orchestration function
  * 
  * @param {Object} accountData - LinkedIn account data from database
  * @param {string} userId - User ID
+ * @param {Object} options - { dryRun } (dry run matches and types messages but changes nothing)
  * @returns {Promise<Object>} - Results object with matched/updated counts
  */
-export async function checkConnectionAcceptances(accountData, userId) {
+export async function checkConnectionAcceptances(accountData, userId, { dryRun = false } = {}) {
   let browserContext = null;
   let browserPage = null;
+  const plannedActions = []; // Dry run: messages that would have been sent
+  
+  // Campaign settings (working hours, daily message cap, follow-ups), loaded once per campaign
+  const settingsByCampaign = new Map();
+  const loadCampaignSettings = async (campaignId) => {
+    if (!settingsByCampaign.has(campaignId)) {
+      settingsByCampaign.set(campaignId, await getCampaignSettings(campaignId));
+    }
+    return settingsByCampaign.get(campaignId);
+  };
+
+  // Leads on the do-not-contact list are flagged and get no messages or follow-ups
+  let blocklist = null;
+  const skipBlockedLead = async (lead, action) => {
+    blocklist = blocklist || await getBlocklistMatcher(userId);
+    const entry = matchBlocklist(lead, blocklist);
+    if (!entry) return false;
+
+    console.log(`🚫 Skipping ${lead.name || 'Lead'}: ${describeBlocklistMatch(entry)}`);
+    if (dryRun) {
+      plannedActions.push({ leadId: lead.id, name: lead.name, url: lead.url, action, outcome: 'blocked', error: describeBlocklistMatch(entry) });
+    } else {
+      await flagBlockedLead(lead.campaignId, lead, entry);
+    }
+    return true;
+  };
   
   try {
     console.log(`\n${'='.repeat(60)}`);
     console.log(`🔍 CONNECTION ACCEPTANCE CHECK`);
     console.log(`${'='.repeat(60)}`);
     console.log(`👤 Account: ${accountData.email}`);
-    console.log(`🆔 User ID: ${userId}\n`);
+    console.log(`🆔 User ID: ${userId}`);
+    console.log(`🧪 Dry run: ${dryRun ? 'YES - no statuses, messages or counters will change' : 'no'}\n`);
     
     // STEP 1: Validate and open LinkedIn session
     console.log('🔐 STEP 1: Validating LinkedIn session...');
@@ -222,9 +486,10 @@ export async function checkConnectionAcceptances(accountData, userId) {
     
     // STEP 2: Fetch leads with sent invites
     console.log('📥 STEP 2: Fetching leads with sent invites...');
-    const sentLeads = await fetchLeadsWithSentInvites(userId);
+    const sentLeads = await fetchLeadsWithSentInvites(userId, accountData.id);
+    const followUpLeads = await fetchLeadsDueForFollowUp(userId, accountData.id, loadCampaignSettings);
     
-    if (sentLeads.length === 0) {
+    if (sentLeads.length === 0 && followUpLeads.length === 0) {
       console.log('⚠️ No leads with sent invites found');
       return {
         success: true,
@@ -237,14 +502,14 @@ export async function checkConnectionAcceptances(accountData, userId) {
     
     console.log(`✅ Found ${sentLeads.length} leads to check\n`);
     
-    // STEP 3: Scrape connections page
+    // STEP 3: Scrape connections page (only needed for pending invites)
     console.log('🌐 STEP 3: Scraping LinkedIn connections page...');
     // Load at least 100 connections to cover manual invites + app invites
     // LinkedIn shows newest connections first, so we want to check recent ones
     const targetCount = Math.max(sentLeads.length * 3, 100); // 3x buffer or minimum 100
-    const connectionUrls = await scrapeConnectionsPage(browserPage, targetCount);
+    const connectionUrls = sentLeads.length > 0 ? await scrapeConnectionsPage(browserPage, targetCount) : [];
     
-    if (connectionUrls.length === 0) {
+    if (connectionUrls.length === 0 && followUpLeads.length === 0) {
       console.log('⚠️ No connections found on page');
       return {
         success: true,
@@ -286,7 +551,7 @@ export async function checkConnectionAcceptances(accountData, userId) {
     console.log(`\n📊 Matched ${matchedLeads.length}/${sentLeads.length} leads\n`);
     
     // STEP 6: Update matched leads in their respective campaigns
-    if (matchedLeads.length > 0) {
+    if (matchedLeads.length > 0 && !dryRun) {
       console.log('💾 STEP 6: Updating matched leads in their campaigns...');
       
       const updatePromises = matchedLeads.map(async (lead) => {
@@ -335,13 +600,19 @@ export async function checkConnectionAcceptances(accountData, userId) {
         
         console.log(`📝 Found ${leadMessages.length} generated messages for matched leads\n`);
         
+        // Leads in a running sequence get their messages from the sequence's message steps
+        const sequenceLeadIds = await getSequenceManagedLeadIds(matchedLeadIds);
+        if (sequenceLeadIds.size > 0) {
+          console.log(`🧭 ${sequenceLeadIds.size} matched lead(s) are messaged by their sequence`);
+        }
+        
         // Filter leads that: have message + message not sent yet
         const leadsToMessage = [];
         
         for (const lead of matchedLeads) {
           const leadMessage = leadMessages.find(m => m.leadId === lead.id);
           
-          if (leadMessage && !lead.messageSent) {
+          if (leadMessage && !lead.messageSent && !sequenceLeadIds.has(lead.id) && !(await skipBlockedLead(lead, 'send_message'))) {
             leadsToMessage.push({
               lead,
               message: leadMessage
@@ -362,6 +633,21 @@ export async function checkConnectionAcceptances(accountData, userId) {
             break;
           }
           
+          // Respect the lead's campaign working hours and daily message cap
+          // Skipped leads stay accepted without a message and are retried on the next check
+          const campaignSettings = await loadCampaignSettings(lead.campaignId);
+          
+          if (!isWithinWorkingHours(campaignSettings)) {
+            console.log(`🌙 Skipping ${lead.name || 'Lead'}: outside campaign working hours (${campaignSettings.timezone})`);
+            continue;
+          }
+          
+          const campaignCap = await checkCampaignDailyCap(lead.campaignId, campaignSettings, 'message');
+          if (!campaignCap.canSend) {
+            console.log(`⚠️ Skipping ${lead.name || 'Lead'}: campaign daily message cap reached (${campaignCap.limit})`);
+            continue;
+          }
+          
           console.log(`📤 Sending message ${i + 1}/${leadsToMessage.length} to: ${lead.name || 'Lead'}`);
           
           try {
@@ -369,10 +655,24 @@ export async function checkConnectionAcceptances(accountData, userId) {
               browserPage,
               lead.url,
               message.content,
-              lead.name || 'Lead'
+              lead.name || 'Lead',
+              { dryRun }
             );
             
-            if (result.success) {
+            if (dryRun) {
+              plannedActions.push({
+                leadId: lead.id,
+                name: lead.name,
+                url: lead.url,
+                action: 'send_message',
+                message: message.content,
+                outcome: result.success ? 'would_send' : 'failed',
+                error: result.error || null
+              });
+              
+              if (result.success) messagesSent++;
+              
+            } else if (result.success) {
               // Update lead message status in database
               await db.update(leads)
                 .set({
@@ -390,8 +690,9 @@ export async function checkConnectionAcceptances(accountData, userId) {
                 })
                 .where(eq(messages.id, message.id));
               
-              // Increment counter
+              // Increment counters
               await incrementMessageCounter(accountData.id);
+              await incrementCampaignDailyCounter(lead.campaignId, campaignSettings, 'message');
               
               messagesSent++;
               console.log(`✅ Message sent successfully (${messagesSent} total)\n`);
@@ -414,6 +715,10 @@ export async function checkConnectionAcceptances(accountData, userId) {
             
           } catch (error) {
             console.error(`❌ Error sending message to ${lead.name}:`, error.message);
+            if (dryRun) {
+              plannedActions.push({ leadId: lead.id, name: lead.name, url: lead.url, action: 'send_message', message: message.content, outcome: 'failed', error: error.message });
+              continue;
+            }
             // Update lead message error in database
             await db.update(leads)
               .set({
@@ -428,15 +733,34 @@ export async function checkConnectionAcceptances(accountData, userId) {
       }
     }
     
-    // STEP 8: Update lastConnectionCheckAt for all checked leads
-    console.log('💾 STEP 8: Updating check timestamp for all leads...');
-    const leadIds = sentLeads.map(l => l.id);
-    
-    await db.update(leads)
-      .set({ lastConnectionCheckAt: new Date() })
-      .where(inArray(leads.id, leadIds));
+    // STEP 8: Send due follow-ups (messages 2 and 3) to leads who have not replied
+    let followUpsSent = 0;
+    let followUpsStopped = 0;
+    
+    if (followUpLeads.length > 0) {
+      console.log('📨 STEP 8: Sending follow-ups...');
+      const followUpResult = await sendDueFollowUps(browserPage, accountData, followUpLeads, {
+        dryRun,
+        loadCampaignSettings,
+        plannedActions,
+        skipBlockedLead
+      });
+      followUpsSent = followUpResult.sent;
+      followUpsStopped = followUpResult.replied;
+      console.log(`\n📊 Follow-ups sent: ${followUpsSent}/${followUpLeads.length}, stopped by a reply: ${followUpsStopped}\n`);
+    }
     
-    console.log('✅ Check timestamps updated\n');
+    // STEP 9: Update lastConnectionCheckAt for all checked leads
+    if (!dryRun && sentLeads.length > 0) {
+      console.log('💾 STEP 9: Updating check timestamp for all leads...');
+      const leadIds = sentLeads.map(l => l.id);
+      
+      await db.update(leads)
+        .set({ lastConnectionCheckAt: new Date() })
+        .where(inArray(leads.id, leadIds));
+      
+      console.log('✅ Check timestamps updated\n');
+    }
     
     console.log(`${'='.repeat(60)}`);
     console.log(`🎉 CONNECTION CHECK COMPLETE`);
@@ -444,16 +768,20 @@ export async function checkConnectionAcceptances(accountData, userId) {
     console.log(`📊 Total leads checked: ${sentLeads.length}`);
     console.log(`✅ Matched connections: ${matchedLeads.length}`);
     console.log(`🔄 Updated globally: ${matchedLeads.length}`);
-    console.log(`📨 Messages sent: ${messagesSent}`);
+    console.log(`📨 Messages ${dryRun ? 'that would be sent' : 'sent'}: ${messagesSent}`);
+    console.log(`🔁 Follow-ups ${dryRun ? 'that would be sent' : 'sent'}: ${followUpsSent}`);
     console.log(`${'='.repeat(60)}\n`);
     
     return {
       success: true,
       matched: matchedLeads.length,
-      updated: matchedLeads.length,
+      updated: dryRun ? 0 : matchedLeads.length,
       total: sentLeads.length,
-      messagesSent: messagesSent,
-      matchedLeads: matchedLeads.map(l => ({ id: l.id, name: l.name, url: l.url }))
+      messagesSent: dryRun ? 0 : messagesSent,
+      followUpsSent: dryRun ? 0 : followUpsSent,
+      followUpsStopped,
+      matchedLeads: matchedLeads.map(l => ({ id: l.id, name: l.name, url: l.url })),
+      ...(dryRun && { dryRun: true, wouldSendMessages: messagesSent, wouldSendFollowUps: followUpsSent, plannedActions })
     };
     
   } catch (error) {
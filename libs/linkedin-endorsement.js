@@ -0,0 +1,201 @@
+/**
+ * LinkedIn Endorsement Module
+ *
+ * Endorses skills of a connection, a low-risk warm touch before pitching.
+ * Opens the profile, expands the skills section ("Show all skills") and
+ * endorses either the top skills or the ones matching keywords. Built like
+ * the other profile actions (linkedin-profile-actions.js): fallback selectors,
+ * { success, ... } results, no throws. Daily caps are checked by the caller.
+ */
+
+import { waitForPageStabilization, isProfileUnavailable } from './linkedin-invite-automation';
+import { DEFAULT_ENDORSE_SKILLS } from './sequence-graph';
+
+/**
+ * Choose the skills to endorse
+ * Pure function.
+ *
+ * @param {Array<string>} skills - Skill names in profile order (top skills first)
+ * @param {Object} options
+ * @param {number} options.maxSkills - How many to endorse at most
+ * @param {Array<string>} options.keywords - Only skills containing one of these (case-insensitive); empty for the top skills
+ * @returns {Array<string>}
+ */
+export function selectSkillsToEndorse(skills, { maxSkills = DEFAULT_ENDORSE_SKILLS, keywords = [] } = {}) {
+  const wanted = keywords.map(keyword => keyword.trim().toLowerCase()).filter(Boolean);
+
+  const matching = wanted.length === 0
+    ? skills
+    : skills.filter(skill => wanted.some(keyword => skill.toLowerCase().includes(keyword)));
+
+  return matching.slice(0, Math.max(0, maxSkills));
+}
+
+/**
+ * Open the full skills list: "Show all skills" from the profile, else its URL
+ * @param {Page} page - Playwright page object
+ * @param {string} leadUrl - LinkedIn profile URL
+ */
+async function openSkillsList(page, leadUrl) {
+  const showAllSelectors = [
+    'section:has(#skills) a[href*="/details/skills"]',
+    'a[id*="navigation-index-Show-all"][href*="skills"]',
+    'section:has(#skills) a:has-text("Show all")',
+    'a[href*="/details/skills"]'
+  ];
+
+  // The skills section loads lazily further down the profile
+  await page.locator('#skills').first().scrollIntoViewIfNeeded({ timeout: 5000 }).catch(() => {});
+  await page.waitForTimeout(1000);
+
+  for (const selector of showAllSelectors) {
+    try {
+      const link = page.locator(selector).first();
+      if (await link.isVisible({ timeout: 2000 })) {
+        await link.click();
+        await page.waitForURL(/\/details\/skills/, { timeout: 10000 });
+        console.log(`✅ Expanded skills section`);
+        await waitForPageStabilization(page);
+        return;
+      }
+    } catch (e) {
+      continue;
+    }
+  }
+
+  console.log(`⚠️ "Show all skills" not found, opening the skills page directly`);
+  await page.goto(`${leadUrl.split('?')[0].replace(/\/+$/, '')}/details/skills/`, {
+    waitUntil: 'domcontentloaded',
+    timeout: 45000
+  });
+  await waitForPageStabilization(page);
+}
+
+/**
+ * Read the skills on the skills page with their endorse button state
+ * @param {Page} page - Playwright page object
+ * @returns {Promise<Array>} - [{ name, button, endorsed }] in page order
+ */
+async function readSkills(page) {
+  // Scroll so lazily loaded skills render
+  for (let i = 0; i < 3; i++) {
+    await page.mouse.wheel(0, 1200).catch(() => {});
+    await page.waitForTimeout(800);
+  }
+
+  const itemSelectors = [
+    'li.pvs-list__paged-list-item',
+    'li.artdeco-list__item',
+    'main section li:has(button)'
+  ];
+
+  let items = [];
+  for (const selector of itemSelectors) {
+    items = await page.locator(selector).all().catch(() => []);
+    if (items.length > 0) break;
+  }
+
+  const skills = [];
+  const seen = new Set();
+
+  for (const item of items) {
+    try {
+      const nameElement = item.locator('.t-bold span[aria-hidden="true"], .t-bold, span[aria-hidden="true"]').first();
+      const name = ((await nameElement.textContent({ timeout: 1000 }).catch(() => '')) || '').trim();
+      if (!name || seen.has(name.toLowerCase())) continue;
+
+      const endorsedButton = item.locator('button:has(span:text-is("Endorsed")), button[aria-label*="Endorsed"]').first();
+      const endorseButton = item.locator('button[aria-label^="Endorse"], button:has(span:text-is("Endorse"))').first();
+
+      const endorsed = await endorsedButton.isVisible({ timeout: 500 }).catch(() => false);
+      const canEndorse = !endorsed && await endorseButton.isVisible({ timeout: 500 }).catch(() => false);
+
+      // Items without either button are not skills (or the lead is not a connection)
+      if (!endorsed && !canEndorse) continue;
+
+      seen.add(name.toLowerCase());
+      skills.push({ name, button: canEndorse ? endorseButton : null, endorsed });
+    } catch (e) {
+      continue;
+    }
+  }
+
+  return skills;
+}
+
+/**
+ * Endorse skills of a connection
+ *
+ * @param {Page} page - Playwright page object
+ * @param {string} leadUrl - LinkedIn profile URL
+ * @param {string} leadName - Lead name (for logs)
+ * @param {Object} options - { maxSkills, keywords } (see selectSkillsToEndorse)
+ * @returns {Promise<Object>} - { success, endorsed, alreadyEndorsed, noMatch, notConnected, unavailable, error }
+ *   endorsed / alreadyEndorsed are skill names
+ */
+export async function endorseLeadSkills(page, leadUrl, leadName, { maxSkills = DEFAULT_ENDORSE_SKILLS, keywords = [] } = {}) {
+  console.log(`\n🏅 Endorsing skills of: ${leadName}`);
+
+  try {
+    try {
+      await page.goto(leadUrl, { waitUntil: 'domcontentloaded', timeout: 45000 });
+    } catch (navError) {
+      return { success: false, error: `Navigation failed: ${navError.message}` };
+    }
+
+    await waitForPageStabilization(page);
+
+    if (await isProfileUnavailable(page)) {
+      console.log(`🚫 Profile unavailable: ${leadUrl}`);
+      return { success: false, unavailable: true, error: 'Profile unavailable' };
+    }
+
+    await openSkillsList(page, leadUrl);
+    const skills = await readSkills(page);
+
+    if (skills.length === 0) {
+      // Endorse buttons are only shown to 1st-degree connections
+      console.log(`ℹ️ No endorsable skills for ${leadName} (not a connection or no skills listed)`);
+      return { success: true, notConnected: true, endorsed: [], alreadyEndorsed: [] };
+    }
+
+    const selected = selectSkillsToEndorse(skills.map(skill => skill.name), { maxSkills, keywords });
+    if (selected.length === 0) {
+      console.log(`ℹ️ No skill of ${leadName} matches: ${keywords.join(', ')}`);
+      return { success: true, noMatch: true, endorsed: [], alreadyEndorsed: [] };
+    }
+
+    const endorsed = [];
+    const alreadyEndorsed = [];
+
+    for (const name of selected) {
+      const skill = skills.find(item => item.name === name);
+
+      if (skill.endorsed) {
+        alreadyEndorsed.push(name);
+        continue;
+      }
+
+      try {
+        await skill.button.scrollIntoViewIfNeeded().catch(() => {});
+        await skill.button.click({ timeout: 5000 });
+        await page.waitForTimeout(1500 + Math.round(Math.random() * 2500));
+        endorsed.push(name);
+        console.log(`✅ Endorsed: ${name}`);
+      } catch (clickError) {
+        console.log(`⚠️ Could not endorse ${name}:`, clickError.message);
+      }
+    }
+
+    if (endorsed.length === 0 && alreadyEndorsed.length === 0) {
+      return { success: false, error: 'Failed to click any Endorse button', endorsed, alreadyEndorsed };
+    }
+
+    console.log(`🏅 ${leadName}: ${endorsed.length} endorsed, ${alreadyEndorsed.length} already endorsed`);
+    return { success: true, endorsed, alreadyEndorsed };
+
+  } catch (error) {
+    console.error(`❌ Failed to endorse skills of ${leadName}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
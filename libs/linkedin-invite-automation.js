@@ -5,7 +5,10 @@
  * Separated from API logic for better maintainability and testability.
  */
 
-import { updateLeadStatus } from './lead-status-manager';
+import { updateLeadStatus, recordInviteFailure, recordNoteVariant, promoteNoteVariantWinner } from './lead-status-manager';
+import { getCampaignSettings } from './campaign-settings';
+import { assignNoteVariant, MAX_NOTE_LENGTH } from './note-variants';
+import { renderMessageTemplate } from './message-template';
 
 // Debug mode: Enable screenshots and verbose logging
 const DEBUG_MODE = process.env.ENABLE_DEBUG === 'true' || process.env.NODE_ENV === 'development';
@@ -14,7 +17,7 @@ const DEBUG_MODE = process.env.ENABLE_DEBUG === 'true' || process.env.NODE_ENV =
  * Wait for LinkedIn profile page to stabilize
  * @param {Page} page - Playwright page object
  */
-async function waitForPageStabilization(page) {
+export async function waitForPageStabilization(page) {
   console.log(`⏳ Waiting for profile page to stabilize...`);
   
   try {
@@ -43,7 +46,7 @@ async function waitForPageStabilization(page) {
  * @param {Page} page - Playwright page object
  * @returns {Promise<Locator|null>} - Profile header container or null
  */
-async function getProfileHeaderContainer(page) {
+export async function getProfileHeaderContainer(page) {
   console.log(`🔍 Finding profile header container...`);
   
   // Multiple possible selectors for the profile header/actions area
@@ -304,9 +307,10 @@ export async function findConnectButton(page) {
  * @param {string} campaignId - Campaign ID
  * @param {Object} lead - Lead object
  * @param {Object} results - Results object to update
+ * @param {Object} options - { dryRun } (dry run detects the state without updating the lead)
  * @returns {Promise<boolean>} - True if already connected/pending, false otherwise
  */
-export async function checkConnectionStatus(page, campaignId, lead, results) {
+export async function checkConnectionStatus(page, campaignId, lead, results, { dryRun = false } = {}) {
   console.log(`🔍 Checking connection status...`);
   
   // 1. Check Pending first
@@ -318,7 +322,9 @@ export async function checkConnectionStatus(page, campaignId, lead, results) {
       results.alreadyPending++;
       
       // Update this lead in this campaign
-      await updateLeadStatus(campaignId, lead.id, 'sent', true);
+      if (!dryRun) {
+        await updateLeadStatus(campaignId, lead.id, 'sent', true);
+      }
       return true;
     }
   } catch (e) {
@@ -334,7 +340,9 @@ export async function checkConnectionStatus(page, campaignId, lead, results) {
       console.log(`📝 LinkedIn shows "Connected" - updating as ACCEPTED`);
       results.alreadyConnected++;
       
-      await updateLeadStatus(campaignId, lead.id, 'accepted', true);
+      if (!dryRun) {
+        await updateLeadStatus(campaignId, lead.id, 'accepted', true);
+      }
       return true;
     }
   } catch (e) {
@@ -403,11 +411,196 @@ export async function clickConnectButton(connectButton, page) {
 }
 
 /**
- * Handle invitation modal (click "Send without a note")
+ * Close the invitation modal without sending (dry run)
  * @param {Page} page - Playwright page object
- * @returns {Promise<boolean>} - True if invite sent, false otherwise
  */
-export async function handleInviteModal(page) {
+async function dismissInviteModal(page) {
+  try {
+    const dismissButton = page.locator('div[role="dialog"] button[aria-label="Dismiss"]').first();
+    if (await dismissButton.isVisible({ timeout: 1000 })) {
+      await dismissButton.click();
+    } else {
+      await page.keyboard.press('Escape');
+    }
+    await page.waitForTimeout(1000);
+  } catch (e) {
+    console.log(`⚠️ Could not dismiss invite modal:`, e.message);
+  }
+}
+
+/**
+ * Verify that the invite went out after the modal was submitted
+ * @param {Page} page - Playwright page object
+ * @returns {Promise<boolean>} - Always true once "Send" was clicked without errors
+ */
+async function verifyInviteSent(page) {
+  // Wait for modal to close and page to update
+  console.log('⏳ Waiting for modal to close...');
+  await page.waitForTimeout(3000); // Increased from 2s to 3s for page to update
+  
+  // Debug screenshot after modal closes (only in debug mode)
+  if (DEBUG_MODE) {
+    try {
+      const afterModalPath = `./debug-after-modal-${Date.now()}.png`;
+      await page.screenshot({ path: afterModalPath, fullPage: false });
+      console.log(`📸 Debug: Screenshot saved to ${afterModalPath}`);
+    } catch (screenshotError) {
+      // Ignore screenshot errors
+    }
+  }
+  
+  // Verification: Check if Pending button appeared OR if Connect button disappeared
+  console.log('🔍 Verifying invite was sent...');
+  
+  // Strategy 1: Look for "Pending" button (most reliable)
+  const pendingSelectors = [
+    'button[aria-label*="Pending"]',  // Removed main .ph5 - search anywhere
+    'button:has-text("Pending")',
+    'button:has(span:text-is("Pending"))',
+    '.pv-top-card button[aria-label*="Pending"]',
+    'section.artdeco-card button[aria-label*="Pending"]'
+  ];
+  
+  for (const selector of pendingSelectors) {
+    try {
+      const pendingButton = page.locator(selector).first();
+      if (await pendingButton.isVisible({ timeout: 2000 })) {
+        console.log(`✅ Invite verified - Pending button found with: ${selector}`);
+        return true;
+      }
+    } catch (e) {
+      continue;
+    }
+  }
+  
+  // Strategy 2: Check if Connect button is gone (backup verification)
+  console.log('🔍 Pending button not found, checking if Connect button disappeared...');
+  const connectSelectors = [
+    'button:has(span.artdeco-button__text:text-is("Connect"))',
+    'button[aria-label*="Invite"][aria-label*="connect"]',
+    'button:text-is("Connect")'
+  ];
+  
+  let connectStillPresent = false;
+  for (const selector of connectSelectors) {
+    try {
+      const connectButton = page.locator(selector).first();
+      if (await connectButton.isVisible({ timeout: 1000 })) {
+        connectStillPresent = true;
+        break;
+      }
+    } catch (e) {
+      continue;
+    }
+  }
+  
+  if (!connectStillPresent) {
+    console.log('✅ Invite verified - Connect button disappeared (invite likely sent)');
+    return true;
+  }
+  
+  // Strategy 3: Check for success toast/notification
+  console.log('🔍 Looking for success notification...');
+  const successSelectors = [
+    '.artdeco-toast-item--visible',
+    '[data-test-artdeco-toast-item-type="success"]',
+    'div:has-text("Invitation sent")',
+    'div:has-text("sent successfully")'
+  ];
+  
+  for (const selector of successSelectors) {
+    try {
+      const toast = page.locator(selector).first();
+      if (await toast.isVisible({ timeout: 1000 })) {
+        console.log(`✅ Invite verified - Success notification found`);
+        return true;
+      }
+    } catch (e) {
+      continue;
+    }
+  }
+  
+  console.log('⚠️ Could not verify with Pending button or Connect disappearance');
+  console.log('⚠️ However, modal was shown and "Send" was clicked - treating as SUCCESS');
+  // If we got here: modal appeared, button was clicked, no errors
+  // This means the invite was likely sent, just couldn't verify UI state
+  return true;
+}
+
+/**
+ * Add a note in the invitation modal and send it
+ * @param {Page} page - Playwright page object
+ * @param {string} note - Note text (already rendered)
+ * @param {boolean} dryRun - Fill the note, then close the modal without sending
+ * @returns {Promise<boolean>} - True if sent (or ready to send in a dry run)
+ */
+async function sendInviteWithNote(page, note, dryRun) {
+  const addNoteBtn = page.locator('div[role="dialog"] button:has-text("Add a note")').first();
+  if (!await addNoteBtn.isVisible({ timeout: 2000 }).catch(() => false)) {
+    console.log(`❌ "Add a note" button not found`);
+    return false;
+  }
+
+  await addNoteBtn.click();
+  await page.waitForTimeout(1000);
+
+  const textareaSelectors = [
+    'textarea[name="message"]',
+    'textarea#custom-message',
+    'div[role="dialog"] textarea'
+  ];
+
+  let textarea = null;
+  for (const selector of textareaSelectors) {
+    const candidate = page.locator(selector).first();
+    if (await candidate.isVisible({ timeout: 1000 }).catch(() => false)) {
+      textarea = candidate;
+      break;
+    }
+  }
+
+  if (!textarea) {
+    console.log(`❌ Note field not found`);
+    return false;
+  }
+
+  await textarea.fill(note);
+  await page.waitForTimeout(500);
+
+  if (dryRun) {
+    console.log(`🧪 DRY RUN: note filled in - closing modal without sending`);
+    await dismissInviteModal(page);
+    return true;
+  }
+
+  const sendSelectors = [
+    'div[role="dialog"] button[aria-label="Send invitation"]',
+    'div[role="dialog"] button[aria-label="Send now"]',
+    'div[role="dialog"] button:has-text("Send"):not(:has-text("without"))'
+  ];
+
+  for (const selector of sendSelectors) {
+    const sendBtn = page.locator(selector).first();
+    if (await sendBtn.isEnabled({ timeout: 1000 }).catch(() => false)) {
+      console.log(`📨 Sending invitation with note...`);
+      await sendBtn.click();
+      return verifyInviteSent(page);
+    }
+  }
+
+  console.log(`❌ Send button not found or disabled after adding the note`);
+  return false;
+}
+
+/**
+ * Handle invitation modal ("Send without a note", or "Add a note" when a note is given)
+ * @param {Page} page - Playwright page object
+ * @param {Object} options - { dryRun, note }
+ *   dryRun: stops before the final click and closes the modal
+ *   note: connection note to send with the invite (null sends without a note)
+ * @returns {Promise<boolean>} - True if invite sent (or would be sent in a dry run), false otherwise
+ */
+export async function handleInviteModal(page, { dryRun = false, note = null } = {}) {
   console.log(`🔍 Looking for invitation modal...`);
   
   // Check if invitation modal is visible (more specific selector)
@@ -442,111 +635,24 @@ export async function handleInviteModal(page) {
   }
   
   console.log(`✅ Modal visible`);
-  
-  // Always send without a note
+
   try {
+    // A/B tested connection note (libs/note-variants.js)
+    if (note) {
+      return await sendInviteWithNote(page, note, dryRun);
+    }
+
     const sendWithoutNoteBtn = page.locator('button:has-text("Send without a note")').first();
     if (await sendWithoutNoteBtn.isVisible()) {
-      console.log(`📨 Sending invitation without note...`);
-      await sendWithoutNoteBtn.click();
-      
-      // Wait for modal to close and page to update
-      console.log('⏳ Waiting for modal to close...');
-      await page.waitForTimeout(3000); // Increased from 2s to 3s for page to update
-      
-      // Debug screenshot after modal closes (only in debug mode)
-      if (DEBUG_MODE) {
-        try {
-          const afterModalPath = `./debug-after-modal-${Date.now()}.png`;
-          await page.screenshot({ path: afterModalPath, fullPage: false });
-          console.log(`📸 Debug: Screenshot saved to ${afterModalPath}`);
-        } catch (screenshotError) {
-          // Ignore screenshot errors
-        }
-      }
-      
-      // Verification: Check if Pending button appeared OR if Connect button disappeared
-      console.log('🔍 Verifying invite was sent...');
-      
-      // Strategy 1: Look for "Pending" button (most reliable)
-      const pendingSelectors = [
-        'button[aria-label*="Pending"]',  // Removed main .ph5 - search anywhere
-        'button:has-text("Pending")',
-        'button:has(span:text-is("Pending"))',
-        '.pv-top-card button[aria-label*="Pending"]',
-        'section.artdeco-card button[aria-label*="Pending"]'
-      ];
-      
-      let pendingFound = false;
-      for (const selector of pendingSelectors) {
-        try {
-          const pendingButton = page.locator(selector).first();
-          if (await pendingButton.isVisible({ timeout: 2000 })) {
-            console.log(`✅ Invite verified - Pending button found with: ${selector}`);
-            pendingFound = true;
-            break;
-          }
-        } catch (e) {
-          continue;
-        }
-      }
-      
-      if (pendingFound) {
-        return true;
-      }
-      
-      // Strategy 2: Check if Connect button is gone (backup verification)
-      console.log('🔍 Pending button not found, checking if Connect button disappeared...');
-      const connectSelectors = [
-        'button:has(span.artdeco-button__text:text-is("Connect"))',
-        'button[aria-label*="Invite"][aria-label*="connect"]',
-        'button:text-is("Connect")'
-      ];
-      
-      let connectStillPresent = false;
-      for (const selector of connectSelectors) {
-        try {
-          const connectButton = page.locator(selector).first();
-          if (await connectButton.isVisible({ timeout: 1000 })) {
-            connectStillPresent = true;
-            break;
-          }
-        } catch (e) {
-          continue;
-        }
-      }
-      
-      if (!connectStillPresent) {
-        console.log('✅ Invite verified - Connect button disappeared (invite likely sent)');
+      if (dryRun) {
+        console.log(`🧪 DRY RUN: "Send without a note" is ready - closing modal without sending`);
+        await dismissInviteModal(page);
         return true;
       }
-      
-      // Strategy 3: Check for success toast/notification
-      console.log('🔍 Looking for success notification...');
-      const successSelectors = [
-        '.artdeco-toast-item--visible',
-        '[data-test-artdeco-toast-item-type="success"]',
-        'div:has-text("Invitation sent")',
-        'div:has-text("sent successfully")'
-      ];
-      
-      for (const selector of successSelectors) {
-        try {
-          const toast = page.locator(selector).first();
-          if (await toast.isVisible({ timeout: 1000 })) {
-            console.log(`✅ Invite verified - Success notification found`);
-            return true;
-          }
-        } catch (e) {
-          continue;
-        }
-      }
-      
-      console.log('⚠️ Could not verify with Pending button or Connect disappearance');
-      console.log('⚠️ However, modal was shown and "Send" was clicked - treating as SUCCESS');
-      // If we got here: modal appeared, button was clicked, no errors
-      // This means the invite was likely sent, just couldn't verify UI state
-      return true;
+
+      console.log(`📨 Sending invitation without note...`);
+      await sendWithoutNoteBtn.click();
+      return await verifyInviteSent(page);
     } else {
       console.log(`❌ Send without note button not found`);
       return false;
@@ -557,6 +663,24 @@ export async function handleInviteModal(page) {
   }
 }
 
+/**
+ * Check whether LinkedIn shows the "profile not available" / 404 page
+ * @param {Page} page - Playwright page object
+ * @returns {Promise<boolean>}
+ */
+export async function isProfileUnavailable(page) {
+  try {
+    if (/\/404|unavailable/i.test(page.url())) {
+      return true;
+    }
+
+    const notFound = page.locator('text=/This page doesn.t exist|profile is not available/i').first();
+    return await notFound.isVisible({ timeout: 1000 });
+  } catch (e) {
+    return false;
+  }
+}
+
 /**
  * Debug helper: Inspect all buttons on page
  * @param {Page} page - Playwright page object
@@ -598,12 +722,16 @@ async function inspectPageButtons(page) {
  * @param {BrowserContext} context - Playwright browser context
  * @param {Page} page - Playwright page object
  * @param {Array} leads - Array of lead objects
- * @param {string} customMessage - Custom message (not used, always send without note)
+ * @param {string} customMessage - Custom message (not used; the note comes from the campaign note A/B test)
  * @param {string} campaignId - Campaign ID
  * @param {Function} progressCallback - Optional callback for progress updates
+ * @param {Object} options - { retryPolicy, dryRun }
+ *   retryPolicy: campaign retry policy (loaded per failure if omitted)
+ *   dryRun: go up to the final click without sending; no lead status changes.
+ *     What would have happened is listed in results.plannedActions.
  * @returns {Promise<Object>} - Results object with counts
  */
-export async function processInvitesDirectly(context, page, leads, customMessage, campaignId, progressCallback = null) {
+export async function processInvitesDirectly(context, page, leads, customMessage, campaignId, progressCallback = null, options = {}) {
   console.log(`🚀 STEP 5: Processing ${leads.length} invite(s) directly...`);
   
   const results = {
@@ -615,6 +743,22 @@ export async function processInvitesDirectly(context, page, leads, customMessage
     errors: []
   };
 
+  const dryRun = !!options.dryRun;
+  if (dryRun) {
+    console.log(`🧪 DRY RUN: no invites will be sent and no lead statuses changed`);
+    results.dryRun = true;
+    results.wouldSend = 0;
+    results.plannedActions = [];
+  }
+
+  // Connection note A/B test: a winner is promoted before the batch so it already uses it
+  let noteTest = null;
+  try {
+    ({ noteTest } = dryRun ? await getCampaignSettings(campaignId) : await promoteNoteVariantWinner(campaignId));
+  } catch (error) {
+    console.log(`⚠️ Could not load note variants, sending without a note:`, error.message);
+  }
+
   // Track counters for determining lead status in progressCallback
   let initialSentCount = 0;
   let initialAlreadyConnected = 0;
@@ -622,25 +766,70 @@ export async function processInvitesDirectly(context, page, leads, customMessage
 
   for (let i = 0; i < leads.length; i++) {
     const lead = leads[i];
+    const noteVariant = noteTest ? assignNoteVariant(lead, noteTest) : null;
+    const note = noteVariant ? renderMessageTemplate(noteVariant.text, lead).slice(0, MAX_NOTE_LENGTH) : null;
     
     // Helper function to send intermediate progress updates
-    const sendProgress = async (stage, progressFraction = 0, statusOverride = 'processing') => {
+    const sendProgress = async (stage, progressFraction = 0, statusOverride = 'processing', errorMessage = null) => {
       if (progressCallback && typeof progressCallback === 'function') {
         try {
           await progressCallback({
             type: 'progress',
             current: i + progressFraction,
             total: leads.length,
+            leadIndex: i,
             leadName: lead.name,
             leadId: lead.id,
             stage: stage, // e.g., 'navigating', 'checking', 'clicking', 'sending'
-            status: statusOverride
+            status: statusOverride,
+            error: errorMessage
           });
         } catch (cbError) {
-          // Ignore callback errors to not break the flow
+          // Workflow control signals (pause/cancel) must stop processing; the counts
+          // go with them, also when raised from failLead outside the lead's try
+          if (cbError.message?.startsWith('WORKFLOW_')) {
+            cbError.results = results;
+            throw cbError;
+          }
+          // Ignore other callback errors to not break the flow
         }
       }
     };
+
+    // Dry run: record what would have happened to this lead
+    const planAction = (connectionState, outcome, error = null) => {
+      if (!dryRun) return;
+      results.plannedActions.push({
+        leadId: lead.id,
+        name: lead.name,
+        url: lead.url,
+        connectionState, // not_connected, pending, connected, unavailable, unknown
+        action: outcome === 'would_send' ? 'send_invite' : 'skip',
+        note: outcome === 'would_send' ? note : null,
+        noteVariant: outcome === 'would_send' ? noteVariant?.id || null : null,
+        outcome, // would_send, already_pending, already_connected, failed
+        error
+      });
+    };
+
+    // Helper function to record a failed attempt and schedule a retry if the policy allows it
+    const failLead = async (errorMessage, connectionState = 'unknown') => {
+      results.failed++;
+      results.errors.push({ leadId: lead.id, name: lead.name, error: errorMessage });
+
+      if (dryRun) {
+        planAction(connectionState, 'failed', errorMessage);
+        await sendProgress('failed', 1.0, 'failed', `${errorMessage} (dry run)`);
+        return;
+      }
+
+      const decision = await recordInviteFailure(campaignId, lead, errorMessage, options.retryPolicy);
+      const detail = decision.retry
+        ? `retry ${decision.attempts + 1} scheduled for ${decision.nextRetryAt.toISOString()}`
+        : `not retried: ${decision.errorClass}`;
+
+      await sendProgress('failed', 1.0, 'failed', `${errorMessage} (${detail})`);
+    };
     
     try {
       console.log(`📤 INVITE ${i + 1}/${leads.length}: ${lead.name || 'Lead'}`);
@@ -660,20 +849,21 @@ export async function processInvitesDirectly(context, page, leads, customMessage
         });
       } catch (navError) {
         console.log(`❌ Navigation failed:`, navError.message);
-        results.failed++;
-        results.errors.push({ 
-          leadId: lead.id, 
-          name: lead.name, 
-          error: `Navigation failed: ${navError.message}` 
-        });
         // Still send final progress for this lead
-        await sendProgress('failed', 1.0, 'failed');
+        await failLead(`Navigation failed: ${navError.message}`);
         continue;
       }
       
       // OPTIMIZATION: Reduced page load waits
       await page.waitForLoadState('domcontentloaded', { timeout: 10000 }).catch(() => {});
       await page.waitForTimeout(1000);  // Reduced from 3s → 1s
+
+      // Deleted/restricted profiles would otherwise look like "already connected" (no Connect button)
+      if (await isProfileUnavailable(page)) {
+        console.log(`🚫 Profile unavailable: ${lead.url}`);
+        await failLead('Profile unavailable', 'unavailable');
+        continue;
+      }
       
       // Stage 3: Checking connection status (40% of this lead)
       await sendProgress('checking', 0.4);
@@ -685,8 +875,11 @@ export async function processInvitesDirectly(context, page, leads, customMessage
       }
 
       // Check if already connected or pending
-      const isAlreadyProcessed = await checkConnectionStatus(page, campaignId, lead, results);
+      const pendingBefore = results.alreadyPending;
+      const isAlreadyProcessed = await checkConnectionStatus(page, campaignId, lead, results, { dryRun });
       if (isAlreadyProcessed) {
+        const wasPending = results.alreadyPending > pendingBefore;
+        planAction(wasPending ? 'pending' : 'connected', wasPending ? 'already_pending' : 'already_connected');
         // Lead already processed, mark as complete
         await sendProgress('already_processed', 1.0, 'already_processed');
         continue;
@@ -716,7 +909,9 @@ export async function processInvitesDirectly(context, page, leads, customMessage
             if (await pendingButton.isVisible({ timeout: 2000 })) {
               console.log(`⏳ ALREADY PENDING: ${lead.name} (found with: ${selector})`);
               results.alreadyPending++;
-              await updateLeadStatus(campaignId, lead.id, 'sent', true);
+              if (!dryRun) {
+                await updateLeadStatus(campaignId, lead.id, 'sent', true);
+              }
               isPending = true;
               break;
             }
@@ -726,7 +921,8 @@ export async function processInvitesDirectly(context, page, leads, customMessage
         }
         
         if (isPending) {
-        await sendProgress('already_pending', 1.0, 'already_pending');
+          planAction('pending', 'already_pending');
+          await sendProgress('already_pending', 1.0, 'already_pending');
           continue; // Move to next lead
         }
         
@@ -734,7 +930,10 @@ export async function processInvitesDirectly(context, page, leads, customMessage
         console.log(`✅ ALREADY CONNECTED: ${lead.name} (no Connect or Pending button)`);
         console.log(`📝 Marking as ACCEPTED`);
         results.alreadyConnected++;
-        await updateLeadStatus(campaignId, lead.id, 'accepted', true);
+        if (!dryRun) {
+          await updateLeadStatus(campaignId, lead.id, 'accepted', true);
+        }
+        planAction('connected', 'already_connected');
         await sendProgress('already_connected', 1.0, 'already_connected');
         continue;
       }
@@ -752,13 +951,7 @@ export async function processInvitesDirectly(context, page, leads, customMessage
       const clickSuccess = await clickConnectButton(connectButton, page);
       
       if (!clickSuccess) {
-        results.failed++;
-        results.errors.push({ 
-          leadId: lead.id, 
-          name: lead.name, 
-          error: 'Failed to click Connect button' 
-        });
-        await sendProgress('failed', 1.0, 'failed');
+        await failLead('Failed to click Connect button', 'not_connected');
         continue;
       }
       
@@ -778,20 +971,25 @@ export async function processInvitesDirectly(context, page, leads, customMessage
       await sendProgress('sending', 0.8);
       
       // Handle invitation modal
-      const inviteSent = await handleInviteModal(page);
+      const inviteSent = await handleInviteModal(page, { dryRun, note });
       
-      if (inviteSent) {
+      if (inviteSent && dryRun) {
+        results.wouldSend++;
+        planAction('not_connected', 'would_send');
+        console.log(`🧪 WOULD SEND INVITE: ${lead.name || 'Lead'}`);
+        await sendProgress('completed', 1.0, 'would_send');
+      } else if (inviteSent) {
         results.sent++;
         // Update this lead in this campaign
         await updateLeadStatus(campaignId, lead.id, 'sent', true);
-        console.log(`✅ INVITE SENT: ${lead.name || 'Lead'}`);
+        if (noteVariant) {
+          await recordNoteVariant(campaignId, lead.id, noteVariant.id);
+        }
+        console.log(`✅ INVITE SENT: ${lead.name || 'Lead'}${noteVariant ? ` (note ${noteVariant.id})` : ''}`);
         // Stage 8: Invite sent successfully (100% of this lead)
         await sendProgress('completed', 1.0, 'sent');
       } else {
-        results.failed++;
-        results.errors.push({ leadId: lead.id, name: lead.name, error: 'Failed to send invite via modal' });
-        await updateLeadStatus(campaignId, lead.id, 'failed', false);
-        await sendProgress('failed', 1.0, 'failed');
+        await failLead('Failed to send invite via modal', 'not_connected');
       }
 
       // Rate limiting: 10-30 seconds randomized (human-like behavior to avoid detection)
@@ -803,11 +1001,14 @@ export async function processInvitesDirectly(context, page, leads, customMessage
       }
 
     } catch (error) {
+      // Pause/cancel requested by the worker - stop without marking the lead as failed
+      // and hand back the counts for the leads finished so far
+      if (error.message?.startsWith('WORKFLOW_')) {
+        error.results = results;
+        throw error;
+      }
       console.error(`❌ Failed to process ${lead.name}:`, error.message);
-      results.failed++;
-      results.errors.push({ leadId: lead.id, name: lead.name, error: error.message });
-      await updateLeadStatus(campaignId, lead.id, 'failed', false);
-      await sendProgress('failed', 1.0, 'failed');
+      await failLead(error.message);
     }
     
     // ✅ Progress is now sent at each stage via sendProgress() helper
@@ -829,6 +1030,9 @@ export async function processInvitesDirectly(context, page, leads, customMessage
   console.log(`   Already Connected: ${results.alreadyConnected}`);
   console.log(`   Already Pending: ${results.alreadyPending}`);
   console.log(`   Failed: ${results.failed}`);
+  if (dryRun) {
+    console.log(`   Would send (dry run): ${results.wouldSend}`);
+  }
   console.log(`${'='.repeat(60)}\n`);
 
   return results;
@@ -225,9 +225,10 @@ export async function fillMessageTextarea(page, messageContent, leadName) {
 /**
  * Find and click Send button in message dialog
  * @param {Page} page - Playwright page object
- * @returns {Promise<boolean>} - True if send button was clicked
+ * @param {Object} options - { dryRun } (dry run only checks the button is ready)
+ * @returns {Promise<boolean>} - True if send button was clicked (or is clickable in a dry run)
  */
-export async function clickSendButton(page) {
+export async function clickSendButton(page, { dryRun = false } = {}) {
   console.log('📤 Looking for Send button...');
 
   try {
@@ -247,6 +248,11 @@ export async function clickSendButton(page) {
           const isDisabled = await button.isDisabled().catch(() => false);
           
           if (!isDisabled) {
+            if (dryRun) {
+              console.log('🧪 DRY RUN: Send button is ready - not clicking');
+              return true;
+            }
+
             await button.click({ timeout: 3000 });
             console.log('✅ Clicked Send button');
             await page.waitForTimeout(2000); // Wait for send to complete
@@ -267,15 +273,38 @@ export async function clickSendButton(page) {
   }
 }
 
+/**
+ * Clear the typed message and close the dialog so no draft is left behind (dry run, reply checks)
+ * @param {Page} page - Playwright page object
+ */
+async function discardMessageDraft(page) {
+  try {
+    const textbox = page.locator('div.msg-form__contenteditable, div[role="textbox"]').first();
+    if (await textbox.isVisible({ timeout: 1000 }).catch(() => false)) {
+      await textbox.fill('');
+    }
+
+    const closeButton = page.locator('button:has-text("Close your conversation"), button[aria-label*="Close your"]').first();
+    if (await closeButton.isVisible({ timeout: 1000 }).catch(() => false)) {
+      await closeButton.click();
+    } else {
+      await page.keyboard.press('Escape');
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not discard message draft:', error.message);
+  }
+}
+
 /**
  * Send LinkedIn message to a lead
  * @param {Page} page - Playwright page object  
  * @param {string} leadUrl - LinkedIn profile URL
  * @param {string} messageContent - Message content to send
  * @param {string} leadName - Lead name for logging
- * @returns {Promise<Object>} - { success: boolean, error?: string }
+ * @param {Object} options - { dryRun } (dry run types the message but never clicks Send)
+ * @returns {Promise<Object>} - { success: boolean, error?: string, dryRun?: boolean }
  */
-export async function sendMessageToLead(page, leadUrl, messageContent, leadName) {
+export async function sendMessageToLead(page, leadUrl, messageContent, leadName, { dryRun = false } = {}) {
   console.log(`\n📨 Attempting to send message to: ${leadName}`);
   console.log(`🔗 Profile URL: ${leadUrl}`);
 
@@ -323,7 +352,7 @@ export async function sendMessageToLead(page, leadUrl, messageContent, leadName)
     }
 
     // Send message
-    const messageSent = await clickSendButton(page);
+    const messageSent = await clickSendButton(page, { dryRun });
     
     if (!messageSent) {
       return {
@@ -332,6 +361,15 @@ export async function sendMessageToLead(page, leadUrl, messageContent, leadName)
       };
     }
 
+    if (dryRun) {
+      await discardMessageDraft(page);
+      console.log(`🧪 DRY RUN: message to ${leadName} was ready to send`);
+      return {
+        success: true,
+        dryRun: true
+      };
+    }
+
     console.log(`✅ Message sent successfully to ${leadName}!`);
     
     return {
@@ -347,6 +385,76 @@ export async function sendMessageToLead(page, leadUrl, messageContent, leadName)
   }
 }
 
+/**
+ * Check whether a lead has written in their conversation with the account
+ * Opens the conversation from the profile and looks for messages sent by the
+ * other participant, then closes it again.
+ * @param {Page} page - Playwright page object
+ * @param {string} leadUrl - LinkedIn profile URL
+ * @param {string} leadName - Lead name for logging
+ * @returns {Promise<Object>} - { success: boolean, replied?: boolean, error?: string }
+ */
+export async function checkLeadReplied(page, leadUrl, leadName) {
+  console.log(`\n🔎 Checking replies from: ${leadName}`);
+
+  try {
+    await page.goto(leadUrl, {
+      waitUntil: 'domcontentloaded',
+      timeout: 30000
+    });
+
+    await page.waitForTimeout(2000);
+
+    const messageButton = await findMessageButton(page);
+    if (!messageButton) {
+      return {
+        success: false,
+        error: 'Message button not found - user may not be a connection'
+      };
+    }
+
+    if (!(await openMessageDialog(messageButton, page))) {
+      return {
+        success: false,
+        error: 'Failed to open message dialog'
+      };
+    }
+
+    // Let the conversation history load
+    await page.waitForTimeout(2500);
+
+    // Messages of the other participant (LinkedIn marks them "--other")
+    const incomingSelectors = [
+      'div.msg-s-event-listitem--other',
+      'li.msg-s-message-list__event div[class*="listitem--other"]'
+    ];
+
+    let replied = false;
+    for (const selector of incomingSelectors) {
+      const incoming = await page.locator(selector).count().catch(() => 0);
+      if (incoming > 0) {
+        replied = true;
+        break;
+      }
+    }
+
+    await discardMessageDraft(page);
+
+    console.log(replied ? `💬 ${leadName} has replied` : `📭 No reply from ${leadName}`);
+    return {
+      success: true,
+      replied
+    };
+
+  } catch (error) {
+    console.error(`❌ Failed to check replies from ${leadName}:`, error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Add random delay between message sends (anti-detection)
  * @param {number} minSeconds - Minimum delay in seconds
@@ -0,0 +1,431 @@
+/**
+ * LinkedIn Profile Actions Module
+ *
+ * Playwright actions on a lead's profile that need no connection: viewing it
+ * like a person would (dwell and scroll), following or unfollowing, and liking
+ * the lead's most recent post. Built like the invite automation
+ * (linkedin-invite-automation.js): every button is searched with fallback
+ * selectors, in the profile header first and then in the "More" dropdown.
+ *
+ * Actions return { success, ... } and never throw. Daily caps are checked by
+ * the caller with checkDailyProfileActionLimit (rate-limit-manager.js).
+ */
+
+import {
+  waitForPageStabilization,
+  getProfileHeaderContainer,
+  isProfileUnavailable
+} from './linkedin-invite-automation';
+
+const randomBetween = (min, max) => min + Math.round(Math.random() * (max - min));
+
+/**
+ * Open a profile (or one of its pages) and wait for it to render
+ * @param {Page} page - Playwright page object
+ * @param {string} url - Profile URL
+ * @returns {Promise<Object>} - { success, unavailable, error }
+ */
+async function openProfilePage(page, url) {
+  try {
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 45000 });
+  } catch (navError) {
+    return { success: false, unavailable: false, error: `Navigation failed: ${navError.message}` };
+  }
+
+  await waitForPageStabilization(page);
+
+  if (await isProfileUnavailable(page)) {
+    console.log(`🚫 Profile unavailable: ${url}`);
+    return { success: false, unavailable: true, error: 'Profile unavailable' };
+  }
+
+  return { success: true, unavailable: false };
+}
+
+/**
+ * Scroll through the page in uneven steps, pausing to "read", then back to the top
+ * @param {Page} page - Playwright page object
+ * @param {number} durationMs - Time to spend on the page
+ */
+async function scrollLikeReader(page, durationMs) {
+  const endAt = Date.now() + durationMs;
+
+  while (Date.now() < endAt) {
+    // Mostly down, sometimes back up a little
+    const distance = Math.random() < 0.2 ? -randomBetween(100, 300) : randomBetween(250, 700);
+    await page.mouse.wheel(0, distance).catch(() => {});
+    await page.waitForTimeout(Math.min(randomBetween(800, 2500), Math.max(0, endAt - Date.now())));
+  }
+
+  await page.evaluate(() => window.scrollTo({ top: 0, behavior: 'smooth' })).catch(() => {});
+  await page.waitForTimeout(500);
+}
+
+/**
+ * Find a visible element whose text or aria-label matches
+ * @param {Page|Locator} context - Where to search
+ * @param {Array<string>} selectors - Candidate selectors, most specific first
+ * @param {Function} matches - (text, ariaLabel) => boolean, both lower-cased
+ * @returns {Promise<Locator|null>}
+ */
+async function findMatching(context, selectors, matches) {
+  for (const selector of selectors) {
+    try {
+      const elements = await context.locator(selector).all();
+
+      for (const element of elements) {
+        try {
+          if (!(await element.isVisible({ timeout: 1000 }))) continue;
+
+          const text = ((await element.textContent().catch(() => '')) || '').trim().toLowerCase();
+          const ariaLabel = ((await element.getAttribute('aria-label').catch(() => '')) || '').toLowerCase();
+
+          if (matches(text, ariaLabel)) {
+            return element;
+          }
+        } catch (e) {
+          continue;
+        }
+      }
+    } catch (e) {
+      continue;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find a profile action in the "More" dropdown of the profile header
+ * @param {Page} page - Playwright page object
+ * @param {Locator|null} profileHeader - Profile header container (optional)
+ * @param {Function} matches - (text, ariaLabel) => boolean
+ * @returns {Promise<Locator|null>}
+ */
+async function findActionInDropdown(page, profileHeader, matches) {
+  const searchContext = profileHeader || page;
+
+  const moreButton = await findMatching(searchContext, [
+    'button[aria-label*="More actions"]',
+    'button.artdeco-dropdown__trigger:has-text("More")',
+    'button:has-text("More")',
+    'button[id*="profile-overflow"]'
+  ], (text, ariaLabel) => text === 'more' || ariaLabel.includes('more actions'));
+
+  if (!moreButton) return null;
+
+  try {
+    await moreButton.click();
+    await page.waitForTimeout(1500);
+  } catch (clickError) {
+    return null;
+  }
+
+  const item = await findMatching(page, [
+    '.artdeco-dropdown__content--is-open div[role="button"]',
+    '.artdeco-dropdown__item',
+    '[role="menuitem"]',
+    'div[role="button"][aria-label]'
+  ], matches);
+
+  if (!item) {
+    // Close the dropdown so it does not cover the next search
+    await page.keyboard.press('Escape').catch(() => {});
+  }
+
+  return item;
+}
+
+const isFollowAction = (text, ariaLabel) =>
+  text === 'follow' || text === '+ follow' || ariaLabel.startsWith('follow ');
+
+const isFollowingState = (text, ariaLabel) =>
+  text === 'following' || text === 'unfollow' || ariaLabel.startsWith('following') || ariaLabel.startsWith('unfollow');
+
+/**
+ * Find the Follow button, directly on the profile or in the "More" dropdown
+ * @param {Page} page - Playwright page object
+ * @returns {Promise<Object>} - { button, alreadyFollowing }
+ */
+export async function findFollowButton(page) {
+  console.log(`🔍 Searching for Follow button...`);
+
+  const profileHeader = await getProfileHeaderContainer(page);
+  const searchContext = profileHeader || page;
+
+  const following = await findMatching(searchContext, [
+    'button[aria-label^="Following"]',
+    'button[aria-label^="Unfollow"]',
+    'button:has(span:text-is("Following"))'
+  ], isFollowingState);
+
+  if (following) {
+    console.log(`ℹ️ Already following`);
+    return { button: null, alreadyFollowing: true };
+  }
+
+  const direct = await findMatching(searchContext, [
+    'button[aria-label^="Follow "]',
+    'button:has(span.artdeco-button__text:text-is("Follow"))',
+    'button.artdeco-button:has-text("Follow")',
+    'button[data-control-name="follow"]'
+  ], isFollowAction);
+
+  if (direct) {
+    console.log(`✅ Found direct Follow button`);
+    return { button: direct, alreadyFollowing: false };
+  }
+
+  console.log(`🔍 Checking "More" dropdown...`);
+  const inDropdown = await findActionInDropdown(page, profileHeader, (text, ariaLabel) =>
+    isFollowingState(text, ariaLabel) || isFollowAction(text, ariaLabel)
+  );
+
+  if (inDropdown) {
+    const text = ((await inDropdown.textContent().catch(() => '')) || '').trim().toLowerCase();
+    const ariaLabel = ((await inDropdown.getAttribute('aria-label').catch(() => '')) || '').toLowerCase();
+
+    if (isFollowingState(text, ariaLabel)) {
+      await page.keyboard.press('Escape').catch(() => {});
+      console.log(`ℹ️ Already following (Unfollow in dropdown)`);
+      return { button: null, alreadyFollowing: true };
+    }
+
+    console.log(`✅ Found Follow in dropdown`);
+    return { button: inDropdown, alreadyFollowing: false };
+  }
+
+  console.log(`❌ Follow button not found`);
+  return { button: null, alreadyFollowing: false };
+}
+
+/**
+ * Click with the same fallbacks as the Connect button
+ * @returns {Promise<boolean>}
+ */
+async function clickWithFallbacks(element, page) {
+  const clickStrategies = [
+    async () => await element.click({ timeout: 5000 }),
+    async () => await element.click({ force: true, timeout: 5000 }),
+    async () => {
+      const handle = await element.elementHandle();
+      return await handle.evaluate(el => el.click());
+    }
+  ];
+
+  for (let i = 0; i < clickStrategies.length; i++) {
+    try {
+      await clickStrategies[i]();
+      await page.waitForTimeout(1500);
+      return true;
+    } catch (clickError) {
+      console.log(`⚠️ Click attempt ${i + 1} failed:`, clickError.message);
+    }
+  }
+
+  return false;
+}
+
+/**
+ * View a lead's profile: stay on it for a while and scroll through it
+ *
+ * @param {Page} page - Playwright page object
+ * @param {string} leadUrl - LinkedIn profile URL
+ * @param {Object} options - { minDwellMs, maxDwellMs }
+ * @returns {Promise<Object>} - { success, dwellMs, unavailable, error }
+ */
+export async function visitProfile(page, leadUrl, { minDwellMs = 8000, maxDwellMs = 20000 } = {}) {
+  console.log(`\n👁️ Viewing profile: ${leadUrl}`);
+
+  try {
+    const opened = await openProfilePage(page, leadUrl);
+    if (!opened.success) return opened;
+
+    const dwellMs = randomBetween(minDwellMs, maxDwellMs);
+    await scrollLikeReader(page, dwellMs);
+
+    console.log(`✅ Profile viewed for ${Math.round(dwellMs / 1000)}s`);
+    return { success: true, dwellMs };
+
+  } catch (error) {
+    console.error(`❌ Failed to view profile:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Follow a lead
+ *
+ * @param {Page} page - Playwright page object
+ * @param {string} leadUrl - LinkedIn profile URL
+ * @param {string} leadName - Lead name (for logs)
+ * @returns {Promise<Object>} - { success, alreadyFollowing, unavailable, error }
+ */
+export async function followLead(page, leadUrl, leadName) {
+  console.log(`\n➕ Following: ${leadName}`);
+
+  try {
+    const opened = await openProfilePage(page, leadUrl);
+    if (!opened.success) return opened;
+
+    // A short look at the profile before acting
+    await scrollLikeReader(page, randomBetween(2000, 5000));
+
+    const { button, alreadyFollowing } = await findFollowButton(page);
+    if (alreadyFollowing) {
+      return { success: true, alreadyFollowing: true };
+    }
+    if (!button) {
+      return { success: false, error: 'Follow button not found' };
+    }
+
+    if (!(await clickWithFallbacks(button, page))) {
+      return { success: false, error: 'Failed to click Follow button' };
+    }
+
+    // Verify: the header now shows "Following" (best effort, LinkedIn sometimes only shows a toast)
+    const { alreadyFollowing: verified } = await findFollowButton(page);
+    console.log(verified ? `✅ Now following ${leadName}` : `⚠️ Follow clicked for ${leadName}, could not verify`);
+
+    return { success: true, alreadyFollowing: false };
+
+  } catch (error) {
+    console.error(`❌ Failed to follow ${leadName}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Unfollow a lead
+ *
+ * @param {Page} page - Playwright page object
+ * @param {string} leadUrl - LinkedIn profile URL
+ * @param {string} leadName - Lead name (for logs)
+ * @returns {Promise<Object>} - { success, notFollowing, unavailable, error }
+ */
+export async function unfollowLead(page, leadUrl, leadName) {
+  console.log(`\n➖ Unfollowing: ${leadName}`);
+
+  try {
+    const opened = await openProfilePage(page, leadUrl);
+    if (!opened.success) return opened;
+
+    const profileHeader = await getProfileHeaderContainer(page);
+    const searchContext = profileHeader || page;
+
+    // "Following" button in the header, or "Unfollow" in the dropdown
+    let button = await findMatching(searchContext, [
+      'button[aria-label^="Following"]',
+      'button[aria-label^="Unfollow"]',
+      'button:has(span:text-is("Following"))'
+    ], isFollowingState);
+
+    if (!button) {
+      button = await findActionInDropdown(page, profileHeader, isFollowingState);
+    }
+
+    if (!button) {
+      console.log(`ℹ️ Not following ${leadName}`);
+      return { success: true, notFollowing: true };
+    }
+
+    if (!(await clickWithFallbacks(button, page))) {
+      return { success: false, error: 'Failed to click Unfollow' };
+    }
+
+    // LinkedIn asks for confirmation
+    const confirmButton = await findMatching(page, [
+      'div[role="alertdialog"] button[data-test-dialog-primary-btn]',
+      'div[role="alertdialog"] button:has-text("Unfollow")',
+      'div[role="dialog"] button:has-text("Unfollow")',
+      'button.artdeco-button--primary:has-text("Unfollow")'
+    ], (text) => text.includes('unfollow'));
+
+    if (confirmButton && !(await clickWithFallbacks(confirmButton, page))) {
+      return { success: false, error: 'Failed to confirm Unfollow' };
+    }
+
+    console.log(`✅ Unfollowed ${leadName}`);
+    return { success: true, notFollowing: false };
+
+  } catch (error) {
+    console.error(`❌ Failed to unfollow ${leadName}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Like the lead's most recent post (from their activity page)
+ *
+ * @param {Page} page - Playwright page object
+ * @param {string} leadUrl - LinkedIn profile URL
+ * @param {string} leadName - Lead name (for logs)
+ * @returns {Promise<Object>} - { success, noPost, alreadyLiked, unavailable, error }
+ */
+export async function likeLatestPost(page, leadUrl, leadName) {
+  console.log(`\n👍 Liking latest post of: ${leadName}`);
+
+  try {
+    const activityUrl = `${leadUrl.split('?')[0].replace(/\/+$/, '')}/recent-activity/all/`;
+    const opened = await openProfilePage(page, activityUrl);
+    if (!opened.success) return opened;
+
+    const postSelectors = [
+      'div.feed-shared-update-v2',
+      'li.profile-creator-shared-feed-update__container',
+      'div[data-urn^="urn:li:activity"]',
+      'article'
+    ];
+
+    let post = null;
+    for (const selector of postSelectors) {
+      try {
+        const candidate = page.locator(selector).first();
+        if (await candidate.isVisible({ timeout: 4000 })) {
+          post = candidate;
+          break;
+        }
+      } catch (e) {
+        continue;
+      }
+    }
+
+    if (!post) {
+      console.log(`📭 No recent post from ${leadName}`);
+      return { success: true, noPost: true };
+    }
+
+    // Read the post before reacting
+    await post.scrollIntoViewIfNeeded().catch(() => {});
+    await page.waitForTimeout(randomBetween(3000, 7000));
+
+    const likeButton = await findMatching(post, [
+      'button[aria-label*="React Like"]',
+      'button.react-button__trigger',
+      'button[aria-label^="Like"]',
+      'button:has(span:text-is("Like"))'
+    ], (text, ariaLabel) => text.startsWith('like') || ariaLabel.includes('like'));
+
+    if (!likeButton) {
+      return { success: false, error: 'Like button not found on the latest post' };
+    }
+
+    if ((await likeButton.getAttribute('aria-pressed').catch(() => null)) === 'true') {
+      console.log(`ℹ️ Latest post of ${leadName} already liked`);
+      return { success: true, alreadyLiked: true };
+    }
+
+    if (!(await clickWithFallbacks(likeButton, page))) {
+      return { success: false, error: 'Failed to click Like button' };
+    }
+
+    const pressed = await likeButton.getAttribute('aria-pressed').catch(() => null);
+    console.log(pressed === 'true' ? `✅ Liked latest post of ${leadName}` : `⚠️ Like clicked for ${leadName}, could not verify`);
+
+    return { success: true, alreadyLiked: false };
+
+  } catch (error) {
+    console.error(`❌ Failed to like a post of ${leadName}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
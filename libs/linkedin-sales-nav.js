@@ -0,0 +1,195 @@
+/**
+ * LinkedIn Sales Navigator Module
+ *
+ * Playwright reader for the result pages of a Sales Navigator lead search,
+ * used by the Sales Navigator lead import (workers/sales-nav-import-runner.js).
+ * Results load lazily while the list is scrolled, so the reader scrolls
+ * through the whole list before extracting name, title, company, location
+ * and profile URL of each result. Fields are searched with fallback
+ * selectors like the invite automation (linkedin-invite-automation.js).
+ *
+ * Result links carry the member id only; resolvePublicProfileUrl opens the
+ * member profile URL to get the public one it redirects to.
+ *
+ * Returns { success, ... } and never throws. Daily quotas are checked by the
+ * caller with checkDailyProfileActionLimit(accountId, 'search_page' | 'view').
+ */
+
+import { SALES_NAV_RESULTS_PER_PAGE, salesNavLeadToProfileUrl, isMemberProfileUrl } from './sales-nav-search';
+import { waitForPageStabilization, isProfileUnavailable } from './linkedin-invite-automation';
+
+const RESULT_SELECTORS = [
+  'ol.artdeco-list li.artdeco-list__item',
+  '#search-results-container li.artdeco-list__item',
+  'li.search-results__result-item',
+  '[data-x-search-result="LEAD"]'
+];
+
+const FIELD_SELECTORS = {
+  name: ['[data-anonymize="person-name"]', '.artdeco-entity-lockup__title a', '.result-lockup__name a'],
+  title: ['[data-anonymize="title"]', '.artdeco-entity-lockup__subtitle span:first-child', '.result-lockup__highlight-keyword'],
+  company: ['[data-anonymize="company-name"]', 'a[data-view-name="search-results-lead-company-name"]', '.result-lockup__position-company a span'],
+  location: ['[data-anonymize="location"]', '.artdeco-entity-lockup__caption', '.result-lockup__misc-item'],
+  link: ['a[href*="/sales/lead/"]', 'a[href*="/sales/people/"]']
+};
+
+const NEXT_PAGE_SELECTORS = [
+  'button.artdeco-pagination__button--next',
+  'button[aria-label="Next"]',
+  '.search-results__pagination-next-button'
+];
+
+const MAX_SCROLL_STEPS = 15;
+
+/**
+ * Whether the session was sent away from Sales Navigator (no seat, login or checkpoint)
+ * @param {Page} page - Playwright page object
+ * @returns {boolean}
+ */
+function isSalesNavUnavailable(page) {
+  const url = page.url();
+  return !url.includes('/sales/search/') || /\/login|\/checkpoint|\/premium|contract-chooser|upsell/i.test(url);
+}
+
+/**
+ * Find the first result selector that matches on the page
+ * @param {Page} page - Playwright page object
+ * @returns {Promise<string|null>}
+ */
+async function findResultSelector(page) {
+  for (const selector of RESULT_SELECTORS) {
+    try {
+      await page.waitForSelector(selector, { timeout: selector === RESULT_SELECTORS[0] ? 15000 : 3000 });
+      return selector;
+    } catch (e) {
+      continue;
+    }
+  }
+  return null;
+}
+
+/**
+ * Scroll result by result until every result of the page has rendered
+ * @param {Page} page - Playwright page object
+ * @param {string} resultSelector - Selector of a result
+ */
+async function loadAllResults(page, resultSelector) {
+  let lastCount = 0;
+
+  for (let step = 0; step < MAX_SCROLL_STEPS; step++) {
+    const results = page.locator(resultSelector);
+    const total = await results.count();
+
+    await results.nth(total - 1).scrollIntoViewIfNeeded({ timeout: 3000 }).catch(() => {});
+    await page.waitForTimeout(600 + Math.round(Math.random() * 900));
+
+    // Results render their content once scrolled into view
+    const rendered = await page.locator(`${resultSelector} ${FIELD_SELECTORS.link.join(`, ${resultSelector} `)}`).count();
+    if (rendered >= SALES_NAV_RESULTS_PER_PAGE || (rendered === lastCount && step > 0)) break;
+    lastCount = rendered;
+  }
+}
+
+/**
+ * Read one result page of a Sales Navigator lead search
+ * @param {Page} page - Playwright page object (logged-in session with a Sales Navigator seat)
+ * @param {string} url - Result page URL (salesNavPageUrl)
+ * @returns {Promise<Object>} - { success, leads: [{ url, name, title, company, location }], hasNextPage, noAccess, error }
+ */
+export async function readSalesNavResultsPage(page, url) {
+  try {
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 45000 });
+  } catch (navError) {
+    return { success: false, leads: [], hasNextPage: false, noAccess: false, error: `Navigation failed: ${navError.message}` };
+  }
+
+  await page.waitForTimeout(2000 + Math.round(Math.random() * 1500));
+
+  if (isSalesNavUnavailable(page)) {
+    console.log(`🚫 Sales Navigator not available for this session (landed on ${page.url()})`);
+    return { success: false, leads: [], hasNextPage: false, noAccess: true, error: 'Sales Navigator is not available for this account' };
+  }
+
+  const resultSelector = await findResultSelector(page);
+  if (!resultSelector) {
+    const noResults = await page.locator('text=/No leads matched your search|no results/i').first()
+      .isVisible({ timeout: 1000 }).catch(() => false);
+
+    if (noResults) {
+      return { success: true, leads: [], hasNextPage: false, noAccess: false };
+    }
+    return { success: false, leads: [], hasNextPage: false, noAccess: false, error: 'Search results did not load' };
+  }
+
+  await loadAllResults(page, resultSelector);
+
+  const rawLeads = await page.$$eval(resultSelector, (items, selectors) => {
+    const pick = (item, candidates) => {
+      for (const selector of candidates) {
+        const element = item.querySelector(selector);
+        const text = element && element.textContent.replace(/\s+/g, ' ').trim();
+        if (text) return text;
+      }
+      return null;
+    };
+
+    return items.map((item) => {
+      const link = selectors.link.map((selector) => item.querySelector(selector)).find(Boolean);
+      return {
+        href: link ? link.getAttribute('href') : null,
+        name: pick(item, selectors.name),
+        title: pick(item, selectors.title),
+        company: pick(item, selectors.company),
+        location: pick(item, selectors.location)
+      };
+    });
+  }, FIELD_SELECTORS).catch((error) => {
+    console.log(`⚠️ Could not read search results: ${error.message}`);
+    return [];
+  });
+
+  const leads = rawLeads
+    .map(({ href, ...fields }) => ({ url: salesNavLeadToProfileUrl(href), ...fields }))
+    .filter((lead) => lead.url);
+
+  let hasNextPage = false;
+  for (const selector of NEXT_PAGE_SELECTORS) {
+    const button = page.locator(selector).first();
+    if (await button.isVisible({ timeout: 1000 }).catch(() => false)) {
+      hasNextPage = await button.isEnabled().catch(() => false);
+      break;
+    }
+  }
+
+  console.log(`🔎 Sales Navigator page: ${leads.length}/${rawLeads.length} results read${hasNextPage ? ', more pages' : ', last page'}`);
+
+  return { success: true, leads, hasNextPage, noAccess: false };
+}
+
+/**
+ * Public profile URL of a search result: open /in/<member id> and read the URL it redirects to
+ * @param {Page} page - Playwright page object
+ * @param {string} memberUrl - Member profile URL (salesNavLeadToProfileUrl)
+ * @returns {Promise<Object>} - { success, url, unavailable, error }
+ */
+export async function resolvePublicProfileUrl(page, memberUrl) {
+  try {
+    await page.goto(memberUrl, { waitUntil: 'domcontentloaded', timeout: 45000 });
+  } catch (navError) {
+    return { success: false, url: null, unavailable: false, error: `Navigation failed: ${navError.message}` };
+  }
+
+  await waitForPageStabilization(page);
+
+  if (await isProfileUnavailable(page)) {
+    console.log(`🚫 Profile unavailable: ${memberUrl}`);
+    return { success: false, url: null, unavailable: true, error: 'Profile unavailable' };
+  }
+
+  const url = page.url().split(/[?#]/)[0];
+  if (!/linkedin\.com\/in\/[^/]+/i.test(url) || isMemberProfileUrl(url)) {
+    return { success: false, url: null, unavailable: false, error: `No public profile URL (landed on ${url})` };
+  }
+
+  return { success: true, url, unavailable: false };
+}
@@ -0,0 +1,48 @@
+/**
+ * Message Template Module
+ *
+ * Fills lead variables in message templates written by the user (sequence
+ * message steps, campaign follow-ups, connection notes) and in the custom
+ * prompts of AI-written messages. Pure functions only.
+ */
+
+/**
+ * Variables available in templates, for editors and hints
+ * Custom fields are used as {{custom.<key>}} (see libs/lead-fields.js).
+ */
+export const TEMPLATE_VARIABLES = ['name', 'firstName', 'company', 'title', 'location', 'tags', 'custom.<field>'];
+
+/**
+ * Fill {{name}}, {{firstName}}, {{company}}, {{title}}, {{location}}, {{tags}}
+ * and {{custom.<key>}} in a template
+ * A fallback is used when the lead has no value: {{custom.event_name|our event}}.
+ * Custom fields the lead does not have become the fallback (or nothing);
+ * other unknown variables are left as written.
+ * Pure function.
+ *
+ * @param {string} template - Message template
+ * @param {Object} lead - Lead row
+ * @returns {string}
+ */
+export function renderMessageTemplate(template, lead) {
+  const values = {
+    name: lead.name || '',
+    firstName: (lead.name || '').split(' ')[0],
+    company: lead.company || '',
+    title: lead.title || '',
+    location: lead.location || '',
+    tags: (lead.tags || []).join(', ')
+  };
+  const customFields = lead.customFields || {};
+
+  return template
+    .replace(/\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g, (match, key, fallback = '') => {
+      if (key.startsWith('custom.')) {
+        const value = customFields[key.slice('custom.'.length)];
+        return value === undefined || value === null || value === '' ? fallback.trim() : String(value);
+      }
+      if (!(key in values)) return match;
+      return values[key] || fallback.trim();
+    })
+    .trim();
+}
@@ -0,0 +1,215 @@
+/**
+ * Note Variants Module
+ *
+ * A/B test of connection note wordings. Configured per campaign in
+ * campaigns.settings.noteTest:
+ *   { variants: [{ id: 'A', text }], autoPromoteAfter: null | N, winner: null | id }
+ * Every lead is assigned one variant deterministically (hash of its ID), the
+ * invite is sent with that note and the variant is stored on the lead
+ * (leads.note_variant) so acceptance can be compared per variant. Once every
+ * variant has N sends and the best one is significantly ahead it becomes the
+ * winner, and new invites all use its note. Without variants invites are sent
+ * without a note.
+ *
+ * Pure functions (also used by the settings UI); variants are counted and the
+ * winner promoted in libs/lead-status-manager.js.
+ */
+
+export const MAX_NOTE_VARIANTS = 5;
+export const MAX_NOTE_LENGTH = 300; // LinkedIn invitation note limit
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+const VARIANT_IDS = ['A', 'B', 'C', 'D', 'E'];
+const MAX_AUTO_PROMOTE_AFTER = 10000;
+
+export const DEFAULT_NOTE_TEST = {
+  variants: [],
+  autoPromoteAfter: null, // Sends per variant before a winner can be promoted, null to never promote
+  winner: null
+};
+
+/**
+ * Merge a saved note test with defaults
+ *
+ * @param {Object|null} noteTest - campaigns.settings.noteTest value
+ * @returns {Object} - Complete note test
+ */
+export function normalizeNoteTest(noteTest) {
+  const normalized = { ...DEFAULT_NOTE_TEST, ...(noteTest || {}) };
+  normalized.variants = Array.isArray(normalized.variants)
+    ? normalized.variants.filter(variant => variant?.id && typeof variant.text === 'string')
+    : [];
+  if (!normalized.variants.some(variant => variant.id === normalized.winner)) {
+    normalized.winner = null;
+  }
+  return normalized;
+}
+
+/**
+ * Validate a note test submitted by the client
+ * Variants keep their ID; new variants get the next free letter.
+ *
+ * @param {Object} input - Submitted note test (partial updates allowed)
+ * @param {Object} current - Currently saved note test
+ * @returns {Object} - { noteTest, errors }
+ */
+export function validateNoteTest(input, current = null) {
+  const noteTest = normalizeNoteTest(current);
+  const errors = [];
+
+  if (!input || typeof input !== 'object') {
+    return { noteTest, errors: ['noteTest must be an object'] };
+  }
+
+  if (input.variants !== undefined) {
+    if (!Array.isArray(input.variants)) {
+      errors.push('noteTest.variants must be an array');
+    } else if (input.variants.length > MAX_NOTE_VARIANTS) {
+      errors.push(`At most ${MAX_NOTE_VARIANTS} note variants`);
+    } else {
+      const used = new Set(input.variants.map(variant => variant?.id).filter(id => VARIANT_IDS.includes(id)));
+      const freeIds = VARIANT_IDS.filter(id => !used.has(id));
+      const seen = new Set();
+      const variants = [];
+
+      input.variants.forEach((variant, index) => {
+        const text = typeof variant?.text === 'string' ? variant.text.trim() : '';
+        const id = VARIANT_IDS.includes(variant?.id) && !seen.has(variant.id) ? variant.id : freeIds.shift();
+        seen.add(id);
+
+        if (!text) {
+          errors.push(`Note variant ${id || index + 1} is empty`);
+        } else if (text.length > MAX_NOTE_LENGTH) {
+          errors.push(`Note variant ${id} is longer than ${MAX_NOTE_LENGTH} characters`);
+        }
+        variants.push({ id, text });
+      });
+
+      noteTest.variants = variants;
+    }
+  }
+
+  if (input.autoPromoteAfter !== undefined) {
+    if (input.autoPromoteAfter === null || input.autoPromoteAfter === '') {
+      noteTest.autoPromoteAfter = null;
+    } else {
+      const value = Number(input.autoPromoteAfter);
+      if (!Number.isInteger(value) || value < 1 || value > MAX_AUTO_PROMOTE_AFTER) {
+        errors.push(`noteTest.autoPromoteAfter must be a whole number between 1 and ${MAX_AUTO_PROMOTE_AFTER}`);
+      } else {
+        noteTest.autoPromoteAfter = value;
+      }
+    }
+  }
+
+  if (input.winner !== undefined) {
+    if (input.winner !== null && !noteTest.variants.some(variant => variant.id === input.winner)) {
+      errors.push(`Unknown note variant: ${input.winner}`);
+    } else {
+      noteTest.winner = input.winner;
+    }
+  }
+
+  // A winner that was edited away ends the promotion
+  if (!noteTest.variants.some(variant => variant.id === noteTest.winner)) {
+    noteTest.winner = null;
+  }
+
+  return { noteTest, errors };
+}
+
+/**
+ * Stable 32-bit hash of a string (FNV-1a)
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Pick the note variant of a lead
+ * A lead keeps the variant it was invited with; otherwise the promoted winner,
+ * else the variant its ID hashes to, so retries and reruns get the same note.
+ * Pure function.
+ *
+ * @param {Object} lead - Lead ({ id, noteVariant? })
+ * @param {Object} noteTest - Campaign note test
+ * @returns {Object|null} - { id, text } or null to send without a note
+ */
+export function assignNoteVariant(lead, noteTest) {
+  const { variants, winner } = normalizeNoteTest(noteTest);
+  if (variants.length === 0) return null;
+
+  const byId = (id) => variants.find(variant => variant.id === id) || null;
+
+  return byId(lead.noteVariant)
+    || byId(winner)
+    || variants[hashString(String(lead.id)) % variants.length];
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz-Stegun approximation)
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Two-sided p-value of a two-proportion z-test
+ */
+function twoProportionPValue(acceptedA, sentA, acceptedB, sentB) {
+  if (sentA === 0 || sentB === 0) return null;
+
+  const pooled = (acceptedA + acceptedB) / (sentA + sentB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / sentA + 1 / sentB));
+  if (standardError === 0) return 1;
+
+  const z = (acceptedA / sentA - acceptedB / sentB) / standardError;
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+/**
+ * Per-variant results with a significance indicator
+ * Every variant is compared with the leader (highest acceptance rate).
+ * Pure function.
+ *
+ * @param {Object} noteTest - Campaign note test
+ * @param {Object} counts - { [variantId]: { sent, accepted } }
+ * @returns {Object} - { variants, leader, significant, winnerReady }
+ *   variants: [{ id, text, sent, accepted, acceptanceRate, pValue, significant }]
+ *   significant: the leader is ahead of every other variant at SIGNIFICANCE_LEVEL
+ *   winnerReady: significant and every variant reached autoPromoteAfter sends
+ */
+export function computeNoteVariantStats(noteTest, counts) {
+  const { variants, autoPromoteAfter } = normalizeNoteTest(noteTest);
+
+  const rows = variants.map(variant => {
+    const sent = counts[variant.id]?.sent || 0;
+    const accepted = counts[variant.id]?.accepted || 0;
+    return { id: variant.id, text: variant.text, sent, accepted, acceptanceRate: sent > 0 ? accepted / sent : null };
+  });
+
+  const leader = rows
+    .filter(row => row.sent > 0)
+    .sort((a, b) => b.acceptanceRate - a.acceptanceRate || b.sent - a.sent)[0] || null;
+
+  for (const row of rows) {
+    row.pValue = leader && row.id !== leader.id
+      ? twoProportionPValue(leader.accepted, leader.sent, row.accepted, row.sent)
+      : null;
+    row.significant = row.pValue !== null && row.pValue < SIGNIFICANCE_LEVEL;
+  }
+
+  const others = rows.filter(row => row.id !== leader?.id);
+  const significant = !!leader && others.length > 0 && others.every(row => row.significant);
+  const winnerReady = significant && autoPromoteAfter !== null && rows.every(row => row.sent >= autoPromoteAfter);
+
+  return { variants: rows, leader: leader?.id || null, significant, winnerReady };
+}
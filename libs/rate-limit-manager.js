@@ -1,7 +1,7 @@
 /**
  * Rate Limit Manager
  * 
- * Manages daily invite limits for LinkedIn accounts to comply with platform restrictions.
+ * Manages daily invite, message and profile action limits for LinkedIn accounts to comply with platform restrictions.
  * Prevents account bans by enforcing configurable daily quotas.
  */
 
@@ -286,3 +286,145 @@ export async function resetMessageCounter(accountId) {
   console.log(`🔄 Message counter manually reset for account ${accountId}`);
 }
 
+
+// Profile actions: counter, limit and last reset column of each action
+// Unfollows count against the follow limit, endorsements count per skill,
+// search_page counts Sales Navigator result pages read by lead imports
+const PROFILE_ACTION_COLUMNS = {
+  view: { count: 'dailyProfileViews', limit: 'dailyProfileViewLimit', reset: 'lastProfileViewReset', defaultLimit: 80 },
+  follow: { count: 'dailyFollows', limit: 'dailyFollowLimit', reset: 'lastFollowReset', defaultLimit: 20 },
+  like: { count: 'dailyLikes', limit: 'dailyLikeLimit', reset: 'lastLikeReset', defaultLimit: 30 },
+  endorse: { count: 'dailyEndorsements', limit: 'dailyEndorsementLimit', reset: 'lastEndorsementReset', defaultLimit: 30 },
+  search_page: { count: 'dailySearchPageViews', limit: 'dailySearchPageViewLimit', reset: 'lastSearchPageViewReset', defaultLimit: 40 }
+};
+
+function getProfileActionColumns(action) {
+  const columns = PROFILE_ACTION_COLUMNS[action];
+  if (!columns) {
+    throw new Error(`Unknown profile action: ${action}`);
+  }
+  return columns;
+}
+
+/**
+ * Check if account can perform more profile actions of a kind today
+ * Automatically resets counter if 24 hours have passed since last reset
+ * 
+ * @param {string} accountId - LinkedIn account ID
+ * @param {string} action - 'view' | 'follow' | 'like' | 'endorse' | 'search_page'
+ * @returns {Promise<Object>} { canSend: boolean, remaining: number, limit: number, resetsAt: Date, sent: number }
+ */
+export async function checkDailyProfileActionLimit(accountId, action) {
+  const columns = getProfileActionColumns(action);
+
+  const [account] = await db
+    .select()
+    .from(linkedinAccounts)
+    .where(eq(linkedinAccounts.id, accountId))
+    .limit(1);
+
+  if (!account) {
+    throw new Error(`Account ${accountId} not found`);
+  }
+
+  const limit = account[columns.limit] || columns.defaultLimit;
+
+  // Check if we need to reset (new day)
+  const now = new Date();
+  const lastReset = new Date(account[columns.reset]);
+  const hoursSinceReset = (now - lastReset) / (1000 * 60 * 60);
+
+  if (hoursSinceReset >= 24) {
+    // Reset counter for new day
+    await db.update(linkedinAccounts)
+      .set({
+        [columns.count]: 0,
+        [columns.reset]: now
+      })
+      .where(eq(linkedinAccounts.id, accountId));
+
+    console.log(`🔄 Daily ${action} counter reset for account ${accountId}`);
+
+    return {
+      canSend: true,
+      remaining: limit,
+      limit,
+      resetsAt: new Date(now.getTime() + 24 * 60 * 60 * 1000),
+      sent: 0
+    };
+  }
+
+  const sent = account[columns.count] || 0;
+  const remaining = limit - sent;
+
+  return {
+    canSend: remaining > 0,
+    remaining: Math.max(0, remaining),
+    limit,
+    resetsAt: new Date(lastReset.getTime() + 24 * 60 * 60 * 1000),
+    sent
+  };
+}
+
+/**
+ * Increment daily profile action counter after a successful action
+ * 
+ * @param {string} accountId - LinkedIn account ID
+ * @param {string} action - 'view' | 'follow' | 'like' | 'endorse' | 'search_page'
+ * @param {number} count - Number of actions to increment (default: 1)
+ */
+export async function incrementProfileActionCounter(accountId, action, count = 1) {
+  const columns = getProfileActionColumns(action);
+
+  await db.update(linkedinAccounts)
+    .set({
+      [columns.count]: sql`${linkedinAccounts[columns.count]} + ${count}`,
+      lastUsed: new Date()
+    })
+    .where(eq(linkedinAccounts.id, accountId));
+
+  console.log(`📊 Daily ${action} counter incremented: +${count} for account ${accountId}`);
+}
+
+/**
+ * Manually reset a profile action counter (for admin/testing purposes)
+ * 
+ * @param {string} accountId - LinkedIn account ID
+ * @param {string} action - 'view' | 'follow' | 'like' | 'endorse' | 'search_page'
+ */
+export async function resetProfileActionCounter(accountId, action) {
+  const columns = getProfileActionColumns(action);
+
+  await db.update(linkedinAccounts)
+    .set({
+      [columns.count]: 0,
+      [columns.reset]: new Date()
+    })
+    .where(eq(linkedinAccounts.id, accountId));
+
+  console.log(`🔄 Daily ${action} counter manually reset for account ${accountId}`);
+}
+
+/**
+ * Get every daily quota of an account: invites, messages and profile actions
+ * Used by the sequence simulator to forecast how fast a campaign can run.
+ * 
+ * @param {string} accountId - LinkedIn account ID
+ * @returns {Promise<Object>} { connect, message, view, follow, like, endorse, search_page } each { limit, remaining }
+ */
+export async function getDailyQuotas(accountId) {
+  const invites = await checkDailyLimit(accountId);
+  const messages = await checkDailyMessageLimit(accountId);
+
+  const quotas = {
+    connect: { limit: invites.limit, remaining: invites.remaining },
+    message: { limit: messages.limit, remaining: messages.remaining }
+  };
+
+  for (const action of Object.keys(PROFILE_ACTION_COLUMNS)) {
+    const quota = await checkDailyProfileActionLimit(accountId, action);
+    quotas[action] = { limit: quota.limit, remaining: quota.remaining };
+  }
+
+  return quotas;
+}
@@ -0,0 +1,107 @@
+/**
+ * Sales Navigator Search Module
+ *
+ * Search URLs and result links of a Sales Navigator lead search, for the
+ * lead import (see workers/sales-nav-import-runner.js):
+ *   https://www.linkedin.com/sales/search/people?query=(...)&page=2
+ * Result cards link to /sales/lead/<member id>,NAME_SEARCH,<token>; the
+ * member id (ACwAA...) also opens the regular profile at /in/<member id>,
+ * which redirects to the public /in/<vanity> URL. The import stores that
+ * public URL (acceptance checks, duplicate checks and profile entries of the
+ * do-not-contact list all compare vanity URLs), so each new lead costs one
+ * profile view to resolve it.
+ *
+ * Pure functions (also used by the import dialog).
+ */
+
+export const SALES_NAV_RESULTS_PER_PAGE = 25;
+export const MAX_SALES_NAV_IMPORT = 2500; // Sales Navigator stops at 100 pages of 25
+export const DEFAULT_SALES_NAV_IMPORT = 100;
+
+const SEARCH_PATH = '/sales/search/people';
+
+// Query string without its page parameter; the rest is kept verbatim since
+// re-encoding Sales Navigator's query=(filters:List(...)) syntax can break it
+const withoutPageParam = (search) =>
+  search.replace(/^\?/, '').split('&').filter(param => param && !/^page=/.test(param)).join('&');
+
+/**
+ * Validate a pasted Sales Navigator lead search URL
+ * Pure function.
+ *
+ * @param {string} value - URL from the browser address bar
+ * @returns {Object} - { url, error }, url without the page parameter
+ */
+export function parseSalesNavSearchUrl(value) {
+  const text = String(value || '').trim();
+  if (!text) return { url: null, error: 'Paste a Sales Navigator search URL' };
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+  } catch (error) {
+    return { url: null, error: 'Not a valid URL' };
+  }
+
+  if (!/(^|\.)linkedin\.com$/i.test(url.hostname) || !url.pathname.startsWith('/sales/')) {
+    return { url: null, error: 'Not a Sales Navigator URL' };
+  }
+
+  if (url.pathname.replace(/\/+$/, '') !== SEARCH_PATH) {
+    return { url: null, error: 'Use a lead search URL (linkedin.com/sales/search/people), account searches are not supported' };
+  }
+
+  if (!url.searchParams.has('query') && !url.searchParams.has('savedSearchId') && !url.searchParams.has('recentSearchId')) {
+    return { url: null, error: 'The URL has no search filters, run the search in Sales Navigator and copy the URL again' };
+  }
+
+  return { url: `https://www.linkedin.com${SEARCH_PATH}?${withoutPageParam(url.search)}`, error: null };
+}
+
+/**
+ * URL of a result page of a search
+ * Pure function.
+ *
+ * @param {string} searchUrl - From parseSalesNavSearchUrl
+ * @param {number} page - 1-based page number
+ * @returns {string}
+ */
+export function salesNavPageUrl(searchUrl, page) {
+  const [base, search = ''] = searchUrl.split('?');
+  const query = withoutPageParam(search);
+  return page > 1 ? `${base}?${query}${query ? '&' : ''}page=${page}` : `${base}?${query}`;
+}
+
+/**
+ * Member profile URL of a search result link, to open and resolve to the public URL
+ * Pure function.
+ *
+ * @param {string} href - /sales/lead/ACwAAA...,NAME_SEARCH,xyz?_ntb=... (relative or absolute)
+ * @returns {string|null} - https://www.linkedin.com/in/ACwAAA..., or null if not a lead link
+ */
+export function salesNavLeadToProfileUrl(href) {
+  const match = String(href || '').match(/\/sales\/(?:lead|people)\/([A-Za-z0-9_-]+)/);
+  return match ? `https://www.linkedin.com/in/${match[1]}` : null;
+}
+
+/**
+ * Whether a profile URL uses the member id instead of the public vanity name
+ * Pure function.
+ *
+ * @param {string} url - Profile URL
+ * @returns {boolean}
+ */
+export function isMemberProfileUrl(url) {
+  return /\/in\/ACw[A-Za-z0-9_-]{10,}\/?(?:[?#]|$)/.test(String(url || ''));
+}
+
+/**
+ * Result pages needed for a number of leads
+ * Pure function.
+ *
+ * @param {number} maxLeads - Requested leads
+ * @returns {number}
+ */
+export function salesNavPagesFor(maxLeads) {
+  return Math.ceil(maxLeads / SALES_NAV_RESULTS_PER_PAGE);
+}
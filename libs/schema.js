@@ -1,4 +1,4 @@
-import { pgTable, text, timestamp, integer, boolean, json, uuid, varchar } from 'drizzle-orm/pg-core';
+import { pgTable, text, timestamp, integer, boolean, json, uuid, varchar, index, uniqueIndex } from 'drizzle-orm/pg-core';
 import { sql } from 'drizzle-orm';
 
 // Users table - for authentication and user isolation
@@ -22,6 +22,7 @@ export const campaigns = pgTable('campaigns', {
   name: text('name').notNull(),
   description: text('description'),
   status: varchar('status', { length: 20 }).notNull().default('draft'),
+  settings: json('settings'), // Timezone, working hours, daily caps (see libs/campaign-settings.js)
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
 });
@@ -35,12 +36,19 @@ export const leads = pgTable('leads', {
   name: text('name'),
   title: text('title'),
   company: text('company'),
+  location: text('location'),
   status: varchar('status', { length: 20 }).notNull().default('pending'),
   profilePicture: text('profile_picture'),
+  tags: json('tags').default([]), // Free-form tags (see libs/lead-fields.js, filterable in audience segments)
+  customFields: json('custom_fields').default({}), // Typed custom fields by key, {{custom.<key>}} in messages (see libs/lead-fields.js)
   posts: json('posts'), // Store scraped posts as JSON array
   inviteSent: boolean('invite_sent').default(false).notNull(),
   inviteStatus: varchar('invite_status', { length: 20 }).default('pending').notNull(), // pending, sent, accepted, rejected, failed
   inviteRetryCount: integer('invite_retry_count').default(0), // Track retry attempts
+  inviteLastError: text('invite_last_error'), // Error of the last failed invite attempt
+  inviteNextRetryAt: timestamp('invite_next_retry_at'), // When a failed invite becomes eligible again (null = no retry)
+  senderAccountId: uuid('sender_account_id').references(() => linkedinAccounts.id, { onDelete: 'set null' }), // Account that invited the lead (sends its follow-ups)
+  noteVariant: varchar('note_variant', { length: 10 }), // Connection note variant the invite was sent with (see libs/note-variants.js)
   inviteSentAt: timestamp('invite_sent_at'), // When invite was sent
   inviteAcceptedAt: timestamp('invite_accepted_at'), // When connection was accepted
   lastConnectionCheckAt: timestamp('last_connection_check_at'), // Last time we checked connections page
@@ -48,6 +56,13 @@ export const leads = pgTable('leads', {
   messageSent: boolean('message_sent').default(false).notNull(),
   messageSentAt: timestamp('message_sent_at'), // When message was sent on LinkedIn
   messageError: text('message_error'), // Error message if sending failed
+  repliedAt: timestamp('replied_at'), // When a reply from the lead was first seen in the conversation
+  followUpsSent: integer('follow_ups_sent').default(0).notNull(), // Follow-ups sent after the first message (see libs/follow-up-policy.js)
+  lastFollowUpAt: timestamp('last_follow_up_at'), // When the last follow-up was sent
+  endorsedSkills: json('endorsed_skills').default([]), // Skill names endorsed on the lead's profile
+  endorsedAt: timestamp('endorsed_at'), // Last endorsement
+  blockedReason: text('blocked_reason'), // Do-not-contact entry the lead matches (null = not blocked)
+  blockedAt: timestamp('blocked_at'), // When the lead was flagged as blocked
   addedAt: timestamp('added_at').defaultNow().notNull(),
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
@@ -111,32 +126,194 @@ export const linkedinAccounts = pgTable('linkedin_accounts', {
   dailyMessagesSent: integer('daily_messages_sent').default(0).notNull(),
   dailyMessageLimit: integer('daily_message_limit').default(10).notNull(),
   lastMessageReset: timestamp('last_message_reset').defaultNow().notNull(),
+  // Profile action rate limiting (views, follows and unfollows, post likes)
+  dailyProfileViews: integer('daily_profile_views').default(0).notNull(),
+  dailyProfileViewLimit: integer('daily_profile_view_limit').default(80).notNull(),
+  lastProfileViewReset: timestamp('last_profile_view_reset').defaultNow().notNull(),
+  dailyFollows: integer('daily_follows').default(0).notNull(),
+  dailyFollowLimit: integer('daily_follow_limit').default(20).notNull(),
+  lastFollowReset: timestamp('last_follow_reset').defaultNow().notNull(),
+  dailyLikes: integer('daily_likes').default(0).notNull(),
+  dailyLikeLimit: integer('daily_like_limit').default(30).notNull(),
+  lastLikeReset: timestamp('last_like_reset').defaultNow().notNull(),
+  dailyEndorsements: integer('daily_endorsements').default(0).notNull(), // Skills endorsed
+  dailyEndorsementLimit: integer('daily_endorsement_limit').default(30).notNull(),
+  lastEndorsementReset: timestamp('last_endorsement_reset').defaultNow().notNull(),
+  dailySearchPageViews: integer('daily_search_page_views').default(0).notNull(), // Sales Navigator result pages (lead imports)
+  dailySearchPageViewLimit: integer('daily_search_page_view_limit').default(40).notNull(),
+  lastSearchPageViewReset: timestamp('last_search_page_view_reset').defaultNow().notNull(),
   lastUsed: timestamp('last_used').defaultNow().notNull(),
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
 });
 
+// Campaign accounts table - pool of LinkedIn accounts a campaign sends from
+export const campaignAccounts = pgTable('campaign_accounts', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  campaignId: uuid('campaign_id').references(() => campaigns.id, { onDelete: 'cascade' }).notNull(),
+  accountId: uuid('account_id').references(() => linkedinAccounts.id, { onDelete: 'cascade' }).notNull(),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => ({
+  campaignAccountIdx: uniqueIndex('campaign_accounts_campaign_id_account_id_idx').on(table.campaignId, table.accountId),
+}));
+
 // Workflow Jobs table - for background processing
 export const workflowJobs = pgTable('workflow_jobs', {
   id: uuid('id').primaryKey().defaultRandom(),
   campaignId: uuid('campaign_id').references(() => campaigns.id, { onDelete: 'cascade' }).notNull(),
   userId: text('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
   accountId: uuid('account_id').references(() => linkedinAccounts.id, { onDelete: 'cascade' }).notNull(),
-  status: varchar('status', { length: 20 }).default('queued').notNull(), // queued, processing, paused, cancelled, completed, failed, timeout
+  type: varchar('type', { length: 30 }).default('invite').notNull(), // invite, sales_nav_import (see workers/sales-nav-import-runner.js)
+  options: json('options'), // Job type options, e.g. { searchUrl, maxLeads } of a Sales Navigator import
+  status: varchar('status', { length: 20 }).default('queued').notNull(), // queued, processing, waiting, paused, interrupted, cancelled, completed, failed, timeout
   progress: integer('progress').default(0), // 0-100
   totalLeads: integer('total_leads'),
   processedLeads: integer('processed_leads').default(0),
   results: json('results'), // Store final results as JSON
   errorMessage: text('error_message'),
   customMessage: text('custom_message'),
+  dryRun: boolean('dry_run').default(false).notNull(), // Rehearsal: go up to the final click, change nothing
   createdAt: timestamp('created_at').defaultNow().notNull(),
   startedAt: timestamp('started_at'),
   completedAt: timestamp('completed_at'),
   pausedAt: timestamp('paused_at'), // When job was paused
   resumedAt: timestamp('resumed_at'), // When job was last resumed
   pauseCount: integer('pause_count').default(0), // Number of times paused
+  workerId: text('worker_id'), // Worker pool instance that claimed the job
+  heartbeatAt: timestamp('heartbeat_at'), // Last heartbeat from the worker running the job
+  interruptCount: integer('interrupt_count').default(0), // Times the job was reaped after its worker was lost
+  priority: integer('priority').default(0).notNull(), // Higher runs first (see libs/job-scheduler.js)
+}, (table) => ({
+  statusPriorityIdx: index('workflow_jobs_status_priority_idx').on(table.status, table.priority, table.createdAt),
+}));
+
+// Job lead checkpoints - which leads a workflow job planned and attempted, and their outcome
+export const jobLeads = pgTable('job_leads', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  jobId: uuid('job_id').references(() => workflowJobs.id, { onDelete: 'cascade' }).notNull(),
+  leadId: uuid('lead_id').references(() => leads.id, { onDelete: 'cascade' }).notNull(),
+  position: integer('position').notNull(), // Processing order within the job
+  accountId: uuid('account_id').references(() => linkedinAccounts.id, { onDelete: 'set null' }), // Account that attempted the lead
+  status: varchar('status', { length: 30 }).default('planned').notNull(), // planned, in_progress, sent, would_send, failed, already_pending, already_connected, already_processed, skipped
+  error: text('error'),
+  startedAt: timestamp('started_at'),
+  finishedAt: timestamp('finished_at'),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => ({
+  jobLeadIdx: uniqueIndex('job_leads_job_id_lead_id_idx').on(table.jobId, table.leadId),
+}));
+
+// Job events table - per-lead stage transitions, outcomes and errors of a workflow job
+export const jobEvents = pgTable('job_events', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  jobId: uuid('job_id').references(() => workflowJobs.id, { onDelete: 'cascade' }).notNull(),
+  leadId: uuid('lead_id').references(() => leads.id, { onDelete: 'set null' }),
+  leadName: text('lead_name'), // Kept so the timeline stays readable if the lead is deleted
+  type: varchar('type', { length: 20 }).notNull(), // job, stage, outcome, error
+  stage: varchar('stage', { length: 40 }), // e.g. navigating, clicking, sending
+  status: varchar('status', { length: 30 }), // e.g. sent, failed, already_pending
+  message: text('message'),
+  data: json('data'),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => ({
+  jobCreatedAtIdx: index('job_events_job_id_created_at_idx').on(table.jobId, table.createdAt),
+}));
+
+// Sequences table - the executable sequence of a campaign (built in the workflow canvas)
+export const sequences = pgTable('sequences', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: text('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  campaignId: uuid('campaign_id').references(() => campaigns.id, { onDelete: 'cascade' }).notNull().unique(),
+  name: text('name').notNull(),
+  status: varchar('status', { length: 20 }).default('draft').notNull(), // draft, active, paused
+  currentVersion: integer('current_version').default(1).notNull(), // Version new enrollments start on
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
 });
 
+// Sequence versions table - immutable graph snapshots; enrollments keep the version they started on
+export const sequenceVersions = pgTable('sequence_versions', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  sequenceId: uuid('sequence_id').references(() => sequences.id, { onDelete: 'cascade' }).notNull(),
+  version: integer('version').notNull(),
+  graph: json('graph').notNull(), // { startNodeId, nodes, edges } (see libs/sequence-graph.js)
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => ({
+  sequenceVersionIdx: uniqueIndex('sequence_versions_sequence_id_version_idx').on(table.sequenceId, table.version),
+}));
+
+// Sequence enrollments table - where each lead is in a sequence and when its next step is due
+export const sequenceEnrollments = pgTable('sequence_enrollments', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  sequenceId: uuid('sequence_id').references(() => sequences.id, { onDelete: 'cascade' }).notNull(),
+  version: integer('version').notNull(), // Graph version the lead runs through
+  campaignId: uuid('campaign_id').references(() => campaigns.id, { onDelete: 'cascade' }).notNull(),
+  leadId: uuid('lead_id').references(() => leads.id, { onDelete: 'cascade' }).notNull(),
+  accountId: uuid('account_id').references(() => linkedinAccounts.id, { onDelete: 'set null' }), // Sender for every step of the lead
+  status: varchar('status', { length: 20 }).default('active').notNull(), // active, running, completed, failed, exited
+  currentNodeId: text('current_node_id'), // Node the lead is at (null once finished)
+  nextDueAt: timestamp('next_due_at'), // When the current node runs (or a wait node ends)
+  stepStartedAt: timestamp('step_started_at'), // When the lead reached the current node
+  attempts: integer('attempts').default(0).notNull(), // Failed attempts of the current node
+  lastError: text('last_error'),
+  history: json('history').default([]), // Recent steps: [{ nodeId, type, outcome, message, at }]
+  lockedAt: timestamp('locked_at'), // Set while a worker runs the current step
+  completedAt: timestamp('completed_at'),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+}, (table) => ({
+  sequenceLeadIdx: uniqueIndex('sequence_enrollments_sequence_id_lead_id_idx').on(table.sequenceId, table.leadId),
+  statusDueIdx: index('sequence_enrollments_status_next_due_at_idx').on(table.status, table.nextDueAt),
+}));
+
+// Sequence templates table - named canvases a user reuses across campaigns
+export const sequenceTemplates = pgTable('sequence_templates', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: text('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  name: text('name').notNull(),
+  canvas: varchar('canvas', { length: 40 }).notNull(), // custom or a built-in canvas (see libs/sequence-templates.js)
+  currentVersion: integer('current_version').default(1).notNull(),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+}, (table) => ({
+  userIdx: index('sequence_templates_user_id_idx').on(table.userId),
+}));
+
+// Sequence template versions table - every saved state of a template
+export const sequenceTemplateVersions = pgTable('sequence_template_versions', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  templateId: uuid('template_id').references(() => sequenceTemplates.id, { onDelete: 'cascade' }).notNull(),
+  version: integer('version').notNull(),
+  graph: json('graph').notNull(), // { nodes, edges } of the canvas
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => ({
+  templateVersionIdx: uniqueIndex('sequence_template_versions_template_id_version_idx').on(table.templateId, table.version),
+}));
+
+// Audience segments table - named lead filters a user reuses as the audience of campaigns
+export const audienceSegments = pgTable('audience_segments', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: text('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  name: text('name').notNull(),
+  filters: json('filters').notNull(), // { match, rules } (see libs/audience-filters.js)
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+}, (table) => ({
+  userIdx: index('audience_segments_user_id_idx').on(table.userId),
+}));
+
+// Blocklist entries table - a user's do-not-contact list of profiles, names and companies
+export const blocklistEntries = pgTable('blocklist_entries', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: text('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  type: varchar('type', { length: 20 }).notNull(), // profile, name, company (see libs/blocklist-rules.js)
+  value: text('value').notNull(), // Normalized profile URL, or name/company pattern
+  reason: text('reason'), // Why the entry is blocked (client, competitor, opted out...)
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => ({
+  userValueIdx: uniqueIndex('blocklist_entries_user_id_type_value_idx').on(table.userId, table.type, table.value),
+}));
+
 // Database initialization function
 export async function initializeDatabase() {
   const { migrate } = await import('drizzle-orm/postgres-js/migrator');
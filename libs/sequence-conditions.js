@@ -0,0 +1,186 @@
+/**
+ * Sequence Conditions Module
+ *
+ * Conditions of branch nodes in sequence graphs (libs/sequence-graph.js).
+ * A branch node stores { condition: { type, days?, text? }, timeout? } and
+ * leaves through its `yes` or `no` edge once the condition is decided.
+ *
+ * Some conditions cannot be decided right away (the lead may still accept or
+ * reply): the lead then waits at the branch and is checked again until the
+ * condition is decided or the branch timeout runs out, which follows the
+ * `timeout` edge (or `no` when the branch has none).
+ *
+ * Pure functions only: the canvas uses the definitions to build conditions
+ * and the sequence runner evaluates them against facts it loads (the lead
+ * row plus lastPostAt from the posts table).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CONDITION_DAYS = 365;
+const MAX_CONDITION_TEXT_LENGTH = 200;
+
+// Undecided conditions are checked again after this long
+export const CONDITION_RECHECK_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Condition types
+ * - params: fields of the condition the canvas asks for
+ * - canWait: the condition may be undecided, so the branch needs a timeout
+ */
+export const BRANCH_CONDITIONS = {
+  invite_accepted: {
+    label: 'Invite accepted within N days',
+    params: ['days'],
+    defaults: { days: 7 },
+    canWait: true
+  },
+  replied: {
+    label: 'Replied',
+    params: [],
+    defaults: {},
+    canWait: true
+  },
+  posted_recently: {
+    label: 'Posted in the last N days',
+    params: ['days'],
+    defaults: { days: 30 },
+    canWait: false
+  },
+  title_contains: {
+    label: 'Title contains',
+    params: ['text'],
+    defaults: { text: '' },
+    canWait: false
+  },
+  message_sent: {
+    label: 'Message sent',
+    params: [],
+    defaults: {},
+    canWait: false
+  }
+};
+
+export const BRANCH_CONDITION_TYPES = Object.keys(BRANCH_CONDITIONS);
+
+/**
+ * Normalize a condition from the canvas
+ * Unknown or legacy (plain text) conditions become null.
+ *
+ * @param {Object} condition - { type, days?, text? }
+ * @returns {Object|null} - Condition with only the fields of its type
+ */
+export function cleanCondition(condition) {
+  const definition = condition && typeof condition === 'object' ? BRANCH_CONDITIONS[condition.type] : null;
+  if (!definition) return null;
+
+  const clean = { type: condition.type };
+
+  if (definition.params.includes('days')) {
+    clean.days = Number(condition.days);
+  }
+  if (definition.params.includes('text')) {
+    clean.text = typeof condition.text === 'string' ? condition.text.trim() : '';
+  }
+
+  return clean;
+}
+
+/**
+ * Check a cleaned condition
+ *
+ * @param {Object|null} condition - From cleanCondition
+ * @returns {string|null} - What is wrong, or null if the condition is valid
+ */
+export function validateCondition(condition) {
+  if (!condition) {
+    return `needs a condition (${BRANCH_CONDITION_TYPES.map(type => BRANCH_CONDITIONS[type].label).join(', ')})`;
+  }
+
+  if ('days' in condition && (!Number.isInteger(condition.days) || condition.days < 1 || condition.days > MAX_CONDITION_DAYS)) {
+    return `needs a number of days between 1 and ${MAX_CONDITION_DAYS}`;
+  }
+
+  if ('text' in condition && (!condition.text || condition.text.length > MAX_CONDITION_TEXT_LENGTH)) {
+    return `needs a text of 1 to ${MAX_CONDITION_TEXT_LENGTH} characters`;
+  }
+
+  return null;
+}
+
+/**
+ * Human-readable condition for the canvas and the enrollment history
+ */
+export function describeCondition(condition) {
+  switch (condition?.type) {
+    case 'invite_accepted':
+      return `Invite accepted within ${condition.days} day${condition.days === 1 ? '' : 's'}?`;
+    case 'replied':
+      return 'Replied?';
+    case 'posted_recently':
+      return `Posted in the last ${condition.days} day${condition.days === 1 ? '' : 's'}?`;
+    case 'title_contains':
+      return `Title contains "${condition.text}"?`;
+    case 'message_sent':
+      return 'Message sent?';
+    default:
+      return 'No condition';
+  }
+}
+
+const decided = (yes, reason) => ({ result: yes ? 'yes' : 'no', reason });
+const undecided = (reason, recheckAt) => ({ result: 'wait', reason, recheckAt });
+
+/**
+ * Evaluate a condition for a lead
+ *
+ * @param {Object} condition - Cleaned condition
+ * @param {Object} facts - Lead row fields (inviteStatus, inviteSentAt, inviteAcceptedAt,
+ *   title, messageSent, repliedAt) and lastPostAt (latest post date or null)
+ * @param {Date} now - Reference time
+ * @returns {Object} - { result: 'yes' | 'no' | 'wait', reason, recheckAt? }
+ */
+export function evaluateCondition(condition, facts, now = new Date()) {
+  const time = (value) => (value ? new Date(value).getTime() : null);
+  const recheck = (deadline = Infinity) => new Date(Math.min(now.getTime() + CONDITION_RECHECK_MS, deadline));
+
+  switch (condition?.type) {
+    case 'invite_accepted': {
+      const windowMs = condition.days * DAY_MS;
+      const sentAt = time(facts.inviteSentAt);
+
+      if (facts.inviteStatus === 'accepted') {
+        const acceptedAt = time(facts.inviteAcceptedAt);
+        const late = sentAt !== null && acceptedAt !== null && acceptedAt - sentAt > windowMs;
+        return decided(!late, late ? `Accepted after more than ${condition.days} days` : 'Invite accepted');
+      }
+
+      if (facts.inviteStatus === 'sent' && sentAt !== null && now.getTime() < sentAt + windowMs) {
+        return undecided('Invite not accepted yet', recheck(sentAt + windowMs));
+      }
+
+      return decided(false, facts.inviteStatus === 'sent' ? `Not accepted within ${condition.days} days` : 'No invite pending');
+    }
+
+    case 'replied':
+      return facts.repliedAt
+        ? decided(true, 'Lead replied')
+        : undecided('No reply yet', recheck());
+
+    case 'posted_recently': {
+      const lastPostAt = time(facts.lastPostAt);
+      const recent = lastPostAt !== null && now.getTime() - lastPostAt <= condition.days * DAY_MS;
+      return decided(recent, recent ? 'Posted recently' : `No post in the last ${condition.days} days`);
+    }
+
+    case 'title_contains': {
+      const matches = (facts.title || '').toLowerCase().includes(condition.text.toLowerCase());
+      return decided(matches, matches ? `Title matches "${condition.text}"` : `Title does not contain "${condition.text}"`);
+    }
+
+    case 'message_sent':
+      return decided(!!facts.messageSent, facts.messageSent ? 'Message sent' : 'No message sent');
+
+    default:
+      return decided(false, 'Branch has no condition');
+  }
+}
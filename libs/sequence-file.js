@@ -0,0 +1,157 @@
+/**
+ * Sequence File Module
+ *
+ * JSON files to move sequences between workspaces or keep them in git.
+ * The format is documented in SEQUENCE_FORMAT.md:
+ *
+ *   { format: 'reachly.sequence', version: 1, name, exportedAt,
+ *     sequence: { startNodeId, nodes, edges } }
+ *
+ * Reading a file first checks its structure (the schema of the format), then
+ * validates the graph like a save from the canvas (libs/sequence-graph.js),
+ * so an imported sequence is always one the runner can execute.
+ *
+ * Pure functions only: the workflow canvas imports and exports in the browser.
+ */
+
+import { validateSequenceGraph } from './sequence-graph';
+
+export const SEQUENCE_FILE_FORMAT = 'reachly.sequence';
+export const SEQUENCE_FILE_VERSION = 1;
+export const MAX_SEQUENCE_FILE_BYTES = 512 * 1024;
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check the structure of a parsed file against the format
+ *
+ * @returns {Array<string>} - Errors, with the path of the offending field
+ */
+function checkFileSchema(file) {
+  if (!isObject(file)) return ['File must contain a JSON object'];
+
+  if (file.format !== SEQUENCE_FILE_FORMAT) {
+    return [`Not a sequence file: "format" must be "${SEQUENCE_FILE_FORMAT}"`];
+  }
+  if (!Number.isInteger(file.version) || file.version < 1) {
+    return ['"version" must be a positive whole number'];
+  }
+  if (file.version > SEQUENCE_FILE_VERSION) {
+    return [`File version ${file.version} is newer than this app supports (${SEQUENCE_FILE_VERSION})`];
+  }
+
+  const errors = [];
+
+  if (file.name !== undefined && typeof file.name !== 'string') {
+    errors.push('"name" must be a string');
+  }
+
+  const { sequence } = file;
+  if (!isObject(sequence)) {
+    return [...errors, '"sequence" must be an object with "nodes" and "edges"'];
+  }
+  if (sequence.startNodeId !== undefined && typeof sequence.startNodeId !== 'string') {
+    errors.push('"sequence.startNodeId" must be a string');
+  }
+  if (!Array.isArray(sequence.nodes)) errors.push('"sequence.nodes" must be an array');
+  if (!Array.isArray(sequence.edges)) errors.push('"sequence.edges" must be an array');
+  if (errors.length > 0) return errors;
+
+  sequence.nodes.forEach((node, index) => {
+    const path = `sequence.nodes[${index}]`;
+    if (!isObject(node)) {
+      errors.push(`"${path}" must be an object`);
+      return;
+    }
+    if (typeof node.id !== 'string' || !node.id) errors.push(`"${path}.id" must be a non-empty string`);
+    if (typeof node.type !== 'string') errors.push(`"${path}.type" must be a string`);
+    if (node.position !== undefined && (!isObject(node.position) || typeof node.position.x !== 'number' || typeof node.position.y !== 'number')) {
+      errors.push(`"${path}.position" must be { "x": number, "y": number }`);
+    }
+    if (node.data !== undefined && !isObject(node.data)) errors.push(`"${path}.data" must be an object`);
+  });
+
+  sequence.edges.forEach((edge, index) => {
+    const path = `sequence.edges[${index}]`;
+    if (!isObject(edge)) {
+      errors.push(`"${path}" must be an object`);
+      return;
+    }
+    if (edge.id !== undefined && typeof edge.id !== 'string') errors.push(`"${path}.id" must be a string`);
+    if (typeof edge.source !== 'string') errors.push(`"${path}.source" must be a step id`);
+    if (typeof edge.target !== 'string') errors.push(`"${path}.target" must be a step id`);
+    if (edge.sourceHandle !== undefined && edge.sourceHandle !== null && typeof edge.sourceHandle !== 'string') {
+      errors.push(`"${path}.sourceHandle" must be a string or null`);
+    }
+  });
+
+  if (sequence.startNodeId !== undefined && !sequence.nodes.some(node => node?.id === sequence.startNodeId)) {
+    errors.push(`"sequence.startNodeId" is "${sequence.startNodeId}", which is not one of the steps`);
+  }
+
+  return errors;
+}
+
+/**
+ * Build the file of a canvas graph
+ *
+ * @param {Object} params
+ * @param {string} params.name - Sequence name
+ * @param {Object} params.graph - { nodes, edges } from the canvas
+ * @param {Date} params.now - Export time
+ * @returns {Object} - { file, errors } (no file when the graph is not a valid sequence)
+ */
+export function buildSequenceFile({ name, graph, now = new Date() }) {
+  const { graph: clean, errors } = validateSequenceGraph(graph);
+  if (errors.length > 0) return { file: null, errors };
+
+  return {
+    file: {
+      format: SEQUENCE_FILE_FORMAT,
+      version: SEQUENCE_FILE_VERSION,
+      name: name || 'Sequence',
+      exportedAt: now.toISOString(),
+      sequence: clean
+    },
+    errors
+  };
+}
+
+/**
+ * Read a sequence file
+ *
+ * @param {string} text - File contents
+ * @returns {Object} - { name, graph, errors } where graph is validated for storage
+ */
+export function parseSequenceFile(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { name: null, graph: null, errors: ['File is empty'] };
+  }
+  if (text.length > MAX_SEQUENCE_FILE_BYTES) {
+    return { name: null, graph: null, errors: [`File is larger than ${Math.round(MAX_SEQUENCE_FILE_BYTES / 1024)} KB`] };
+  }
+
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    return { name: null, graph: null, errors: [`File is not valid JSON: ${error.message}`] };
+  }
+
+  const schemaErrors = checkFileSchema(file);
+  if (schemaErrors.length > 0) return { name: null, graph: null, errors: schemaErrors };
+
+  const { startNodeId, nodes, edges } = file.sequence;
+
+  // The start step of the file wins over any isStart flag left in node data
+  const input = {
+    nodes: nodes.map(node => ({
+      ...node,
+      data: startNodeId ? { ...node.data, isStart: node.id === startNodeId } : node.data
+    })),
+    edges
+  };
+
+  const { graph, errors } = validateSequenceGraph(input);
+  return { name: file.name || null, graph, errors };
+}
@@ -0,0 +1,332 @@
+/**
+ * Sequence Graph Module
+ *
+ * Validation and navigation of sequence graphs built in the workflow canvas
+ * (app/dashboard/workflow/components/SequenceCanvas.js). A graph is stored as
+ * { startNodeId, nodes, edges } in sequence_versions.graph:
+ * - nodes: [{ id, type, position, data }] with type one of SEQUENCE_NODE_TYPES
+ * - edges: [{ id, source, target, sourceHandle }] where branch nodes use the
+ *   `yes` / `no` / `timeout` handles and every other node has at most one
+ *   outgoing edge
+ *
+ * Branch conditions are defined and evaluated in libs/sequence-conditions.js.
+ *
+ * Pure functions only: the sequence runner (workers/sequence-runner.js) and
+ * the sequence API both use them.
+ */
+
+import { BRANCH_CONDITIONS, cleanCondition, validateCondition } from './sequence-conditions';
+
+export const SEQUENCE_NODE_TYPES = ['visit', 'follow', 'like', 'endorse', 'connect', 'wait', 'message', 'branch'];
+
+// Steps that open the lead's profile in a browser session of the sending account
+export const BROWSER_NODE_TYPES = ['visit', 'follow', 'like', 'endorse', 'connect', 'message'];
+
+// timeout: taken when the condition is still undecided at the end of the branch timeout
+export const BRANCH_HANDLES = ['yes', 'no', 'timeout'];
+
+export const MAX_SEQUENCE_NODES = 50;
+const MAX_MESSAGE_LENGTH = 8000; // LinkedIn message limit
+export const DEFAULT_ENDORSE_SKILLS = 3;
+export const MAX_ENDORSE_SKILLS = 10;
+const MAX_ENDORSE_KEYWORDS = 20;
+const MAX_DELAY_MS = 90 * 24 * 60 * 60 * 1000;
+
+const DELAY_UNITS = [
+  { pattern: /^(m|min|mins|minute|minutes)$/, ms: 60 * 1000 },
+  { pattern: /^(h|hr|hrs|hour|hours)$/, ms: 60 * 60 * 1000 },
+  { pattern: /^(d|day|days)$/, ms: 24 * 60 * 60 * 1000 },
+  { pattern: /^(w|week|weeks)$/, ms: 7 * 24 * 60 * 60 * 1000 }
+];
+
+const DELAY_PATTERN = /^(\d+)\s*(?:-\s*(\d+))?\s*([a-z]+)$/;
+
+/**
+ * Parse a wait node delay such as "2-4 hours", "3 days" or "30 min"
+ *
+ * @param {string} value - Delay label from the canvas
+ * @returns {Object|null} - { minMs, maxMs } or null if not understood
+ */
+export function parseDelay(value) {
+  const match = DELAY_PATTERN.exec(String(value || '').trim().toLowerCase());
+  if (!match) return null;
+
+  const unit = DELAY_UNITS.find(({ pattern }) => pattern.test(match[3]));
+  if (!unit) return null;
+
+  const min = parseInt(match[1], 10);
+  const max = match[2] !== undefined ? parseInt(match[2], 10) : min;
+  if (max < min) return null;
+
+  const delay = { minMs: min * unit.ms, maxMs: max * unit.ms };
+  return delay.maxMs > MAX_DELAY_MS ? null : delay;
+}
+
+/**
+ * Pick a delay inside a parsed range (random so leads do not move in lockstep)
+ */
+export function pickDelayMs({ minMs, maxMs }, random = Math.random) {
+  return Math.round(minMs + (maxMs - minMs) * random());
+}
+
+/**
+ * Keep only the node data the runner and the canvas need
+ * Runtime decoration (status badges) is never stored.
+ */
+function cleanNodeData(type, data = {}) {
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  switch (type) {
+    case 'follow':
+      return { unfollow: data.unfollow === true };
+    case 'endorse': {
+      const maxSkills = Number(data.maxSkills);
+      const keywords = Array.isArray(data.keywords) ? data.keywords : String(data.keywords || '').split(',');
+      return {
+        maxSkills: Number.isInteger(maxSkills) ? maxSkills : DEFAULT_ENDORSE_SKILLS,
+        keywords: [...new Set(keywords.map(text).filter(Boolean))]
+      };
+    }
+    case 'wait':
+      return { delay: text(data.delay) };
+    case 'message':
+      return { messageType: text(data.messageType), message: typeof data.message === 'string' ? data.message : '' };
+    case 'branch':
+      return { condition: cleanCondition(data.condition), timeout: text(data.timeout) };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Validate a graph submitted by the canvas and normalize it for storage
+ *
+ * @param {Object} input - { nodes, edges } (React Flow state)
+ * @returns {Object} - { graph, errors } where graph is { startNodeId, nodes, edges }
+ */
+export function validateSequenceGraph(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || !Array.isArray(input.nodes) || !Array.isArray(input.edges)) {
+    return { graph: null, errors: ['Sequence must have nodes and edges arrays'] };
+  }
+
+  if (input.nodes.length === 0) {
+    return { graph: null, errors: ['Sequence has no steps'] };
+  }
+
+  if (input.nodes.length > MAX_SEQUENCE_NODES) {
+    return { graph: null, errors: [`Sequence can have at most ${MAX_SEQUENCE_NODES} steps`] };
+  }
+
+  // Nodes
+  const nodes = [];
+  const nodeById = new Map();
+  const rejectedIds = new Set(); // Steps already reported, their connections are not
+
+  input.nodes.forEach((node, index) => {
+    if (!node || typeof node.id !== 'string' || !node.id) {
+      errors.push(`Step ${index + 1} has no id`);
+      return;
+    }
+    if (nodeById.has(node.id)) {
+      errors.push(`Duplicate step id: ${node.id}`);
+      return;
+    }
+    if (!SEQUENCE_NODE_TYPES.includes(node.type)) {
+      errors.push(`Step ${node.id} has unknown type "${node.type}" (expected one of: ${SEQUENCE_NODE_TYPES.join(', ')})`);
+      rejectedIds.add(node.id);
+      return;
+    }
+
+    const clean = {
+      id: node.id,
+      type: node.type,
+      position: {
+        x: Number(node.position?.x) || 0,
+        y: Number(node.position?.y) || 0
+      },
+      data: cleanNodeData(node.type, node.data)
+    };
+
+    if (clean.type === 'wait' && !parseDelay(clean.data.delay)) {
+      errors.push(`Wait step ${node.id} needs a delay like "2-4 hours" or "3 days"`);
+    }
+    if (clean.type === 'endorse' && (clean.data.maxSkills < 1 || clean.data.maxSkills > MAX_ENDORSE_SKILLS)) {
+      errors.push(`Endorse step ${node.id} must endorse between 1 and ${MAX_ENDORSE_SKILLS} skills`);
+    }
+    if (clean.type === 'endorse' && clean.data.keywords.length > MAX_ENDORSE_KEYWORDS) {
+      errors.push(`Endorse step ${node.id} can have at most ${MAX_ENDORSE_KEYWORDS} keywords`);
+    }
+
+    if (clean.type === 'message' && clean.data.message.length > MAX_MESSAGE_LENGTH) {
+      errors.push(`Message step ${node.id} is longer than ${MAX_MESSAGE_LENGTH} characters`);
+    }
+    if (clean.type === 'branch') {
+      const conditionError = validateCondition(clean.data.condition);
+      if (conditionError) errors.push(`Branch ${node.id} ${conditionError}`);
+
+      if (clean.data.timeout && !parseDelay(clean.data.timeout)) {
+        errors.push(`Branch ${node.id} needs a timeout like "3 days"`);
+      } else if (!clean.data.timeout && BRANCH_CONDITIONS[clean.data.condition?.type]?.canWait) {
+        errors.push(`Branch ${node.id} needs a timeout: leads wait there until the condition is met`);
+      }
+    }
+
+    nodes.push(clean);
+    nodeById.set(clean.id, clean);
+  });
+
+  // Edges
+  const edges = [];
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  const incoming = new Map(nodes.map(node => [node.id, 0]));
+
+  input.edges.forEach((edge, index) => {
+    if (rejectedIds.has(edge?.source) || rejectedIds.has(edge?.target)) return;
+
+    const source = nodeById.get(edge?.source);
+    const target = nodeById.get(edge?.target);
+
+    if (!source || !target) {
+      const missing = [
+        !source && `from step "${edge?.source}"`,
+        !target && `to step "${edge?.target}"`
+      ].filter(Boolean).join(' and ');
+      errors.push(`Connection ${edge?.id || index + 1} goes ${missing}, which does not exist`);
+      return;
+    }
+
+    const sourceHandle = source.type === 'branch' ? edge.sourceHandle : null;
+    if (source.type === 'branch' && !BRANCH_HANDLES.includes(sourceHandle)) {
+      errors.push(`Branch ${source.id} connections must leave from its Yes, No or Timeout handle`);
+      return;
+    }
+    if (sourceHandle === 'timeout' && !source.data.timeout) {
+      errors.push(`Branch ${source.id} has a Timeout connection but no timeout`);
+      return;
+    }
+
+    const clean = {
+      id: typeof edge.id === 'string' && edge.id ? edge.id : `e-${source.id}-${target.id}-${sourceHandle || 'next'}`,
+      source: source.id,
+      target: target.id,
+      sourceHandle
+    };
+
+    edges.push(clean);
+    outgoing.get(source.id).push(clean);
+    incoming.set(target.id, incoming.get(target.id) + 1);
+  });
+
+  for (const node of nodes) {
+    const out = outgoing.get(node.id);
+
+    if (node.type === 'branch') {
+      BRANCH_HANDLES.forEach(handle => {
+        if (out.filter(edge => edge.sourceHandle === handle).length > 1) {
+          errors.push(`Branch ${node.id} has more than one "${handle}" connection`);
+        }
+      });
+    } else if (out.length > 1) {
+      errors.push(`Step ${node.id} (${node.type}) has more than one next step`);
+    }
+  }
+
+  if (errors.length > 0) return { graph: null, errors };
+
+  // Start: the node flagged in the canvas, else the only node nothing points to
+  const flagged = (input.nodes || []).filter(node => node?.data?.isStart && nodeById.has(node.id));
+  const roots = nodes.filter(node => incoming.get(node.id) === 0);
+  let startNodeId = null;
+
+  if (flagged.length > 1) {
+    errors.push('Sequence has more than one start step');
+  } else if (flagged.length === 1) {
+    startNodeId = flagged[0].id;
+    if (incoming.get(startNodeId) > 0) errors.push('The start step cannot have incoming connections');
+  } else if (roots.length === 1) {
+    startNodeId = roots[0].id;
+  } else {
+    errors.push(roots.length === 0 ? 'Sequence has no start step' : `Sequence has ${roots.length} possible start steps; connect them into one flow`);
+  }
+
+  if (errors.length > 0) return { graph: null, errors };
+
+  // Every step must be reachable from the start, and the flow must not loop
+  const visiting = new Set();
+  const visited = new Set();
+  let hasCycle = false;
+
+  const visit = (nodeId) => {
+    if (visiting.has(nodeId)) {
+      hasCycle = true;
+      return;
+    }
+    if (visited.has(nodeId)) return;
+
+    visiting.add(nodeId);
+    outgoing.get(nodeId).forEach(edge => visit(edge.target));
+    visiting.delete(nodeId);
+    visited.add(nodeId);
+  };
+  visit(startNodeId);
+
+  if (hasCycle) {
+    errors.push('Sequence contains a loop; every path must end');
+  }
+
+  const unreachable = nodes.filter(node => !visited.has(node.id));
+  if (unreachable.length > 0) {
+    errors.push(`Steps not connected to the start: ${unreachable.map(node => node.id).join(', ')}`);
+  }
+
+  if (errors.length > 0) return { graph: null, errors };
+
+  nodes.forEach(node => {
+    if (node.id === startNodeId) node.data.isStart = true;
+  });
+
+  return { graph: { startNodeId, nodes, edges }, errors };
+}
+
+/**
+ * Find a node of a stored graph
+ */
+export function getSequenceNode(graph, nodeId) {
+  return graph.nodes.find(node => node.id === nodeId) || null;
+}
+
+/**
+ * Get the node that follows another one
+ *
+ * @param {Object} graph - Stored graph
+ * @param {string} nodeId - Current node
+ * @param {string|null} handle - Branch handle ('yes' | 'no' | 'timeout'), null for other nodes
+ * @returns {string|null} - Next node ID, or null at the end of the sequence
+ */
+export function getNextNodeId(graph, nodeId, handle = null) {
+  const edge = graph.edges.find(e => e.source === nodeId && (handle === null || e.sourceHandle === handle));
+  return edge ? edge.target : null;
+}
+
+/**
+ * Enrollment fields for a lead arriving at a node
+ * Arriving at a wait node schedules its end; any other node is due right away.
+ *
+ * @param {Object} graph - Stored graph
+ * @param {string} nodeId - Node the lead moves to
+ * @param {Date} now - Reference time
+ * @returns {Object} - { currentNodeId, nextDueAt, stepStartedAt, attempts }
+ */
+export function enterNode(graph, nodeId, now = new Date()) {
+  const node = getSequenceNode(graph, nodeId);
+  const delay = node?.type === 'wait' ? parseDelay(node.data.delay) : null;
+
+  return {
+    currentNodeId: nodeId,
+    nextDueAt: delay ? new Date(now.getTime() + pickDelayMs(delay)) : now,
+    stepStartedAt: now,
+    attempts: 0
+  };
+}
@@ -0,0 +1,270 @@
+/**
+ * Sequence Simulator Module
+ *
+ * Forecasts how a sequence graph (libs/sequence-graph.js) would run for an
+ * audience before it is launched: which LinkedIn actions happen on which day,
+ * and when the last lead is done. Leads move through the graph hour by hour
+ * the way the sequence runner moves them:
+ * - wait nodes take the middle of their delay range
+ * - LinkedIn steps only run inside the campaign working hours and within the
+ *   daily limits of the sending accounts (and the campaign daily caps)
+ * - an assumed share of invites is accepted a few days after being sent;
+ *   message steps wait for the acceptance like the runner does
+ * - branches decide "invite accepted" from that assumption and "message sent"
+ *   from the simulated leads; replies are not forecast, so "replied" branches
+ *   take their timeout, and lead data conditions (posts, title) take "no"
+ *
+ * Pure function: the simulate API loads the graph, settings and quotas.
+ */
+
+import { parseDelay } from './sequence-graph';
+import { isWithinWorkingHours, getLocalDateKey, normalizeCampaignSettings } from './campaign-settings';
+
+export const MAX_SIMULATED_LEADS = 5000;
+export const DEFAULT_ACCEPTANCE_RATE = 30; // Percent of invites accepted
+export const ASSUMED_ACCEPT_DELAY_DAYS = 2;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_SIMULATION_DAYS = 180;
+const MAX_WAIT_FOR_CONNECTION_MS = 14 * DAY_MS; // Same as the sequence runner
+
+// Daily quota used by each LinkedIn step (endorse uses one per skill)
+const STEP_QUOTAS = {
+  connect: 'connect',
+  message: 'message',
+  visit: 'view',
+  follow: 'follow',
+  like: 'like',
+  endorse: 'endorse'
+};
+
+// Per-day counters of the forecast, one per quota
+const DAY_COUNTERS = {
+  connect: 'invites',
+  message: 'messages',
+  view: 'views',
+  follow: 'follows',
+  like: 'likes',
+  endorse: 'endorsements'
+};
+
+const middleOf = ({ minMs, maxMs }) => Math.round((minMs + maxMs) / 2);
+
+/**
+ * Simulate a sequence for an audience
+ * Pure function.
+ *
+ * @param {Object} graph - Stored graph { startNodeId, nodes, edges }
+ * @param {Object} options
+ * @param {number} options.audienceSize - Number of leads enrolled at the start
+ * @param {number} options.acceptanceRate - Percent of invites accepted (0-100)
+ * @param {Object} options.quotas - Daily limits of the sending accounts (summed):
+ *   { connect, message, view, follow, like, endorse } each { limit, remaining } (remaining = left today)
+ * @param {Object} options.settings - Campaign settings (timezone, working hours, daily caps)
+ * @param {Date} options.start - When the leads are enrolled (default: now)
+ * @returns {Object} - { days, totals, completionDate, finished, notConnected, unfinished, assumptions }
+ *   days: [{ date, invites, messages, views, follows, likes, endorsements, accepted, completed }]
+ */
+export function simulateSequence(graph, { audienceSize, acceptanceRate = DEFAULT_ACCEPTANCE_RATE, quotas, settings, start = new Date() }) {
+  const campaignSettings = normalizeCampaignSettings(settings);
+  const { timezone } = campaignSettings;
+  const nodes = new Map(graph.nodes.map(node => [node.id, node]));
+  const rate = Math.min(100, Math.max(0, acceptanceRate)) / 100;
+  const startMs = start.getTime();
+  const endMs = startMs + MAX_SIMULATION_DAYS * DAY_MS;
+
+  const days = new Map();
+  const dayOf = (ms) => {
+    const date = getLocalDateKey(timezone, new Date(ms));
+    if (!days.has(date)) {
+      days.set(date, { date, invites: 0, messages: 0, views: 0, follows: 0, likes: 0, endorsements: 0, accepted: 0, completed: 0 });
+    }
+    return days.get(date);
+  };
+
+  // Daily budget of each quota: account limits, capped by the campaign caps
+  const caps = { connect: campaignSettings.dailyConnectCap, message: campaignSettings.dailyMessageCap };
+  const dailyBudget = (quota, firstDay) => {
+    const accountQuota = quotas[quota] || { limit: 0, remaining: 0 };
+    const accountBudget = firstDay ? accountQuota.remaining : accountQuota.limit;
+    return caps[quota] === null || caps[quota] === undefined ? accountBudget : Math.min(accountBudget, caps[quota]);
+  };
+
+  let budgetDate = null;
+  let budget = {};
+
+  const nextEdge = (nodeId, handle = null) =>
+    graph.edges.find(e => e.source === nodeId && (handle === null || e.sourceHandle === handle))?.target || null;
+
+  // Spread acceptances evenly: lead i accepts when the running share crosses a whole lead
+  const leads = Array.from({ length: audienceSize }, (_, i) => ({
+    nodeId: graph.startNodeId,
+    readyAt: startMs,
+    stepStartedAt: startMs,
+    accepts: Math.floor((i + 1) * rate) > Math.floor(i * rate),
+    invitedAt: null,
+    acceptedAt: null,
+    messageSent: false,
+    status: 'active'
+  }));
+
+  let finished = 0;
+  let notConnected = 0;
+  let completionMs = null;
+
+  const finish = (lead, at, status = 'finished') => {
+    lead.status = status;
+    dayOf(at).completed++;
+    completionMs = Math.max(completionMs || 0, at);
+    if (status === 'not_connected') notConnected++;
+    else finished++;
+  };
+
+  const moveTo = (lead, nodeId, at) => {
+    if (!nodeId) return finish(lead, at);
+
+    const node = nodes.get(nodeId);
+    const delay = node?.type === 'wait' ? parseDelay(node.data.delay) : null;
+    lead.nodeId = nodeId;
+    lead.stepStartedAt = at;
+    lead.readyAt = delay ? at + middleOf(delay) : at;
+  };
+
+  // Branch decision at `at`: { handle } once decided, else { until }
+  const decide = (node, lead, at) => {
+    const { condition } = node.data;
+    const timeout = parseDelay(node.data.timeout);
+    const deadline = timeout ? lead.stepStartedAt + timeout.minMs : Infinity;
+    const timedOut = () => ({ handle: nextEdge(node.id, 'timeout') ? 'timeout' : 'no' });
+
+    switch (condition?.type) {
+      case 'invite_accepted': {
+        const windowMs = condition.days * DAY_MS;
+        if (lead.acceptedAt !== null && lead.acceptedAt <= at) {
+          return { handle: lead.acceptedAt - lead.invitedAt > windowMs ? 'no' : 'yes' };
+        }
+        if (lead.invitedAt !== null && at < lead.invitedAt + windowMs) {
+          if (at >= deadline) return timedOut();
+          const decidedAt = Math.min(lead.acceptedAt ?? Infinity, lead.invitedAt + windowMs);
+          return { until: Math.min(decidedAt, deadline) };
+        }
+        return { handle: 'no' };
+      }
+      case 'replied':
+        return at >= deadline ? timedOut() : { until: deadline };
+      case 'message_sent':
+        return { handle: lead.messageSent ? 'yes' : 'no' };
+      default:
+        return { handle: 'no' };
+    }
+  };
+
+  let active = audienceSize;
+
+  for (let now = startMs; now < endMs && active > 0; now += HOUR_MS) {
+    const date = getLocalDateKey(timezone, new Date(now));
+    if (date !== budgetDate) {
+      const firstDay = budgetDate === null;
+      budgetDate = date;
+      budget = Object.fromEntries(Object.keys(DAY_COUNTERS).map(quota => [quota, dailyBudget(quota, firstDay)]));
+    }
+
+    const working = isWithinWorkingHours(campaignSettings, new Date(now));
+
+    for (const lead of leads) {
+      if (lead.status !== 'active') continue;
+
+      // One LinkedIn action per lead per pass, like the runner; the step cap stops zero-delay loops
+      let acted = false;
+
+      for (let steps = 0; steps <= nodes.size && lead.status === 'active' && lead.readyAt <= now; steps++) {
+        const node = nodes.get(lead.nodeId);
+        const at = Math.max(lead.readyAt, startMs);
+
+        if (!node) {
+          finish(lead, at);
+          break;
+        }
+
+        if (node.type === 'wait') {
+          moveTo(lead, nextEdge(node.id), at);
+          continue;
+        }
+
+        if (node.type === 'branch') {
+          const decision = decide(node, lead, now);
+          if (decision.handle) {
+            moveTo(lead, nextEdge(node.id, decision.handle), now);
+          } else {
+            lead.readyAt = Math.max(decision.until, now + HOUR_MS);
+          }
+          continue;
+        }
+
+        const connected = lead.acceptedAt !== null && lead.acceptedAt <= now;
+
+        // Steps that finish without an action
+        if ((node.type === 'connect' && lead.invitedAt !== null) || (node.type === 'endorse' && !connected)) {
+          moveTo(lead, nextEdge(node.id), now);
+          continue;
+        }
+
+        if (node.type === 'message' && !connected) {
+          const giveUpAt = lead.stepStartedAt + MAX_WAIT_FOR_CONNECTION_MS;
+          if (now >= giveUpAt) {
+            finish(lead, now, 'not_connected');
+          } else {
+            lead.readyAt = Math.min(lead.acceptedAt ?? Infinity, giveUpAt);
+          }
+          break;
+        }
+
+        const quota = STEP_QUOTAS[node.type];
+        if (acted || !working || !quota || budget[quota] < 1) break;
+
+        const used = node.type === 'endorse' ? Math.min(budget.endorse, node.data.maxSkills || 1) : 1;
+        budget[quota] -= used;
+        dayOf(now)[DAY_COUNTERS[quota]] += used;
+        acted = true;
+
+        if (node.type === 'connect') {
+          lead.invitedAt = now;
+          if (lead.accepts) {
+            lead.acceptedAt = now + ASSUMED_ACCEPT_DELAY_DAYS * DAY_MS;
+            dayOf(lead.acceptedAt).accepted++;
+          }
+        }
+        if (node.type === 'message') {
+          lead.messageSent = true;
+        }
+
+        moveTo(lead, nextEdge(node.id), now);
+      }
+
+      if (lead.status !== 'active') active--;
+    }
+  }
+
+  const dayList = Array.from(days.values()).sort((a, b) => a.date.localeCompare(b.date));
+  const totals = dayList.reduce((sum, day) => {
+    for (const key of Object.keys(sum)) sum[key] += day[key];
+    return sum;
+  }, { invites: 0, messages: 0, views: 0, follows: 0, likes: 0, endorsements: 0, accepted: 0, completed: 0 });
+
+  return {
+    days: dayList,
+    totals,
+    completionDate: active === 0 && completionMs !== null ? getLocalDateKey(timezone, new Date(completionMs)) : null,
+    finished,
+    notConnected,
+    unfinished: active,
+    assumptions: {
+      audienceSize,
+      acceptanceRate: rate * 100,
+      acceptDelayDays: ASSUMED_ACCEPT_DELAY_DAYS,
+      maxDays: MAX_SIMULATION_DAYS,
+      timezone
+    }
+  };
+}
@@ -0,0 +1,277 @@
+/**
+ * Sequence Templates Module
+ *
+ * Named canvases a user saves once and reuses across campaigns. A template
+ * remembers which canvas it was built in (the custom sequence canvas or one
+ * of the built-in workflow templates) and keeps every saved state as a
+ * version, like campaign sequences (libs/sequences.js):
+ * - custom canvases are validated as executable sequence graphs
+ * - built-in canvases are stored as the React Flow nodes and edges they show
+ */
+
+import { db } from './db';
+import { sequenceTemplates, sequenceTemplateVersions } from './schema';
+import { eq, and, desc } from 'drizzle-orm';
+import { validateSequenceGraph, MAX_SEQUENCE_NODES } from './sequence-graph';
+
+// Canvases a template can be built in (ids match the workflow page `template` parameter)
+export const TEMPLATE_CANVASES = {
+  custom: 'Custom sequence',
+  'lead-generation': 'Lead Generation',
+  'send-invite': 'Send Invite',
+  'endorse-my-skills': 'Endorse My Skills',
+  'extra-profile-views': 'Extra Profile Views'
+};
+
+export const MAX_TEMPLATE_NAME_LENGTH = 100;
+const MAX_CANVAS_GRAPH_BYTES = 200 * 1024;
+
+// Fields of built-in canvas nodes and edges worth keeping (the rest is React Flow runtime state)
+const CANVAS_NODE_FIELDS = ['id', 'type', 'position', 'data', 'style'];
+const CANVAS_EDGE_FIELDS = ['id', 'source', 'target', 'sourceHandle', 'targetHandle', 'type', 'data', 'style', 'markerEnd'];
+
+const pick = (item, fields) => Object.fromEntries(
+  fields.filter(field => item[field] !== undefined && item[field] !== null).map(field => [field, item[field]])
+);
+
+/**
+ * Validate the graph of a built-in canvas
+ * Pure function.
+ */
+function validateCanvasGraph(input) {
+  const errors = [];
+  const ids = new Set();
+
+  const nodes = input.nodes.map((node, index) => {
+    if (!node || typeof node.id !== 'string' || !node.id) {
+      errors.push(`Step ${index + 1} has no id`);
+      return null;
+    }
+    if (ids.has(node.id)) errors.push(`Duplicate step id: ${node.id}`);
+    ids.add(node.id);
+
+    return pick({ ...node, position: { x: Number(node.position?.x) || 0, y: Number(node.position?.y) || 0 } }, CANVAS_NODE_FIELDS);
+  });
+
+  const edges = input.edges.map((edge, index) => {
+    if (!edge || !ids.has(edge.source) || !ids.has(edge.target)) {
+      errors.push(`Connection ${edge?.id || index + 1} points to a missing step`);
+      return null;
+    }
+    return pick(edge, CANVAS_EDGE_FIELDS);
+  });
+
+  if (errors.length > 0) return { graph: null, errors };
+
+  const graph = { nodes, edges };
+  if (JSON.stringify(graph).length > MAX_CANVAS_GRAPH_BYTES) {
+    return { graph: null, errors: ['Template is too large'] };
+  }
+
+  return { graph, errors };
+}
+
+/**
+ * Validate a canvas graph for storage in a template
+ * Pure function.
+ *
+ * @param {string} canvas - One of TEMPLATE_CANVASES
+ * @param {Object} input - { nodes, edges } from the canvas
+ * @returns {Object} - { graph, errors }
+ */
+export function validateTemplateGraph(canvas, input) {
+  if (!TEMPLATE_CANVASES[canvas]) {
+    return { graph: null, errors: [`Unknown canvas: ${canvas}`] };
+  }
+
+  if (canvas === 'custom') return validateSequenceGraph(input);
+
+  if (!input || typeof input !== 'object' || !Array.isArray(input.nodes) || !Array.isArray(input.edges)) {
+    return { graph: null, errors: ['Template must have nodes and edges arrays'] };
+  }
+  if (input.nodes.length === 0) {
+    return { graph: null, errors: ['Template has no steps'] };
+  }
+  if (input.nodes.length > MAX_SEQUENCE_NODES) {
+    return { graph: null, errors: [`Template can have at most ${MAX_SEQUENCE_NODES} steps`] };
+  }
+
+  return validateCanvasGraph(input);
+}
+
+/**
+ * Check a template name
+ *
+ * @returns {string|null} - Trimmed name, or null if empty or too long
+ */
+export function cleanTemplateName(name) {
+  const clean = typeof name === 'string' ? name.trim() : '';
+  return clean && clean.length <= MAX_TEMPLATE_NAME_LENGTH ? clean : null;
+}
+
+/**
+ * API shape of a template
+ *
+ * @param {Object} template - Template row
+ * @param {number} nodeCount - Steps in its current version
+ */
+export function serializeTemplate(template, nodeCount) {
+  return {
+    id: template.id,
+    name: template.name,
+    canvas: template.canvas,
+    canvasLabel: TEMPLATE_CANVASES[template.canvas] || template.canvas,
+    version: template.currentVersion,
+    nodeCount,
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt
+  };
+}
+
+/**
+ * List a user's templates, most recently updated first
+ *
+ * @param {string} userId - Owner
+ * @returns {Promise<Array>} - Template rows with nodeCount of their current version
+ */
+export async function listTemplates(userId) {
+  const rows = await db.select({ template: sequenceTemplates, graph: sequenceTemplateVersions.graph })
+    .from(sequenceTemplates)
+    .leftJoin(sequenceTemplateVersions, and(
+      eq(sequenceTemplateVersions.templateId, sequenceTemplates.id),
+      eq(sequenceTemplateVersions.version, sequenceTemplates.currentVersion)
+    ))
+    .where(eq(sequenceTemplates.userId, userId))
+    .orderBy(desc(sequenceTemplates.updatedAt));
+
+  return rows.map(({ template, graph }) => ({
+    ...template,
+    nodeCount: graph?.nodes?.length || 0
+  }));
+}
+
+/**
+ * Get a user's template with the graph of one of its versions
+ *
+ * @param {string} templateId - Template ID
+ * @param {string} userId - Owner
+ * @param {number|null} version - Version number, null for the current one
+ * @returns {Promise<Object|null>} - { template, version } or null if not found
+ */
+export async function getTemplate(templateId, userId, version = null) {
+  const template = await db.query.sequenceTemplates.findFirst({
+    where: and(eq(sequenceTemplates.id, templateId), eq(sequenceTemplates.userId, userId))
+  });
+
+  if (!template) return null;
+
+  const versionRow = await db.query.sequenceTemplateVersions.findFirst({
+    where: and(
+      eq(sequenceTemplateVersions.templateId, templateId),
+      eq(sequenceTemplateVersions.version, version ?? template.currentVersion)
+    )
+  });
+
+  return { template, version: versionRow || null };
+}
+
+/**
+ * Version history of a template, newest first
+ *
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Array>} - [{ version, createdAt, nodeCount }]
+ */
+export async function listTemplateVersions(templateId) {
+  const versions = await db.select()
+    .from(sequenceTemplateVersions)
+    .where(eq(sequenceTemplateVersions.templateId, templateId))
+    .orderBy(desc(sequenceTemplateVersions.version));
+
+  return versions.map(({ version, createdAt, graph }) => ({
+    version,
+    createdAt,
+    nodeCount: graph?.nodes?.length || 0
+  }));
+}
+
+/**
+ * Create a template with its first version
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Owner
+ * @param {string} params.name - Template name
+ * @param {string} params.canvas - One of TEMPLATE_CANVASES
+ * @param {Object} params.graph - Graph from validateTemplateGraph
+ * @returns {Promise<Object>} - { template, version }
+ */
+export async function createTemplate({ userId, name, canvas, graph }) {
+  return db.transaction(async (tx) => {
+    const [template] = await tx.insert(sequenceTemplates)
+      .values({ userId, name, canvas, currentVersion: 1 })
+      .returning();
+
+    const [version] = await tx.insert(sequenceTemplateVersions)
+      .values({ templateId: template.id, version: 1, graph })
+      .returning();
+
+    return { template, version };
+  });
+}
+
+/**
+ * Save a graph as the template's next version (nothing is stored if it did not change)
+ *
+ * @param {Object} template - Template row
+ * @param {Object} graph - Graph from validateTemplateGraph
+ * @returns {Promise<Object>} - { template, version, created }
+ */
+export async function saveTemplateVersion(template, graph) {
+  return db.transaction(async (tx) => {
+    const latest = await tx.query.sequenceTemplateVersions.findFirst({
+      where: eq(sequenceTemplateVersions.templateId, template.id),
+      orderBy: [desc(sequenceTemplateVersions.version)]
+    });
+
+    if (latest && JSON.stringify(latest.graph) === JSON.stringify(graph)) {
+      return { template, version: latest, created: false };
+    }
+
+    const nextVersion = (latest?.version || 0) + 1;
+
+    const [version] = await tx.insert(sequenceTemplateVersions)
+      .values({ templateId: template.id, version: nextVersion, graph })
+      .returning();
+
+    const [updated] = await tx.update(sequenceTemplates)
+      .set({ currentVersion: nextVersion, updatedAt: new Date() })
+      .where(eq(sequenceTemplates.id, template.id))
+      .returning();
+
+    return { template: updated, version, created: true };
+  });
+}
+
+/**
+ * Rename a template
+ *
+ * @param {string} templateId - Template ID
+ * @param {string} name - New name
+ * @returns {Promise<Object>} - Updated template row
+ */
+export async function renameTemplate(templateId, name) {
+  const [template] = await db.update(sequenceTemplates)
+    .set({ name, updatedAt: new Date() })
+    .where(eq(sequenceTemplates.id, templateId))
+    .returning();
+
+  return template;
+}
+
+/**
+ * Delete a template and its versions
+ *
+ * @param {string} templateId - Template ID
+ */
+export async function deleteTemplate(templateId) {
+  await db.delete(sequenceTemplates).where(eq(sequenceTemplates.id, templateId));
+}
@@ -0,0 +1,312 @@
+/**
+ * Sequences Module
+ *
+ * Storage side of executable sequences:
+ * - one sequence per campaign, saved from the workflow canvas as versioned
+ *   graphs (a new version only when the graph changes)
+ * - enrollments: one row per lead with the node it is at and when that node
+ *   is due. New enrollments start on the current version; leads already in
+ *   the sequence finish on the version they started with.
+ *
+ * Steps are executed by the sequence runner (workers/sequence-runner.js),
+ * which claims due enrollments here.
+ */
+
+import { db } from './db';
+import { sequences, sequenceVersions, sequenceEnrollments } from './schema';
+import { eq, and, lte, lt, asc, desc, inArray, count } from 'drizzle-orm';
+import { enterNode } from './sequence-graph';
+
+export const SEQUENCE_STATUSES = ['draft', 'active', 'paused'];
+
+// active: waiting for its next due time, running: claimed by a worker
+export const OPEN_ENROLLMENT_STATUSES = ['active', 'running'];
+
+// A step still locked after this long belongs to a worker that died
+const ENROLLMENT_LOCK_TIMEOUT_MS = 30 * 60 * 1000;
+
+const MAX_HISTORY_ENTRIES = 50;
+
+/**
+ * Get a campaign's sequence with its current graph
+ *
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object|null>} - { sequence, version } or null if none was saved
+ */
+export async function getCampaignSequence(campaignId) {
+  const sequence = await db.query.sequences.findFirst({
+    where: eq(sequences.campaignId, campaignId)
+  });
+
+  if (!sequence) return null;
+
+  const version = await db.query.sequenceVersions.findFirst({
+    where: and(eq(sequenceVersions.sequenceId, sequence.id), eq(sequenceVersions.version, sequence.currentVersion))
+  });
+
+  return { sequence, version };
+}
+
+/**
+ * Save a validated graph as the campaign's sequence
+ * Creates the sequence on first save; adds a version only if the graph changed.
+ *
+ * @param {Object} params
+ * @param {string} params.campaignId - Campaign ID
+ * @param {string} params.userId - Owner
+ * @param {string} params.name - Sequence name
+ * @param {Object} params.graph - Graph from validateSequenceGraph
+ * @returns {Promise<Object>} - { sequence, version, created } (created: a new version was stored)
+ */
+export async function saveSequenceGraph({ campaignId, userId, name, graph }) {
+  return db.transaction(async (tx) => {
+    let sequence = await tx.query.sequences.findFirst({
+      where: eq(sequences.campaignId, campaignId)
+    });
+
+    if (!sequence) {
+      [sequence] = await tx.insert(sequences)
+        .values({ campaignId, userId, name, currentVersion: 1 })
+        .returning();
+
+      const [version] = await tx.insert(sequenceVersions)
+        .values({ sequenceId: sequence.id, version: 1, graph })
+        .returning();
+
+      return { sequence, version, created: true };
+    }
+
+    const latest = await tx.query.sequenceVersions.findFirst({
+      where: eq(sequenceVersions.sequenceId, sequence.id),
+      orderBy: [desc(sequenceVersions.version)]
+    });
+
+    if (latest && JSON.stringify(latest.graph) === JSON.stringify(graph)) {
+      if (name !== sequence.name) {
+        [sequence] = await tx.update(sequences)
+          .set({ name, updatedAt: new Date() })
+          .where(eq(sequences.id, sequence.id))
+          .returning();
+      }
+      return { sequence, version: latest, created: false };
+    }
+
+    const nextVersion = (latest?.version || 0) + 1;
+
+    const [version] = await tx.insert(sequenceVersions)
+      .values({ sequenceId: sequence.id, version: nextVersion, graph })
+      .returning();
+
+    [sequence] = await tx.update(sequences)
+      .set({ name, currentVersion: nextVersion, updatedAt: new Date() })
+      .where(eq(sequences.id, sequence.id))
+      .returning();
+
+    return { sequence, version, created: true };
+  });
+}
+
+/**
+ * Activate or pause a sequence (paused sequences keep their enrollments but run no steps)
+ *
+ * @param {string} sequenceId - Sequence ID
+ * @param {string} status - One of SEQUENCE_STATUSES
+ */
+export async function setSequenceStatus(sequenceId, status) {
+  const [sequence] = await db.update(sequences)
+    .set({ status, updatedAt: new Date() })
+    .where(eq(sequences.id, sequenceId))
+    .returning();
+
+  return sequence;
+}
+
+/**
+ * Assign a sending account to each lead
+ * Leads already pinned to an account of the list keep it (follow-ups come
+ * from the sender of the invite); the others are spread round-robin.
+ * Pure function.
+ *
+ * @param {Array} leadsToAssign - Leads (with senderAccountId)
+ * @param {Array<string>} accountIds - Accounts the campaign may send from
+ * @returns {Array} - [{ lead, accountId }]
+ */
+export function assignEnrollmentAccounts(leadsToAssign, accountIds) {
+  let next = 0;
+
+  return leadsToAssign.map(lead => {
+    if (lead.senderAccountId && accountIds.includes(lead.senderAccountId)) {
+      return { lead, accountId: lead.senderAccountId };
+    }
+
+    const accountId = accountIds[next % accountIds.length];
+    next++;
+    return { lead, accountId };
+  });
+}
+
+/**
+ * Enroll leads at the start of the sequence's current version
+ * Leads already enrolled (on any version) are left where they are, leads
+ * flagged as do-not-contact (blockedReason) are not enrolled.
+ *
+ * @param {Object} sequence - Sequence row
+ * @param {Object} version - Current version row
+ * @param {Array} assignments - [{ lead, accountId }] from assignEnrollmentAccounts
+ * @returns {Promise<number>} - Number of leads enrolled
+ */
+export async function enrollLeads(sequence, version, assignments) {
+  const allowed = assignments.filter(({ lead }) => !lead.blockedReason);
+  if (allowed.length === 0) return 0;
+
+  const now = new Date();
+  const entry = () => enterNode(version.graph, version.graph.startNodeId, now);
+
+  const inserted = await db.insert(sequenceEnrollments)
+    .values(allowed.map(({ lead, accountId }) => ({
+      sequenceId: sequence.id,
+      version: version.version,
+      campaignId: sequence.campaignId,
+      leadId: lead.id,
+      accountId,
+      status: 'active',
+      ...entry()
+    })))
+    .onConflictDoNothing({ target: [sequenceEnrollments.sequenceId, sequenceEnrollments.leadId] })
+    .returning({ id: sequenceEnrollments.id });
+
+  return inserted.length;
+}
+
+/**
+ * Count a sequence's enrollments by status and by the node open leads are at
+ *
+ * @param {string} sequenceId - Sequence ID
+ * @returns {Promise<Object>} - { total, byStatus: { status: n }, byNode: { nodeId: n } }
+ */
+export async function getSequenceSummary(sequenceId) {
+  const rows = await db.select({
+    status: sequenceEnrollments.status,
+    nodeId: sequenceEnrollments.currentNodeId,
+    value: count()
+  })
+    .from(sequenceEnrollments)
+    .where(eq(sequenceEnrollments.sequenceId, sequenceId))
+    .groupBy(sequenceEnrollments.status, sequenceEnrollments.currentNodeId);
+
+  const summary = { total: 0, byStatus: {}, byNode: {} };
+
+  rows.forEach(({ status, nodeId, value }) => {
+    const n = Number(value);
+    summary.total += n;
+    summary.byStatus[status] = (summary.byStatus[status] || 0) + n;
+    if (OPEN_ENROLLMENT_STATUSES.includes(status) && nodeId) {
+      summary.byNode[nodeId] = (summary.byNode[nodeId] || 0) + n;
+    }
+  });
+
+  return summary;
+}
+
+/**
+ * Put enrollments locked by a dead worker back in line
+ *
+ * @returns {Promise<number>} - Enrollments released
+ */
+export async function releaseStaleEnrollments() {
+  const released = await db.update(sequenceEnrollments)
+    .set({ status: 'active', lockedAt: null })
+    .where(and(
+      eq(sequenceEnrollments.status, 'running'),
+      lt(sequenceEnrollments.lockedAt, new Date(Date.now() - ENROLLMENT_LOCK_TIMEOUT_MS))
+    ))
+    .returning({ id: sequenceEnrollments.id });
+
+  return released.length;
+}
+
+/**
+ * Claim enrollments of active sequences whose current node is due
+ * Each row is claimed with a conditional update so two worker pools never
+ * run the same step.
+ *
+ * @param {number} limit - Maximum enrollments to claim
+ * @returns {Promise<Array>} - Claimed enrollment rows, oldest due first
+ */
+export async function claimDueEnrollments(limit) {
+  const now = new Date();
+
+  const due = await db.select({ id: sequenceEnrollments.id })
+    .from(sequenceEnrollments)
+    .innerJoin(sequences, eq(sequenceEnrollments.sequenceId, sequences.id))
+    .where(and(
+      eq(sequenceEnrollments.status, 'active'),
+      lte(sequenceEnrollments.nextDueAt, now),
+      eq(sequences.status, 'active')
+    ))
+    .orderBy(asc(sequenceEnrollments.nextDueAt))
+    .limit(limit);
+
+  const claimed = [];
+
+  for (const { id } of due) {
+    const [row] = await db.update(sequenceEnrollments)
+      .set({ status: 'running', lockedAt: now })
+      .where(and(eq(sequenceEnrollments.id, id), eq(sequenceEnrollments.status, 'active')))
+      .returning();
+
+    if (row) claimed.push(row);
+  }
+
+  return claimed;
+}
+
+/**
+ * Save the outcome of a step and release the enrollment
+ * Never throws - the runner moves on to the next lead either way
+ *
+ * @param {Object} enrollment - Claimed enrollment row
+ * @param {Object} changes - Columns to update (status defaults to active)
+ * @param {Array} historyEntries - [{ nodeId, type, outcome, message }] for the nodes passed
+ */
+export async function finishEnrollmentStep(enrollment, changes, historyEntries = []) {
+  const at = new Date().toISOString();
+  const history = [
+    ...(enrollment.history || []),
+    ...historyEntries.map(entry => ({ ...entry, at }))
+  ].slice(-MAX_HISTORY_ENTRIES);
+
+  try {
+    await db.update(sequenceEnrollments)
+      .set({
+        status: 'active',
+        ...changes,
+        history,
+        lockedAt: null,
+        updatedAt: new Date()
+      })
+      .where(eq(sequenceEnrollments.id, enrollment.id));
+  } catch (error) {
+    console.warn(`⚠️  Failed to save sequence step of lead ${enrollment.leadId}:`, error.message);
+  }
+}
+
+/**
+ * Get which of the given leads are still being worked by a sequence
+ * The connection checker leaves their messages to the sequence.
+ *
+ * @param {Array<string>} leadIds - Lead IDs
+ * @returns {Promise<Set<string>>}
+ */
+export async function getSequenceManagedLeadIds(leadIds) {
+  if (leadIds.length === 0) return new Set();
+
+  const rows = await db.select({ leadId: sequenceEnrollments.leadId })
+    .from(sequenceEnrollments)
+    .where(and(
+      inArray(sequenceEnrollments.leadId, leadIds),
+      inArray(sequenceEnrollments.status, OPEN_ENROLLMENT_STATUSES)
+    ));
+
+  return new Set(rows.map(row => row.leadId));
+}
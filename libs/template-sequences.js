@@ -0,0 +1,138 @@
+/**
+ * Template Sequences Module
+ *
+ * Turns the canvas of a built-in workflow template into an executable
+ * sequence graph (libs/sequence-graph.js), so the template runs through the
+ * sequence runner like a custom sequence. Built-in canvases are a chain of
+ * labelled steps ("View profile", "Follow", "Like a post", "Endorse skills")
+ * whose delays are pills on the edges ("5 days", "No delay"); each pill
+ * becomes a wait step. Step settings (skills to endorse) live in node data.
+ *
+ * Pure functions only: the template canvas converts in the browser and the
+ * templates API converts when a campaign is started from a saved template.
+ */
+
+import { validateSequenceGraph, parseDelay } from './sequence-graph';
+
+// Built-in canvases whose steps all have a LinkedIn automation
+export const RUNNABLE_TEMPLATE_CANVASES = ['extra-profile-views', 'endorse-my-skills'];
+
+// Canvas step label (lower-cased) -> sequence node
+const STEP_LABELS = {
+  'view profile': { type: 'visit' },
+  'visit profile': { type: 'visit' },
+  follow: { type: 'follow', data: { unfollow: false } },
+  unfollow: { type: 'follow', data: { unfollow: true } },
+  'like a post': { type: 'like' },
+  'like post': { type: 'like' },
+  'endorse skills': { type: 'endorse' }
+};
+
+const NO_DELAY = /^(no delay|none|0)?$/i;
+
+/**
+ * Convert a built-in template canvas into a sequence graph
+ * Pure function.
+ *
+ * @param {string} canvas - One of RUNNABLE_TEMPLATE_CANVASES
+ * @param {Object} input - { nodes, edges } of the template canvas
+ * @returns {Object} - { graph, errors } with graph validated for storage
+ */
+export function templateToSequenceGraph(canvas, input) {
+  if (!RUNNABLE_TEMPLATE_CANVASES.includes(canvas)) {
+    return { graph: null, errors: [`The ${canvas} template cannot run as a sequence yet`] };
+  }
+  if (!input || !Array.isArray(input.nodes) || !Array.isArray(input.edges)) {
+    return { graph: null, errors: ['Template must have nodes and edges arrays'] };
+  }
+
+  const errors = [];
+  const canvasNodes = new Map(input.nodes.map(node => [node.id, node]));
+  const isEnd = (node) => !!node?.data?.isEnd;
+  const steps = input.nodes.filter(node => !isEnd(node));
+
+  if (steps.length === 0) {
+    return { graph: null, errors: ['Template has no steps'] };
+  }
+
+  steps.forEach((node) => {
+    if (!STEP_LABELS[String(node.data?.label || '').trim().toLowerCase()]) {
+      errors.push(`Step "${node.data?.label || node.id}" has no automation yet`);
+    }
+  });
+
+  const incoming = new Set(input.edges.map(edge => edge.target));
+  const roots = steps.filter(node => !incoming.has(node.id));
+  if (roots.length !== 1) {
+    errors.push(roots.length === 0
+      ? 'Template has no first step'
+      : `Template must be a single chain of steps (found ${roots.length} first steps)`);
+  }
+
+  if (errors.length > 0) return { graph: null, errors };
+
+  // Walk the chain, adding a wait step for every delay pill
+  const nodes = [];
+  const edges = [];
+  const visited = new Set();
+  let previousId = null;
+
+  const append = (node) => {
+    if (previousId) {
+      edges.push({ id: `e-${previousId}-${node.id}`, source: previousId, target: node.id, sourceHandle: null });
+    }
+    nodes.push(node);
+    previousId = node.id;
+  };
+
+  let current = roots[0];
+  while (current && !isEnd(current)) {
+    if (visited.has(current.id)) {
+      return { graph: null, errors: ['Template steps loop back on themselves'] };
+    }
+    visited.add(current.id);
+
+    const step = STEP_LABELS[String(current.data.label).trim().toLowerCase()];
+    append({
+      id: current.id,
+      type: step.type,
+      position: current.position,
+      data: { ...current.data, ...(step.data || {}), isStart: nodes.length === 0 }
+    });
+
+    const outgoing = input.edges.filter(edge => edge.source === current.id);
+    if (outgoing.length > 1) {
+      return { graph: null, errors: [`Step "${current.data.label}" has more than one next step`] };
+    }
+
+    const edge = outgoing[0];
+    if (!edge) break;
+
+    const pill = String(edge.data?.pill || '').trim();
+    if (!NO_DELAY.test(pill)) {
+      if (!parseDelay(pill)) {
+        return { graph: null, errors: [`Delay "${pill}" after "${current.data.label}" is not a duration like "5 days"`] };
+      }
+
+      const next = canvasNodes.get(edge.target);
+      append({
+        id: `${edge.id}-wait`,
+        type: 'wait',
+        position: {
+          x: current.position?.x || 0,
+          y: ((current.position?.y || 0) + (next?.position?.y ?? (current.position?.y || 0) + 200)) / 2
+        },
+        data: { delay: pill }
+      });
+    }
+
+    current = canvasNodes.get(edge.target);
+  }
+
+  const unreached = steps.filter(node => !visited.has(node.id));
+  if (unreached.length > 0) {
+    return { graph: null, errors: unreached.map(node => `Step "${node.data?.label || node.id}" is not connected to the chain`) };
+  }
+
+  return validateSequenceGraph({ nodes, edges });
+}
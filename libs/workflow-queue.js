@@ -0,0 +1,95 @@
+/**
+ * Workflow Queue Module
+ *
+ * Shared helpers for the database-backed workflow job queue.
+ * API routes insert `queued` rows into workflow_jobs and notify the worker pool,
+ * the pool (workers/worker-pool.js) claims and runs them.
+ */
+
+import getRedisClient from './redis';
+import { db } from './db';
+import { workflowJobs } from './schema';
+import { eq, and, ne, inArray, sql } from 'drizzle-orm';
+import { RUNNING_JOB_STATUSES, getJobAccountIds, loadCampaignAccounts } from './job-scheduler';
+
+// Redis channel used to wake up idle worker pools as soon as a job is queued
+export const WORKFLOW_QUEUE_CHANNEL = 'workflow:jobs:queued';
+
+/**
+ * Notify worker pools that a job is waiting to be picked up
+ * Workers also poll the database, so a failed publish only delays pickup
+ *
+ * @param {string} jobId - Workflow job ID
+ */
+export async function notifyJobQueued(jobId) {
+  try {
+    const redis = getRedisClient();
+    await redis.publish(
+      WORKFLOW_QUEUE_CHANNEL,
+      JSON.stringify({ jobId, timestamp: new Date().toISOString() })
+    );
+    console.log(`📢 Job queued notification sent | Job: ${jobId.substring(0, 8)}...`);
+  } catch (error) {
+    console.warn('⚠️  Queue notification failed (worker pool will pick job up on next poll):', error.message);
+  }
+}
+
+/**
+ * Atomically claim a queued (or interrupted) job for a worker
+ * Only succeeds if the job is still in the expected status, so two pools
+ * racing for the same row can never both run it, and if no running job holds
+ * one of its LinkedIn accounts. Claims are serialized per account with
+ * advisory locks, so pools planning at the same time cannot both start jobs
+ * on one account.
+ *
+ * @param {string} jobId - Workflow job ID
+ * @param {string} workerId - Identifier of the claiming worker pool
+ * @param {string} expectedStatus - Status the job must currently have (default: queued)
+ * @returns {Promise<Object|null>} - Claimed job row or null if another worker won
+ *   or one of its accounts is busy
+ */
+export async function claimJob(jobId, workerId, expectedStatus = 'queued') {
+  return db.transaction(async (tx) => {
+    const job = await tx.query.workflowJobs.findFirst({
+      where: and(eq(workflowJobs.id, jobId), eq(workflowJobs.status, expectedStatus)),
+      columns: { id: true, campaignId: true, accountId: true, type: true }
+    });
+
+    if (!job) return null;
+
+    const accountIds = getJobAccountIds(job, await loadCampaignAccounts([job.campaignId], tx));
+
+    // Held until the transaction ends; sorted so two claims never wait on each other
+    for (const accountId of [...accountIds].sort()) {
+      await tx.execute(sql`select pg_advisory_xact_lock(hashtext(${accountId}))`);
+    }
+
+    const running = await tx.query.workflowJobs.findMany({
+      where: and(inArray(workflowJobs.status, RUNNING_JOB_STATUSES), ne(workflowJobs.id, jobId)),
+      columns: { id: true, campaignId: true, accountId: true, type: true }
+    });
+    const runningAccounts = await loadCampaignAccounts(running.map(runningJob => runningJob.campaignId), tx);
+    const busyAccounts = new Set(running.flatMap(runningJob => getJobAccountIds(runningJob, runningAccounts)));
+
+    if (accountIds.some(accountId => busyAccounts.has(accountId))) {
+      console.log(`⏳ Job ${jobId.substring(0, 8)}... not claimed: its LinkedIn account is busy with a job of another worker`);
+      return null;
+    }
+
+    const [claimed] = await tx.update(workflowJobs)
+      .set({
+        status: 'processing',
+        workerId,
+        startedAt: new Date(),
+        heartbeatAt: new Date(),
+        errorMessage: null
+      })
+      .where(and(
+        eq(workflowJobs.id, jobId),
+        eq(workflowJobs.status, expectedStatus)
+      ))
+      .returning();
+
+    return claimed || null;
+  });
+}
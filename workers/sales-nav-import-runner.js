@@ -0,0 +1,413 @@
+/**
+ * Sales Navigator Import Runner
+ *
+ * Runs a Sales Navigator lead import job (workflow_jobs row of type
+ * sales_nav_import, options { searchUrl, maxLeads }) to completion: pages
+ * through the search results with the account's stored session and adds
+ * every new lead (name, title, company, location, profile URL) to the
+ * campaign, until maxLeads leads are imported or the results run out.
+ *
+ * Runs in the worker pool like invite jobs, with the same heartbeat,
+ * pause/cancel control and progress stream (job:{jobId}:status). Each result
+ * page counts against the account's daily search_page quota, and each new
+ * lead against its view quota: results only carry the member id, so the
+ * lead's profile is opened once to store its public /in/<vanity> URL. A page
+ * is only read while both quotas cover it; once they run out the job is
+ * paused and continues from that page when resumed. A page stopped partway
+ * keeps the member URLs it already handled (results.pageMemberUrls), so
+ * reading it again skips them without opening their profiles.
+ * Leads the user already has (any campaign) are skipped, leads on the
+ * do-not-contact list are imported flagged as blocked, like the CSV import.
+ */
+
+import { testLinkedInSession, cleanupBrowserSession } from '../libs/linkedin-session-validator';
+import { readSalesNavResultsPage, resolvePublicProfileUrl } from '../libs/linkedin-sales-nav';
+import { MAX_SALES_NAV_IMPORT, SALES_NAV_RESULTS_PER_PAGE, salesNavPageUrl, salesNavPagesFor } from '../libs/sales-nav-search';
+import { normalizeProfileUrl } from '../libs/lead-import';
+import { normalizeLinkedInUrl } from '../libs/scraping-utils';
+import { checkDailyProfileActionLimit, incrementProfileActionCounter } from '../libs/rate-limit-manager';
+import { cacheNewLeads } from '../libs/lead-status-manager';
+import { getBlocklistMatcher } from '../libs/blocklist';
+import { matchBlocklist, describeBlocklistMatch } from '../libs/blocklist-rules';
+import { startJobHeartbeat } from '../libs/job-heartbeat';
+import { recordJobEvent } from '../libs/job-events';
+import {
+  createJobControl,
+  setupControlListener,
+  setupProgressPublisher,
+  publishProgress,
+  closeRedisClient
+} from './workflow-runner';
+import { db } from '../libs/db';
+import { workflowJobs, campaigns, leads, linkedinAccounts } from '../libs/schema';
+import { eq, sql } from 'drizzle-orm';
+
+// Pause between result pages, like a person reading the list
+const PAGE_DELAY_MS = { min: 8000, max: 20000 };
+
+// Pause between the profiles opened to resolve public URLs
+const PROFILE_DELAY_MS = { min: 3000, max: 8000 };
+
+// Sales Navigator does not serve result pages past this one
+const LAST_RESULT_PAGE = salesNavPagesFor(MAX_SALES_NAV_IMPORT);
+
+const leadKey = (url) => normalizeProfileUrl(url) || normalizeLinkedInUrl(url);
+
+/**
+ * Run a Sales Navigator import job
+ *
+ * @param {string} jobId - Workflow job ID
+ * @param {Object} options
+ * @param {Object} options.control - Control handle from createJobControl() (created if omitted)
+ * @param {string} options.workerId - Identifier written with each heartbeat
+ * @returns {Promise<Object>} - { status, results?, errorMessage? } where status is
+ *   'completed', 'failed', 'paused' (daily page quota used up), or the control
+ *   action that stopped the job
+ */
+export async function runSalesNavImportJob(jobId, { control = createJobControl(), workerId = `pid:${process.pid}` } = {}) {
+  let job = null;
+  let stopHeartbeat = null;
+  let redisSubscriber = null;
+  let redisPublisher = null;
+  let browserContext = null;
+  let browserPage = null;
+
+  try {
+    job = await db.query.workflowJobs.findFirst({
+      where: eq(workflowJobs.id, jobId)
+    });
+
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    const { searchUrl, maxLeads } = job.options || {};
+    if (!searchUrl || !maxLeads) {
+      throw new Error('Import job has no search URL or lead count');
+    }
+
+    // Resume: continue after the last page read by an earlier run
+    const results = {
+      imported: 0,
+      blocked: 0,
+      duplicates: 0,
+      unresolved: 0,
+      pagesRead: 0,
+      nextPage: 1,
+      pageMemberUrls: [],
+      ...(job.results || {}),
+      quotaReached: false,
+      quotaType: null
+    };
+    const isResume = results.pagesRead > 0;
+
+    console.log(`📋 Campaign: ${job.campaignId.substring(0, 8)}... | Sales Navigator import: ${maxLeads} leads${isResume ? ` | Resume from page ${results.nextPage} (${results.imported} imported)` : ''}`);
+
+    stopHeartbeat = startJobHeartbeat(jobId, workerId);
+
+    await db.update(workflowJobs)
+      .set({ status: 'processing', startedAt: new Date() })
+      .where(eq(workflowJobs.id, jobId));
+
+    redisSubscriber = await setupControlListener(jobId, control);
+    const useRedisControl = !!redisSubscriber;
+    redisPublisher = await setupProgressPublisher(jobId);
+
+    const progressOf = () => Math.min(100, Math.round((results.imported / maxLeads) * 100));
+    const publishStatus = (data) => publishProgress(redisPublisher, jobId, {
+      type: 'status',
+      jobId,
+      campaignId: job.campaignId,
+      jobType: job.type,
+      progress: progressOf(),
+      totalLeads: maxLeads,
+      processedLeads: results.imported,
+      results,
+      ...data
+    });
+
+    await publishStatus({ status: 'processing', stage: 'starting', startedAt: new Date().toISOString() });
+
+    const account = await db.query.linkedinAccounts.findFirst({
+      where: eq(linkedinAccounts.id, job.accountId)
+    });
+
+    if (!account) {
+      throw new Error('LinkedIn account not found');
+    }
+
+    if (account.salesNavActive === false) {
+      throw new Error(`Sales Navigator is not active on ${account.email}`);
+    }
+
+    const campaign = await db.query.campaigns.findFirst({
+      where: eq(campaigns.id, job.campaignId),
+      columns: { id: true, status: true }
+    });
+
+    if (!campaign) {
+      throw new Error('Campaign not found');
+    }
+
+    // Leads the user already has, by normalized URL
+    const existingLeads = await db
+      .select({ url: leads.url })
+      .from(leads)
+      .where(eq(leads.userId, job.userId));
+    const knownUrls = new Set(existingLeads.map((lead) => leadKey(lead.url)));
+
+    const blocklist = await getBlocklistMatcher(job.userId);
+    let hasNextPage = true;
+
+    while (results.imported < maxLeads && hasNextPage) {
+      if (control.action) break;
+
+      // The page and a profile view for each lead it may add
+      const quota = await checkDailyProfileActionLimit(account.id, 'search_page');
+      const viewQuota = await checkDailyProfileActionLimit(account.id, 'view');
+      const viewsNeeded = Math.min(SALES_NAV_RESULTS_PER_PAGE, maxLeads - results.imported);
+      if (!quota.canSend || viewQuota.remaining < viewsNeeded) {
+        results.quotaReached = true;
+        results.quotaType = quota.canSend ? 'view' : 'search_page';
+        results.resetsAt = (quota.canSend ? viewQuota : quota).resetsAt.toISOString();
+        break;
+      }
+
+      if (!browserContext) {
+        const sessionResult = await testLinkedInSession(account, true);
+
+        if (!sessionResult.isValid) {
+          throw new Error(`Session invalid: ${sessionResult.reason}`);
+        }
+
+        browserContext = sessionResult.context;
+        browserPage = sessionResult.page;
+        console.log(`  ✅ Session validated (${account.email})`);
+      }
+
+      const pageNumber = results.nextPage;
+      await publishStatus({ status: 'processing', stage: 'reading_page', page: pageNumber });
+
+      const pageResult = await readSalesNavResultsPage(browserPage, salesNavPageUrl(searchUrl, pageNumber));
+      await incrementProfileActionCounter(account.id, 'search_page', 1);
+
+      if (!pageResult.success) {
+        throw new Error(pageResult.noAccess ? `${pageResult.error} (${account.email})` : `Page ${pageNumber}: ${pageResult.error}`);
+      }
+
+      // New leads of this page, up to the requested count
+      const now = new Date();
+      const toInsert = [];
+      let pageDuplicates = 0;
+      let pageBlocked = 0;
+      let pageUnresolved = 0;
+      let pageFinished = true;
+      const handled = new Set(results.pageMemberUrls);
+
+      for (const found of pageResult.leads) {
+        if (results.imported + toInsert.length >= maxLeads) break;
+
+        // Stopped mid-page: keep what was resolved, the page is read again on resume
+        if (control.action) {
+          pageFinished = false;
+          break;
+        }
+
+        // Handled (and counted) before this page was stopped
+        if (handled.has(found.url)) continue;
+
+        if (knownUrls.has(leadKey(found.url))) {
+          pageDuplicates++;
+          handled.add(found.url);
+          continue;
+        }
+
+        if (toInsert.length + pageUnresolved > 0) {
+          await control.sleep(PROFILE_DELAY_MS.min + Math.round(Math.random() * (PROFILE_DELAY_MS.max - PROFILE_DELAY_MS.min)));
+        }
+
+        const resolved = await resolvePublicProfileUrl(browserPage, found.url);
+        await incrementProfileActionCounter(account.id, 'view', 1);
+        handled.add(found.url);
+
+        if (!resolved.success) {
+          console.log(`  ⚠️ ${found.name || found.url}: ${resolved.error}`);
+          pageUnresolved++;
+          continue;
+        }
+
+        // Known under both URLs for the rest of the import
+        const key = leadKey(resolved.url);
+        knownUrls.add(leadKey(found.url));
+        if (knownUrls.has(key)) {
+          pageDuplicates++;
+          continue;
+        }
+        knownUrls.add(key);
+
+        const lead = { ...found, url: resolved.url };
+        const blockedBy = matchBlocklist(lead, blocklist);
+        if (blockedBy) pageBlocked++;
+
+        toInsert.push({
+          userId: job.userId,
+          campaignId: job.campaignId,
+          url: lead.url,
+          name: found.name || null,
+          title: found.title || null,
+          company: found.company || null,
+          location: found.location || null,
+          blockedReason: blockedBy ? describeBlocklistMatch(blockedBy) : null,
+          blockedAt: blockedBy ? now : null,
+          status: 'pending'
+        });
+      }
+
+      if (toInsert.length > 0) {
+        const inserted = await db.insert(leads).values(toInsert).returning();
+        await cacheNewLeads(job.campaignId, inserted);
+      }
+
+      results.imported += toInsert.length;
+      results.blocked += pageBlocked;
+      results.duplicates += pageDuplicates;
+      results.unresolved += pageUnresolved;
+      results.pagesRead += 1;
+      results.nextPage = pageFinished ? pageNumber + 1 : pageNumber;
+      results.pageMemberUrls = pageFinished ? [] : [...handled];
+      hasNextPage = pageResult.hasNextPage && pageResult.leads.length > 0 && pageNumber < LAST_RESULT_PAGE;
+
+      console.log(`  📄 Page ${pageNumber}: ${toInsert.length} imported (${pageBlocked} blocked), ${pageDuplicates} already known, ${pageUnresolved} without public profile | Total: ${results.imported}/${maxLeads}`);
+
+      await db.update(workflowJobs)
+        .set({ processedLeads: results.imported, progress: progressOf(), results })
+        .where(eq(workflowJobs.id, jobId));
+
+      await recordJobEvent(jobId, {
+        type: 'stage',
+        stage: 'page_imported',
+        message: `Page ${pageNumber}: ${toInsert.length} imported, ${pageDuplicates} already known`,
+        data: { page: pageNumber, imported: toInsert.length, blocked: pageBlocked, duplicates: pageDuplicates, unresolved: pageUnresolved }
+      });
+
+      await publishStatus({ status: 'processing', stage: 'page_imported', page: pageNumber });
+
+      // 🔥 FALLBACK: Check for pause/cancel after every page if Redis is unavailable
+      if (!useRedisControl) {
+        const currentJob = await db.query.workflowJobs.findFirst({
+          where: eq(workflowJobs.id, jobId),
+          columns: { status: true }
+        });
+
+        if (currentJob && (currentJob.status === 'paused' || currentJob.status === 'cancelled')) {
+          console.log(`🛑 [FALLBACK] Job ${currentJob.status} detected during import`);
+          control.stop(currentJob.status === 'paused' ? 'pause' : 'cancel');
+        }
+      }
+
+      if (results.imported < maxLeads && hasNextPage) {
+        await control.sleep(PAGE_DELAY_MS.min + Math.round(Math.random() * (PAGE_DELAY_MS.max - PAGE_DELAY_MS.min)));
+      }
+    }
+
+    if (results.imported > 0 && campaign.status === 'draft') {
+      await db.update(campaigns)
+        .set({ status: 'active', updatedAt: new Date() })
+        .where(eq(campaigns.id, job.campaignId));
+    }
+
+    // Pause/cancel already updated the job row; shutdown is handled by the pool
+    if (control.action) {
+      console.log(`👋 Import stopped (${control.action}) after ${results.pagesRead} page(s), ${results.imported}/${maxLeads} leads`);
+      await recordJobEvent(jobId, {
+        type: 'job',
+        status: control.action,
+        message: `Stopped (${control.action}) after ${results.imported}/${maxLeads} leads`
+      });
+      return { status: control.action };
+    }
+
+    // Daily page quota used up: pause, the user resumes once it resets
+    if (results.quotaReached) {
+      results.message = `Daily ${results.quotaType === 'view' ? 'profile view' : 'Sales Navigator page'} limit reached on ${account.email} after ${results.imported}/${maxLeads} leads. Resume the import after ${results.resetsAt}.`;
+      console.log(`⏸️  ${results.message}`);
+
+      await db.update(workflowJobs)
+        .set({
+          status: 'paused',
+          pausedAt: new Date(),
+          pauseCount: sql`${workflowJobs.pauseCount} + 1`,
+          processedLeads: results.imported,
+          progress: progressOf(),
+          results
+        })
+        .where(eq(workflowJobs.id, jobId));
+
+      await recordJobEvent(jobId, { type: 'job', status: 'paused', message: results.message, data: results });
+      await publishStatus({ status: 'paused', stage: 'quota_reached' });
+
+      return { status: 'paused', results };
+    }
+
+    results.message = `Imported ${results.imported} lead(s) from ${results.pagesRead} page(s)${results.duplicates > 0 ? `, ${results.duplicates} already known` : ''}${results.unresolved > 0 ? `, ${results.unresolved} without a public profile` : ''}${results.imported < maxLeads ? ' (no more results)' : ''}`;
+    console.log(`\n✅ Import Complete | ${results.message}`);
+
+    await recordJobEvent(jobId, { type: 'job', status: 'completed', message: results.message, data: results });
+
+    await publishStatus({ status: 'completed', stage: 'completed', progress: 100, completedAt: new Date().toISOString() });
+
+    await db.update(workflowJobs)
+      .set({
+        status: 'completed',
+        completedAt: new Date(),
+        processedLeads: results.imported,
+        results,
+        progress: 100
+      })
+      .where(eq(workflowJobs.id, jobId));
+
+    return { status: 'completed', results };
+
+  } catch (error) {
+    console.error(`\n❌ Import Failed | Error: ${error.message}`);
+
+    await recordJobEvent(jobId, { type: 'error', status: 'failed', message: error.message });
+
+    await publishProgress(redisPublisher, jobId, {
+      type: 'status',
+      jobId,
+      campaignId: job?.campaignId,
+      jobType: job?.type,
+      status: 'failed',
+      errorMessage: error.message,
+      completedAt: new Date().toISOString()
+    });
+
+    try {
+      await db.update(workflowJobs)
+        .set({
+          status: 'failed',
+          completedAt: new Date(),
+          errorMessage: error.message
+        })
+        .where(eq(workflowJobs.id, jobId));
+    } catch (dbError) {
+      console.error(`❌ Failed to mark job as failed:`, dbError.message);
+    }
+
+    return { status: 'failed', errorMessage: error.message };
+
+  } finally {
+    if (browserContext) {
+      await cleanupBrowserSession(browserContext);
+      console.log(`  🔒 Browser closed`);
+    }
+
+    if (stopHeartbeat) {
+      await stopHeartbeat();
+    }
+
+    await closeRedisClient(redisSubscriber, 'subscriber');
+    await closeRedisClient(redisPublisher, 'publisher');
+  }
+}
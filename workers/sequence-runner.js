@@ -0,0 +1,659 @@
+/**
+ * Sequence Runner
+ *
+ * Advances leads enrolled in campaign sequences (libs/sequences.js) node by
+ * node. The worker pool calls runDueSequenceSteps() periodically; each pass
+ * claims the enrollments whose current node is due and, per sending account,
+ * runs them in one browser session:
+ * - wait: the due time is the end of the wait, so the lead moves on
+ * - branch: evaluates its condition (libs/sequence-conditions.js) and follows
+ *   the yes / no edge; undecided conditions are checked again until the
+ *   branch timeout, which follows the timeout edge. "Replied" is checked by
+ *   opening the conversation, which counts as the lead's LinkedIn action.
+ * - visit / follow / like / endorse / connect / message: one LinkedIn action
+ *   per lead per pass, inside the campaign working hours and within account and
+ *   campaign daily limits. Connect reuses processInvitesDirectly and message
+ *   reuses sendMessageToLead, so a sequence step behaves like the invite
+ *   workflow and the connection checker; visit, follow and like use the
+ *   profile actions (libs/linkedin-profile-actions.js), endorse uses
+ *   libs/linkedin-endorsement.js.
+ *
+ * Accounts busy with a running invite job are skipped until the job ends.
+ * Leads on the user's do-not-contact list are flagged and leave the sequence
+ * before their next step.
+ */
+
+import { testLinkedInSession, cleanupBrowserSession } from '../libs/linkedin-session-validator';
+import { processInvitesDirectly } from '../libs/linkedin-invite-automation';
+import { sendMessageToLead, checkLeadReplied } from '../libs/linkedin-message-sender';
+import { visitProfile, followLead, unfollowLead, likeLatestPost } from '../libs/linkedin-profile-actions';
+import { endorseLeadSkills } from '../libs/linkedin-endorsement';
+import { pinLeadToAccount, flagBlockedLead } from '../libs/lead-status-manager';
+import { getBlocklistMatcher } from '../libs/blocklist';
+import { matchBlocklist, describeBlocklistMatch } from '../libs/blocklist-rules';
+import { renderMessageTemplate } from '../libs/message-template';
+import {
+  checkDailyLimit,
+  incrementDailyCounter,
+  checkDailyMessageLimit,
+  incrementMessageCounter,
+  checkDailyProfileActionLimit,
+  incrementProfileActionCounter
+} from '../libs/rate-limit-manager';
+import {
+  getCampaignSettings,
+  isWithinWorkingHours,
+  getNextWorkingWindowStart,
+  checkCampaignDailyCap,
+  incrementCampaignDailyCounter
+} from '../libs/campaign-settings';
+import { loadQueueState } from '../libs/job-scheduler';
+import { BROWSER_NODE_TYPES, getSequenceNode, getNextNodeId, enterNode, parseDelay } from '../libs/sequence-graph';
+import { evaluateCondition, describeCondition } from '../libs/sequence-conditions';
+import { claimDueEnrollments, releaseStaleEnrollments, finishEnrollmentStep } from '../libs/sequences';
+import { db } from '../libs/db';
+import { leads, messages, posts, linkedinAccounts, sequenceVersions } from '../libs/schema';
+import { eq, and, or, inArray, desc, max } from 'drizzle-orm';
+
+const MAX_ENROLLMENTS_PER_PASS = 25;
+const MAX_STEP_ATTEMPTS = 3;
+const STEP_RETRY_DELAY_MS = 60 * 60 * 1000;
+const ACCOUNT_BUSY_DELAY_MS = 15 * 60 * 1000;
+const CAMPAIGN_CAP_DELAY_MS = 60 * 60 * 1000;
+const NEXT_ACTION_DELAY_MS = 2 * 60 * 1000; // Between two LinkedIn actions of the same lead
+const BETWEEN_LEADS_DELAY_MS = 20 * 1000; // Between leads in one browser session
+const CONNECTION_RECHECK_MS = 6 * 60 * 60 * 1000;
+const MAX_WAIT_FOR_CONNECTION_MS = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * Text of a message step: the step's own template, else the lead's generated message
+ *
+ * @returns {Promise<Object|null>} - { content, messageId } or null if there is nothing to send
+ */
+async function loadMessageContent(node, lead) {
+  if (node.data.message?.trim()) {
+    return { content: renderMessageTemplate(node.data.message, lead), messageId: null };
+  }
+
+  const [generated] = await db.select()
+    .from(messages)
+    .where(eq(messages.leadId, lead.id))
+    .orderBy(desc(messages.createdAt))
+    .limit(1);
+
+  return generated ? { content: generated.content, messageId: generated.id } : null;
+}
+
+/**
+ * Date of the lead's latest scraped post, or null
+ */
+async function loadLastPostAt(leadId) {
+  const [row] = await db.select({ lastPostAt: max(posts.timestamp) })
+    .from(posts)
+    .where(eq(posts.leadId, leadId));
+
+  return row?.lastPostAt || null;
+}
+
+/**
+ * Open the lead's conversation and record a reply if there is one
+ *
+ * @returns {Promise<boolean>} - Whether the lead has replied
+ */
+async function checkForReply(lead, getPage) {
+  const { page } = await getPage();
+  const result = await checkLeadReplied(page, lead.url, lead.name || 'Lead');
+
+  if (!result.success) {
+    console.warn(`  ⚠️  Reply check failed for ${lead.name || 'Lead'}: ${result.error}`);
+    return false;
+  }
+  if (!result.replied) return false;
+
+  await db.update(leads)
+    .set({ repliedAt: new Date() })
+    .where(eq(leads.id, lead.id));
+
+  return true;
+}
+
+/**
+ * Decide which edge a lead leaves a branch by
+ *
+ * @param {Object} node - Branch node
+ * @param {Object} options
+ * @param {Function|null} options.checkReply - Looks for a reply on LinkedIn, null when no action is allowed now
+ * @returns {Promise<Object>} - { handle, nextNodeId, message } once decided, else { handle: null, until }
+ */
+async function decideBranch(node, { graph, lead, now, stepStartedAt, checkReply }) {
+  const { condition } = node.data;
+  const facts = {
+    ...lead,
+    lastPostAt: condition?.type === 'posted_recently' ? await loadLastPostAt(lead.id) : null
+  };
+
+  let evaluation = evaluateCondition(condition, facts, now);
+
+  // Only connections can have replied; the other leads just wait for the timeout
+  if (evaluation.result === 'wait' && condition.type === 'replied' && checkReply && lead.inviteStatus === 'accepted') {
+    try {
+      if (await checkReply()) {
+        evaluation = evaluateCondition(condition, { ...facts, repliedAt: now }, now);
+      }
+    } catch (error) {
+      console.warn(`  ⚠️  Reply check failed for ${lead.name || 'Lead'}: ${error.message}`);
+    }
+  }
+
+  const label = describeCondition(condition);
+
+  if (evaluation.result !== 'wait') {
+    return {
+      handle: evaluation.result,
+      nextNodeId: getNextNodeId(graph, node.id, evaluation.result),
+      message: `${label} ${evaluation.result === 'yes' ? 'Yes' : 'No'}: ${evaluation.reason}`
+    };
+  }
+
+  const timeout = parseDelay(node.data.timeout);
+  const deadline = timeout ? new Date(stepStartedAt || now).getTime() + timeout.minMs : Infinity;
+
+  if (now.getTime() >= deadline) {
+    const timeoutTarget = getNextNodeId(graph, node.id, 'timeout');
+    return {
+      handle: timeoutTarget ? 'timeout' : 'no',
+      nextNodeId: timeoutTarget || getNextNodeId(graph, node.id, 'no'),
+      message: `${label} Timed out after ${node.data.timeout}: ${evaluation.reason}`
+    };
+  }
+
+  return { handle: null, until: new Date(Math.min(evaluation.recheckAt.getTime(), deadline)) };
+}
+
+const done = (message) => ({ outcome: 'done', message });
+const waitUntil = (until, message) => ({ outcome: 'wait', until, message });
+const retry = (error) => ({ outcome: 'retry', error });
+
+// Deleted or restricted profiles will not come back, other failures are retried
+const profileActionFailure = ({ unavailable, error }) =>
+  (unavailable ? { outcome: 'failed', error } : retry(error));
+
+/**
+ * LinkedIn actions, one per browser node type
+ * Each returns { outcome: 'done' | 'wait' | 'retry' | 'exit' | 'failed', ... }.
+ * getPage() opens the account's browser session on first use.
+ */
+const stepHandlers = {
+  async visit({ lead, account, getPage }) {
+    const quota = await checkDailyProfileActionLimit(account.id, 'view');
+    if (!quota.canSend) {
+      return waitUntil(quota.resetsAt, `Daily profile view limit reached for ${account.email}`);
+    }
+
+    const { page } = await getPage();
+    const result = await visitProfile(page, lead.url);
+    if (!result.success) return profileActionFailure(result);
+
+    await incrementProfileActionCounter(account.id, 'view');
+    return done(`Profile visited (${Math.round(result.dwellMs / 1000)}s)`);
+  },
+
+  async follow({ lead, node, account, getPage }) {
+    const { unfollow } = node.data;
+
+    // Unfollows count against the follow limit
+    const quota = await checkDailyProfileActionLimit(account.id, 'follow');
+    if (!quota.canSend) {
+      return waitUntil(quota.resetsAt, `Daily follow limit reached for ${account.email}`);
+    }
+
+    const { page } = await getPage();
+    const leadName = lead.name || 'Lead';
+    const result = unfollow
+      ? await unfollowLead(page, lead.url, leadName)
+      : await followLead(page, lead.url, leadName);
+    if (!result.success) return profileActionFailure(result);
+
+    if (result.alreadyFollowing) return done('Already following');
+    if (result.notFollowing) return done('Not following, nothing to unfollow');
+
+    await incrementProfileActionCounter(account.id, 'follow');
+    return done(unfollow ? 'Unfollowed' : 'Followed');
+  },
+
+  async like({ lead, account, getPage }) {
+    const quota = await checkDailyProfileActionLimit(account.id, 'like');
+    if (!quota.canSend) {
+      return waitUntil(quota.resetsAt, `Daily like limit reached for ${account.email}`);
+    }
+
+    const { page } = await getPage();
+    const result = await likeLatestPost(page, lead.url, lead.name || 'Lead');
+    if (!result.success) return profileActionFailure(result);
+
+    if (result.noPost) return done('No recent post to like');
+    if (result.alreadyLiked) return done('Latest post already liked');
+
+    await incrementProfileActionCounter(account.id, 'like');
+    return done('Latest post liked');
+  },
+
+  async endorse({ lead, node, account, getPage }) {
+    const quota = await checkDailyProfileActionLimit(account.id, 'endorse');
+    if (!quota.canSend) {
+      return waitUntil(quota.resetsAt, `Daily endorsement limit reached for ${account.email}`);
+    }
+
+    const { page } = await getPage();
+    const result = await endorseLeadSkills(page, lead.url, lead.name || 'Lead', {
+      maxSkills: Math.min(node.data.maxSkills, quota.remaining),
+      keywords: node.data.keywords
+    });
+    if (!result.success) return profileActionFailure(result);
+
+    if (result.notConnected) return done('No skills to endorse (not a connection or no skills listed)');
+    if (result.noMatch) return done(`No skill matches ${node.data.keywords.join(', ')}`);
+
+    // Per-lead results: every skill endorsed so far
+    const endorsedSkills = [...new Set([...(lead.endorsedSkills || []), ...result.endorsed, ...result.alreadyEndorsed])];
+    await db.update(leads)
+      .set({ endorsedSkills, endorsedAt: result.endorsed.length > 0 ? new Date() : lead.endorsedAt })
+      .where(eq(leads.id, lead.id));
+
+    if (result.endorsed.length > 0) {
+      await incrementProfileActionCounter(account.id, 'endorse', result.endorsed.length);
+    }
+
+    const parts = [];
+    if (result.endorsed.length > 0) parts.push(`Endorsed ${result.endorsed.join(', ')}`);
+    if (result.alreadyEndorsed.length > 0) parts.push(`already endorsed ${result.alreadyEndorsed.join(', ')}`);
+    return done(parts.join('; '));
+  },
+
+  async connect({ lead, account, settings, getPage, now }) {
+    if (lead.inviteStatus === 'accepted') return done('Already connected');
+    if (lead.inviteStatus === 'sent') return done('Invite already sent');
+
+    const quota = await checkDailyLimit(account.id);
+    if (!quota.canSend) {
+      return waitUntil(quota.resetsAt, `Daily invite limit reached for ${account.email}`);
+    }
+
+    const campaignQuota = await checkCampaignDailyCap(lead.campaignId, settings, 'connect');
+    if (!campaignQuota.canSend) {
+      return waitUntil(new Date(now.getTime() + CAMPAIGN_CAP_DELAY_MS), `Campaign daily connect cap reached (${campaignQuota.limit})`);
+    }
+
+    const { context, page } = await getPage();
+
+    // The invite note comes from the campaign note A/B test, so no message is passed
+    const results = await processInvitesDirectly(context, page, [lead], null, lead.campaignId, null, {
+      retryPolicy: settings.retryPolicy
+    });
+
+    if (results.sent > 0) {
+      await incrementDailyCounter(account.id, 1);
+      await incrementCampaignDailyCounter(lead.campaignId, settings, 'connect');
+      await pinLeadToAccount(lead.campaignId, lead.id, account.id);
+      return done('Invite sent');
+    }
+
+    if (results.alreadyPending > 0 || results.alreadyConnected > 0) {
+      await pinLeadToAccount(lead.campaignId, lead.id, account.id);
+      return done(results.alreadyPending > 0 ? 'Invite already pending' : 'Already connected');
+    }
+
+    return retry(results.errors[0]?.error || 'Invite failed');
+  },
+
+  async message({ lead, node, enrollment, account, settings, getPage, now }) {
+    // Messages need an accepted invite; the connection checker updates inviteStatus
+    if (lead.inviteStatus !== 'accepted') {
+      const waitedMs = now.getTime() - new Date(enrollment.stepStartedAt || now).getTime();
+      if (waitedMs >= MAX_WAIT_FOR_CONNECTION_MS) {
+        return { outcome: 'exit', message: `Not connected ${Math.round(MAX_WAIT_FOR_CONNECTION_MS / 86400000)} days after reaching the message step` };
+      }
+      return waitUntil(new Date(now.getTime() + CONNECTION_RECHECK_MS), 'Waiting for the invite to be accepted');
+    }
+
+    const message = await loadMessageContent(node, lead);
+    if (!message?.content) {
+      return { outcome: 'failed', error: 'No message text on this step and no generated message for the lead' };
+    }
+
+    const quota = await checkDailyMessageLimit(account.id);
+    if (!quota.canSend) {
+      return waitUntil(quota.resetsAt, `Daily message limit reached for ${account.email}`);
+    }
+
+    const campaignQuota = await checkCampaignDailyCap(lead.campaignId, settings, 'message');
+    if (!campaignQuota.canSend) {
+      return waitUntil(new Date(now.getTime() + CAMPAIGN_CAP_DELAY_MS), `Campaign daily message cap reached (${campaignQuota.limit})`);
+    }
+
+    const { page } = await getPage();
+    const result = await sendMessageToLead(page, lead.url, message.content, lead.name || 'Lead');
+
+    if (!result.success) {
+      await db.update(leads)
+        .set({ messageError: result.error })
+        .where(eq(leads.id, lead.id));
+      return retry(result.error);
+    }
+
+    await db.update(leads)
+      .set({ messageSent: true, messageSentAt: new Date(), messageError: null })
+      .where(eq(leads.id, lead.id));
+
+    if (message.messageId) {
+      await db.update(messages)
+        .set({ status: 'sent', sentAt: new Date() })
+        .where(eq(messages.id, message.messageId));
+    }
+
+    await incrementMessageCounter(account.id);
+    await incrementCampaignDailyCounter(lead.campaignId, settings, 'message');
+
+    return done('Message sent');
+  }
+};
+
+/**
+ * Run the due part of one enrollment and save where the lead ends up
+ * Wait and decided branch nodes are passed in the same call; at most one
+ * LinkedIn action (reply checks included) runs per lead per pass.
+ *
+ * @returns {Promise<boolean>} - Whether LinkedIn was opened for the lead
+ */
+async function advanceEnrollment(enrollment, { graph, lead, account, settings, blocklist, accountBusy, getPage }) {
+  const now = new Date();
+  const history = [];
+  let nodeId = enrollment.currentNodeId;
+  let attempts = enrollment.attempts || 0;
+  let stepStartedAt = enrollment.stepStartedAt;
+  let acted = false;
+
+  const save = (changes) => finishEnrollmentStep(enrollment, changes, history);
+
+  // Leads on the do-not-contact list leave the sequence, whatever step they are at
+  const blockedBy = matchBlocklist(lead, blocklist);
+  const blockedReason = blockedBy ? describeBlocklistMatch(blockedBy) : lead.blockedReason;
+  if (blockedReason) {
+    if (blockedBy) await flagBlockedLead(lead.campaignId, lead, blockedBy);
+    console.log(`  🚫 ${lead.name || 'Lead'} leaves the sequence: ${blockedReason}`);
+    history.push({ nodeId, type: getSequenceNode(graph, nodeId)?.type, outcome: 'exited', message: blockedReason });
+    await save({ status: 'exited', nextDueAt: null, completedAt: now, lastError: blockedReason });
+    return acted;
+  }
+
+  // Only steps that open LinkedIn count as an action
+  const usePage = () => {
+    acted = true;
+    return getPage();
+  };
+
+  // Move to the next node; returns false once the lead has to wait for it
+  const moveTo = async (nextNodeId) => {
+    if (!nextNodeId) {
+      await save({ status: 'completed', currentNodeId: null, nextDueAt: null, completedAt: now, attempts: 0, lastError: null });
+      return false;
+    }
+
+    const entry = enterNode(graph, nextNodeId, now);
+    const next = getSequenceNode(graph, nextNodeId);
+    nodeId = nextNodeId;
+    attempts = 0;
+    stepStartedAt = now;
+
+    if (entry.nextDueAt > now) {
+      await save({ ...entry, lastError: null });
+      return false;
+    }
+
+    // A second LinkedIn action for the same lead waits for a later pass
+    if (acted && BROWSER_NODE_TYPES.includes(next.type)) {
+      await save({ ...entry, nextDueAt: new Date(now.getTime() + NEXT_ACTION_DELAY_MS), lastError: null });
+      return false;
+    }
+
+    return true;
+  };
+
+  for (let hops = 0; hops <= graph.nodes.length; hops++) {
+    const node = getSequenceNode(graph, nodeId);
+
+    if (!node) {
+      await save({ status: 'failed', lastError: `Step ${nodeId} does not exist in version ${enrollment.version}` });
+      return acted;
+    }
+
+    if (node.type === 'wait') {
+      history.push({ nodeId: node.id, type: node.type, outcome: 'done', message: `Waited ${node.data.delay}` });
+      if (!(await moveTo(getNextNodeId(graph, node.id)))) return acted;
+      continue;
+    }
+
+    if (node.type === 'branch') {
+      // Reply checks open LinkedIn, so they follow the rules of the other actions
+      const canAct = !acted && account && !accountBusy && isWithinWorkingHours(settings);
+      const decision = await decideBranch(node, {
+        graph,
+        lead,
+        now,
+        stepStartedAt,
+        checkReply: canAct ? () => checkForReply(lead, usePage) : null
+      });
+
+      if (!decision.handle) {
+        await save({ currentNodeId: node.id, stepStartedAt, attempts, nextDueAt: decision.until, lastError: null });
+        return acted;
+      }
+
+      history.push({ nodeId: node.id, type: node.type, outcome: decision.handle, message: decision.message });
+      if (!(await moveTo(decision.nextNodeId))) return acted;
+      continue;
+    }
+
+    // LinkedIn action
+    if (!account) {
+      await save({ status: 'failed', currentNodeId: node.id, nextDueAt: null, lastError: 'The sending account of this lead was removed' });
+      return acted;
+    }
+
+    if (!isWithinWorkingHours(settings)) {
+      await save({ currentNodeId: node.id, stepStartedAt, attempts, nextDueAt: getNextWorkingWindowStart(settings, now) });
+      return acted;
+    }
+
+    if (accountBusy) {
+      await save({ currentNodeId: node.id, stepStartedAt, attempts, nextDueAt: new Date(now.getTime() + ACCOUNT_BUSY_DELAY_MS) });
+      return acted;
+    }
+
+    console.log(`  ▶️  ${lead.name || 'Lead'}: ${node.type} (${node.id})`);
+
+    let result;
+    try {
+      result = await stepHandlers[node.type]({ lead, node, enrollment: { ...enrollment, stepStartedAt }, account, settings, getPage: usePage, now });
+    } catch (error) {
+      result = retry(error.message);
+    }
+
+    switch (result.outcome) {
+      case 'done':
+        history.push({ nodeId: node.id, type: node.type, outcome: 'done', message: result.message });
+        if (!(await moveTo(getNextNodeId(graph, node.id)))) return acted;
+        continue;
+
+      case 'wait':
+        await save({ currentNodeId: node.id, stepStartedAt, attempts, nextDueAt: result.until, lastError: null });
+        return acted;
+
+      case 'retry': {
+        const failedAttempts = attempts + 1;
+        const giveUp = failedAttempts >= MAX_STEP_ATTEMPTS;
+        history.push({ nodeId: node.id, type: node.type, outcome: 'failed', message: result.error });
+        await save({
+          currentNodeId: node.id,
+          stepStartedAt,
+          attempts: failedAttempts,
+          lastError: result.error,
+          ...(giveUp
+            ? { status: 'failed', nextDueAt: null }
+            : { nextDueAt: new Date(now.getTime() + STEP_RETRY_DELAY_MS) })
+        });
+        return acted;
+      }
+
+      case 'exit':
+        history.push({ nodeId: node.id, type: node.type, outcome: 'exited', message: result.message });
+        await save({ status: 'exited', currentNodeId: node.id, nextDueAt: null, completedAt: now, lastError: null });
+        return acted;
+
+      default:
+        history.push({ nodeId: node.id, type: node.type, outcome: 'failed', message: result.error });
+        await save({ status: 'failed', currentNodeId: node.id, nextDueAt: null, lastError: result.error });
+        return acted;
+    }
+  }
+
+  await save({ status: 'failed', lastError: 'Sequence did not reach a step to wait on' });
+  return acted;
+}
+
+/**
+ * Run every due sequence step once
+ *
+ * @param {Object} options
+ * @param {Object} options.control - Control handle from createJobControl(); a stop ends the pass between leads
+ * @param {number} options.limit - Maximum enrollments per pass
+ * @returns {Promise<Object>} - { claimed, actions }
+ */
+export async function runDueSequenceSteps({ control, limit = MAX_ENROLLMENTS_PER_PASS }) {
+  await releaseStaleEnrollments();
+
+  const enrollments = await claimDueEnrollments(limit);
+  if (enrollments.length === 0) return { claimed: 0, actions: 0 };
+
+  console.log(`🧭 [Sequences] ${enrollments.length} due step(s)`);
+
+  // Graph of every version in use
+  const versionKeys = [...new Set(enrollments.map(e => `${e.sequenceId}:${e.version}`))];
+  const versionRows = await db.select()
+    .from(sequenceVersions)
+    .where(or(...versionKeys.map(key => {
+      const [sequenceId, version] = key.split(':');
+      return and(eq(sequenceVersions.sequenceId, sequenceId), eq(sequenceVersions.version, parseInt(version, 10)));
+    })));
+  const graphs = new Map(versionRows.map(row => [`${row.sequenceId}:${row.version}`, row.graph]));
+
+  const [leadRows, accountRows, queueState] = await Promise.all([
+    db.select().from(leads).where(inArray(leads.id, enrollments.map(e => e.leadId))),
+    db.select().from(linkedinAccounts).where(inArray(linkedinAccounts.id, enrollments.map(e => e.accountId).filter(Boolean))),
+    loadQueueState()
+  ]);
+  const leadsById = new Map(leadRows.map(lead => [lead.id, lead]));
+  const accountsById = new Map(accountRows.map(account => [account.id, account]));
+
+  // Accounts a running invite job holds (its own account or its campaign's pool)
+  const busyAccounts = new Set(queueState.running.flatMap(job => {
+    const pool = queueState.accountsByCampaign.get(job.campaignId);
+    return pool && pool.length > 0 ? pool : [job.accountId];
+  }));
+
+  const settingsByCampaign = new Map();
+  const loadSettings = async (campaignId) => {
+    if (!settingsByCampaign.has(campaignId)) {
+      settingsByCampaign.set(campaignId, await getCampaignSettings(campaignId));
+    }
+    return settingsByCampaign.get(campaignId);
+  };
+
+  const blocklistByUser = new Map();
+  const loadBlocklist = async (userId) => {
+    if (!blocklistByUser.has(userId)) {
+      blocklistByUser.set(userId, await getBlocklistMatcher(userId));
+    }
+    return blocklistByUser.get(userId);
+  };
+
+  // One browser session per account
+  const byAccount = new Map();
+  enrollments.forEach(enrollment => {
+    const key = enrollment.accountId || 'none';
+    if (!byAccount.has(key)) byAccount.set(key, []);
+    byAccount.get(key).push(enrollment);
+  });
+
+  let actions = 0;
+  const remaining = new Set(enrollments.map(e => e.id));
+
+  for (const [accountId, accountEnrollments] of byAccount) {
+    if (control.action) break;
+
+    const account = accountsById.get(accountId) || null;
+    let session = null;
+    let sessionError = null;
+
+    const getPage = async () => {
+      if (sessionError) throw sessionError;
+      if (session) return session;
+
+      const sessionResult = await testLinkedInSession(account, true);
+      if (!sessionResult.isValid) {
+        sessionError = new Error(`Session invalid: ${sessionResult.reason}`);
+        throw sessionError;
+      }
+
+      console.log(`  ✅ Session validated for ${account.email}`);
+      session = { context: sessionResult.context, page: sessionResult.page };
+      return session;
+    };
+
+    try {
+      for (const enrollment of accountEnrollments) {
+        if (control.action) break;
+
+        remaining.delete(enrollment.id);
+
+        const graph = graphs.get(`${enrollment.sequenceId}:${enrollment.version}`);
+        const lead = leadsById.get(enrollment.leadId);
+
+        if (!graph || !lead) {
+          await finishEnrollmentStep(enrollment, { status: 'failed', lastError: graph ? 'Lead not found' : `Sequence version ${enrollment.version} not found` });
+          continue;
+        }
+
+        const acted = await advanceEnrollment(enrollment, {
+          graph,
+          lead,
+          account,
+          settings: await loadSettings(enrollment.campaignId),
+          blocklist: await loadBlocklist(lead.userId),
+          accountBusy: busyAccounts.has(accountId),
+          getPage
+        });
+
+        if (acted) {
+          actions++;
+          await control.sleep(BETWEEN_LEADS_DELAY_MS);
+        }
+      }
+    } finally {
+      if (session) {
+        await cleanupBrowserSession(session.context);
+        console.log(`  🔒 Browser closed`);
+      }
+    }
+  }
+
+  // Stopped mid-pass: hand unprocessed steps back unchanged
+  for (const enrollment of enrollments) {
+    if (remaining.has(enrollment.id)) {
+      await finishEnrollmentStep(enrollment, {});
+    }
+  }
+
+  console.log(`🧭 [Sequences] Pass done: ${actions} LinkedIn action(s)`);
+  return { claimed: enrollments.length, actions };
+}
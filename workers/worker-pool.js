@@ -0,0 +1,251 @@
+/**
+ * Workflow Worker Pool
+ *
+ * Long-running process that picks queued workflow jobs from the database and
+ * runs up to WORKER_CONCURRENCY of them at a time. API routes only insert
+ * `queued` rows and publish on the queue channel; they never spawn processes.
+ *
+ * Pickup is driven by Redis notifications with a DB poll as fallback, and
+ * jobs are claimed with a conditional update so several pools can share one
+ * database safely. Which jobs start first is decided by the scheduler
+ * (libs/job-scheduler.js): priority, per-user caps, one job per account and
+ * round-robin between users. On SIGTERM/SIGINT running jobs are stopped between leads
+ * and put back in the queue for the next pool to resume.
+ *
+ * Each pool also runs the stale-job reaper, so jobs whose worker died
+ * (no heartbeat) are marked `interrupted` and picked up again here, and
+ * advances campaign sequences (workers/sequence-runner.js) once a minute.
+ *
+ * Usage: npm run worker
+ */
+
+import 'dotenv/config';
+import os from 'os';
+import { createClient } from 'redis';
+import { eq, and, inArray } from 'drizzle-orm';
+import { db } from '../libs/db';
+import { workflowJobs } from '../libs/schema';
+import { WORKFLOW_QUEUE_CHANNEL, claimJob } from '../libs/workflow-queue';
+import { reapStaleJobs } from '../libs/job-heartbeat';
+import { getJobsToDispatch } from '../libs/job-scheduler';
+import { runWorkflowJob, createJobControl } from './workflow-runner';
+import { runSalesNavImportJob } from './sales-nav-import-runner';
+import { runDueSequenceSteps } from './sequence-runner';
+
+const CONCURRENCY = Math.max(1, parseInt(process.env.WORKER_CONCURRENCY || '3', 10) || 3);
+const POLL_INTERVAL_MS = 5000;
+const REAP_INTERVAL_MS = 30 * 1000;
+const SEQUENCE_INTERVAL_MS = 60 * 1000;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// jobId -> { control, promise }
+const runningJobs = new Map();
+
+let queueSubscriber = null;
+let pollTimer = null;
+let reapTimer = null;
+let sequenceTimer = null;
+let sequencePass = null; // Promise of the running sequence pass
+const sequenceControl = createJobControl();
+let isShuttingDown = false;
+let isFilling = false;
+let fillRequested = false;
+
+/**
+ * Start a claimed job and track it until it finishes
+ */
+function startJob(job) {
+  const control = createJobControl();
+  const shortId = job.id.substring(0, 8);
+
+  console.log(`▶️  [Pool] Starting job ${shortId}... (${runningJobs.size + 1}/${CONCURRENCY} slots) | User: ${job.userId} | Priority: ${job.priority}`);
+
+  const runJob = job.type === 'sales_nav_import' ? runSalesNavImportJob : runWorkflowJob;
+
+  const promise = runJob(job.id, { control, workerId: WORKER_ID })
+    .then(async ({ status }) => {
+      console.log(`⏹️  [Pool] Job ${shortId}... finished with status: ${status}`);
+
+      if (status === 'shutdown') {
+        await requeueJob(job.id);
+      }
+    })
+    .catch((error) => {
+      console.error(`❌ [Pool] Job ${shortId}... crashed:`, error.message);
+    })
+    .finally(() => {
+      runningJobs.delete(job.id);
+      if (!isShuttingDown) {
+        fillSlots();
+      }
+    });
+
+  runningJobs.set(job.id, { control, promise });
+}
+
+/**
+ * Put a job stopped by shutdown back in the queue
+ * processedLeads is kept so the next run logs it as a resume
+ */
+async function requeueJob(jobId) {
+  try {
+    await db.update(workflowJobs)
+      .set({ status: 'queued', workerId: null })
+      .where(and(
+        eq(workflowJobs.id, jobId),
+        inArray(workflowJobs.status, ['processing', 'waiting'])
+      ));
+    console.log(`🔁 [Pool] Job ${jobId.substring(0, 8)}... returned to queue`);
+  } catch (error) {
+    console.error(`❌ [Pool] Failed to requeue job ${jobId}:`, error.message);
+  }
+}
+
+/**
+ * Claim queued or interrupted jobs until all slots are busy or no queued job may start
+ * Concurrent calls are coalesced into one extra pass.
+ */
+async function fillSlots() {
+  if (isShuttingDown) return;
+
+  if (isFilling) {
+    fillRequested = true;
+    return;
+  }
+
+  isFilling = true;
+
+  try {
+    do {
+      fillRequested = false;
+
+      const freeSlots = CONCURRENCY - runningJobs.size;
+      if (freeSlots <= 0) break;
+
+      const queuedJobs = await getJobsToDispatch(freeSlots);
+
+      for (const queuedJob of queuedJobs) {
+        if (isShuttingDown || runningJobs.size >= CONCURRENCY) break;
+
+        const claimed = await claimJob(queuedJob.id, WORKER_ID, queuedJob.status);
+        if (claimed) {
+          startJob(claimed);
+        }
+      }
+    } while (fillRequested && !isShuttingDown);
+  } catch (error) {
+    console.error('❌ [Pool] Failed to fetch queued jobs:', error.message);
+  } finally {
+    isFilling = false;
+  }
+}
+
+/**
+ * Mark jobs of dead workers as interrupted, then try to pick them up
+ */
+async function reap() {
+  if (isShuttingDown) return;
+
+  try {
+    const reaped = await reapStaleJobs();
+    if (reaped.some(job => job.status === 'interrupted')) {
+      fillSlots();
+    }
+  } catch (error) {
+    console.error('❌ [Pool] Stale job reaper failed:', error.message);
+  }
+}
+
+/**
+ * Run due sequence steps; skipped while the previous pass is still running
+ */
+function advanceSequences() {
+  if (isShuttingDown || sequencePass) return;
+
+  sequencePass = runDueSequenceSteps({ control: sequenceControl })
+    .catch((error) => {
+      console.error('❌ [Pool] Sequence pass failed:', error.message);
+    })
+    .finally(() => {
+      sequencePass = null;
+    });
+}
+
+/**
+ * Subscribe to queue notifications so new jobs start without waiting for the poll
+ */
+async function setupQueueSubscriber() {
+  try {
+    queueSubscriber = createClient({
+      url: process.env.REDIS_URL || 'redis://localhost:6379'
+    });
+
+    queueSubscriber.on('error', (err) => {
+      console.error('⚠️  [Pool] Redis Subscriber Error:', err.message);
+    });
+
+    await queueSubscriber.connect();
+    await queueSubscriber.subscribe(WORKFLOW_QUEUE_CHANNEL, () => {
+      fillSlots();
+    });
+
+    console.log(`📡 [Pool] Subscribed to ${WORKFLOW_QUEUE_CHANNEL}`);
+  } catch (error) {
+    console.error('⚠️  [Pool] Redis subscription failed:', error.message);
+    console.log(`⚠️  [Pool] Falling back to DB polling every ${POLL_INTERVAL_MS / 1000}s`);
+    queueSubscriber = null;
+  }
+}
+
+/**
+ * Stop accepting work, stop running jobs between leads and requeue them
+ */
+async function shutdown(signal) {
+  if (isShuttingDown) return;
+  isShuttingDown = true;
+
+  console.log(`\n🛑 [Pool] ${signal} received - stopping ${runningJobs.size} running job(s)...`);
+
+  clearInterval(pollTimer);
+  clearInterval(reapTimer);
+  clearInterval(sequenceTimer);
+
+  for (const { control } of runningJobs.values()) {
+    control.stop('shutdown');
+  }
+  sequenceControl.stop('shutdown');
+
+  await Promise.allSettled([...runningJobs.values()].map(({ promise }) => promise).concat(sequencePass || []));
+
+  if (queueSubscriber) {
+    try {
+      await queueSubscriber.quit();
+    } catch (error) {
+      console.error('⚠️  [Pool] Error disconnecting Redis subscriber:', error.message);
+    }
+  }
+
+  console.log('👋 [Pool] Shutdown complete');
+  process.exit(0);
+}
+
+async function main() {
+  console.log(`🚀 Worker Pool Started | ID: ${WORKER_ID} | Concurrency: ${CONCURRENCY}`);
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  await setupQueueSubscriber();
+
+  pollTimer = setInterval(fillSlots, POLL_INTERVAL_MS);
+  reapTimer = setInterval(reap, REAP_INTERVAL_MS);
+  sequenceTimer = setInterval(advanceSequences, SEQUENCE_INTERVAL_MS);
+  await reap();
+  await fillSlots();
+  advanceSequences();
+}
+
+main().catch((error) => {
+  console.error('❌ [Pool] Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,942 @@
+/**
+ * Workflow Job Runner
+ *
+ * Runs a single LinkedIn invite workflow job to completion.
+ * Shared by the long-running worker pool (workers/worker-pool.js) and the
+ * single-job CLI (workers/workflow-worker.js). Never calls process.exit so
+ * several jobs can run side by side in one process.
+ *
+ * The job control, Redis control listener and progress publisher are also
+ * used by the Sales Navigator import runner (workers/sales-nav-import-runner.js).
+ */
+
+import { testLinkedInSession, cleanupBrowserSession } from '../libs/linkedin-session-validator';
+import { processInvitesDirectly } from '../libs/linkedin-invite-automation';
+import { fetchEligibleLeads, pinLeadToAccount, toBlockedPlannedActions } from '../libs/lead-status-manager';
+import { checkDailyLimit, incrementDailyCounter } from '../libs/rate-limit-manager';
+import {
+  getCampaignSettings,
+  isWithinWorkingHours,
+  getNextWorkingWindowStart,
+  checkCampaignDailyCap,
+  incrementCampaignDailyCounter
+} from '../libs/campaign-settings';
+import { startJobHeartbeat } from '../libs/job-heartbeat';
+import { recordJobEvent, recordLeadProgressEvent } from '../libs/job-events';
+import { getCampaignAccountPool, splitLeadsAcrossAccounts } from '../libs/campaign-accounts';
+import {
+  FINISHED_LEAD_STATUSES,
+  getJobCheckpoints,
+  planJobLeads,
+  markLeadStarted,
+  markLeadFinished,
+  markUnfinishedLeads,
+  closeUnfinishedLeads,
+  buildResumeQueue
+} from '../libs/job-checkpoints';
+import { db } from '../libs/db';
+import { workflowJobs } from '../libs/schema';
+import { eq, and, sql } from 'drizzle-orm';
+import { createClient } from 'redis';
+
+/**
+ * Create a control handle for a running job
+ * The Redis listener, the DB fallback and the worker pool all stop a job through it.
+ *
+ * @returns {Object} - { action, stop(action), sleep(ms) }
+ */
+export function createJobControl() {
+  const wakeups = new Set();
+
+  const control = {
+    action: null, // 'pause' | 'cancel' | 'shutdown'
+
+    stop(action) {
+      if (control.action) return;
+      control.action = action;
+      wakeups.forEach(wake => wake());
+      wakeups.clear();
+    },
+
+    // Sleep that ends early when a stop is requested
+    sleep(ms) {
+      if (control.action) return Promise.resolve();
+      return new Promise(resolve => {
+        const wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        const timer = setTimeout(() => {
+          wakeups.delete(wake);
+          resolve();
+        }, ms);
+        wakeups.add(wake);
+      });
+    }
+  };
+
+  return control;
+}
+
+/**
+ * Setup Redis Pub/Sub listener for instant job control
+ * Subscribes to job:{jobId}:control channel for pause/cancel signals
+ */
+export async function setupControlListener(jobId, control) {
+  let subscriber = null;
+
+  try {
+    // Create dedicated subscriber client
+    subscriber = createClient({
+      url: process.env.REDIS_URL || 'redis://localhost:6379'
+    });
+
+    // Handle connection errors
+    subscriber.on('error', (err) => {
+      console.error('⚠️  Redis Subscriber Error:', err.message);
+      // Don't crash - we have DB fallback
+    });
+
+    await subscriber.connect();
+
+    const channel = `job:${jobId}:control`;
+
+    // Subscribe to control channel
+    await subscriber.subscribe(channel, (message) => {
+      try {
+        const data = JSON.parse(message);
+        const timestamp = new Date().toISOString();
+        const latency = Date.now() - new Date(data.timestamp).getTime();
+
+        console.log(`\n📡 [${timestamp}] Redis Signal Received`);
+        console.log(`   Action: ${data.action.toUpperCase()}`);
+        console.log(`   Job: ${jobId.substring(0, 8)}...`);
+        console.log(`   Source: ${data.userId || 'unknown'}`);
+        console.log(`   Latency: ~${latency}ms`);
+
+        if (data.action === 'cancel' || data.action === 'pause') {
+          console.log(`🛑 [CONTROL] ${data.action.toUpperCase()} signal received - stopping after current step`);
+          control.stop(data.action);
+        }
+      } catch (parseError) {
+        console.error('❌ Failed to parse Redis message:', parseError.message);
+      }
+    });
+
+    console.log(`📡 Subscribed to control channel: ${channel}`);
+    return subscriber;
+
+  } catch (error) {
+    console.error('⚠️  Redis subscription failed:', error.message);
+    console.log('⚠️  Falling back to DB polling for control signals');
+    await closeRedisClient(subscriber, 'subscriber');
+    return null;
+  }
+}
+
+/**
+ * Setup Redis publisher for progress updates
+ */
+export async function setupProgressPublisher(jobId) {
+  let publisher = null;
+
+  try {
+    publisher = createClient({
+      url: process.env.REDIS_URL || 'redis://localhost:6379'
+    });
+
+    publisher.on('error', (err) => {
+      console.error('⚠️  Redis Publisher Error:', err.message);
+    });
+
+    await publisher.connect();
+    console.log(`📡 Redis publisher connected for job ${jobId.substring(0, 8)}...`);
+    return publisher;
+  } catch (error) {
+    console.error('⚠️  Redis publisher setup failed:', error.message);
+    await closeRedisClient(publisher, 'publisher');
+    return null;
+  }
+}
+
+/**
+ * Close a Redis client, ignoring errors
+ */
+export async function closeRedisClient(client, label) {
+  if (!client) return;
+
+  try {
+    await client.quit();
+    console.log(`🔌 Redis ${label} disconnected`);
+  } catch (error) {
+    console.error(`⚠️  Error disconnecting Redis ${label}:`, error.message);
+  }
+}
+
+/**
+ * Publish progress update to Redis Pub/Sub
+ */
+export async function publishProgress(publisher, jobId, data) {
+  if (!publisher) return;
+
+  try {
+    const channel = `job:${jobId}:status`;
+    const payload = {
+      ...data,
+      timestamp: Date.now()
+    };
+    await publisher.publish(channel, JSON.stringify(payload));
+
+    const snapshotKey = `job:${jobId}:status:last`;
+    await publisher.set(snapshotKey, JSON.stringify(payload), {
+      EX: 600 // cache last status for 10 minutes
+    });
+  } catch (error) {
+    console.warn('⚠️  Failed to publish progress to Redis:', error.message);
+    // Don't fail the workflow if Redis publish fails
+  }
+}
+
+/**
+ * Pause a job that would complete with mid-flight leads held for their account
+ * The leads keep their checkpoint, so resuming the job attempts them again.
+ */
+async function pauseForHeldLeads({ jobId, job, results, heldLeads, redisPublisher, progress }) {
+  const message = `${heldLeads} mid-flight lead(s) wait for their account to send again. Resume the job to attempt them.`;
+  const pausedResults = { ...results, heldLeads, message };
+
+  console.log(`⏸️  ${message}`);
+
+  await db.update(workflowJobs)
+    .set({
+      status: 'paused',
+      pausedAt: new Date(),
+      pauseCount: sql`${workflowJobs.pauseCount} + 1`,
+      processedLeads: progress.processedLeads,
+      results: pausedResults
+    })
+    .where(eq(workflowJobs.id, jobId));
+
+  await recordJobEvent(jobId, { type: 'job', status: 'paused', message, data: { heldLeads } });
+
+  await publishProgress(redisPublisher, jobId, {
+    type: 'status',
+    jobId,
+    campaignId: job.campaignId,
+    status: 'paused',
+    stage: 'held_leads',
+    results: pausedResults,
+    ...progress
+  });
+
+  return { status: 'paused', results: pausedResults };
+}
+
+/**
+ * Wait until the campaign working window opens
+ * The job is marked `waiting` meanwhile; pause/cancel/shutdown end the wait early.
+ */
+async function waitForWorkingHours({ jobId, job, settings, control, redisPublisher, useRedisControl, progress }) {
+  const resumeAt = getNextWorkingWindowStart(settings);
+
+  console.log(`🌙 Outside working hours (${settings.workingHours.start}-${settings.workingHours.end} ${settings.timezone})`);
+  console.log(`   Waiting until ${resumeAt.toISOString()}...`);
+
+  await db.update(workflowJobs)
+    .set({ status: 'waiting' })
+    .where(and(eq(workflowJobs.id, jobId), eq(workflowJobs.status, 'processing')));
+
+  await recordJobEvent(jobId, {
+    type: 'job',
+    status: 'waiting',
+    message: `Outside working hours (${settings.workingHours.start}-${settings.workingHours.end} ${settings.timezone}), waiting until ${resumeAt.toISOString()}`,
+    data: { resumeAt: resumeAt.toISOString() }
+  });
+
+  await publishProgress(redisPublisher, jobId, {
+    type: 'status',
+    jobId,
+    campaignId: job.campaignId,
+    status: 'waiting',
+    stage: 'waiting_window',
+    resumeAt: resumeAt.toISOString(),
+    progress: progress.totalLeads ? Math.round((progress.processedLeads / progress.totalLeads) * 100) : 0,
+    ...progress
+  });
+
+  // Sleep in short steps so the DB fallback can still see pause/cancel
+  while (!control.action && !isWithinWorkingHours(settings)) {
+    const remainingMs = Math.max(1000, getNextWorkingWindowStart(settings).getTime() - Date.now());
+    await control.sleep(Math.min(remainingMs, 60 * 1000));
+
+    if (!useRedisControl && !control.action) {
+      const currentJob = await db.query.workflowJobs.findFirst({
+        where: eq(workflowJobs.id, jobId),
+        columns: { status: true }
+      });
+
+      if (currentJob && (currentJob.status === 'paused' || currentJob.status === 'cancelled')) {
+        console.log(`🛑 [FALLBACK] Job ${currentJob.status} detected while waiting for working hours`);
+        control.stop(currentJob.status === 'paused' ? 'pause' : 'cancel');
+      }
+    }
+  }
+
+  if (control.action) return;
+
+  console.log(`☀️  Working hours started - resuming`);
+
+  await recordJobEvent(jobId, { type: 'job', status: 'processing', message: 'Working hours started, resuming' });
+
+  await db.update(workflowJobs)
+    .set({ status: 'processing' })
+    .where(and(eq(workflowJobs.id, jobId), eq(workflowJobs.status, 'waiting')));
+
+  await publishProgress(redisPublisher, jobId, {
+    type: 'status',
+    jobId,
+    campaignId: job.campaignId,
+    status: 'processing',
+    stage: 'processing',
+    progress: progress.totalLeads ? Math.round((progress.processedLeads / progress.totalLeads) * 100) : 0,
+    ...progress
+  });
+}
+
+/**
+ * Run a workflow job
+ *
+ * @param {string} jobId - Workflow job ID
+ * @param {Object} options
+ * @param {Object} options.control - Control handle from createJobControl() (created if omitted)
+ * @param {string} options.workerId - Identifier written with each heartbeat
+ * @returns {Promise<Object>} - { status, results?, errorMessage? } where status is
+ *   'completed', 'failed', or the control action that stopped the job
+ */
+export async function runWorkflowJob(jobId, { control = createJobControl(), workerId = `pid:${process.pid}` } = {}) {
+  let job = null;
+  let stopHeartbeat = null;
+  let redisSubscriber = null;
+  let redisPublisher = null;
+
+  try {
+    // Fetch Job from Database
+    job = await db.query.workflowJobs.findFirst({
+      where: eq(workflowJobs.id, jobId)
+    });
+
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    // Dry run: rehearse every lead up to the final click without sending or changing anything
+    const dryRun = !!job.dryRun;
+
+    console.log(`📋 Campaign: ${job.campaignId.substring(0, 8)}... | Status: processing${dryRun ? ' | DRY RUN' : ''}`);
+
+    // Heartbeat lets the reaper detect this worker dying mid-job
+    stopHeartbeat = startJobHeartbeat(jobId, workerId);
+
+    // Update job status to processing
+    await db.update(workflowJobs)
+      .set({ status: 'processing', startedAt: new Date() })
+      .where(eq(workflowJobs.id, jobId));
+
+    // Setup Redis control listener for instant pause/cancel
+    console.log('📡 Setting up real-time control listener...');
+    redisSubscriber = await setupControlListener(jobId, control);
+    const useRedisControl = !!redisSubscriber;
+
+    if (useRedisControl) {
+      console.log('✅ Real-time control: ENABLED (Redis Pub/Sub)');
+    } else {
+      console.log('⚠️  Real-time control: DISABLED (using DB fallback)');
+    }
+
+    // Setup Redis publisher for progress updates
+    console.log('📡 Setting up progress publisher...');
+    redisPublisher = await setupProgressPublisher(jobId);
+
+    if (redisPublisher) {
+      console.log('✅ Progress publisher: ENABLED (Redis Pub/Sub)');
+
+      // Publish initial "processing" status
+      await publishProgress(redisPublisher, jobId, {
+        type: 'status',
+        jobId: jobId,
+        campaignId: job.campaignId,
+        status: 'processing',
+        progress: 0,
+        totalLeads: null, // Will be set when leads are fetched
+        processedLeads: job.processedLeads || 0,
+        dryRun,
+        startedAt: new Date().toISOString()
+      });
+    } else {
+      console.log('⚠️  Progress publisher: DISABLED (updates will only go to DB)');
+    }
+
+    // LinkedIn accounts: the campaign's account pool, or the job's account
+    const accountPool = await getCampaignAccountPool(job.campaignId, job.accountId);
+
+    if (accountPool.length === 0) {
+      throw new Error('LinkedIn account not found');
+    }
+
+    // Check Daily Limits
+    accountPool.forEach(({ account, quota }) => {
+      console.log(`📊 Account: ${account.email} | Quota: ${quota.sent}/${quota.limit} (${quota.remaining} left)`);
+    });
+
+    const accountsById = new Map(accountPool.map(({ account }) => [account.id, account]));
+    const poolRemaining = accountPool.reduce((sum, { quota }) => sum + quota.remaining, 0);
+
+    if (poolRemaining === 0) {
+      const nextReset = Math.min(...accountPool.map(({ quota }) => quota.resetsAt.getTime()));
+      const resetsIn = Math.ceil((nextReset - Date.now()) / (1000 * 60 * 60));
+      throw new Error(accountPool.length === 1
+        ? `Daily limit reached (${accountPool[0].quota.limit}). Resets in ${resetsIn} hours.`
+        : `Daily limit reached on all ${accountPool.length} accounts. Next reset in ${resetsIn} hours.`);
+    }
+
+    // Campaign settings: working hours window and daily connect cap
+    const campaignSettings = await getCampaignSettings(job.campaignId);
+    const campaignQuota = await checkCampaignDailyCap(job.campaignId, campaignSettings, 'connect');
+
+    if (campaignSettings.workingHours) {
+      console.log(`🕘 Working hours: ${campaignSettings.workingHours.start}-${campaignSettings.workingHours.end} (${campaignSettings.timezone})`);
+    }
+
+    if (!campaignQuota.canSend) {
+      throw new Error(`Campaign daily connect cap reached (${campaignQuota.limit}). Resets at midnight ${campaignSettings.timezone}.`);
+    }
+
+    // Fetch Eligible Leads
+    const { allLeads, eligibleLeads, blockedLeads, source } = await fetchEligibleLeads(job.campaignId, { dryRun });
+    console.log(`📥 Leads: ${eligibleLeads.length} eligible (from ${source})`);
+
+    // Dry run: leads on the do-not-contact list are reported instead of flagged
+    const blockedActions = dryRun ? toBlockedPlannedActions(blockedLeads) : [];
+
+    // Resume: continue from the job's lead checkpoints instead of a processed count
+    const checkpoints = await getJobCheckpoints(jobId);
+    const isResume = checkpoints.length > 0;
+    let candidateLeads = eligibleLeads;
+    let finishedBefore = 0; // Leads finished by earlier runs of this job
+
+    if (isResume) {
+      const resume = buildResumeQueue({
+        checkpoints,
+        allLeads,
+        eligibleLeads,
+        availableAccountIds: accountPool.filter(({ quota }) => quota.remaining > 0).map(({ account }) => account.id)
+      });
+
+      candidateLeads = resume.leads;
+      finishedBefore = resume.finished.length;
+
+      console.log(`🔄 Resume: ${resume.finished.length} finished | ${resume.leads.length - resume.newLeads.length} to continue | ${resume.newLeads.length} new | ${resume.dropped.length} no longer eligible`);
+      if (resume.held.length > 0) {
+        console.log(`⏸️  ${resume.held.length} mid-flight lead(s) held until their account can send again`);
+      }
+
+      await markUnfinishedLeads(jobId, resume.dropped.map(checkpoint => checkpoint.leadId), 'skipped', 'No longer eligible when the job resumed');
+    }
+
+    if (candidateLeads.length === 0) {
+      console.log(`ℹ️  No action needed - all leads already processed`);
+
+      const skippedResults = {
+        total: 0,
+        sent: 0,
+        alreadyConnected: 0,
+        alreadyPending: 0,
+        failed: 0,
+        skipped: true,
+        skipReason: 'all_leads_already_processed',
+        ...(dryRun && { dryRun: true, wouldSend: 0, plannedActions: blockedActions }),
+        message: isResume
+          ? '✅ All leads of this job have already been processed.'
+          : '✅ All leads in this campaign already have pending or accepted invites.'
+      };
+
+      const heldLeads = await closeUnfinishedLeads(jobId);
+      if (heldLeads > 0) {
+        return await pauseForHeldLeads({ jobId, job, results: skippedResults, heldLeads, redisPublisher, progress: { totalLeads: 0, processedLeads: 0 } });
+      }
+
+      // Mark job as completed (not failed) - this is a successful no-op
+      await db.update(workflowJobs)
+        .set({
+          status: 'completed',
+          completedAt: new Date(),
+          totalLeads: 0,
+          processedLeads: 0,
+          progress: 100,
+          results: skippedResults
+        })
+        .where(eq(workflowJobs.id, jobId));
+
+      // Publish completion to Redis so SSE clients can finish gracefully
+      await publishProgress(redisPublisher, jobId, {
+        type: 'status',
+        jobId,
+        campaignId: job.campaignId,
+        status: 'completed',
+        stage: 'completed',
+        progress: 100,
+        totalLeads: 0,
+        processedLeads: 0,
+        results: skippedResults,
+        completedAt: new Date().toISOString()
+      });
+
+      await recordJobEvent(jobId, { type: 'job', status: 'completed', message: skippedResults.message });
+
+      console.log(`✅ Job Completed (skipped)`);
+      return { status: 'completed', results: skippedResults };
+    }
+
+    // Limit to remaining quota (account limits and campaign cap)
+    const sendableToday = Math.min(poolRemaining, campaignQuota.remaining);
+    const leadsToProcess = candidateLeads.slice(0, Math.min(candidateLeads.length, sendableToday));
+
+    if (leadsToProcess.length < candidateLeads.length) {
+      console.log(`⚠️ Limited to ${leadsToProcess.length} leads (daily quota: ${poolRemaining}, campaign cap: ${campaignQuota.limit ?? 'none'})`);
+    }
+
+    // Leads are taken from this queue in single-account batches; leads not reached
+    // when the working window closes go back to the front of the queue
+    const BATCH_SIZE = 10;
+    const { queue: assignedLeads, assigned } = splitLeadsAcrossAccounts(leadsToProcess, accountPool, BATCH_SIZE);
+    const leadQueue = [...assignedLeads];
+
+    if (accountPool.length > 1) {
+      Object.entries(assigned).forEach(([accountId, count]) => {
+        console.log(`👥 ${accountsById.get(accountId).email}: ${count} lead(s)`);
+      });
+    }
+
+    console.log(`📦 Batches: ${Math.ceil(leadsToProcess.length / BATCH_SIZE)} × ${BATCH_SIZE} leads`);
+
+    // Checkpoint the plan in processing order (leads planned by an earlier run keep their place)
+    await planJobLeads(jobId, leadQueue);
+
+    const totalJobLeads = finishedBefore + leadsToProcess.length;
+    if (isResume) {
+      console.log(`🔄 Resuming from lead ${finishedBefore + 1}/${totalJobLeads}`);
+    }
+
+    // Update total leads in job
+    await db.update(workflowJobs)
+      .set({ totalLeads: totalJobLeads, processedLeads: finishedBefore })
+      .where(eq(workflowJobs.id, jobId));
+
+    await recordJobEvent(jobId, {
+      type: 'job',
+      status: 'processing',
+      message: `${isResume ? `Resumed after ${finishedBefore} finished lead(s)` : 'Started'} on ${workerId}: ${leadsToProcess.length} of ${candidateLeads.length} eligible leads across ${Object.keys(assigned).length} account(s)`,
+      data: { eligible: candidateLeads.length, total: leadsToProcess.length, finishedBefore, source, assigned }
+    });
+
+    // Process Batches Sequentially
+    console.log(`🔄 Starting batch processing...`);
+
+    let totalSent = 0;
+    let totalFailed = 0;
+    let totalAlreadyConnected = 0;
+    let totalAlreadyPending = 0;
+    let totalWouldSend = 0;
+    let currentLeadIndex = 0; // Leads finished in this run (finishedBefore covers earlier runs)
+    let batchNumber = 0;
+
+    const accountResults = {}; // Per-account breakdown of the campaign-level totals
+    const plannedActions = [...blockedActions]; // Dry run: what each lead would have gone through
+
+    const addResults = (batchResults, account) => {
+      totalSent += batchResults.sent;
+      totalFailed += batchResults.failed;
+      totalAlreadyConnected += batchResults.alreadyConnected;
+      totalAlreadyPending += batchResults.alreadyPending;
+      totalWouldSend += batchResults.wouldSend || 0;
+      if (batchResults.plannedActions) {
+        plannedActions.push(...batchResults.plannedActions.map(action => ({ ...action, accountEmail: account.email })));
+      }
+
+      const byAccount = accountResults[account.id] || (accountResults[account.id] = {
+        email: account.email,
+        sent: 0,
+        failed: 0,
+        alreadyConnected: 0,
+        alreadyPending: 0
+      });
+      byAccount.sent += batchResults.sent;
+      byAccount.failed += batchResults.failed;
+      byAccount.alreadyConnected += batchResults.alreadyConnected;
+      byAccount.alreadyPending += batchResults.alreadyPending;
+    };
+
+    while (leadQueue.length > 0) {
+      if (control.action) break;
+
+      // Outside working hours: wait for the next window instead of sending
+      if (!isWithinWorkingHours(campaignSettings)) {
+        await waitForWorkingHours({
+          jobId,
+          job,
+          settings: campaignSettings,
+          control,
+          redisPublisher,
+          useRedisControl,
+          progress: {
+            totalLeads: totalJobLeads,
+            processedLeads: finishedBefore + currentLeadIndex
+          }
+        });
+
+        if (control.action) break;
+      }
+
+      // A batch holds consecutive leads of one account (one browser session)
+      const batchAccount = accountsById.get(leadQueue[0].assignedAccountId);
+      let batchLength = 1;
+      while (
+        batchLength < Math.min(BATCH_SIZE, leadQueue.length) &&
+        leadQueue[batchLength].assignedAccountId === batchAccount.id
+      ) {
+        batchLength++;
+      }
+
+      const batch = leadQueue.splice(0, batchLength);
+      const leadOffset = currentLeadIndex; // Leads finished before this batch
+      let batchContext = null;
+      let stoppedForWindow = false;
+      batchNumber++;
+
+      console.log(`\n📦 Batch ${batchNumber} | ${batch.length} leads via ${batchAccount.email} (${leadQueue.length} queued after this)`);
+
+      try {
+        // Validate Session (Open Browser)
+        const sessionResult = await testLinkedInSession(batchAccount, true);
+
+        if (!sessionResult.isValid) {
+          throw new Error(`Session invalid: ${sessionResult.reason}`);
+        }
+
+        console.log(`  ✅ Session validated`);
+
+        batchContext = sessionResult.context;
+        const batchPage = sessionResult.page;
+
+        // Process Invites with Progress Callback
+        // Progress callback to update database and publish to Redis in real-time
+        const progressCallback = async (progressData) => {
+          if (progressData.type === 'progress') {
+            // Handle fractional progress (e.g., 0.5 means 50% through current lead)
+            // progressData.current is relative to the batch, so add the leads finished before it
+            const fractionalProgress = leadOffset + (progressData.current || 0);
+            const jobProgress = finishedBefore + fractionalProgress; // Including earlier runs of the job
+            const totalLeads = totalJobLeads;
+
+            // Calculate actual progress: if we're at lead 2.5, that means 2.5/10 = 25% complete
+            const actualProgress = Math.min(Math.round((jobProgress / totalLeads) * 100), 100);
+            const processedLeads = Math.floor(jobProgress); // Integer part (completed leads)
+            const currentLead = Math.ceil(jobProgress); // Current lead being processed (1-indexed)
+
+            // Only update currentLeadIndex when we complete a lead (fractionalProgress is whole number)
+            if (fractionalProgress % 1 === 0 && fractionalProgress > currentLeadIndex) {
+              currentLeadIndex = fractionalProgress;
+            }
+
+            // Checkpoint: mid-flight before the profile is opened, outcome once the lead is done
+            if (progressData.stage === 'starting') {
+              await markLeadStarted(jobId, progressData.leadId, batchAccount.id);
+            } else if (FINISHED_LEAD_STATUSES.includes(progressData.status)) {
+              await markLeadFinished(jobId, progressData.leadId, progressData.status, progressData.error || null);
+            }
+
+            try {
+              // ✅ REDIS-FIRST: Publish progress to Redis Pub/Sub (instant updates)
+              await publishProgress(redisPublisher, jobId, {
+                type: 'status',
+                jobId: jobId,
+                campaignId: job.campaignId,
+                status: 'processing',
+                progress: actualProgress,
+                totalLeads: totalLeads,
+                processedLeads: processedLeads,
+                currentLead: currentLead, // Current lead number (for smoother progress bar)
+                fractionalProgress: jobProgress, // For precise progress calculation
+                stage: progressData.stage || 'processing', // e.g., 'navigating', 'clicking', 'sending'
+                accountEmail: batchAccount.email, // Sender of the current batch
+                timestamp: Date.now()
+              });
+
+              // ✅ DB: Update progress in database (only on whole number progress to reduce DB writes)
+              // Update DB less frequently to reduce load, but still update Redis for smooth UI
+              if (fractionalProgress % 1 === 0) {
+                await db.update(workflowJobs)
+                  .set({
+                    processedLeads: processedLeads,
+                    progress: actualProgress
+                  })
+                  .where(eq(workflowJobs.id, jobId));
+              }
+
+              // Only log major milestones to reduce console noise
+              if (fractionalProgress % 1 === 0 || progressData.stage === 'sending') {
+                console.log(`  📊 Progress: ${processedLeads}/${totalLeads} (${actualProgress}%)${progressData.stage ? ` - ${progressData.stage}` : ''}`);
+              }
+
+              // 🔥 Increment daily counters immediately for successfully sent invites
+              if (progressData.status === 'sent') {
+                await incrementDailyCounter(batchAccount.id, 1);
+                await incrementCampaignDailyCounter(job.campaignId, campaignSettings, 'connect');
+                console.log(`  📊 Daily counter incremented (+1)`);
+              }
+
+              // Pin the lead to this account so its follow-up comes from the same sender
+              if (!dryRun && ['sent', 'already_pending', 'already_connected'].includes(progressData.status)) {
+                await pinLeadToAccount(job.campaignId, progressData.leadId, batchAccount.id);
+              }
+
+              // 🔥 FALLBACK: Check for pause/cancel after every lead if Redis is unavailable
+              if (!useRedisControl && fractionalProgress % 1 === 0) {
+                const currentJob = await db.query.workflowJobs.findFirst({
+                  where: eq(workflowJobs.id, jobId),
+                  columns: { status: true }  // Only fetch status column (optimization)
+                });
+
+                if (currentJob && (currentJob.status === 'paused' || currentJob.status === 'cancelled')) {
+                  console.log(`🛑 [FALLBACK] Job ${currentJob.status} detected during lead processing`);
+                  console.log(`   Exiting after lead ${processedLeads}/${totalLeads}`);
+
+                  control.stop(currentJob.status === 'paused' ? 'pause' : 'cancel');
+                }
+              }
+
+            } catch (dbError) {
+              // Log DB errors but don't stop workflow
+              console.error(`  ❌ DB update failed:`, dbError.message);
+            }
+
+            // Persist the stage transition / outcome for the job timeline
+            await recordLeadProgressEvent(jobId, progressData, finishedBefore + leadOffset + (progressData.leadIndex ?? 0) + 1);
+
+            if (fractionalProgress % 1 === 0) {
+              // Stop between leads once pause/cancel/shutdown was requested
+              if (control.action) {
+                throw new Error(`WORKFLOW_${control.action.toUpperCase()}`);
+              }
+
+              // Working window closed - hand the rest of the batch back to the queue
+              if (!isWithinWorkingHours(campaignSettings)) {
+                throw new Error('WORKFLOW_WAITING');
+              }
+            }
+          }
+        };
+
+        // Process invites (reuses existing automation logic)
+        const batchResults = await processInvitesDirectly(
+          batchContext,
+          batchPage,
+          batch,
+          job.customMessage || "Hi! I'd like to connect with you.",
+          job.campaignId,
+          progressCallback,
+          { retryPolicy: campaignSettings.retryPolicy, dryRun }
+        );
+
+        addResults(batchResults, batchAccount);
+        currentLeadIndex = leadOffset + batch.length;
+
+        console.log(`  ✅ ${dryRun ? `Would send: ${batchResults.wouldSend}` : `Sent: ${batchResults.sent}`} | Failed: ${batchResults.failed}`);
+
+        // Note: Daily counter is incremented per-lead in progressCallback (above)
+        // This ensures accurate tracking even if batch is interrupted by pause/cancel
+
+      } catch (batchError) {
+        // Workflow control signals (pause/cancel/shutdown/waiting) stop the batch between leads
+        if (batchError.message && batchError.message.startsWith('WORKFLOW_')) {
+          const partialResults = batchError.results;
+          const finishedInBatch = partialResults
+            ? partialResults.sent + partialResults.failed + partialResults.alreadyConnected + partialResults.alreadyPending + (partialResults.wouldSend || 0)
+            : currentLeadIndex - leadOffset;
+
+          if (partialResults) {
+            addResults(partialResults, batchAccount);
+          }
+          currentLeadIndex = leadOffset + finishedInBatch;
+
+          if (batchError.message === 'WORKFLOW_WAITING') {
+            stoppedForWindow = true;
+            leadQueue.unshift(...batch.slice(finishedInBatch));
+            console.log(`🌙 Working hours ended - ${batch.length - finishedInBatch} lead(s) returned to queue`);
+          } else {
+            console.log(`🛑 Workflow ${control.action} - cleaning up`);
+          }
+        } else {
+          console.error(`  ❌ Batch error: ${batchError.message}`);
+          await recordJobEvent(jobId, {
+            type: 'error',
+            stage: 'batch',
+            message: `Batch ${batchNumber} failed (${batch.length} leads): ${batchError.message}`
+          });
+          addResults({ sent: 0, failed: batch.length, alreadyConnected: 0, alreadyPending: 0 }, batchAccount);
+          await markUnfinishedLeads(jobId, batch.map(lead => lead.id), 'failed', `Batch failed: ${batchError.message}`);
+          currentLeadIndex = leadOffset + batch.length;
+        }
+
+      } finally {
+        // Close Browser
+        if (batchContext) {
+          await cleanupBrowserSession(batchContext);
+          console.log(`  🔒 Browser closed`);
+        }
+      }
+
+      if (control.action) break;
+
+      // The wait at the top of the loop replaces the batch delay
+      if (stoppedForWindow) continue;
+
+      // ============================================================
+      // BATCH STEP 4: Check Daily Limit
+      // ============================================================
+      const updatedQuotas = await checkDailyLimit(batchAccount.id);
+      const updatedCampaignQuota = await checkCampaignDailyCap(job.campaignId, campaignSettings, 'connect');
+
+      if (!updatedCampaignQuota.canSend) {
+        console.log(`⚠️  Campaign daily cap reached after batch ${batchNumber}`);
+        break;
+      }
+
+      // This account is done for today; its remaining leads stay eligible for the next run
+      if (!updatedQuotas.canSend) {
+        const otherLeads = leadQueue.filter(lead => lead.assignedAccountId !== batchAccount.id);
+        console.log(`⚠️  Daily limit reached for ${batchAccount.email} after batch ${batchNumber} (${leadQueue.length - otherLeads.length} lead(s) dropped)`);
+        leadQueue.splice(0, leadQueue.length, ...otherLeads);
+      }
+
+      // Delay Before Next Batch (if not last)
+      if (leadQueue.length > 0) {
+        const delayMinutes = 5;
+        const delayMs = delayMinutes * 60 * 1000;
+        const nextTime = new Date(Date.now() + delayMs).toLocaleTimeString();
+
+        console.log(`⏱️  Waiting ${delayMinutes}min (next at ${nextTime})...`);
+        await control.sleep(delayMs);
+      }
+    }
+
+    // Pause/cancel already updated the job row; shutdown is handled by the pool
+    if (control.action) {
+      console.log(`👋 Job stopped (${control.action}) after ${finishedBefore + currentLeadIndex}/${totalJobLeads} leads`);
+      await recordJobEvent(jobId, {
+        type: 'job',
+        status: control.action,
+        message: `Stopped (${control.action}) after ${finishedBefore + currentLeadIndex}/${totalJobLeads} leads`
+      });
+      return { status: control.action };
+    }
+
+    // Update Job Status to Completed
+    console.log(`\n✅ Workflow Complete${dryRun ? ` (dry run) | Would send: ${totalWouldSend}` : ''} | Sent: ${totalSent} | Failed: ${totalFailed} | Already: ${totalAlreadyConnected + totalAlreadyPending}`);
+
+    const results = {
+      total: leadsToProcess.length,
+      sent: totalSent,
+      failed: totalFailed,
+      alreadyConnected: totalAlreadyConnected,
+      alreadyPending: totalAlreadyPending,
+      byAccount: accountResults,
+      ...(isResume && { finishedBefore }),
+      ...(dryRun && { dryRun: true, wouldSend: totalWouldSend, plannedActions })
+    };
+
+    const heldLeads = await closeUnfinishedLeads(jobId);
+    if (heldLeads > 0) {
+      return await pauseForHeldLeads({
+        jobId,
+        job,
+        results,
+        heldLeads,
+        redisPublisher,
+        progress: { totalLeads: totalJobLeads, processedLeads: finishedBefore + currentLeadIndex }
+      });
+    }
+
+    await recordJobEvent(jobId, {
+      type: 'job',
+      status: 'completed',
+      message: `${dryRun ? `Dry run completed: ${totalWouldSend} would be sent` : `Completed: ${totalSent} sent`}, ${totalFailed} failed, ${totalAlreadyConnected + totalAlreadyPending} already connected/pending`,
+      data: results
+    });
+
+    // ✅ REDIS-FIRST: Publish completion to Redis
+    await publishProgress(redisPublisher, jobId, {
+      type: 'status',
+      jobId: jobId,
+      campaignId: job.campaignId,
+      status: 'completed',
+      progress: 100,
+      totalLeads: totalJobLeads,
+      processedLeads: finishedBefore + currentLeadIndex,
+      results,
+      completedAt: new Date().toISOString()
+    });
+
+    // ✅ DB: Update job status in database
+    await db.update(workflowJobs)
+      .set({
+        status: 'completed',
+        completedAt: new Date(),
+        processedLeads: finishedBefore + currentLeadIndex,
+        results,
+        progress: 100
+      })
+      .where(eq(workflowJobs.id, jobId));
+
+    return { status: 'completed', results };
+
+  } catch (error) {
+    console.error(`\n❌ Job Failed | Error: ${error.message}`);
+
+    await recordJobEvent(jobId, { type: 'error', status: 'failed', message: error.message });
+
+    // ✅ REDIS-FIRST: Publish failure to Redis
+    await publishProgress(redisPublisher, jobId, {
+      type: 'status',
+      jobId: jobId,
+      campaignId: job?.campaignId,
+      status: 'failed',
+      errorMessage: error.message,
+      completedAt: new Date().toISOString()
+    });
+
+    // ✅ DB: Update job status to failed
+    try {
+      await db.update(workflowJobs)
+        .set({
+          status: 'failed',
+          completedAt: new Date(),
+          errorMessage: error.message
+        })
+        .where(eq(workflowJobs.id, jobId));
+    } catch (dbError) {
+      console.error(`❌ Failed to mark job as failed:`, dbError.message);
+    }
+
+    return { status: 'failed', errorMessage: error.message };
+
+  } finally {
+    if (stopHeartbeat) {
+      await stopHeartbeat();
+    }
+
+    // Always cleanup Redis connections
+    await closeRedisClient(redisSubscriber, 'subscriber');
+    await closeRedisClient(redisPublisher, 'publisher');
+  }
+}